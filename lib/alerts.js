@@ -0,0 +1,187 @@
+// alerts.js - Threshold and no-data alert rule evaluation
+//
+// Threshold rules are checked against every ingested reading. A breach opens a
+// 'pending' alert that becomes 'firing' once it has lasted duration_minutes,
+// and a reading back inside the limit resolves it. No-data rules are checked
+// on a timer and fire when a device has been silent for duration_minutes.
+
+const RULE_TYPES = ['threshold', 'no_data'];
+const OPERATORS = {
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold
+};
+const NO_DATA_CHECK_INTERVAL = 60 * 1000;
+const MINUTE = 60 * 1000;
+
+function createAlertEngine({ storage, onChange = () => {} }) {
+    const lastSeen = new Map();
+    let timer = null;
+    
+    // Evaluations run one at a time so concurrent readings cannot open duplicate alerts
+    let queue = Promise.resolve();
+    function enqueue(task) {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    }
+    
+    async function enabledRules(type, deviceId) {
+        const rules = await storage.list('alert_rules', { type, enabled: 'true' });
+        return rules.filter(r => !deviceId || !r.device_id || r.device_id === deviceId);
+    }
+    
+    // The pending or firing alert for a rule on a device, if any
+    async function openAlert(ruleId, deviceId) {
+        const alerts = await storage.list('alerts', { rule_id: ruleId, device_id: deviceId });
+        return alerts.find(a => a.state !== 'resolved') || null;
+    }
+    
+    async function transition(alert, rule, changes) {
+        await storage.update('alerts', { id: alert.id }, changes);
+        const updated = { ...alert, ...changes };
+        if (changes.state) {
+            console.log(`🚨 Alert ${updated.id} ${updated.state}: ${updated.message}`);
+            onChange(updated, rule);
+        }
+        return updated;
+    }
+    
+    async function evaluateThreshold(rule, feed) {
+        const value = parseFloat(feed[rule.field]);
+        if (isNaN(value)) return;
+        
+        const now = new Date(feed.created_at);
+        const breached = OPERATORS[rule.operator](value, parseFloat(rule.threshold));
+        const alert = await openAlert(rule.id, feed.device_id);
+        const message = `${rule.name}: ${rule.field} is ${value} (limit ${rule.operator} ${rule.threshold})`;
+        
+        if (breached) {
+            const durationMs = (parseFloat(rule.duration_minutes) || 0) * MINUTE;
+            
+            if (!alert) {
+                const created = await storage.insert('alerts', {
+                    rule_id: rule.id,
+                    device_id: feed.device_id,
+                    field: rule.field,
+                    state: 'pending',
+                    value,
+                    message,
+                    started_at: now.toISOString()
+                });
+                if (durationMs === 0) {
+                    await transition(created, rule, { state: 'firing', fired_at: now.toISOString() });
+                }
+            } else if (alert.state === 'pending' && now - new Date(alert.started_at) >= durationMs) {
+                await transition(alert, rule, { state: 'firing', fired_at: now.toISOString(), value, message });
+            } else {
+                await storage.update('alerts', { id: alert.id }, { value, message });
+            }
+        } else if (alert && alert.state === 'pending') {
+            // The breach did not last long enough to fire
+            await storage.remove('alerts', { id: alert.id });
+        } else if (alert && alert.state === 'firing') {
+            await transition(alert, rule, { state: 'resolved', resolved_at: now.toISOString(), value });
+        }
+    }
+    
+    // Time of a device's most recent reading, loaded from the store on first use
+    async function lastReadingTime(deviceId) {
+        if (!lastSeen.has(deviceId)) {
+            const feeds = await storage.list('feeds', { device_id: deviceId });
+            // Imported history can follow newer readings in the store, so take the latest time
+            const latest = feeds.reduce((max, f) => {
+                const time = new Date(f.created_at).getTime();
+                return isNaN(time) || (max !== null && max >= time) ? max : time;
+            }, null);
+            lastSeen.set(deviceId, latest);
+        }
+        return lastSeen.get(deviceId);
+    }
+    
+    async function checkSilentDevices(deviceIds) {
+        const now = Date.now();
+        
+        for (const rule of await enabledRules('no_data')) {
+            const targets = rule.device_id ? [rule.device_id] : deviceIds;
+            
+            for (const deviceId of targets) {
+                const last = await lastReadingTime(deviceId);
+                // Devices that have never reported are not considered silent
+                if (last === null) continue;
+                
+                const silentMinutes = (now - last) / MINUTE;
+                if (silentMinutes < parseFloat(rule.duration_minutes)) continue;
+                if (await openAlert(rule.id, deviceId)) continue;
+                
+                const created = await storage.insert('alerts', {
+                    rule_id: rule.id,
+                    device_id: deviceId,
+                    state: 'pending',
+                    message: `${rule.name}: no data for ${Math.floor(silentMinutes)} minutes`,
+                    started_at: new Date(last).toISOString()
+                });
+                await transition(created, rule, { state: 'firing', fired_at: new Date(now).toISOString() });
+            }
+        }
+    }
+    
+    return {
+        // Evaluate threshold rules against a new reading and resolve no-data alerts
+        evaluateReading(feed) {
+            return enqueue(async () => {
+                lastSeen.set(feed.device_id, new Date(feed.created_at).getTime());
+                
+                for (const rule of await enabledRules('threshold', feed.device_id)) {
+                    await evaluateThreshold(rule, feed);
+                }
+                
+                for (const rule of await enabledRules('no_data', feed.device_id)) {
+                    const alert = await openAlert(rule.id, feed.device_id);
+                    if (alert) {
+                        await transition(alert, rule, { state: 'resolved', resolved_at: feed.created_at });
+                    }
+                }
+            });
+        },
+        
+        // Fire no-data alerts for devices that have gone quiet
+        checkNoData(deviceIds) {
+            return enqueue(() => checkSilentDevices(deviceIds));
+        },
+        
+        // Resolve every open alert for a rule (used when it is disabled or deleted)
+        resolveRule(rule) {
+            return enqueue(async () => {
+                const alerts = await storage.list('alerts', { rule_id: rule.id });
+                const resolvedAt = new Date().toISOString();
+                for (const alert of alerts) {
+                    if (alert.state === 'pending') {
+                        await storage.remove('alerts', { id: alert.id });
+                    } else if (alert.state === 'firing') {
+                        await transition(alert, rule, { state: 'resolved', resolved_at: resolvedAt });
+                    }
+                }
+            });
+        },
+        
+        // Check no-data rules periodically; listDeviceIds supplies the devices to watch
+        start(listDeviceIds) {
+            timer = setInterval(async () => {
+                try {
+                    await this.checkNoData(await listDeviceIds());
+                } catch (error) {
+                    console.error('❌ No-data alert check failed:', error);
+                }
+            }, NO_DATA_CHECK_INTERVAL);
+            timer.unref();
+        },
+        
+        stop() {
+            clearInterval(timer);
+        }
+    };
+}
+
+module.exports = { createAlertEngine, RULE_TYPES, OPERATORS };
@@ -0,0 +1,114 @@
+// api-tokens.js - Personal API tokens for scripts and dashboards
+//
+// A token is "aq_" followed by 32 random bytes (base64url) and is shown to its
+// owner once; only its SHA-256 hash and a short prefix (to tell tokens apart)
+// are stored. Tokens act as their owner, limited to their scopes:
+//   read   - read-only requests (GET) other than exports
+//   export - downloading readings from /api/sensors/export
+//   admin  - changes, and operator/admin routes the owner's role allows
+
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'aq_';
+const TOKEN_BYTES = 32;
+const API_TOKEN_SCOPES = ['read', 'export', 'admin'];
+// last_used_at is written at most this often per token
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Validate a token name and scope list; returns { name, scopes } or { error }
+function parseTokenInput(input) {
+    const name = String(input.name || '').trim();
+    if (!name) {
+        return { error: 'Token name is required' };
+    }
+    if (name.length > 100) {
+        return { error: 'Token name must be at most 100 characters' };
+    }
+    
+    const scopes = input.scopes;
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return { error: 'Choose at least one scope' };
+    }
+    const unknown = scopes.filter(scope => !API_TOKEN_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        return { error: `Unknown scope: ${unknown.join(', ')}. Scopes are ${API_TOKEN_SCOPES.join(', ')}` };
+    }
+    return { name, scopes: API_TOKEN_SCOPES.filter(scope => scopes.includes(scope)) };
+}
+
+// The scope an API request needs
+function requiredScope(method, path) {
+    if (path === '/api/sensors/export') return 'export';
+    if (method === 'GET' || method === 'HEAD') return 'read';
+    return 'admin';
+}
+
+// Stored row as returned by the API (never the hash)
+function decodeToken(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.prefix,
+        scopes: String(row.scopes || '').split(',').filter(Boolean),
+        created_at: row.created_at,
+        last_used_at: row.last_used_at || null,
+        last_used_ip: row.last_used_ip || null
+    };
+}
+
+function createApiTokenStore({ storage }) {
+    return {
+        // A new token for a user; the plain token is only returned here
+        async create(email, { name, scopes }) {
+            const token = TOKEN_PREFIX + crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+            const row = await storage.insert('api_tokens', {
+                user_email: email,
+                name,
+                prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+                token_hash: hashToken(token),
+                scopes: scopes.join(','),
+                created_at: new Date().toISOString()
+            });
+            return { token, record: decodeToken(row) };
+        },
+        
+        async list(email) {
+            return (await storage.list('api_tokens', { user_email: email })).map(decodeToken);
+        },
+        
+        // Revoke one of a user's tokens; false if they have no such token
+        async revoke(email, id) {
+            return (await storage.remove('api_tokens', { id: String(id), user_email: email })) > 0;
+        },
+        
+        // Revoke all of a user's tokens, e.g. when the account is deleted
+        async revokeAll(email) {
+            return storage.remove('api_tokens', { user_email: email });
+        },
+        
+        // The token's owner and scopes, or null for an unknown token
+        async authenticate(token, ip) {
+            if (!String(token).startsWith(TOKEN_PREFIX)) return null;
+            const row = await storage.find('api_tokens', { token_hash: hashToken(token) });
+            if (!row) return null;
+            
+            const now = Date.now();
+            const lastUsed = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+            if (now - lastUsed >= LAST_USED_RESOLUTION || row.last_used_ip !== ip) {
+                row.last_used_at = new Date(now).toISOString();
+                row.last_used_ip = ip;
+                await storage.update('api_tokens', { id: row.id }, {
+                    last_used_at: row.last_used_at,
+                    last_used_ip: ip
+                });
+            }
+            return { ...decodeToken(row), user_email: row.user_email };
+        }
+    };
+}
+
+module.exports = { createApiTokenStore, parseTokenInput, requiredScope, API_TOKEN_SCOPES };
@@ -0,0 +1,261 @@
+// aqi.js - Air Quality Index from particulate readings
+//
+// US EPA AQI (2024 PM2.5 breakpoints) is computed from the NowCast: a weighted
+// average of the last 12 hourly means that follows rapid changes, alongside the
+// classic 24-hour average AQI. The EU CAQI uses the latest hourly mean on the
+// background-station grid.
+
+const HOUR = 60 * 60 * 1000;
+const NOWCAST_HOURS = 12;
+const DAY_HOURS = 24;
+// Trend points returned at most (30 days of hourly values)
+const MAX_TREND_POINTS = 30 * 24;
+
+// [concentration low, concentration high, index low, index high]
+const EPA_BREAKPOINTS = {
+    pm25: [
+        [0.0, 9.0, 0, 50],
+        [9.1, 35.4, 51, 100],
+        [35.5, 55.4, 101, 150],
+        [55.5, 125.4, 151, 200],
+        [125.5, 225.4, 201, 300],
+        [225.5, 325.4, 301, 500]
+    ],
+    pm10: [
+        [0, 54, 0, 50],
+        [55, 154, 51, 100],
+        [155, 254, 101, 150],
+        [255, 354, 151, 200],
+        [355, 424, 201, 300],
+        [425, 604, 301, 500]
+    ]
+};
+
+// Concentrations are truncated before lookup: PM2.5 to 0.1 μg/m³, PM10 to 1 μg/m³
+const EPA_TRUNCATION = { pm25: 10, pm10: 1 };
+
+const EPA_CATEGORIES = [
+    { max: 50, name: 'Good', color: '#00e400' },
+    { max: 100, name: 'Moderate', color: '#ffff00' },
+    { max: 150, name: 'Unhealthy for Sensitive Groups', color: '#ff7e00' },
+    { max: 200, name: 'Unhealthy', color: '#ff0000' },
+    { max: 300, name: 'Very Unhealthy', color: '#8f3f97' },
+    { max: 500, name: 'Hazardous', color: '#7e0023' }
+];
+
+// Hourly CAQI grid upper bounds for index 25, 50, 75 and 100
+const CAQI_GRID = {
+    pm25: [15, 30, 55, 110],
+    pm10: [25, 50, 90, 180]
+};
+
+const CAQI_CATEGORIES = [
+    { max: 25, name: 'Very low', color: '#79bc6a' },
+    { max: 50, name: 'Low', color: '#bbcf4c' },
+    { max: 75, name: 'Medium', color: '#eec20b' },
+    { max: 100, name: 'High', color: '#f29305' },
+    { max: Infinity, name: 'Very high', color: '#e8416f' }
+];
+
+const POLLUTANT_LABELS = { pm25: 'PM2.5', pm10: 'PM10' };
+
+// Find the PM2.5 and PM10 fields in a device's schema by name
+// (e.g. "PM2.5", "pm25", "PM 10")
+function findAqiFields(schema) {
+    const fields = {};
+    schema.forEach(({ field, name }) => {
+        const normalized = String(name).toLowerCase().replace(/[\s_.-]/g, '');
+        if (normalized === 'pm25' && !fields.pm25) fields.pm25 = field;
+        if (normalized === 'pm10' && !fields.pm10) fields.pm10 = field;
+    });
+    return fields;
+}
+
+function categoryFor(categories, index) {
+    return categories.find(c => index <= c.max) || categories[categories.length - 1];
+}
+
+// US EPA AQI for a concentration, capped at 500
+function usAqi(pollutant, concentration) {
+    if (concentration === null || concentration < 0) return null;
+    
+    const factor = EPA_TRUNCATION[pollutant];
+    const value = Math.floor(concentration * factor) / factor;
+    const table = EPA_BREAKPOINTS[pollutant];
+    const row = table.find(([, high]) => value <= high) || table[table.length - 1];
+    const [cLow, cHigh, iLow, iHigh] = row;
+    
+    const aqi = Math.min(500, Math.round((iHigh - iLow) / (cHigh - cLow) * (Math.min(value, cHigh) - cLow) + iLow));
+    const category = categoryFor(EPA_CATEGORIES, aqi);
+    return { aqi, category: category.name, color: category.color };
+}
+
+// EU CAQI for an hourly concentration, linear within each grid band
+function caqi(pollutant, concentration) {
+    if (concentration === null || concentration < 0) return null;
+    
+    const grid = CAQI_GRID[pollutant];
+    let lower = 0;
+    let index = null;
+    for (let band = 0; band < grid.length; band++) {
+        if (concentration <= grid[band]) {
+            index = band * 25 + (concentration - lower) / (grid[band] - lower) * 25;
+            break;
+        }
+        lower = grid[band];
+    }
+    // Above the grid the index keeps rising at the last band's rate
+    if (index === null) {
+        const last = grid.length - 1;
+        index = 100 + (concentration - grid[last]) / (grid[last] - grid[last - 1]) * 25;
+    }
+    
+    const value = Math.round(index);
+    const category = categoryFor(CAQI_CATEGORIES, value);
+    return { caqi: value, category: category.name, color: category.color };
+}
+
+// Mean concentration per hour, keyed by the hour's start time
+function hourlyAverages(readings) {
+    const sums = new Map();
+    readings.forEach(({ time, value }) => {
+        const hour = Math.floor(time / HOUR) * HOUR;
+        const entry = sums.get(hour) || { total: 0, count: 0 };
+        entry.total += value;
+        entry.count += 1;
+        sums.set(hour, entry);
+    });
+    
+    const averages = new Map();
+    sums.forEach(({ total, count }, hour) => averages.set(hour, total / count));
+    return averages;
+}
+
+// EPA NowCast for the hour starting at `hour`, or null when two of the
+// three most recent hours are missing
+function nowCast(hourly, hour) {
+    const values = [];
+    for (let i = 0; i < NOWCAST_HOURS; i++) {
+        values.push(hourly.has(hour - i * HOUR) ? hourly.get(hour - i * HOUR) : null);
+    }
+    if (values.slice(0, 3).filter(v => v !== null).length < 2) return null;
+    
+    const present = values.filter(v => v !== null);
+    const min = Math.min(...present);
+    const max = Math.max(...present);
+    const weight = max === 0 ? 1 : Math.max(min / max, 0.5);
+    
+    let weighted = 0;
+    let weights = 0;
+    values.forEach((value, i) => {
+        if (value === null) return;
+        weighted += value * weight ** i;
+        weights += weight ** i;
+    });
+    return weighted / weights;
+}
+
+// Mean of the hourly averages over the 24 hours ending with `hour`
+function dailyAverage(hourly, hour) {
+    const values = [];
+    for (let i = 0; i < DAY_HOURS; i++) {
+        if (hourly.has(hour - i * HOUR)) values.push(hourly.get(hour - i * HOUR));
+    }
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+const round1 = value => value === null ? null : Math.round(value * 10) / 10;
+
+// The pollutant with the highest sub-index, the one that sets the overall index
+function highest(results, score) {
+    return results
+        .filter(r => score(r) !== null)
+        .reduce((best, r) => (!best || score(r) > score(best) ? r : best), null);
+}
+
+// AQI summary and hourly trend for a device's calibrated readings (as returned
+// by /api/sensors). `range` limits the trend; without one the trend covers the
+// 24 hours up to the latest reading.
+function computeAqi(readings, schema, range = {}) {
+    const aqiFields = findAqiFields(schema);
+    const pollutants = Object.keys(aqiFields);
+    if (pollutants.length === 0) return null;
+    
+    const hourlyByPollutant = {};
+    let latestTime = null;
+    pollutants.forEach(pollutant => {
+        const field = aqiFields[pollutant];
+        const samples = [];
+        readings.forEach(reading => {
+            const value = reading[field];
+            const time = new Date(reading.timestamp).getTime();
+            // Missing and flagged values do not count towards the index
+            if (typeof value !== 'number' || isNaN(time) || (reading.flags && reading.flags[field])) return;
+            samples.push({ time, value });
+            if (latestTime === null || time > latestTime) latestTime = time;
+        });
+        hourlyByPollutant[pollutant] = hourlyAverages(samples);
+    });
+    
+    if (latestTime === null) return null;
+    const currentHour = Math.floor(latestTime / HOUR) * HOUR;
+    
+    const current = pollutants.map(pollutant => {
+        const hourly = hourlyByPollutant[pollutant];
+        const concentration = nowCast(hourly, currentHour);
+        const average24h = dailyAverage(hourly, currentHour);
+        const hourMean = hourly.has(currentHour) ? hourly.get(currentHour) : null;
+        return {
+            pollutant,
+            field: aqiFields[pollutant],
+            nowcast: round1(concentration),
+            average_24h: round1(average24h),
+            index: usAqi(pollutant, concentration),
+            index24h: usAqi(pollutant, average24h),
+            caqi: caqi(pollutant, hourMean)
+        };
+    });
+    
+    const dominant = highest(current, r => r.index ? r.index.aqi : null);
+    const dominantDaily = highest(current, r => r.index24h ? r.index24h.aqi : null);
+    const dominantCaqi = highest(current, r => r.caqi ? r.caqi.caqi : null);
+    
+    // Hourly NowCast AQI for the trend chart
+    const end = range.to ? Math.min(range.to.getTime(), latestTime) : latestTime;
+    const endHour = Math.floor(end / HOUR) * HOUR;
+    const startHour = range.from
+        ? Math.max(Math.floor(range.from.getTime() / HOUR) * HOUR, endHour - (MAX_TREND_POINTS - 1) * HOUR)
+        : endHour - (DAY_HOURS - 1) * HOUR;
+    
+    const trend = [];
+    for (let hour = startHour; hour <= endHour; hour += HOUR) {
+        const values = pollutants
+            .map(pollutant => usAqi(pollutant, nowCast(hourlyByPollutant[pollutant], hour)))
+            .filter(Boolean)
+            .map(result => result.aqi);
+        if (values.length > 0) {
+            const aqi = Math.max(...values);
+            trend.push({ timestamp: new Date(hour).toISOString(), aqi, color: categoryFor(EPA_CATEGORIES, aqi).color });
+        }
+    }
+    
+    return {
+        timestamp: new Date(latestTime).toISOString(),
+        aqi: dominant ? dominant.index.aqi : null,
+        category: dominant ? dominant.index.category : null,
+        color: dominant ? dominant.index.color : null,
+        dominant: dominant ? POLLUTANT_LABELS[dominant.pollutant] : null,
+        aqi_24h: dominantDaily ? dominantDaily.index24h.aqi : null,
+        caqi: dominantCaqi ? { ...dominantCaqi.caqi, dominant: POLLUTANT_LABELS[dominantCaqi.pollutant] } : null,
+        pollutants: current.map(({ pollutant, field, nowcast, average_24h, index }) => ({
+            pollutant: POLLUTANT_LABELS[pollutant],
+            field,
+            nowcast,
+            average_24h,
+            aqi: index ? index.aqi : null
+        })),
+        trend
+    };
+}
+
+module.exports = { computeAqi, findAqiFields, usAqi, caqi, nowCast, EPA_CATEGORIES, CAQI_CATEGORIES };
@@ -0,0 +1,103 @@
+// audit.js - Append-only log of admin actions
+//
+// Every change made through the admin API is recorded with who made it, from
+// which IP, what it was done to, and the target's state before and after.
+// Updates keep only the fields that changed. Secrets (password hashes, TOTP
+// secrets, recovery codes, API keys, channel passwords) are never written; a
+// changed secret shows up as "[redacted]" on both sides. Entries are only ever
+// appended, never updated or removed.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const SECRET_FIELDS = new Set(['password', 'totp_secret', 'recovery_codes', 'api_key', 'secret', 'pass', 'token_hash']);
+const REDACTED = '[redacted]';
+
+// Copy of a value with secret fields masked, at any depth
+function redact(value) {
+    if (Array.isArray(value)) return value.map(redact);
+    if (!value || typeof value !== 'object') return value;
+    const copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+        copy[key] = SECRET_FIELDS.has(key) && item !== '' && item !== null && item !== undefined ? REDACTED : redact(item);
+    });
+    return copy;
+}
+
+// The fields that differ between two states of an object
+function changedFields(before, after) {
+    const changes = { before: {}, after: {} };
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+        if (JSON.stringify(before[key]) === JSON.stringify(after[key])) return;
+        changes.before[key] = before[key] === undefined ? null : before[key];
+        changes.after[key] = after[key] === undefined ? null : after[key];
+    });
+    return changes;
+}
+
+function parseJson(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+function createAuditLog({ storage }) {
+    return {
+        // Append one entry. before/after are the target's state (null when it
+        // did not exist); when both are given only the differences are kept.
+        async record({ actor, ip, action, target, before = null, after = null }) {
+            const changes = before && after ? changedFields(before, after) : { before, after };
+            const stored = { before: redact(changes.before), after: redact(changes.after) };
+            
+            await storage.insert('audit_log', {
+                created_at: new Date().toISOString(),
+                actor: actor || '',
+                ip: ip || '',
+                action,
+                target: target === undefined || target === null ? '' : String(target),
+                before: stored.before === null ? '' : JSON.stringify(stored.before),
+                after: stored.after === null ? '' : JSON.stringify(stored.after)
+            });
+        },
+        
+        // One page of entries, newest first. action matches exactly or as a
+        // prefix ("user" matches "user.update"); from/to are Dates.
+        async list({ actor, action, target, from, to, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+            const size = Math.min(Math.max(pageSize, 1), MAX_PAGE_SIZE);
+            const all = await storage.list('audit_log');
+            
+            const matching = all.filter(entry => {
+                const time = new Date(entry.created_at).getTime();
+                return (!actor || entry.actor === actor) &&
+                    (!action || entry.action === action || entry.action.startsWith(`${action}.`)) &&
+                    (!target || entry.target === target) &&
+                    (!from || time >= from.getTime()) &&
+                    (!to || time <= to.getTime());
+            }).sort((a, b) => (parseInt(b.id, 10) || 0) - (parseInt(a.id, 10) || 0));
+            
+            const pages = Math.max(1, Math.ceil(matching.length / size));
+            return {
+                entries: matching.slice((page - 1) * size, page * size).map(entry => ({
+                    id: parseInt(entry.id, 10),
+                    created_at: entry.created_at,
+                    actor: entry.actor,
+                    ip: entry.ip,
+                    action: entry.action,
+                    target: entry.target || null,
+                    before: parseJson(entry.before),
+                    after: parseJson(entry.after)
+                })),
+                page,
+                page_size: size,
+                total: matching.length,
+                pages,
+                // Every action in the log, for filter menus
+                actions: [...new Set(all.map(entry => entry.action))].sort()
+            };
+        }
+    };
+}
+
+module.exports = { createAuditLog, redact, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE };
@@ -0,0 +1,162 @@
+// feed-import.js - Parsing and validation for bulk CSV imports of readings
+//
+// Accepts ThingSpeak channel exports (created_at,entry_id,field1..field8) and
+// other CSVs whose columns are mapped onto the feeds columns by an admin.
+
+const Papa = require('papaparse');
+const { FEED_FIELDS } = require('../storage/collections');
+
+// Feeds columns an import can fill
+const IMPORT_TARGETS = ['created_at', 'entry_id', ...FEED_FIELDS];
+const TIMESTAMP_COLUMNS = ['created_at', 'timestamp', 'time', 'date', 'datetime'];
+const PREVIEW_ROWS = 5;
+// Rejected rows listed individually in an import report
+const MAX_REPORTED_REJECTIONS = 100;
+
+// Parse CSV text into column names and row objects
+function parseImportCsv(text) {
+    const parsed = Papa.parse(String(text).replace(/^\uFEFF/, ''), {
+        header: true,
+        skipEmptyLines: true,
+        transformHeader: header => header.trim()
+    });
+    
+    // Papa reports malformed rows by index; keep them so they can be rejected
+    const malformed = new Map();
+    parsed.errors.forEach(error => {
+        if (error.row !== undefined) malformed.set(error.row, error.message);
+    });
+    
+    return {
+        columns: parsed.meta.fields || [],
+        rows: parsed.data,
+        malformed
+    };
+}
+
+// Guess which CSV column feeds each target, using exact column names first,
+// then the device's payload keys and field names
+function suggestMapping(columns, schema = [], fieldMap = {}) {
+    const lower = new Map(columns.map(c => [c.toLowerCase(), c]));
+    const mapping = {};
+    
+    const timestamp = TIMESTAMP_COLUMNS.find(name => lower.has(name));
+    if (timestamp) mapping.created_at = lower.get(timestamp);
+    if (lower.has('entry_id')) mapping.entry_id = lower.get('entry_id');
+    
+    FEED_FIELDS.forEach(field => {
+        const entry = schema.find(f => f.field === field);
+        const candidates = [field, fieldMap[field], entry && entry.name]
+            .filter(Boolean)
+            .map(name => name.toLowerCase());
+        const match = candidates.find(name => lower.has(name));
+        if (match) mapping[field] = lower.get(match);
+    });
+    
+    return mapping;
+}
+
+// Validate a mapping submitted by the admin panel
+function parseMapping(input, columns) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Column mapping is required' };
+    }
+    
+    const mapping = {};
+    for (const [target, column] of Object.entries(input)) {
+        if (!column) continue;
+        if (!IMPORT_TARGETS.includes(target)) {
+            return { error: `Unknown import target: ${target}` };
+        }
+        if (!columns.includes(column)) {
+            return { error: `Column not found in file: ${column}` };
+        }
+        mapping[target] = column;
+    }
+    
+    if (!mapping.created_at) {
+        return { error: 'A timestamp column must be mapped to created_at' };
+    }
+    if (!FEED_FIELDS.some(field => mapping[field])) {
+        return { error: 'Map at least one column to a field' };
+    }
+    return { mapping };
+}
+
+// Turn parsed rows into feed rows for a device. Rows that repeat a timestamp
+// already stored for the device, or an entry_id/timestamp seen earlier in the
+// file, are counted as duplicates; invalid rows are rejected with a reason.
+function buildImportRows({ rows, malformed }, mapping, deviceId, existingTimes) {
+    const seenTimes = new Set(existingTimes);
+    const seenEntryIds = new Set();
+    const readings = [];
+    const rejected = [];
+    let duplicates = 0;
+    
+    rows.forEach((row, index) => {
+        // Line numbers count the header as line 1
+        const line = index + 2;
+        const reject = reason => rejected.push({ line, reason });
+        
+        if (malformed.has(index)) {
+            return reject(malformed.get(index));
+        }
+        
+        const rawTime = String(row[mapping.created_at] || '').trim();
+        const time = new Date(rawTime).getTime();
+        if (!rawTime || isNaN(time)) {
+            return reject(`Invalid timestamp: ${rawTime || '(blank)'}`);
+        }
+        
+        const entryId = mapping.entry_id ? String(row[mapping.entry_id] || '').trim() : '';
+        if (seenTimes.has(time) || (entryId && seenEntryIds.has(entryId))) {
+            duplicates++;
+            return;
+        }
+        
+        const reading = {};
+        const invalid = [];
+        FEED_FIELDS.forEach(field => {
+            if (!mapping[field]) return;
+            const raw = String(row[mapping[field]] || '').trim();
+            if (raw === '') return;
+            
+            const value = Number(raw);
+            if (Number.isFinite(value)) {
+                reading[field] = value;
+            } else {
+                invalid.push(`${field}=${raw}`);
+            }
+        });
+        
+        if (invalid.length > 0) {
+            return reject(`Invalid numeric value: ${invalid.join(', ')}`);
+        }
+        if (Object.keys(reading).length === 0) {
+            return reject('No field values');
+        }
+        
+        seenTimes.add(time);
+        if (entryId) seenEntryIds.add(entryId);
+        readings.push({ created_at: new Date(time).toISOString(), ...reading, device_id: deviceId });
+    });
+    
+    // Stored oldest first, like live readings
+    readings.sort((a, b) => a.created_at.localeCompare(b.created_at));
+    
+    return {
+        readings,
+        duplicates,
+        rejectedCount: rejected.length,
+        rejected: rejected.slice(0, MAX_REPORTED_REJECTIONS)
+    };
+}
+
+module.exports = {
+    IMPORT_TARGETS,
+    PREVIEW_ROWS,
+    parseImportCsv,
+    suggestMapping,
+    parseMapping,
+    buildImportRows
+};
@@ -0,0 +1,138 @@
+// login-guard.js - Login rate limiting, progressive account lockout and login audit
+//
+// Failed logins are limited per client IP (a sliding window kept in memory)
+// and per account: every MAX_ACCOUNT_FAILURES consecutive failures lock the
+// account, each lockout longer than the last, until a successful login or an
+// admin unlocks it. Account lockouts and every login attempt are persisted so
+// they survive restarts and can be reviewed from the admin panel.
+
+const MINUTE = 60 * 1000;
+const IP_WINDOW = 15 * MINUTE;
+const MAX_IP_FAILURES = 20;
+const MAX_ACCOUNT_FAILURES = 5;
+// Lockout lengths for the first, second, ... lockout; the last one repeats
+const LOCKOUT_MINUTES = [1, 5, 15, 60, 240, 1440];
+
+function createLoginGuard({ storage }) {
+    // Failure times per IP within the current window
+    const ipFailures = new Map();
+    
+    function recentIpFailures(ip, now) {
+        const times = (ipFailures.get(ip) || []).filter(time => now - time < IP_WINDOW);
+        if (times.length > 0) {
+            ipFailures.set(ip, times);
+        } else {
+            ipFailures.delete(ip);
+        }
+        return times;
+    }
+    
+    function retryAfterSeconds(ms) {
+        return Math.max(1, Math.ceil(ms / 1000));
+    }
+    
+    function describeWait(seconds) {
+        const minutes = Math.ceil(seconds / 60);
+        return minutes <= 1 ? 'a minute' : `${minutes} minutes`;
+    }
+    
+    async function record(attempt) {
+        await storage.insert('login_attempts', {
+            created_at: new Date().toISOString(),
+            email: attempt.email || '',
+            ip: attempt.ip || '',
+            user_agent: attempt.userAgent || '',
+            success: attempt.success ? 'true' : 'false',
+            reason: attempt.reason || ''
+        });
+    }
+    
+    return {
+        // Why a login must be refused before checking the password, or null:
+        // { reason, error, retryAfter (seconds) }
+        async check(ip, email) {
+            const now = Date.now();
+            const failures = recentIpFailures(ip, now);
+            if (failures.length >= MAX_IP_FAILURES) {
+                const retryAfter = retryAfterSeconds(failures[0] + IP_WINDOW - now);
+                return {
+                    reason: 'rate_limited',
+                    error: `Too many failed login attempts from your network. Try again in ${describeWait(retryAfter)}.`,
+                    retryAfter
+                };
+            }
+            
+            const lockout = email ? await storage.find('account_lockouts', { email }) : null;
+            const lockedUntil = lockout ? new Date(lockout.locked_until).getTime() : NaN;
+            if (lockedUntil > now) {
+                const retryAfter = retryAfterSeconds(lockedUntil - now);
+                return {
+                    reason: 'locked',
+                    error: `This account is temporarily locked after too many failed attempts. Try again in ${describeWait(retryAfter)}.`,
+                    retryAfter
+                };
+            }
+            return null;
+        },
+        
+        // Log an attempt without affecting rate limits (e.g. refused or unverified logins)
+        record,
+        
+        // Log a failed attempt, counting it against the IP and, for existing
+        // accounts, towards a lockout
+        async recordFailure({ email, ip, userAgent, reason, accountExists }) {
+            const now = Date.now();
+            const times = recentIpFailures(ip, now);
+            times.push(now);
+            ipFailures.set(ip, times);
+            await record({ email, ip, userAgent, success: false, reason });
+            
+            if (!accountExists) return;
+            
+            const lockout = await storage.find('account_lockouts', { email });
+            const failures = (lockout ? parseInt(lockout.failures, 10) || 0 : 0) + 1;
+            const changes = { email, failures, last_failure_at: new Date(now).toISOString() };
+            
+            if (failures % MAX_ACCOUNT_FAILURES === 0) {
+                const lockouts = (lockout ? parseInt(lockout.lockouts, 10) || 0 : 0) + 1;
+                const minutes = LOCKOUT_MINUTES[Math.min(lockouts, LOCKOUT_MINUTES.length) - 1];
+                changes.lockouts = lockouts;
+                changes.locked_until = new Date(now + minutes * MINUTE).toISOString();
+                console.log(`🔒 Locked ${email} for ${minutes} minute(s) after ${failures} failed logins`);
+            }
+            
+            if (lockout) {
+                await storage.update('account_lockouts', { email }, changes);
+            } else {
+                await storage.insert('account_lockouts', changes);
+            }
+        },
+        
+        // Log a successful login and clear the account's failure history
+        async recordSuccess({ email, ip, userAgent }) {
+            await record({ email, ip, userAgent, success: true });
+            await storage.remove('account_lockouts', { email });
+        },
+        
+        // Accounts that are locked right now
+        async listLocked() {
+            const now = Date.now();
+            return (await storage.list('account_lockouts'))
+                .filter(l => new Date(l.locked_until).getTime() > now)
+                .map(l => ({
+                    email: l.email,
+                    failures: parseInt(l.failures, 10) || 0,
+                    lockouts: parseInt(l.lockouts, 10) || 0,
+                    locked_until: l.locked_until,
+                    last_failure_at: l.last_failure_at
+                }));
+        },
+        
+        // Lift an account's lockout and reset its failure count
+        async unlock(email) {
+            return storage.remove('account_lockouts', { email });
+        }
+    };
+}
+
+module.exports = { createLoginGuard, MAX_ACCOUNT_FAILURES, MAX_IP_FAILURES, LOCKOUT_MINUTES };
@@ -0,0 +1,37 @@
+// mailer.js - Outbound mail for account emails (verification, password reset)
+//
+// With SMTP_HOST set, mail is sent through that server (a local catcher such
+// as MailHog or smtp4dev works for development); otherwise messages are
+// written to the console so links can be copied from the server log.
+
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'Air Quality Monitor <iotair@localhost>';
+
+function createMailer({ host, port, secure, user, pass, from = DEFAULT_FROM } = {}) {
+    const transport = host
+        ? nodemailer.createTransport({
+            host,
+            port: parseInt(port, 10) || 25,
+            secure: secure === true || secure === 'true',
+            auth: user ? { user, pass } : undefined,
+            // Local catchers do not offer STARTTLS
+            ignoreTLS: !user
+        })
+        : null;
+    
+    return {
+        transport: transport ? `smtp (${host}:${parseInt(port, 10) || 25})` : 'console',
+        
+        async send({ to, subject, text }) {
+            if (!transport) {
+                console.log(`📧 Mail to ${to}: ${subject}\n${text}\n`);
+                return;
+            }
+            await transport.sendMail({ from, to, subject, text });
+            console.log(`📧 Sent "${subject}" to ${to}`);
+        }
+    };
+}
+
+module.exports = { createMailer };
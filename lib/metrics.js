@@ -0,0 +1,143 @@
+// metrics.js - Prometheus metrics for /metrics
+//
+// Request counts and latencies are kept per route (a path pattern, so
+// /api/v1/devices/{id} is one series however many devices there are). Each
+// device has a reading counter - Prometheus derives the ingestion rate with
+// rate() - plus the time of its latest reading and that reading's calibrated
+// values. Everything is in memory: counters restart at zero with the server,
+// which Prometheus handles, and the latest readings are reloaded at startup.
+
+// Request duration histogram buckets, in seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Lines for one metric family: [{ labels, value }] samples under HELP and TYPE
+function family(name, type, help, samples) {
+    return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} ${type}`,
+        ...samples.map(({ labels = {}, value, suffix = '' }) => `${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`)
+    ];
+}
+
+function createMetrics() {
+    const startedAt = Date.now();
+    // Per method/route/status request counts, and per method/route durations
+    const requests = new Map();
+    const durations = new Map();
+    // Per device: readings received, and the latest reading's time and values
+    const devices = new Map();
+    
+    function deviceEntry(deviceId) {
+        if (!devices.has(deviceId)) {
+            devices.set(deviceId, { readings: 0, lastReadingAt: null, values: [] });
+        }
+        return devices.get(deviceId);
+    }
+    
+    return {
+        // One finished HTTP request
+        observeRequest({ method, route, status, seconds }) {
+            const countKey = `${method} ${route} ${status}`;
+            const count = requests.get(countKey) || { labels: { method, route, status: String(status) }, value: 0 };
+            count.value += 1;
+            requests.set(countKey, count);
+            
+            const durationKey = `${method} ${route}`;
+            const duration = durations.get(durationKey) ||
+                { labels: { method, route }, buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+            DURATION_BUCKETS.forEach((bound, index) => {
+                if (seconds <= bound) duration.buckets[index] += 1;
+            });
+            duration.sum += seconds;
+            duration.count += 1;
+            durations.set(durationKey, duration);
+        },
+        
+        // Set a device's latest reading (as from toReading) without counting it,
+        // e.g. when loading the last stored reading at startup
+        setLatestReading(deviceId, reading, schema) {
+            const entry = deviceEntry(deviceId);
+            const time = new Date(reading.timestamp).getTime();
+            if (isNaN(time) || (entry.lastReadingAt !== null && time < entry.lastReadingAt)) return;
+            
+            const flags = reading.flags || {};
+            entry.lastReadingAt = time;
+            // Implausible values are left out, as they are from alerts
+            entry.values = schema
+                .filter(field => reading[field.field] !== null && reading[field.field] !== undefined && flags[field.field] !== 'range')
+                .map(field => ({ field: field.field, name: field.name, unit: field.unit || '', value: reading[field.field] }));
+        },
+        
+        // A newly stored reading from a device
+        recordReading(deviceId, reading, schema) {
+            deviceEntry(deviceId).readings += 1;
+            this.setLatestReading(deviceId, reading, schema);
+        },
+        
+        // Drop a deleted device's series
+        removeDevice(deviceId) {
+            devices.delete(deviceId);
+        },
+        
+        // The metrics in Prometheus text format. counters and gauges are extra
+        // values from elsewhere in the app: [{ name, help, samples: [{ labels, value }] }]
+        render({ gauges = [], counters = [] } = {}) {
+            const now = Date.now();
+            const memory = process.memoryUsage();
+            const deviceEntries = [...devices.entries()];
+            const withReadings = deviceEntries.filter(([, entry]) => entry.lastReadingAt !== null);
+            
+            const lines = [
+                ...family('process_start_time_seconds', 'gauge', 'Time the server started, in seconds since the epoch',
+                    [{ value: startedAt / 1000 }]),
+                ...family('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes',
+                    [{ value: memory.rss }]),
+                ...family('nodejs_heap_used_bytes', 'gauge', 'V8 heap in use, in bytes',
+                    [{ value: memory.heapUsed }]),
+                ...family('http_requests_total', 'counter', 'HTTP requests by method, route and status',
+                    [...requests.values()]),
+                ...family('http_request_duration_seconds', 'histogram', 'HTTP request latency by method and route',
+                    [...durations.values()].flatMap(({ labels, buckets, sum, count }) => [
+                        ...DURATION_BUCKETS.map((bound, index) => ({
+                            suffix: '_bucket', labels: { ...labels, le: formatValue(bound) }, value: buckets[index]
+                        })),
+                        { suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count },
+                        { suffix: '_sum', labels, value: sum },
+                        { suffix: '_count', labels, value: count }
+                    ])),
+                ...family('iotair_readings_total', 'counter', 'Readings received per device since the server started',
+                    deviceEntries.map(([device, entry]) => ({ labels: { device }, value: entry.readings }))),
+                ...family('iotair_last_reading_timestamp_seconds', 'gauge', 'Time of each device\'s latest reading, in seconds since the epoch',
+                    withReadings.map(([device, entry]) => ({ labels: { device }, value: entry.lastReadingAt / 1000 }))),
+                ...family('iotair_last_reading_age_seconds', 'gauge', 'Seconds since each device\'s latest reading',
+                    withReadings.map(([device, entry]) => ({ labels: { device }, value: Math.max(0, (now - entry.lastReadingAt) / 1000) }))),
+                ...family('iotair_field_value', 'gauge', 'Latest calibrated value of each device field',
+                    deviceEntries.flatMap(([device, entry]) => entry.values.map(({ field, name, unit, value }) => ({
+                        labels: { device, field, name, unit }, value
+                    }))))
+            ];
+            
+            counters.forEach(({ name, help, samples }) => lines.push(...family(name, 'counter', help, samples)));
+            gauges.forEach(({ name, help, samples }) => lines.push(...family(name, 'gauge', help, samples)));
+            return lines.join('\n') + '\n';
+        }
+    };
+}
+
+module.exports = { createMetrics, DURATION_BUCKETS };
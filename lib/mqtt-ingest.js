@@ -0,0 +1,158 @@
+// mqtt-ingest.js - Optional MQTT subscriber that feeds readings into the store
+//
+// Enabled by setting MQTT_URL. The subscriber listens on MQTT_TOPICS (comma
+// separated, wildcards allowed) and hands each decoded payload to onReading
+// together with the values matched by the topic's + wildcards. Like the HTTP
+// update endpoint, a reading needs its device's write key: in the payload
+// (api_key or key) or as a + wildcard segment, e.g. iotair/<api_key>/readings.
+// Device IDs are not secret, so a topic naming one identifies nothing.
+
+const mqtt = require('mqtt');
+
+const DEFAULT_TOPICS = ['iotair/+/readings'];
+const RECONNECT_PERIOD = 5000;
+
+// Match a topic against a subscription pattern, returning the segments
+// matched by + wildcards, or null when it does not match
+function matchTopic(pattern, topic) {
+    const patternParts = pattern.split('/');
+    const topicParts = topic.split('/');
+    const wildcards = [];
+    
+    for (let i = 0; i < patternParts.length; i++) {
+        if (patternParts[i] === '#') return wildcards;
+        if (i >= topicParts.length) return null;
+        if (patternParts[i] === '+') {
+            wildcards.push(topicParts[i]);
+        } else if (patternParts[i] !== topicParts[i]) {
+            return null;
+        }
+    }
+    return patternParts.length === topicParts.length ? wildcards : null;
+}
+
+// Decode a JSON object, a ThingSpeak-style "field1=23&field2=45" string, or a
+// bare number published to a topic ending in the field name
+function decodePayload(topic, message) {
+    const text = message.toString().trim();
+    
+    if (text.startsWith('{')) {
+        const parsed = JSON.parse(text);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('JSON payload must be an object');
+        }
+        return parsed;
+    }
+    if (text.includes('=')) {
+        return Object.fromEntries(new URLSearchParams(text));
+    }
+    if (text !== '' && Number.isFinite(Number(text))) {
+        return { [topic.split('/').pop()]: text };
+    }
+    throw new Error('Unrecognised payload format');
+}
+
+// The device whose write key is in the payload or a wildcard segment, or
+// null. findDeviceByApiKey(key) looks a device up by its key.
+async function identifyDevice({ wildcards, source }, findDeviceByApiKey) {
+    const keys = [source.api_key, source.key, ...wildcards].filter(Boolean);
+    for (const key of keys) {
+        const device = await findDeviceByApiKey(String(key));
+        if (device) return device;
+    }
+    return null;
+}
+
+function createMqttIngest({ url, topics = DEFAULT_TOPICS, username, password, clientId, onReading }) {
+    let client = null;
+    const status = {
+        enabled: Boolean(url),
+        url: url ? url.replace(/\/\/[^@/]*@/, '//') : null,
+        topics: url ? topics : [],
+        state: url ? 'disconnected' : 'disabled',
+        connected_at: null,
+        last_error: null,
+        last_message_at: null,
+        received: 0,
+        accepted: 0,
+        rejected: 0
+    };
+    
+    async function handleMessage(topic, message) {
+        status.received++;
+        status.last_message_at = new Date().toISOString();
+        
+        try {
+            const pattern = topics.find(p => matchTopic(p, topic) !== null);
+            const wildcards = pattern ? matchTopic(pattern, topic) : [];
+            await onReading({ topic, wildcards, source: decodePayload(topic, message) });
+            status.accepted++;
+        } catch (error) {
+            status.rejected++;
+            status.last_error = `${topic}: ${error.message}`;
+            console.log(`⚠️  MQTT message on ${topic} rejected: ${error.message}`);
+        }
+    }
+    
+    return {
+        // Process one message, as the subscriber does for each it receives
+        handleMessage,
+        
+        start() {
+            if (!url) return;
+            
+            console.log(`📡 Connecting to MQTT broker ${status.url}`);
+            status.state = 'connecting';
+            
+            client = mqtt.connect(url, {
+                username: username || undefined,
+                password: password || undefined,
+                clientId: clientId || `iotair-${Math.random().toString(16).slice(2, 10)}`,
+                reconnectPeriod: RECONNECT_PERIOD
+            });
+            
+            client.on('connect', () => {
+                status.state = 'connected';
+                status.connected_at = new Date().toISOString();
+                console.log(`📡 MQTT connected, subscribing to ${topics.join(', ')}`);
+                
+                client.subscribe(topics, { qos: 1 }, (error) => {
+                    if (error) {
+                        status.last_error = `Subscribe failed: ${error.message}`;
+                        console.error('❌ MQTT subscribe failed:', error.message);
+                    }
+                });
+            });
+            client.on('reconnect', () => {
+                status.state = 'reconnecting';
+            });
+            client.on('close', () => {
+                if (status.state === 'connected') {
+                    console.log('⚠️  MQTT connection lost');
+                }
+                if (status.state !== 'stopped') {
+                    status.state = 'disconnected';
+                }
+            });
+            client.on('error', (error) => {
+                status.last_error = error.message;
+                console.error('❌ MQTT error:', error.message);
+            });
+            client.on('message', (topic, message) => {
+                handleMessage(topic, message);
+            });
+        },
+        
+        async stop() {
+            if (!client) return;
+            status.state = 'stopped';
+            await client.endAsync();
+        },
+        
+        getStatus() {
+            return { ...status };
+        }
+    };
+}
+
+module.exports = { createMqttIngest, matchTopic, decodePayload, identifyDevice };
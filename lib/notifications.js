@@ -0,0 +1,234 @@
+// notifications.js - Delivery of alert notifications to external channels
+//
+// Channels are stored in the notification_channels collection with a JSON
+// config column. Each channel type has a sender that throws on failure; the
+// notifier records the outcome of the last delivery on the channel row.
+
+const nodemailer = require('nodemailer');
+const mqtt = require('mqtt');
+
+const WEBHOOK_TIMEOUT = 10 * 1000;
+const WEBHOOK_RETRIES = 3;
+const WEBHOOK_BACKOFF = 1000;
+const MQTT_CONNECT_TIMEOUT = 10 * 1000;
+
+// Config keys each channel type accepts, and which of them are required
+const CHANNEL_TYPES = {
+    webhook: {
+        fields: ['url', 'secret'],
+        required: ['url']
+    },
+    email: {
+        fields: ['host', 'port', 'secure', 'user', 'pass', 'from', 'to'],
+        required: ['host', 'to']
+    },
+    mqtt: {
+        fields: ['url', 'topic', 'username', 'password', 'qos', 'retain'],
+        required: ['url', 'topic']
+    }
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// JSON POST, retried with exponential backoff on network errors and 5xx responses
+async function sendWebhook(config, payload) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.secret) {
+        headers['X-IoTAir-Secret'] = config.secret;
+    }
+    
+    let lastError;
+    for (let attempt = 1; attempt <= WEBHOOK_RETRIES; attempt++) {
+        try {
+            const response = await fetch(config.url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+            });
+            if (response.ok) return;
+            
+            lastError = new Error(`Webhook responded with ${response.status}`);
+            // Client errors will not succeed on retry
+            if (response.status < 500) break;
+        } catch (error) {
+            lastError = error;
+        }
+        
+        if (attempt < WEBHOOK_RETRIES) {
+            await sleep(WEBHOOK_BACKOFF * 2 ** (attempt - 1));
+        }
+    }
+    throw lastError;
+}
+
+async function sendEmail(config, payload) {
+    const port = parseInt(config.port) || 25;
+    const transport = nodemailer.createTransport({
+        host: config.host,
+        port,
+        secure: config.secure === true || config.secure === 'true',
+        auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+        // Local catchers such as MailHog do not offer STARTTLS
+        ignoreTLS: !config.user
+    });
+    
+    try {
+        await transport.sendMail({
+            from: config.from || 'iotair@localhost',
+            to: config.to,
+            subject: payload.subject,
+            text: payload.text
+        });
+    } finally {
+        transport.close();
+    }
+}
+
+async function sendMqtt(config, payload) {
+    const client = await mqtt.connectAsync(config.url, {
+        username: config.username || undefined,
+        password: config.password || undefined,
+        connectTimeout: MQTT_CONNECT_TIMEOUT,
+        reconnectPeriod: 0
+    });
+    
+    try {
+        await client.publishAsync(config.topic, JSON.stringify(payload), {
+            qos: parseInt(config.qos) || 0,
+            retain: config.retain === true || config.retain === 'true'
+        });
+    } finally {
+        await client.endAsync();
+    }
+}
+
+const SENDERS = {
+    webhook: sendWebhook,
+    email: sendEmail,
+    mqtt: sendMqtt
+};
+
+function decodeChannel(row) {
+    let config = {};
+    try {
+        config = JSON.parse(row.config || '{}');
+    } catch (error) {
+        console.error(`❌ Invalid config for notification channel ${row.id}`);
+    }
+    return { ...row, config, enabled: row.enabled === 'true' };
+}
+
+// Validate channel input from the admin panel; returns { channel } or { error }
+function parseChannel(input) {
+    const name = String(input.name || '').trim();
+    const type = input.type;
+    const definition = CHANNEL_TYPES[type];
+    
+    if (!name) {
+        return { error: 'Channel name is required' };
+    }
+    if (!definition) {
+        return { error: `Channel type must be one of: ${Object.keys(CHANNEL_TYPES).join(', ')}` };
+    }
+    
+    const source = input.config || {};
+    const config = {};
+    for (const key of definition.fields) {
+        if (source[key] !== undefined && source[key] !== '') {
+            config[key] = source[key];
+        }
+    }
+    
+    const missing = definition.required.filter(key => !config[key]);
+    if (missing.length > 0) {
+        return { error: `Missing ${type} settings: ${missing.join(', ')}` };
+    }
+    if (config.url && type === 'webhook' && !/^https?:\/\//.test(config.url)) {
+        return { error: 'Webhook URL must start with http:// or https://' };
+    }
+    if (config.url && type === 'mqtt' && !/^(mqtts?|wss?|tcp):\/\//.test(config.url)) {
+        return { error: 'MQTT URL must start with mqtt://, mqtts://, ws:// or wss://' };
+    }
+    
+    return {
+        channel: {
+            name,
+            type,
+            config: JSON.stringify(config),
+            enabled: String(input.enabled !== false && input.enabled !== 'false')
+        }
+    };
+}
+
+function buildPayload(event, alert, rule) {
+    const subject = `[IoTAir] ${alert.state.toUpperCase()}: ${rule ? rule.name : 'Alert'} on ${alert.device_id}`;
+    const lines = [
+        alert.message,
+        '',
+        `Device: ${alert.device_id}`,
+        `State: ${alert.state}`,
+        alert.value !== undefined && alert.value !== '' ? `Value: ${alert.value}` : null,
+        alert.fired_at ? `Fired at: ${alert.fired_at}` : null,
+        alert.resolved_at ? `Resolved at: ${alert.resolved_at}` : null
+    ].filter(line => line !== null);
+    
+    return {
+        event,
+        subject,
+        text: lines.join('\n'),
+        alert,
+        rule: rule || null,
+        sent_at: new Date().toISOString()
+    };
+}
+
+function createNotifier({ storage }) {
+    async function deliver(row, payload) {
+        const channel = decodeChannel(row);
+        try {
+            await SENDERS[channel.type](channel.config, payload);
+            await storage.update('notification_channels', { id: channel.id }, {
+                last_status: 'ok',
+                last_error: '',
+                last_sent_at: new Date().toISOString()
+            });
+            console.log(`📣 Notification sent via ${channel.type} channel "${channel.name}"`);
+        } catch (error) {
+            await storage.update('notification_channels', { id: channel.id }, {
+                last_status: 'failed',
+                last_error: error.message,
+                last_sent_at: new Date().toISOString()
+            });
+            console.error(`❌ Notification via ${channel.type} channel "${channel.name}" failed:`, error.message);
+            throw error;
+        }
+    }
+    
+    return {
+        // Send an alert state change to every enabled channel
+        async notify(alert, rule) {
+            if (alert.state !== 'firing' && alert.state !== 'resolved') return;
+            
+            const payload = buildPayload(`alert.${alert.state}`, alert, rule);
+            const channels = await storage.list('notification_channels', { enabled: 'true' });
+            await Promise.all(channels.map(row => deliver(row, payload).catch(() => {})));
+        },
+        
+        // Send a sample alert to one channel, rejecting if delivery fails
+        async sendTest(row) {
+            const now = new Date().toISOString();
+            const payload = buildPayload('test', {
+                id: 'test',
+                device_id: 'test-device',
+                state: 'firing',
+                value: '',
+                message: 'This is a test notification from the IoTAir dashboard',
+                fired_at: now
+            }, { name: 'Test notification' });
+            await deliver(row, payload);
+        }
+    };
+}
+
+module.exports = { createNotifier, decodeChannel, parseChannel, CHANNEL_TYPES };
@@ -0,0 +1,405 @@
+// openapi.js - Description of version 1 of the REST API
+//
+// Every API route is listed once with who may call it and the schemas of its
+// query string and JSON body. The list drives request validation and is
+// published as an OpenAPI 3.1 document at /api/v1/openapi.json. Paths are
+// relative to /api/v1; the unversioned /api paths are kept as aliases.
+//
+// auth is the least a caller needs: public, device (a write API key), or a role.
+
+const { FEED_FIELDS } = require('../storage/collections');
+const { RULE_TYPES, OPERATORS } = require('./alerts');
+const { CHANNEL_TYPES } = require('./notifications');
+const { API_TOKEN_SCOPES } = require('./api-tokens');
+const { IMPORT_TARGETS } = require('./feed-import');
+const { MAX_PAGE_SIZE: MAX_AUDIT_PAGE_SIZE } = require('./audit');
+
+const NUMBER_PATTERN = '\\s*[-+]?(\\d+\\.?\\d*|\\.\\d+)([eE][-+]?\\d+)?\\s*';
+
+// Forms send numbers as strings, so numeric inputs accept either
+const NAME = { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S', 'x-pattern-message': 'is required' };
+const TEXT = { type: 'string', maxLength: 200 };
+const EMAIL = { type: 'string', format: 'email', maxLength: 254 };
+const NEW_PASSWORD = { type: 'string', minLength: 6, maxLength: 200 };
+const PASSWORD = { type: 'string', minLength: 1 };
+const BOOLEAN = { type: ['boolean', 'string'], enum: [true, false, 'true', 'false'] };
+const NUMBER = { type: ['number', 'string', 'null'], pattern: `^(${NUMBER_PATTERN})?$`, 'x-pattern-message': 'must be a number' };
+const WHOLE_NUMBER = { type: ['integer', 'string'], pattern: '^\\s*\\d+\\s*$', 'x-pattern-message': 'must be a whole number' };
+const DATE_TIME = { type: 'string', format: 'date-time' };
+const FIELD = { type: 'string', enum: FEED_FIELDS };
+const STRING_LIST = { type: ['array', 'null'], items: { type: 'string' } };
+
+function object(properties, required = []) {
+    return { type: 'object', required, properties };
+}
+
+const FIELD_MAP = {
+    type: ['object', 'null'],
+    properties: Object.fromEntries(FEED_FIELDS.map(field => [field, { type: 'string', maxLength: 100 }])),
+    additionalProperties: false
+};
+
+const FIELD_SCHEMA = object({
+    field: FIELD,
+    name: NAME,
+    unit: { type: 'string', maxLength: 20 },
+    precision: { ...WHOLE_NUMBER, minimum: 0, maximum: 6 },
+    min: NUMBER,
+    max: NUMBER,
+    color: { type: 'string', pattern: '^(#[0-9a-fA-F]{6})?$', 'x-pattern-message': 'must be a hex value like #ef4444' },
+    max_step: NUMBER,
+    gain: NUMBER,
+    offset: NUMBER,
+    limit: NUMBER
+}, ['field', 'name']);
+
+const ALERT_RULE = {
+    name: NAME,
+    type: { type: 'string', enum: RULE_TYPES },
+    device_id: TEXT,
+    field: { type: 'string', enum: ['', ...FEED_FIELDS] },
+    operator: { type: 'string', enum: ['', ...Object.keys(OPERATORS)] },
+    threshold: NUMBER,
+    duration_minutes: NUMBER,
+    enabled: BOOLEAN
+};
+
+const CHANNEL = {
+    name: NAME,
+    type: { type: 'string', enum: Object.keys(CHANNEL_TYPES) },
+    enabled: BOOLEAN,
+    config: { type: 'object', description: `Settings for the channel type: ${Object.entries(CHANNEL_TYPES).map(([type, { fields }]) => `${type} (${fields.join(', ')})`).join('; ')}` }
+};
+
+const READING = {
+    type: 'object',
+    properties: {
+        api_key: { type: 'string', description: 'Write API key, if not sent in the X-THINGSPEAKAPIKEY header' },
+        ...Object.fromEntries(FEED_FIELDS.map(field => [field, NUMBER]))
+    },
+    description: 'Readings as field1..field8, or under the keys in the device\'s field mapping'
+};
+
+const TAGS = [
+    { name: 'Accounts', description: 'Registration, login and account recovery' },
+    { name: 'Profile', description: 'The logged-in user\'s own account' },
+    { name: 'Readings', description: 'Sensor history, exports, statistics and live updates' },
+    { name: 'Devices', description: 'Devices, their field schemas and reading ingestion' },
+    { name: 'Alerts', description: 'Alert rules, alerts and notification channels' },
+    { name: 'Data', description: 'Retention policy, CSV import and MQTT ingestion' },
+    { name: 'Users', description: 'User management, security policy and the audit log' },
+    { name: 'Meta', description: 'This document' }
+];
+
+// The API's routes; roles and limits that live in the server are passed in
+function apiRoutes({ roles, maxHistoryLimit, exportFormats }) {
+    const role = { type: 'string', enum: roles };
+    
+    return [
+        // Accounts
+        { method: 'post', path: '/register', auth: 'public', tag: 'Accounts', summary: 'Register an account (log in after verifying the email address)',
+            body: object({ name: NAME, email: EMAIL, password: NEW_PASSWORD }, ['name', 'email', 'password']) },
+        { method: 'post', path: '/login', auth: 'public', tag: 'Accounts', summary: 'Log in; accounts with two-factor authentication continue at /login/2fa',
+            body: object({ email: TEXT, password: PASSWORD }, ['email', 'password']) },
+        { method: 'post', path: '/login/2fa', auth: 'public', tag: 'Accounts', summary: 'Finish logging in with an authenticator or recovery code',
+            body: object({ code: { type: 'string', minLength: 1, maxLength: 50 } }, ['code']) },
+        { method: 'get', path: '/logout', auth: 'public', tag: 'Accounts', summary: 'Log out' },
+        { method: 'get', path: '/check-auth', auth: 'public', tag: 'Accounts', summary: 'Whether the caller is logged in, and as whom' },
+        { method: 'post', path: '/verify-email', auth: 'public', tag: 'Accounts', summary: 'Confirm an email address from a verification link',
+            body: object({ token: { type: 'string', minLength: 1 } }, ['token']) },
+        { method: 'post', path: '/verify-email/resend', auth: 'public', tag: 'Accounts', summary: 'Send a new verification link',
+            body: object({ email: EMAIL }, ['email']) },
+        { method: 'post', path: '/password-reset/request', auth: 'public', tag: 'Accounts', summary: 'Email a password reset link',
+            body: object({ email: EMAIL }, ['email']) },
+        { method: 'post', path: '/password-reset', auth: 'public', tag: 'Accounts', summary: 'Set a new password from a reset link (logs out all sessions and revokes API tokens)',
+            body: object({ token: { type: 'string', minLength: 1 }, password: NEW_PASSWORD }, ['token', 'password']) },
+        
+        // Profile
+        { method: 'get', path: '/me', auth: 'viewer', tag: 'Profile', summary: 'Your account' },
+        { method: 'put', path: '/me', auth: 'viewer', tag: 'Profile', summary: 'Change your name',
+            body: object({ name: NAME }, ['name']) },
+        { method: 'put', path: '/me/password', auth: 'viewer', tag: 'Profile', summary: 'Change your password (logs out your other sessions and revokes your API tokens)',
+            body: object({ current_password: PASSWORD, password: NEW_PASSWORD }, ['current_password', 'password']) },
+        { method: 'put', path: '/me/email', auth: 'viewer', tag: 'Profile', summary: 'Change your email address once the new one is confirmed',
+            body: object({ email: EMAIL, password: PASSWORD }, ['email', 'password']) },
+        { method: 'delete', path: '/me', auth: 'viewer', tag: 'Profile', summary: 'Delete your account',
+            body: object({ password: PASSWORD }, ['password']) },
+        { method: 'get', path: '/sessions', auth: 'viewer', tag: 'Profile', summary: 'Your logged-in sessions' },
+        { method: 'delete', path: '/sessions', auth: 'viewer', tag: 'Profile', summary: 'Log out your other sessions' },
+        { method: 'delete', path: '/sessions/{id}', auth: 'viewer', tag: 'Profile', summary: 'Log out one of your other sessions' },
+        { method: 'get', path: '/2fa', auth: 'viewer', tag: 'Profile', summary: 'Your two-factor authentication status' },
+        { method: 'post', path: '/2fa/setup', auth: 'viewer', tag: 'Profile', summary: 'Start setting up two-factor authentication' },
+        { method: 'post', path: '/2fa/enable', auth: 'viewer', tag: 'Profile', summary: 'Turn on two-factor authentication with a code from the new secret',
+            body: object({ code: { type: 'string', minLength: 1, maxLength: 50 } }, ['code']) },
+        { method: 'post', path: '/2fa/recovery-codes', auth: 'viewer', tag: 'Profile', summary: 'Replace your recovery codes',
+            body: object({ password: PASSWORD }, ['password']) },
+        { method: 'post', path: '/2fa/disable', auth: 'viewer', tag: 'Profile', summary: 'Turn off two-factor authentication',
+            body: object({ password: PASSWORD }, ['password']) },
+        { method: 'get', path: '/tokens', auth: 'viewer', tag: 'Profile', summary: 'Your API tokens' },
+        { method: 'post', path: '/tokens/add', auth: 'viewer', tag: 'Profile', summary: 'Create an API token (the token is only returned here)',
+            body: object({
+                name: NAME,
+                scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: API_TOKEN_SCOPES } }
+            }, ['name', 'scopes']) },
+        { method: 'delete', path: '/tokens/{id}', auth: 'viewer', tag: 'Profile', summary: 'Revoke an API token' },
+        
+        // Readings
+        { method: 'get', path: '/sensors', auth: 'viewer', tag: 'Readings', summary: 'Latest readings, a time range, or min/avg/max per interval',
+            query: object({
+                device: TEXT,
+                from: DATE_TIME,
+                to: DATE_TIME,
+                limit: { type: 'integer', minimum: 1, maximum: maxHistoryLimit },
+                interval: { type: 'string', pattern: '^(\\d+[mhd])?$', 'x-pattern-message': 'must look like 5m, 1h or 1d' }
+            }) },
+        { method: 'get', path: '/sensors/export', auth: 'user', tag: 'Readings', summary: 'Download readings as CSV, JSON or NDJSON',
+            query: object({
+                format: { type: 'string', enum: Object.keys(exportFormats) },
+                device: TEXT,
+                fields: { type: 'string', description: 'Comma-separated fields to include' },
+                from: DATE_TIME,
+                to: DATE_TIME
+            }),
+            produces: Object.values(exportFormats).map(format => format.contentType.split(';')[0]) },
+        { method: 'get', path: '/sensors/stats', auth: 'viewer', tag: 'Readings', summary: 'Summary statistics and limit exceedances per field',
+            query: object({
+                device: TEXT,
+                field: FIELD,
+                from: DATE_TIME,
+                to: DATE_TIME,
+                limit: NUMBER,
+                utc_offset: { type: 'integer', minimum: -840, maximum: 840, description: 'Minutes east of UTC, for daily statistics' }
+            }) },
+        { method: 'get', path: '/stream', auth: 'viewer', tag: 'Readings', summary: 'New readings as server-sent events',
+            query: object({ device: TEXT }),
+            produces: ['text/event-stream'] },
+        
+        // Devices
+        { method: 'post', path: '/feeds', auth: 'device', tag: 'Devices', summary: 'Store a reading from a device',
+            body: READING, status: 201 },
+        { method: 'get', path: '/devices', auth: 'viewer', tag: 'Devices', summary: 'Devices you can see' },
+        { method: 'get', path: '/devices/{id}/fields', auth: 'viewer', tag: 'Devices', summary: 'A device\'s field schema' },
+        { method: 'put', path: '/devices/{id}/fields', auth: 'operator', tag: 'Devices', summary: 'Replace a device\'s field schema (an empty list restores the default)',
+            body: object({ fields: { type: 'array', maxItems: FEED_FIELDS.length, items: FIELD_SCHEMA } }, ['fields']) },
+        { method: 'post', path: '/devices/add', auth: 'operator', tag: 'Devices', summary: 'Register a device',
+            body: object({ name: NAME, location: TEXT, field_map: FIELD_MAP }, ['name']) },
+        { method: 'put', path: '/devices/{id}', auth: 'operator', tag: 'Devices', summary: 'Update a device',
+            body: object({ name: NAME, location: TEXT, field_map: FIELD_MAP }) },
+        { method: 'post', path: '/devices/{id}/regenerate-key', auth: 'operator', tag: 'Devices', summary: 'Replace a device\'s write API key' },
+        { method: 'delete', path: '/devices/{id}', auth: 'operator', tag: 'Devices', summary: 'Delete a device and its field schema (its stored readings are kept)' },
+        
+        // Alerts
+        { method: 'get', path: '/alerts', auth: 'viewer', tag: 'Alerts', summary: 'Alerts that have fired, newest first, and how many are firing now',
+            query: object({
+                state: { type: 'string', enum: ['firing', 'resolved'] },
+                device: TEXT,
+                limit: { type: 'integer', minimum: 1 }
+            }) },
+        { method: 'post', path: '/alerts/{id}/acknowledge', auth: 'operator', tag: 'Alerts', summary: 'Acknowledge an alert' },
+        { method: 'get', path: '/alerts/rules', auth: 'viewer', tag: 'Alerts', summary: 'Alert rules' },
+        { method: 'post', path: '/alerts/rules/add', auth: 'admin', tag: 'Alerts', summary: 'Add an alert rule',
+            body: object(ALERT_RULE, ['name', 'type']) },
+        { method: 'put', path: '/alerts/rules/{id}', auth: 'admin', tag: 'Alerts', summary: 'Update an alert rule',
+            body: object(ALERT_RULE) },
+        { method: 'delete', path: '/alerts/rules/{id}', auth: 'admin', tag: 'Alerts', summary: 'Delete an alert rule' },
+        { method: 'get', path: '/notifications/channels', auth: 'admin', tag: 'Alerts', summary: 'Notification channels' },
+        { method: 'post', path: '/notifications/channels/add', auth: 'admin', tag: 'Alerts', summary: 'Add a notification channel',
+            body: object(CHANNEL, ['name', 'type']), status: 201 },
+        { method: 'put', path: '/notifications/channels/{id}', auth: 'admin', tag: 'Alerts', summary: 'Update a notification channel',
+            body: object(CHANNEL) },
+        { method: 'delete', path: '/notifications/channels/{id}', auth: 'admin', tag: 'Alerts', summary: 'Delete a notification channel' },
+        { method: 'post', path: '/notifications/channels/{id}/test', auth: 'admin', tag: 'Alerts', summary: 'Send a test notification' },
+        
+        // Data
+        { method: 'get', path: '/mqtt/status', auth: 'admin', tag: 'Data', summary: 'MQTT subscriber status' },
+        { method: 'get', path: '/retention', auth: 'admin', tag: 'Data', summary: 'Retention policy and the last run' },
+        { method: 'put', path: '/retention', auth: 'admin', tag: 'Data', summary: 'Change the retention policy',
+            body: object({
+                enabled: BOOLEAN,
+                raw_days: WHOLE_NUMBER,
+                hourly_days: WHOLE_NUMBER,
+                daily_days: WHOLE_NUMBER
+            }, ['raw_days', 'hourly_days', 'daily_days']) },
+        { method: 'post', path: '/retention/run', auth: 'admin', tag: 'Data', summary: 'Apply the retention policy now' },
+        { method: 'post', path: '/import/preview', auth: 'admin', tag: 'Data', summary: 'Columns, sample rows and a suggested mapping for a CSV file',
+            query: object({ device: TEXT }, ['device']),
+            bodyType: 'text/csv' },
+        { method: 'post', path: '/import', auth: 'admin', tag: 'Data', summary: 'Import readings from a CSV file',
+            query: object({
+                device: TEXT,
+                mapping: {
+                    type: 'object',
+                    properties: Object.fromEntries(IMPORT_TARGETS.map(target => [target, { type: 'string' }])),
+                    additionalProperties: false,
+                    description: 'CSV column for each target, as mapping[target]=column'
+                }
+            }, ['device', 'mapping']),
+            bodyType: 'text/csv' },
+        
+        // Users
+        { method: 'get', path: '/users', auth: 'admin', tag: 'Users', summary: 'All users' },
+        { method: 'post', path: '/users/add', auth: 'admin', tag: 'Users', summary: 'Add a user',
+            body: object({ name: NAME, email: EMAIL, password: NEW_PASSWORD, role }, ['name', 'email', 'password']) },
+        { method: 'put', path: '/users/{email}', auth: 'admin', tag: 'Users', summary: 'Change a user\'s name, role or device access',
+            body: object({ name: NAME, role, devices: STRING_LIST, sites: STRING_LIST }) },
+        { method: 'delete', path: '/users/{email}', auth: 'admin', tag: 'Users', summary: 'Delete a user' },
+        { method: 'post', path: '/users/{email}/password-reset', auth: 'admin', tag: 'Users', summary: 'Make a user choose a new password (logs them out and revokes their API tokens)' },
+        { method: 'delete', path: '/users/{email}/sessions', auth: 'admin', tag: 'Users', summary: 'Log a user out everywhere' },
+        { method: 'delete', path: '/users/{email}/2fa', auth: 'admin', tag: 'Users', summary: 'Turn off a user\'s two-factor authentication' },
+        { method: 'post', path: '/users/{email}/unlock', auth: 'admin', tag: 'Users', summary: 'Unlock an account locked by failed logins' },
+        { method: 'get', path: '/security', auth: 'admin', tag: 'Users', summary: 'Security policy' },
+        { method: 'put', path: '/security', auth: 'admin', tag: 'Users', summary: 'Change the security policy',
+            body: object({ require_admin_2fa: { type: 'boolean' } }, ['require_admin_2fa']) },
+        { method: 'get', path: '/login-activity', auth: 'admin', tag: 'Users', summary: 'Recent login attempts and locked accounts',
+            query: object({
+                email: TEXT,
+                result: { type: 'string', enum: ['success', 'failure'] },
+                limit: { type: 'integer', minimum: 1 }
+            }) },
+        { method: 'get', path: '/audit', auth: 'admin', tag: 'Users', summary: 'The audit log, newest first',
+            query: object({
+                actor: TEXT,
+                action: TEXT,
+                target: TEXT,
+                from: DATE_TIME,
+                to: DATE_TIME,
+                page: { type: 'integer', minimum: 1 },
+                page_size: { type: 'integer', minimum: 1, maximum: MAX_AUDIT_PAGE_SIZE }
+            }) },
+        
+        // Meta
+        { method: 'get', path: '/openapi.json', auth: 'public', tag: 'Meta', summary: 'This OpenAPI document' }
+    ];
+}
+
+function pathParams(path) {
+    return (path.match(/\{[^}]+\}/g) || []).map(param => param.slice(1, -1));
+}
+
+// One operation of the OpenAPI document
+function operation(route, { scopeFor, isSessionOnly }) {
+    const op = { tags: [route.tag], summary: route.summary };
+    
+    if (route.auth === 'public') {
+        op.security = [];
+    } else if (route.auth === 'device') {
+        op.security = [{ deviceKey: [] }];
+    } else {
+        op.description = route.auth === 'viewer' ? 'Any logged-in user.' : `Requires the ${route.auth} role.`;
+        op.security = isSessionOnly(`/api${route.path}`)
+            ? [{ sessionCookie: [] }]
+            : [{ sessionCookie: [] }, { bearerAuth: [scopeFor(route.method.toUpperCase(), `/api${route.path}`)] }];
+    }
+    
+    const parameters = pathParams(route.path).map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+    if (route.query) {
+        Object.entries(route.query.properties).forEach(([name, schema]) => {
+            parameters.push({
+                name,
+                in: 'query',
+                required: route.query.required.includes(name),
+                schema,
+                ...(schema.type === 'object' ? { style: 'deepObject', explode: true } : {})
+            });
+        });
+    }
+    if (parameters.length > 0) op.parameters = parameters;
+    
+    if (route.bodyType) {
+        op.requestBody = { required: true, content: { [route.bodyType]: { schema: { type: 'string' } } } };
+    } else if (route.body) {
+        op.requestBody = {
+            required: true,
+            content: {
+                'application/json': { schema: route.body },
+                'application/x-www-form-urlencoded': { schema: route.body }
+            }
+        };
+    }
+    
+    const success = { description: 'Success' };
+    success.content = Object.fromEntries((route.produces || ['application/json']).map(type => [type, {}]));
+    op.responses = { [route.status || 200]: success };
+    if (route.query || route.body || route.bodyType) op.responses[400] = { $ref: '#/components/responses/Error' };
+    if (route.auth !== 'public') op.responses[401] = { $ref: '#/components/responses/Error' };
+    if (route.auth !== 'public' && route.auth !== 'device') op.responses[403] = { $ref: '#/components/responses/Error' };
+    if (route.path.includes('{')) op.responses[404] = { $ref: '#/components/responses/Error' };
+    
+    return op;
+}
+
+// The API description. isSessionOnly(path) tells whether a route refuses API
+// tokens and scopeFor(method, path) the token scope it needs, for /api paths.
+function createApiDescription({ version, roles, maxHistoryLimit, exportFormats, isSessionOnly, scopeFor }) {
+    const routes = apiRoutes({ roles, maxHistoryLimit, exportFormats }).map(route => ({
+        ...route,
+        pattern: new RegExp(`^/api${route.path.replace(/\{[^}]+\}/g, '[^/]+').replace(/\./g, '\\.')}/?$`)
+    }));
+    // Fixed paths are tried before ones with parameters
+    const matchOrder = [...routes].sort((a, b) => pathParams(a.path).length - pathParams(b.path).length);
+    
+    return {
+        routes,
+        
+        // The route serving a request path (an /api path), or null
+        findRoute(method, path) {
+            const wanted = method === 'HEAD' ? 'get' : method.toLowerCase();
+            return matchOrder.find(route => route.method === wanted && route.pattern.test(path)) || null;
+        },
+        
+        // The OpenAPI document
+        document() {
+            const paths = {};
+            routes.forEach(route => {
+                paths[route.path] = paths[route.path] || {};
+                paths[route.path][route.method] = operation(route, { scopeFor, isSessionOnly });
+            });
+            
+            return {
+                openapi: '3.1.0',
+                info: {
+                    title: 'Air Quality Monitor API',
+                    version,
+                    description: 'Readings, devices, alerts and administration for the Air Quality IoT Dashboard. ' +
+                        'Paths are also served without the version prefix (/api/...) for older clients; those ' +
+                        'return errors as { "error": "message" } rather than the error object described here.'
+                },
+                servers: [{ url: '/api/v1' }],
+                tags: TAGS,
+                paths,
+                components: {
+                    securitySchemes: {
+                        sessionCookie: { type: 'apiKey', in: 'cookie', name: 'connect.sid', description: 'Session from logging in' },
+                        bearerAuth: {
+                            type: 'http',
+                            scheme: 'bearer',
+                            description: `Personal API token, acting as its owner within its scopes (${API_TOKEN_SCOPES.join(', ')})`
+                        },
+                        deviceKey: { type: 'apiKey', in: 'header', name: 'X-THINGSPEAKAPIKEY', description: 'Device write API key' }
+                    },
+                    schemas: {
+                        Error: object({
+                            error: object({
+                                code: { type: 'string', description: 'e.g. validation_failed, unauthorized, forbidden, not_found' },
+                                message: { type: 'string' },
+                                fields: {
+                                    type: 'object',
+                                    additionalProperties: { type: 'string' },
+                                    description: 'Problem with each invalid input, by field ("email", "fields[0].precision")'
+                                }
+                            }, ['code', 'message', 'fields'])
+                        }, ['error'])
+                    },
+                    responses: {
+                        Error: {
+                            description: 'Error',
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                        }
+                    }
+                }
+            };
+        }
+    };
+}
+
+module.exports = { createApiDescription };
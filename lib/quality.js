@@ -0,0 +1,161 @@
+// quality.js - Reading validation, outlier flagging and calibration
+//
+// Readings are never dropped for looking wrong. Each value is checked against
+// its field's plausible range (the schema min/max), for a jump larger than the
+// field's max_step since the previous good reading, and for a sensor stuck on
+// the same value; problems are stored in the feed's flags column as
+// "field1:spike;field3:range". Imported history gets the same checks, each
+// reading against the imported ones before it. Calibration (value * gain +
+// offset) is applied when readings are read, so changing it also corrects
+// stored history.
+
+// Identical consecutive values that mark a sensor as stuck
+const STUCK_READINGS = 10;
+// Spikes are only judged against a reading this recent; after a longer gap
+// a large change is as likely to be real
+const SPIKE_WINDOW = 30 * 60 * 1000;
+
+function encodeFlags(flags) {
+    return Object.entries(flags).map(([field, reason]) => `${field}:${reason}`).join(';');
+}
+
+function decodeFlags(value) {
+    const flags = {};
+    String(value || '').split(';').filter(Boolean).forEach(entry => {
+        const [field, reason] = entry.split(':');
+        if (field && reason) flags[field] = reason;
+    });
+    return flags;
+}
+
+function parseValue(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Apply a field's linear calibration to a raw value
+function calibrate(value, field) {
+    if (value === null) return null;
+    const gain = field && field.gain !== null && field.gain !== undefined ? field.gain : 1;
+    const offset = field && field.offset ? field.offset : 0;
+    return value * gain + offset;
+}
+
+// Convert a stored feed into a reading for the API: calibrated numbers (null
+// when missing or unparseable) for the schema's fields, plus decoded flags
+function toReading(feed, schema) {
+    const reading = {
+        timestamp: feed.created_at,
+        entry_id: feed.entry_id
+    };
+    schema.forEach(field => {
+        reading[field.field] = calibrate(parseValue(feed[field.field]), field);
+    });
+    
+    const flags = decodeFlags(feed.flags);
+    if (Object.keys(flags).length > 0) reading.flags = flags;
+    return reading;
+}
+
+// The field's latest unflagged value within SPIKE_WINDOW, or null
+function lastGoodValue(history, field, now) {
+    for (let i = history.length - 1; i >= 0; i--) {
+        const feed = history[i];
+        if (now - new Date(feed.created_at).getTime() > SPIKE_WINDOW) return null;
+        const value = parseValue(feed[field]);
+        if (value !== null && !decodeFlags(feed.flags)[field]) return value;
+    }
+    return null;
+}
+
+// Flags for a raw reading at `time`, keyed by field, given the device's
+// readings before it (oldest first)
+function flagReading(reading, schema, history, time) {
+    const flags = {};
+    
+    schema.forEach(field => {
+        const raw = parseValue(reading[field.field]);
+        if (raw === null) return;
+        const value = calibrate(raw, field);
+        
+        if ((field.min !== null && value < field.min) || (field.max !== null && value > field.max)) {
+            flags[field.field] = 'range';
+            return;
+        }
+        
+        const last = lastGoodValue(history, field.field, time);
+        if (field.max_step !== null && field.max_step !== undefined && last !== null &&
+            Math.abs(value - calibrate(last, field)) > field.max_step) {
+            flags[field.field] = 'spike';
+            return;
+        }
+        
+        const earlier = history.slice(-(STUCK_READINGS - 1)).map(f => parseValue(f[field.field]));
+        if (earlier.length === STUCK_READINGS - 1 && earlier.every(v => v === raw)) {
+            flags[field.field] = 'stuck';
+        }
+    });
+    
+    return flags;
+}
+
+// Set the flags column of imported feeds (oldest first), checking each as if
+// it had arrived live after the ones before it
+function flagHistory(feeds, schema) {
+    const history = [];
+    feeds.forEach(feed => {
+        feed.flags = encodeFlags(flagReading(feed, schema, history, new Date(feed.created_at).getTime()));
+        history.push(feed);
+        if (history.length > STUCK_READINGS) history.shift();
+    });
+    return feeds;
+}
+
+function createQualityChecker({ storage }) {
+    // Last few raw values per device, loaded from the store on first use
+    const recent = new Map();
+    
+    async function recentFeeds(deviceId) {
+        if (!recent.has(deviceId)) {
+            const feeds = await storage.list('feeds', { device_id: deviceId });
+            const ordered = feeds
+                .map(feed => ({ feed, time: new Date(feed.created_at).getTime() }))
+                .sort((a, b) => a.time - b.time)
+                .map(({ feed }) => feed);
+            recent.set(deviceId, ordered.slice(-STUCK_READINGS));
+        }
+        return recent.get(deviceId);
+    }
+    
+    return {
+        // Flags for a new raw reading, keyed by field. Call before storing it.
+        async check(deviceId, reading, schema) {
+            return flagReading(reading, schema, await recentFeeds(deviceId), Date.now());
+        },
+        
+        // Remember a stored reading for the next check
+        record(deviceId, feed) {
+            if (!recent.has(deviceId)) return;
+            const history = recent.get(deviceId);
+            history.push(feed);
+            if (history.length > STUCK_READINGS) history.shift();
+        },
+        
+        // Forget cached readings, e.g. after history is imported
+        reset(deviceId) {
+            recent.delete(deviceId);
+        }
+    };
+}
+
+module.exports = {
+    STUCK_READINGS,
+    SPIKE_WINDOW,
+    encodeFlags,
+    decodeFlags,
+    calibrate,
+    toReading,
+    flagHistory,
+    createQualityChecker
+};
@@ -0,0 +1,299 @@
+// retention.js - Raw reading retention, hourly/daily rollups and purging
+//
+// Raw readings older than the policy's raw_days are rolled up into hourly and
+// daily aggregates (feeds_hourly, feeds_daily) and then removed from feeds.
+// Rollups hold raw, uncalibrated statistics so calibration changes still apply,
+// and are themselves purged after hourly_days / daily_days (0 keeps them
+// forever). The job runs on a timer inside the server and only does anything
+// while the policy is enabled.
+
+const { FEED_FIELDS } = require('../storage/collections');
+const { decodeFlags } = require('./quality');
+const { createSettings } = require('./settings');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// How often the scheduled job checks whether a run is due
+const RETENTION_INTERVAL = HOUR;
+// Delay before the first scheduled run after the server starts
+const STARTUP_DELAY = 60 * 1000;
+
+const ROLLUP_LEVELS = [
+    { name: 'hourly', collection: 'feeds_hourly', periodMs: HOUR, policyKey: 'hourly_days' },
+    { name: 'daily', collection: 'feeds_daily', periodMs: DAY, policyKey: 'daily_days' }
+];
+
+// Disabled until an admin turns it on, so upgrading never deletes readings
+const DEFAULT_POLICY = {
+    enabled: false,
+    raw_days: 30,
+    hourly_days: 365,
+    daily_days: 0
+};
+
+// Validate a policy submitted by the admin panel
+function parsePolicy(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Retention policy must be an object' };
+    }
+    
+    const policy = { enabled: input.enabled === true || input.enabled === 'true' };
+    for (const [key, min] of [['raw_days', 1], ['hourly_days', 0], ['daily_days', 0]]) {
+        const value = Number(input[key]);
+        if (input[key] === undefined || input[key] === '' || !Number.isInteger(value) || value < min) {
+            return { error: `${key} must be a whole number of at least ${min}` };
+        }
+        policy[key] = value;
+    }
+    if (policy.hourly_days !== 0 && policy.hourly_days < policy.raw_days) {
+        return { error: 'Hourly rollups must be kept at least as long as raw readings' };
+    }
+    if (policy.daily_days !== 0 && (policy.hourly_days === 0 || policy.daily_days < policy.hourly_days)) {
+        return { error: 'Daily rollups must be kept at least as long as hourly rollups' };
+    }
+    return { policy };
+}
+
+function parseNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Per-period statistics for raw feeds, keyed by the period's start time
+function rollupFeeds(feeds, periodMs) {
+    const periods = new Map();
+    feeds.forEach(feed => {
+        const start = Math.floor(new Date(feed.created_at).getTime() / periodMs) * periodMs;
+        if (!periods.has(start)) periods.set(start, { count: 0, fields: {} });
+        
+        const period = periods.get(start);
+        const flags = decodeFlags(feed.flags);
+        period.count += 1;
+        FEED_FIELDS.forEach(field => {
+            const value = parseNumber(feed[field]);
+            // Flagged values are left out, as they are from live statistics
+            if (value === null || flags[field]) return;
+            mergeStats(period.fields, field, { mean: value, min: value, max: value, count: 1 });
+        });
+    });
+    return periods;
+}
+
+// Fold one set of field statistics into another, weighting means by count
+function mergeStats(fields, field, stats) {
+    const current = fields[field];
+    if (!current) {
+        fields[field] = { ...stats };
+        return;
+    }
+    const count = current.count + stats.count;
+    current.mean = (current.mean * current.count + stats.mean * stats.count) / count;
+    current.min = Math.min(current.min, stats.min);
+    current.max = Math.max(current.max, stats.max);
+    current.count = count;
+}
+
+// Convert between stored rollup rows and { count, fields } periods
+function rowToPeriod(row) {
+    const period = { count: parseInt(row.count, 10) || 0, fields: {} };
+    FEED_FIELDS.forEach(field => {
+        const count = parseInt(row[`${field}_count`], 10) || 0;
+        if (count === 0) return;
+        period.fields[field] = {
+            mean: parseNumber(row[`${field}_mean`]),
+            min: parseNumber(row[`${field}_min`]),
+            max: parseNumber(row[`${field}_max`]),
+            count
+        };
+    });
+    return period;
+}
+
+function periodToRow(deviceId, start, period) {
+    const row = { device_id: deviceId, period_start: new Date(start).toISOString(), count: period.count };
+    Object.entries(period.fields).forEach(([field, stats]) => {
+        row[`${field}_mean`] = stats.mean;
+        row[`${field}_min`] = stats.min;
+        row[`${field}_max`] = stats.max;
+        row[`${field}_count`] = stats.count;
+    });
+    return row;
+}
+
+// Merge new periods into a device's stored rollups
+async function writeRollups(storage, collection, deviceId, periods) {
+    const existing = new Map((await storage.list(collection, { device_id: deviceId }))
+        .map(row => [new Date(row.period_start).getTime(), row]));
+    
+    const inserts = [];
+    for (const [start, period] of periods) {
+        const stored = existing.get(start);
+        if (!stored) {
+            inserts.push(periodToRow(deviceId, start, period));
+            continue;
+        }
+        const merged = rowToPeriod(stored);
+        merged.count += period.count;
+        Object.entries(period.fields).forEach(([field, stats]) => mergeStats(merged.fields, field, stats));
+        await storage.update(collection, { device_id: deviceId, period_start: stored.period_start },
+            periodToRow(deviceId, start, merged));
+    }
+    if (inserts.length > 0) await storage.insertMany(collection, inserts);
+    return periods.size;
+}
+
+// Apply a field's calibration to rollup statistics (a negative gain swaps min and max)
+function calibrateStats(stats, field) {
+    const gain = field.gain !== null && field.gain !== undefined ? field.gain : 1;
+    const offset = field.offset || 0;
+    const apply = value => value === null ? null : value * gain + offset;
+    const [min, max] = gain < 0 ? [apply(stats.max), apply(stats.min)] : [apply(stats.min), apply(stats.max)];
+    return { mean: apply(stats.mean), min, max, count: stats.count };
+}
+
+// Calibrated rollups for a device at the coarsest level that fits an
+// aggregation interval (none for intervals under an hour), oldest first:
+// [{ timestamp, count, fields: { field1: { mean, min, max, count } } }]
+async function readRollups(storage, deviceId, intervalMs, schema) {
+    const level = [...ROLLUP_LEVELS].reverse().find(l => intervalMs >= l.periodMs && intervalMs % l.periodMs === 0);
+    if (!level) return [];
+    
+    const rows = await storage.list(level.collection, { device_id: deviceId });
+    return rows
+        .map(row => {
+            const period = rowToPeriod(row);
+            const fields = {};
+            schema.forEach(field => {
+                if (period.fields[field.field]) fields[field.field] = calibrateStats(period.fields[field.field], field);
+            });
+            return { timestamp: row.period_start, time: new Date(row.period_start).getTime(), count: period.count, fields };
+        })
+        .sort((a, b) => a.time - b.time)
+        .map(({ time, ...rollup }) => rollup);
+}
+
+function createRetentionJob({ storage, onRawRemoved = () => {} }) {
+    let timer = null;
+    let running = null;
+    let lastRun = null;
+    const settings = createSettings({ storage });
+    
+    async function execute(policy) {
+        const now = Date.now();
+        const result = {
+            started_at: new Date(now).toISOString(),
+            finished_at: null,
+            raw_removed: 0,
+            hourly_written: 0,
+            daily_written: 0,
+            hourly_purged: 0,
+            daily_purged: 0,
+            error: null
+        };
+        
+        // Whole hours only, so an hour is never split between raw and rollup
+        const rawCutoff = Math.floor((now - policy.raw_days * DAY) / HOUR) * HOUR;
+        const expired = (await storage.list('feeds')).filter(feed => {
+            const time = new Date(feed.created_at).getTime();
+            return !isNaN(time) && time < rawCutoff;
+        });
+        
+        const byDevice = new Map();
+        expired.forEach(feed => {
+            if (!byDevice.has(feed.device_id)) byDevice.set(feed.device_id, []);
+            byDevice.get(feed.device_id).push(feed);
+        });
+        for (const [deviceId, feeds] of byDevice) {
+            for (const level of ROLLUP_LEVELS) {
+                result[`${level.name}_written`] += await writeRollups(storage, level.collection, deviceId,
+                    rollupFeeds(feeds, level.periodMs));
+            }
+        }
+        
+        // Remove exactly the rows that were rolled up, not readings stored meanwhile
+        const identity = feed => `${feed.device_id}|${feed.entry_id}|${feed.created_at}`;
+        const rolledUp = new Set(expired.map(identity));
+        result.raw_removed = await storage.removeWhere('feeds', feed => rolledUp.has(identity(feed)));
+        if (result.raw_removed > 0) onRawRemoved([...byDevice.keys()]);
+        
+        for (const level of ROLLUP_LEVELS) {
+            const days = policy[level.policyKey];
+            if (!days) continue;
+            const cutoff = now - days * DAY;
+            result[`${level.name}_purged`] = await storage.removeWhere(level.collection,
+                row => new Date(row.period_start).getTime() + level.periodMs <= cutoff);
+        }
+        
+        result.finished_at = new Date().toISOString();
+        return result;
+    }
+    
+    return {
+        async getPolicy() {
+            return { ...DEFAULT_POLICY, ...(await settings.read('retention_policy')) };
+        },
+        
+        async setPolicy(policy) {
+            await settings.write('retention_policy', policy);
+        },
+        
+        async getLastRun() {
+            if (!lastRun) lastRun = await settings.read('retention_last_run');
+            return lastRun;
+        },
+        
+        isRunning() {
+            return running !== null;
+        },
+        
+        // Run once with the saved policy; concurrent calls share the same run
+        run() {
+            if (running) return running;
+            running = (async () => {
+                const policy = await this.getPolicy();
+                console.log(`🧹 Applying retention policy (raw readings kept ${policy.raw_days} days)`);
+                let result;
+                try {
+                    result = await execute(policy);
+                    console.log(`🧹 Retention run removed ${result.raw_removed} raw readings`);
+                } catch (error) {
+                    console.error('❌ Retention run failed:', error);
+                    result = { started_at: new Date().toISOString(), finished_at: new Date().toISOString(), error: error.message };
+                }
+                lastRun = result;
+                await settings.write('retention_last_run', result);
+                return result;
+            })().finally(() => {
+                running = null;
+            });
+            return running;
+        },
+        
+        start() {
+            const tick = async () => {
+                try {
+                    if ((await this.getPolicy()).enabled) await this.run();
+                } catch (error) {
+                    console.error('❌ Scheduled retention run failed:', error);
+                }
+            };
+            setTimeout(tick, STARTUP_DELAY).unref();
+            timer = setInterval(tick, RETENTION_INTERVAL);
+            timer.unref();
+        },
+        
+        stop() {
+            clearInterval(timer);
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    RETENTION_INTERVAL,
+    ROLLUP_LEVELS,
+    parsePolicy,
+    readRollups,
+    createRetentionJob
+};
@@ -0,0 +1,179 @@
+// session-store.js - express-session store kept in the app's data store
+//
+// Sessions live in the "sessions" collection, so they survive restarts with
+// either storage backend and can be listed and ended per user. A session
+// expires after idleTimeout without requests, or absoluteTimeout after it was
+// created (at login), whichever comes first. Activity is written at most once
+// per ACTIVITY_RESOLUTION so browsing does not rewrite the store on every
+// request. Session IDs never leave the server; sessions are shown and revoked
+// by a hash of the ID. An ended session is never written again, so a request
+// still in flight when it is revoked cannot save it back.
+
+const crypto = require('crypto');
+const { Store } = require('express-session');
+
+const ACTIVITY_RESOLUTION = 60 * 1000;
+const PRUNE_INTERVAL = 15 * 60 * 1000;
+
+// Public identifier for a session
+function publicId(sid) {
+    return crypto.createHash('sha256').update(String(sid)).digest('hex').slice(0, 16);
+}
+
+function createSessionStore({ storage, idleTimeout, absoluteTimeout }) {
+    // When each session's activity was last written
+    const lastWritten = new Map();
+    // When each session was ended, kept until no request could still be using it
+    const ended = new Map();
+    let timer = null;
+    
+    function isExpired(row, now = Date.now()) {
+        return now - new Date(row.last_seen_at).getTime() > idleTimeout ||
+            now - new Date(row.created_at).getTime() > absoluteTimeout;
+    }
+    
+    async function readSession(sid) {
+        const row = await storage.find('sessions', { sid });
+        if (!row) return null;
+        if (isExpired(row)) {
+            await destroySession(sid);
+            return null;
+        }
+        lastWritten.set(sid, new Date(row.last_seen_at).getTime());
+        return JSON.parse(row.data);
+    }
+    
+    async function writeSession(sid, session) {
+        if (ended.has(sid)) return;
+        const now = new Date().toISOString();
+        const row = {
+            user_email: session.user?.email || '',
+            data: JSON.stringify(session),
+            last_seen_at: now,
+            ip: session.client?.ip || '',
+            user_agent: session.client?.user_agent || ''
+        };
+        
+        const updated = await storage.update('sessions', { sid }, row);
+        // Nothing to update is a new session, unless it was ended meanwhile
+        if (updated === 0 && !ended.has(sid)) {
+            try {
+                await storage.insert('sessions', { sid, created_at: now, ...row });
+            } catch (error) {
+                // A concurrent first save of the same session got there first
+                if (error.code !== 'DUPLICATE_KEY') throw error;
+                await storage.update('sessions', { sid }, row);
+            }
+        }
+        lastWritten.set(sid, Date.now());
+    }
+    
+    async function touchSession(sid) {
+        if (Date.now() - (lastWritten.get(sid) || 0) < ACTIVITY_RESOLUTION) return;
+        await storage.update('sessions', { sid }, { last_seen_at: new Date().toISOString() });
+        lastWritten.set(sid, Date.now());
+    }
+    
+    async function destroySession(sid) {
+        ended.set(sid, Date.now());
+        lastWritten.delete(sid);
+        await storage.remove('sessions', { sid });
+    }
+    
+    // Adapt a promise to the callback style express-session expects
+    function callbackify(promise, callback) {
+        promise.then(result => callback && callback(null, result), error => callback && callback(error));
+    }
+    
+    return Object.assign(new Store(), {
+        get(sid, callback) {
+            callbackify(readSession(sid), callback);
+        },
+        
+        set(sid, session, callback) {
+            callbackify(writeSession(sid, session), callback);
+        },
+        
+        touch(sid, session, callback) {
+            callbackify(touchSession(sid), callback);
+        },
+        
+        destroy(sid, callback) {
+            callbackify(destroySession(sid), callback);
+        },
+        
+        // A user's live sessions, most recently active first
+        async listForUser(email) {
+            const rows = await storage.list('sessions', { user_email: email });
+            return rows
+                .filter(row => !isExpired(row))
+                .sort((a, b) => new Date(b.last_seen_at) - new Date(a.last_seen_at))
+                .map(row => ({
+                    sid: row.sid,
+                    id: publicId(row.sid),
+                    ip: row.ip || null,
+                    user_agent: row.user_agent || null,
+                    created_at: row.created_at,
+                    last_seen_at: row.last_seen_at
+                }));
+        },
+        
+        // Number of live sessions per user email
+        async countByUser() {
+            const counts = {};
+            (await storage.list('sessions')).forEach(row => {
+                if (row.user_email && !isExpired(row)) {
+                    counts[row.user_email] = (counts[row.user_email] || 0) + 1;
+                }
+            });
+            return counts;
+        },
+        
+        // End one of a user's sessions by its public id; false if there is none
+        async revoke(email, id) {
+            const session = (await this.listForUser(email)).find(s => s.id === id);
+            if (!session) return false;
+            await destroySession(session.sid);
+            return true;
+        },
+        
+        // End all of a user's sessions, optionally keeping one (the caller's)
+        async revokeAll(email, { except } = {}) {
+            const sessions = await storage.list('sessions', { user_email: email });
+            const ended = sessions.filter(row => row.sid !== except);
+            for (const row of ended) {
+                await destroySession(row.sid);
+            }
+            return ended.length;
+        },
+        
+        // Remove expired sessions
+        async prune() {
+            const now = Date.now();
+            const removed = await storage.removeWhere('sessions', row => isExpired(row, now));
+            lastWritten.forEach((time, sid) => {
+                if (now - time > idleTimeout) lastWritten.delete(sid);
+            });
+            ended.forEach((time, sid) => {
+                if (now - time > idleTimeout) ended.delete(sid);
+            });
+            if (removed > 0) console.log(`🧹 Removed ${removed} expired sessions`);
+            return removed;
+        },
+        
+        start() {
+            timer = setInterval(() => {
+                this.prune().catch(error => {
+                    console.error('❌ Session cleanup failed:', error);
+                });
+            }, PRUNE_INTERVAL);
+            timer.unref();
+        },
+        
+        stop() {
+            clearInterval(timer);
+        }
+    });
+}
+
+module.exports = { createSessionStore, publicId };
@@ -0,0 +1,21 @@
+// settings.js - Named JSON values in the settings collection
+//
+// Small pieces of app-wide state (the security and retention policies, the
+// last retention run) are stored one row per key, with the value as JSON.
+
+function createSettings({ storage }) {
+    return {
+        // A setting's value, or null when it has never been written
+        async read(key) {
+            const row = await storage.find('settings', { key });
+            return row ? JSON.parse(row.value) : null;
+        },
+        
+        async write(key, value) {
+            const updated = await storage.update('settings', { key }, { key, value: JSON.stringify(value) });
+            if (updated === 0) await storage.insert('settings', { key, value: JSON.stringify(value) });
+        }
+    };
+}
+
+module.exports = { createSettings };
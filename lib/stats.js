@@ -0,0 +1,91 @@
+// stats.js - Summary statistics for report tables
+//
+// Works on calibrated readings as returned by /api/sensors; flagged and
+// missing values are left out. Days are split at midnight in the caller's
+// UTC offset so daily figures line up with local calendar days.
+
+const MINUTE = 60 * 1000;
+
+// Percentile with linear interpolation between ranks (like PERCENTILE.INC)
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = (sorted.length - 1) * p;
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// count, min, max, mean, median, p95 and sample standard deviation
+function summarize(values) {
+    if (values.length === 0) {
+        return { count: 0, min: null, max: null, mean: null, median: null, p95: null, stddev: null };
+    }
+    
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.length > 1
+        ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1)
+        : 0;
+    
+    return {
+        count: values.length,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        mean,
+        median: percentile(sorted, 0.5),
+        p95: percentile(sorted, 0.95),
+        stddev: Math.sqrt(variance)
+    };
+}
+
+// Usable values for a field: numbers that were not flagged at ingestion
+function fieldSamples(readings, field) {
+    const samples = [];
+    readings.forEach(reading => {
+        const value = reading[field];
+        const time = new Date(reading.timestamp).getTime();
+        if (typeof value !== 'number' || isNaN(time) || (reading.flags && reading.flags[field])) return;
+        samples.push({ time, value });
+    });
+    return samples;
+}
+
+// Overall and per-day statistics for one field. Hours above the limit count
+// the hours of each day whose mean exceeds it (null when there is no limit).
+function fieldStats(readings, field, { limit = null, utcOffsetMinutes = 0 } = {}) {
+    const offsetMs = utcOffsetMinutes * MINUTE;
+    const samples = fieldSamples(readings, field);
+    
+    const days = new Map();
+    samples.forEach(({ time, value }) => {
+        const local = new Date(time + offsetMs);
+        const date = local.toISOString().slice(0, 10);
+        if (!days.has(date)) days.set(date, { values: [], hours: new Map() });
+        
+        const day = days.get(date);
+        day.values.push(value);
+        
+        const hour = local.getUTCHours();
+        const entry = day.hours.get(hour) || { total: 0, count: 0 };
+        entry.total += value;
+        entry.count += 1;
+        day.hours.set(hour, entry);
+    });
+    
+    const daily = [...days.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, { values, hours }]) => {
+            let hoursAbove = null;
+            if (limit !== null) {
+                hoursAbove = [...hours.values()].filter(({ total, count }) => total / count > limit).length;
+            }
+            return { date, ...summarize(values), hours_above: hoursAbove };
+        });
+    
+    const summary = summarize(samples.map(s => s.value));
+    summary.hours_above = limit === null ? null : daily.reduce((sum, d) => sum + d.hours_above, 0);
+    
+    return { summary, daily };
+}
+
+module.exports = { summarize, percentile, fieldStats };
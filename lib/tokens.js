@@ -0,0 +1,53 @@
+// tokens.js - Signed, expiring tokens for links sent by email
+//
+// A token is base64url(JSON claims) + "." + base64url(HMAC-SHA256 signature).
+// Claims carry the token's purpose and expiry time, so a verification token
+// cannot be used to reset a password and old links stop working. Nothing is
+// stored server-side; callers add claims (such as a fingerprint of the current
+// password hash) when a token must become invalid after use.
+
+const crypto = require('crypto');
+
+function encode(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+// Short, non-reversible fingerprint of a stored value (e.g. a password hash)
+function fingerprint(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('base64url').slice(0, 16);
+}
+
+function createTokenSigner(secret) {
+    function signature(body) {
+        return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+    }
+    
+    return {
+        // Token for `purpose` carrying `claims`, valid for ttlMs
+        sign(purpose, claims, ttlMs) {
+            const body = encode(JSON.stringify({ ...claims, purpose, exp: Date.now() + ttlMs }));
+            return `${body}.${signature(body)}`;
+        },
+        
+        // Claims of a valid, unexpired token for `purpose`, or null
+        verify(purpose, token) {
+            const [body, sig] = String(token || '').split('.');
+            if (!body || !sig) return null;
+            
+            const expected = Buffer.from(signature(body));
+            const given = Buffer.from(sig);
+            if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+            
+            let claims;
+            try {
+                claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf-8'));
+            } catch (error) {
+                return null;
+            }
+            if (!claims || claims.purpose !== purpose || !(claims.exp > Date.now())) return null;
+            return claims;
+        }
+    };
+}
+
+module.exports = { createTokenSigner, fingerprint };
@@ -0,0 +1,130 @@
+// totp.js - Time-based one-time passwords (RFC 6238) and recovery codes
+//
+// Secrets are 20 random bytes shown to the user as base32, the format
+// authenticator apps expect in otpauth:// provisioning URIs. Codes are 6 digits
+// from HMAC-SHA1 over 30-second steps; one step either side is accepted to
+// allow for clock drift, and callers store the last accepted step so a code
+// cannot be used twice. Recovery codes are single-use and only their SHA-256
+// hashes are stored.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20;
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps before and after the current one that are still accepted
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// New random secret, base32 encoded
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+// HOTP code (RFC 4226) for a time step
+function codeForStep(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(time = Date.now()) {
+    return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+// The time step a code matches, or null. Steps at or before lastStep are
+// refused so an intercepted code cannot be replayed.
+function verifyCode(secret, code, { lastStep = -1, time = Date.now() } = {}) {
+    const given = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(given)) return null;
+    
+    const now = currentStep(time);
+    for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+        if (step <= lastStep) continue;
+        const expected = codeForStep(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return step;
+    }
+    return null;
+}
+
+// otpauth:// URI for authenticator apps, usually shown as a QR code
+function provisioningUri({ issuer, account, secret }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = { secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS };
+    const query = Object.entries(params)
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+        .join('&');
+    return `otpauth://totp/${label}?${query}`;
+}
+
+// Codes are compared without case, spaces or dashes
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Fresh recovery codes ("xxxxx-xxxxx") and the hashes to store
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const hex = crypto.randomBytes(5).toString('hex');
+        codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+    }
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Hashes left after using a recovery code, or null if the code is not one of them
+function useRecoveryCode(hashes, code) {
+    const hash = hashRecoveryCode(code);
+    const index = hashes.indexOf(hash);
+    if (index === -1) return null;
+    return hashes.filter((_, i) => i !== index);
+}
+
+module.exports = {
+    generateSecret,
+    verifyCode,
+    provisioningUri,
+    generateRecoveryCodes,
+    useRecoveryCode,
+    RECOVERY_CODE_COUNT
+};
@@ -0,0 +1,172 @@
+// validate.js - Request validation against JSON Schema
+//
+// Supports the subset of JSON Schema the API documents use: type (one or a
+// list), enum, required, properties, additionalProperties, items, min/max
+// lengths, sizes and values, pattern and the email and date-time formats.
+// Problems are reported per field ("email", "fields[0].precision") with a
+// short message, which errorBody turns into the API's error responses.
+
+// Error codes for each status, used when a response does not name its own
+const ERROR_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    429: 'rate_limited',
+    500: 'server_error',
+    503: 'unavailable'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeType(types) {
+    const names = { integer: 'a whole number', number: 'a number', string: 'a string', boolean: 'true or false', array: 'a list', object: 'an object', null: 'null' };
+    return types.map(type => names[type] || type).join(' or ');
+}
+
+function joinPath(path, key) {
+    return typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+// Query string values arrive as strings; convert those the schema wants as
+// numbers or booleans (anything unconvertible is left for validation to reject)
+function coerce(schema, value) {
+    if (typeof value !== 'string' || !schema || Array.isArray(schema.type)) return value;
+    if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && Number.isFinite(Number(value))) {
+        return Number(value);
+    }
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+function check(schema, value, path, errors) {
+    const fail = message => {
+        if (errors[path] === undefined) errors[path] = message;
+    };
+    
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return fail(`must be ${describeType(types)}`);
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        const choices = [...new Set(schema.enum.map(item => item === '' ? '(blank)' : String(item)))];
+        return fail(`must be one of: ${choices.join(', ')}`);
+    }
+    
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return fail(schema.minLength === 1 ? 'is required' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            return fail(schema['x-pattern-message'] || 'has an invalid format');
+        }
+        if (schema.format === 'email' && !EMAIL_PATTERN.test(value.trim())) {
+            return fail('must be a valid email address');
+        }
+        if (schema.format === 'date-time' && value !== '' && isNaN(Date.parse(value))) {
+            return fail('must be a date and time');
+        }
+    }
+    
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            return fail(`must be at most ${schema.maximum}`);
+        }
+    }
+    
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => check(schema.items, item, joinPath(path, index), errors));
+        }
+    }
+    
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors[joinPath(path, key)] = 'is required';
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            const property = schema.properties && schema.properties[key];
+            if (property) {
+                check(property, item, joinPath(path, key), errors);
+            } else if (schema.additionalProperties === false) {
+                errors[joinPath(path, key)] = 'is not allowed';
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, item, joinPath(path, key), errors);
+            }
+        });
+    }
+}
+
+// Validate a value; returns { value, fields } where fields maps each invalid
+// field to a message (empty when the value is valid). A problem with the value
+// as a whole is reported under its name. With coerceStrings, top-level string
+// properties are converted first, as for query strings.
+function validate(schema, value, { name = 'body', coerceStrings = false } = {}) {
+    let input = value;
+    if (coerceStrings && typeOf(value) === 'object' && schema.properties) {
+        input = {};
+        Object.entries(value).forEach(([key, item]) => {
+            input[key] = coerce(schema.properties[key], item);
+        });
+    }
+    
+    const fields = {};
+    check(schema, input, '', fields);
+    if (fields[''] !== undefined) {
+        fields[name] = fields[''];
+        delete fields[''];
+    }
+    return { value: input, fields };
+}
+
+// One-line summary of field errors, e.g. "email must be a valid email address"
+function describeFields(fields) {
+    return Object.entries(fields).map(([field, message]) => `${field} ${message}`).join('; ');
+}
+
+// The versioned API's error body: { error: { code, message, fields } }, with
+// any other properties of the original response (e.g. retry_after) kept
+function errorBody(status, body) {
+    if (!body || typeof body.error !== 'string') return body;
+    const { error, code, fields, ...rest } = body;
+    return {
+        error: {
+            code: code || ERROR_CODES[status] || (status >= 500 ? 'server_error' : 'bad_request'),
+            message: error,
+            fields: fields || {}
+        },
+        ...rest
+    };
+}
+
+module.exports = { validate, describeFields, errorBody, ERROR_CODES };
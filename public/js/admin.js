@@ -1,9 +1,28 @@
 // admin.js - Admin panel functionality
 
 let users = [];
+let devices = [];
+let deviceFields = [];
+let editingDeviceId = null;
+let fieldsDeviceId = null;
+let channels = [];
+let editingChannelId = null;
+let importText = null;
+let importPreview = null;
 let confirmCallback = null;
+let accessEmail = null;
+let editUserEmail = null;
+let auditPage = 1;
 
-// Check if user is admin
+const ROLE_LABELS = {
+    viewer: 'Viewer',
+    user: 'User',
+    operator: 'Operator',
+    admin: 'Admin'
+};
+
+// Check that the user is an admin, or an operator (who only manages devices).
+// Resolves with the user, or null when redirecting away.
 async function checkAdminAuth() {
     try {
         const response = await fetch('/api/check-auth');
@@ -11,17 +30,31 @@ async function checkAdminAuth() {
         
         if (!response.ok || !data.authenticated) {
             window.location.href = 'index.html';
-            return;
+            return null;
         }
         
-        if (data.user.role !== 'admin') {
+        if (!['operator', 'admin'].includes(data.user.role)) {
             alert('Access denied. Admin privileges required.');
             window.location.href = 'dashboard.html';
-            return;
+            return null;
+        }
+        
+        if (data.user.two_factor_setup_required) {
+            alert('Set up two-factor authentication on your profile to use the admin panel.');
+            window.location.href = 'profile.html';
+            return null;
+        }
+        
+        if (data.user.role === 'operator') {
+            document.querySelectorAll('.admin-only').forEach(el => {
+                el.style.display = 'none';
+            });
         }
+        return data.user;
     } catch (error) {
         console.error('Auth check failed:', error);
         window.location.href = 'index.html';
+        return null;
     }
 }
 
@@ -49,27 +82,76 @@ function updateUserTable() {
     users.forEach(user => {
         const tr = document.createElement('tr');
         
-        const roleClass = user.role === 'admin' ? 'btn-success' : 'btn-secondary';
-        const roleText = user.role === 'admin' ? 'Admin' : 'User';
+        const roleOptions = Object.entries(ROLE_LABELS)
+            .map(([role, label]) => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${label}</option>`)
+            .join('');
         
         tr.innerHTML = `
-            <td>${user.name}</td>
-            <td>${user.email}</td>
+            <td></td>
+            <td></td>
             <td>
-                <button class="btn ${roleClass} btn-sm" onclick="toggleRole('${user.email}', '${user.role}')">
-                    ${roleText}
-                </button>
+                <select class="role-select">
+                    ${roleOptions}
+                </select>
+            </td>
+            <td>
+                <span class="access-summary"></span>
+                <button class="btn btn-secondary btn-sm" data-action="access">Edit</button>
+            </td>
+            <td>
+                <span class="state-badge state-${user.two_factor ? 'enabled' : 'disabled'}">${user.two_factor ? 'on' : 'off'}</span>
+                ${user.two_factor ? '<button class="btn btn-secondary btn-sm" data-action="two-factor">Reset</button>' : ''}
+            </td>
+            <td>
+                ${user.sessions}
+                ${user.sessions > 0 ? '<button class="btn btn-secondary btn-sm" data-action="sessions">Log Out</button>' : ''}
             </td>
             <td>
-                <button class="btn btn-danger btn-sm" onclick="deleteUser('${user.email}')">
+                <button class="btn btn-secondary btn-sm" data-action="edit">
+                    Edit
+                </button>
+                <button class="btn btn-danger btn-sm" data-action="delete">
                     Delete
                 </button>
             </td>
         `;
+        // Names and emails come from registration, device names and sites
+        // from operators, so none of them go into the HTML
+        tr.children[0].textContent = user.name;
+        tr.children[1].textContent = user.email;
+        tr.querySelector('.access-summary').textContent = accessSummary(user);
+        tr.querySelector('.role-select').addEventListener('change', e => changeRole(user.email, e.target.value));
+        const actions = {
+            access: editAccess,
+            'two-factor': resetTwoFactor,
+            sessions: endSessions,
+            edit: editUser,
+            delete: deleteUser
+        };
+        tr.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => actions[button.dataset.action](user.email));
+        });
         tbody.appendChild(tr);
     });
 }
 
+// Describe a user's device access list
+function accessSummary(user) {
+    if (user.role === 'admin') return 'All devices (admin)';
+    if (user.devices.length === 0 && user.sites.length === 0) return 'All devices';
+    
+    const parts = [];
+    if (user.devices.length > 0) {
+        parts.push(user.devices
+            .map(id => devices.find(d => d.id === id)?.name || id)
+            .join(', '));
+    }
+    if (user.sites.length > 0) {
+        parts.push(`Sites: ${user.sites.join(', ')}`);
+    }
+    return parts.join('; ');
+}
+
 // Update statistics
 function updateStats() {
     const totalUsers = users.length;
@@ -81,11 +163,12 @@ function updateStats() {
     document.getElementById('totalRegular').textContent = totalRegular;
 }
 
-// Toggle user role
-window.toggleRole = function(email, currentRole) {
-    const newRole = currentRole === 'admin' ? 'user' : 'admin';
+// Change a user's role; the table is redrawn first so the old role stays
+// selected unless the change is confirmed
+window.changeRole = function(email, newRole) {
+    updateUserTable();
     showConfirm(
-        `Change role to ${newRole.toUpperCase()} for ${email}?`,
+        `Change role to ${ROLE_LABELS[newRole].toUpperCase()} for ${email}?`,
         async () => {
             try {
                 const response = await fetch(`/api/users/${encodeURIComponent(email)}`, {
@@ -110,6 +193,54 @@ window.toggleRole = function(email, currentRole) {
     );
 };
 
+// Clear a user's two-factor enrollment so they can log in with their password alone
+window.resetTwoFactor = function(email) {
+    showConfirm(
+        `Reset two-factor authentication for ${email}? They will be able to log in with just their password.`,
+        async () => {
+            try {
+                const response = await fetch(`/api/users/${encodeURIComponent(email)}/2fa`, {
+                    method: 'DELETE'
+                });
+                
+                if (response.ok) {
+                    await fetchUsers();
+                } else {
+                    const data = await response.json();
+                    alert('Failed to reset two-factor authentication: ' + (data.error || 'Unknown error'));
+                }
+            } catch (error) {
+                console.error('Failed to reset two-factor authentication:', error);
+                alert('Network error. Please try again.');
+            }
+        }
+    );
+};
+
+// Log a user out of every session
+window.endSessions = function(email) {
+    showConfirm(
+        `Log ${email} out everywhere? They will need to log in again.`,
+        async () => {
+            try {
+                const response = await fetch(`/api/users/${encodeURIComponent(email)}/sessions`, {
+                    method: 'DELETE'
+                });
+                
+                if (response.ok) {
+                    await fetchUsers();
+                } else {
+                    const data = await response.json();
+                    alert('Failed to end sessions: ' + (data.error || 'Unknown error'));
+                }
+            } catch (error) {
+                console.error('Failed to end sessions:', error);
+                alert('Network error. Please try again.');
+            }
+        }
+    );
+};
+
 // Delete user
 window.deleteUser = function(email) {
     showConfirm(
@@ -199,43 +330,1450 @@ document.getElementById('addUserForm').addEventListener('submit', async (e) => {
     }
 });
 
-// Confirmation modal
-function showConfirm(message, callback) {
-    const confirmModal = document.getElementById('confirmModal');
-    document.getElementById('confirmMessage').textContent = message;
-    confirmModal.classList.add('show');
+// Edit user modal: rename a user or make them choose a new password
+const editUserModal = document.getElementById('editUserModal');
+
+function showEditUserMessage(id, message) {
+    const div = document.getElementById(id);
+    div.textContent = message;
+    div.classList.toggle('show', Boolean(message));
+}
+
+function updatePasswordState(user) {
+    document.getElementById('editUserPasswordState').textContent = user.password_reset_required
+        ? 'Waiting for the user to choose a new password from the reset link.'
+        : 'Forcing a reset stops them logging in until they choose a new password from a link emailed to them.';
+}
+
+window.editUser = function(email) {
+    const user = users.find(u => u.email === email);
+    if (!user) return;
+    editUserEmail = email;
     
-    confirmCallback = callback;
+    document.getElementById('editUserModalTitle').textContent = `Edit User: ${user.email}`;
+    document.getElementById('editUserName').value = user.name;
+    updatePasswordState(user);
+    showEditUserMessage('editUserError', '');
+    showEditUserMessage('editUserMessage', '');
+    editUserModal.classList.add('show');
+};
+
+document.getElementById('editUserForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    showEditUserMessage('editUserError', '');
+    showEditUserMessage('editUserMessage', '');
+    
+    try {
+        const response = await fetch(`/api/users/${encodeURIComponent(editUserEmail)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: document.getElementById('editUserName').value })
+        });
+        
+        if (response.ok) {
+            editUserModal.classList.remove('show');
+            await fetchUsers();
+        } else {
+            const data = await response.json();
+            showEditUserMessage('editUserError', data.error || 'Failed to update user');
+        }
+    } catch (error) {
+        console.error('Failed to update user:', error);
+        showEditUserMessage('editUserError', 'Network error. Please try again.');
+    }
+});
+
+document.getElementById('forcePasswordResetBtn').addEventListener('click', () => {
+    const email = editUserEmail;
+    showEditUserMessage('editUserError', '');
+    showEditUserMessage('editUserMessage', '');
+    
+    showConfirm(
+        `Force a password reset for ${email}? They will be logged out, their API tokens revoked, and they will not be able to log in until they choose a new password.`,
+        async () => {
+            try {
+                const response = await fetch(`/api/users/${encodeURIComponent(email)}/password-reset`, {
+                    method: 'POST'
+                });
+                const data = await response.json();
+                
+                if (response.ok) {
+                    showEditUserMessage('editUserMessage', data.message);
+                    await fetchUsers();
+                    updatePasswordState(users.find(u => u.email === email) || {});
+                } else {
+                    showEditUserMessage('editUserError', data.error || 'Failed to force a password reset');
+                }
+            } catch (error) {
+                console.error('Failed to force a password reset:', error);
+                showEditUserMessage('editUserError', 'Network error. Please try again.');
+            }
+        }
+    );
+});
+
+document.getElementById('closeEditUserModal').addEventListener('click', () => {
+    editUserModal.classList.remove('show');
+});
+
+document.getElementById('cancelEditUserBtn').addEventListener('click', () => {
+    editUserModal.classList.remove('show');
+});
+
+window.addEventListener('click', (e) => {
+    if (e.target === editUserModal) {
+        editUserModal.classList.remove('show');
+    }
+});
+
+// Device access modal: tick the devices and sites (device locations) a user may see
+const accessModal = document.getElementById('accessModal');
+
+function renderAccessCheckboxes(containerId, items, selected) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+    
+    if (items.length === 0) {
+        container.innerHTML = '<p class="form-hint">None</p>';
+        return;
+    }
+    items.forEach(({ value, label }) => {
+        const wrapper = document.createElement('label');
+        wrapper.innerHTML = '<input type="checkbox"> <span></span>';
+        wrapper.querySelector('input').value = value;
+        wrapper.querySelector('input').checked = selected.includes(value);
+        wrapper.querySelector('span').textContent = label;
+        container.appendChild(wrapper);
+    });
 }
 
-document.getElementById('confirmYes').addEventListener('click', () => {
-    document.getElementById('confirmModal').classList.remove('show');
-    if (confirmCallback) {
-        confirmCallback();
-        confirmCallback = null;
+function checkedValues(containerId) {
+    return [...document.querySelectorAll(`#${containerId} input:checked`)].map(input => input.value);
+}
+
+window.editAccess = function(email) {
+    const user = users.find(u => u.email === email);
+    if (!user) return;
+    accessEmail = email;
+    
+    document.getElementById('accessModalTitle').textContent = `Device Access: ${user.name}`;
+    renderAccessCheckboxes('accessDevices',
+        devices.map(d => ({ value: d.id, label: d.location ? `${d.name} (${d.location})` : d.name })),
+        user.devices);
+    
+    const sites = [...new Set(devices.map(d => d.location).filter(Boolean).concat(user.sites))].sort();
+    renderAccessCheckboxes('accessSites', sites.map(site => ({ value: site, label: site })), user.sites);
+    
+    const errorDiv = document.getElementById('accessModalError');
+    errorDiv.textContent = user.role === 'admin' ? 'Admins always see every device.' : '';
+    errorDiv.classList.toggle('show', user.role === 'admin');
+    accessModal.classList.add('show');
+};
+
+document.getElementById('accessForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorDiv = document.getElementById('accessModalError');
+    errorDiv.classList.remove('show');
+    
+    try {
+        const response = await fetch(`/api/users/${encodeURIComponent(accessEmail)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                devices: checkedValues('accessDevices'),
+                sites: checkedValues('accessSites')
+            })
+        });
+        
+        if (response.ok) {
+            accessModal.classList.remove('show');
+            await fetchUsers();
+        } else {
+            const data = await response.json();
+            errorDiv.textContent = data.error || 'Failed to update access';
+            errorDiv.classList.add('show');
+        }
+    } catch (error) {
+        console.error('Failed to update access:', error);
+        errorDiv.textContent = 'Network error. Please try again.';
+        errorDiv.classList.add('show');
     }
 });
 
-document.getElementById('confirmNo').addEventListener('click', () => {
-    document.getElementById('confirmModal').classList.remove('show');
-    confirmCallback = null;
+document.getElementById('closeAccessModal').addEventListener('click', () => {
+    accessModal.classList.remove('show');
 });
 
-// Dashboard button
-document.getElementById('dashboardBtn').addEventListener('click', () => {
-    window.location.href = 'dashboard.html';
+document.getElementById('cancelAccessBtn').addEventListener('click', () => {
+    accessModal.classList.remove('show');
 });
 
-// Logout button
-document.getElementById('logoutBtn').addEventListener('click', async () => {
+window.addEventListener('click', (e) => {
+    if (e.target === accessModal) {
+        accessModal.classList.remove('show');
+    }
+});
+
+// Fetch all devices
+async function fetchDevices() {
     try {
-        await fetch('/api/logout');
-        window.location.href = 'index.html';
+        const response = await fetch('/api/devices');
+        const data = await response.json();
+        
+        if (response.ok) {
+            devices = data.devices;
+            deviceFields = data.fields;
+            updateDeviceTable();
+            updateImportDevices();
+            // Access summaries show device names
+            if (users.length > 0) updateUserTable();
+        }
     } catch (error) {
-        console.error('Logout failed:', error);
+        console.error('Failed to fetch devices:', error);
+    }
+}
+
+// Update device table
+function updateDeviceTable() {
+    const tbody = document.getElementById('devicesTableBody');
+    tbody.innerHTML = '';
+    
+    devices.forEach(device => {
+        const tr = document.createElement('tr');
+        
+        const mapping = Object.entries(device.field_map || {})
+            .map(([field, key]) => `${key} → ${field}`)
+            .join(', ') || '--';
+        
+        tr.innerHTML = `
+            <td>${device.id}</td>
+            <td></td>
+            <td></td>
+            <td><span class="api-key">${device.api_key}</span></td>
+            <td></td>
+            <td>
+                <button class="btn btn-secondary btn-sm" onclick="editDevice('${device.id}')">
+                    Edit
+                </button>
+                <button class="btn btn-secondary btn-sm" onclick="editFields('${device.id}')">
+                    Fields
+                </button>
+                <button class="btn btn-secondary btn-sm" onclick="regenerateKey('${device.id}')">
+                    New Key
+                </button>
+                <button class="btn btn-danger btn-sm" onclick="deleteDevice('${device.id}')">
+                    Delete
+                </button>
+            </td>
+        `;
+        // Ids and keys are generated here; names, locations and mappings are
+        // typed in by operators
+        tr.children[1].textContent = device.name;
+        tr.children[2].textContent = device.location || '--';
+        tr.children[4].textContent = mapping;
+        tbody.appendChild(tr);
+    });
+}
+
+// Device modal
+const deviceModal = document.getElementById('deviceModal');
+
+function openDeviceModal(device) {
+    editingDeviceId = device ? device.id : null;
+    
+    document.getElementById('deviceModalTitle').textContent = device ? `Edit ${device.id}` : 'Add Device';
+    document.getElementById('deviceForm').reset();
+    document.getElementById('deviceName').value = device ? device.name : '';
+    document.getElementById('deviceLocation').value = device ? device.location : '';
+    document.getElementById('deviceModalError').textContent = '';
+    document.getElementById('deviceModalError').classList.remove('show');
+    
+    // One payload-key input per store field
+    const container = document.getElementById('fieldMapInputs');
+    container.innerHTML = '';
+    deviceFields.forEach(field => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        group.innerHTML = `
+            <label for="map-${field}">${field}</label>
+            <input type="text" id="map-${field}" data-field="${field}" placeholder="${field}">
+        `;
+        group.querySelector('input').value = device?.field_map?.[field] || '';
+        container.appendChild(group);
+    });
+    
+    deviceModal.classList.add('show');
+}
+
+window.editDevice = function(id) {
+    openDeviceModal(devices.find(d => d.id === id));
+};
+
+document.getElementById('addDeviceBtn').addEventListener('click', () => {
+    openDeviceModal(null);
+});
+
+document.getElementById('closeDeviceModal').addEventListener('click', () => {
+    deviceModal.classList.remove('show');
+});
+
+document.getElementById('cancelDeviceBtn').addEventListener('click', () => {
+    deviceModal.classList.remove('show');
+});
+
+window.addEventListener('click', (e) => {
+    if (e.target === deviceModal) {
+        deviceModal.classList.remove('show');
+    }
+});
+
+// Add/edit device form submission
+document.getElementById('deviceForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const name = document.getElementById('deviceName').value;
+    const location = document.getElementById('deviceLocation').value;
+    const errorDiv = document.getElementById('deviceModalError');
+    
+    const field_map = {};
+    document.querySelectorAll('#fieldMapInputs input').forEach(input => {
+        field_map[input.dataset.field] = input.value;
+    });
+    
+    errorDiv.textContent = '';
+    errorDiv.classList.remove('show');
+    
+    try {
+        const url = editingDeviceId
+            ? `/api/devices/${encodeURIComponent(editingDeviceId)}`
+            : '/api/devices/add';
+        const response = await fetch(url, {
+            method: editingDeviceId ? 'PUT' : 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ name, location, field_map })
+        });
+        
+        if (response.ok) {
+            deviceModal.classList.remove('show');
+            await fetchDevices();
+        } else {
+            const data = await response.json();
+            errorDiv.textContent = data.error || 'Failed to save device';
+            errorDiv.classList.add('show');
+        }
+    } catch (error) {
+        console.error('Failed to save device:', error);
+        errorDiv.textContent = 'Network error. Please try again.';
+        errorDiv.classList.add('show');
+    }
+});
+
+// Field schema modal
+const fieldsModal = document.getElementById('fieldsModal');
+
+window.editFields = async function(id) {
+    try {
+        const response = await fetch(`/api/devices/${encodeURIComponent(id)}/fields`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            alert('Failed to load fields: ' + (data.error || 'Unknown error'));
+            return;
+        }
+        
+        fieldsDeviceId = id;
+        document.getElementById('fieldsModalTitle').textContent = `Fields for ${id}`;
+        document.getElementById('fieldsModalError').textContent = '';
+        document.getElementById('fieldsModalError').classList.remove('show');
+        
+        // One row per available field, ticked if it is in the schema
+        const tbody = document.getElementById('fieldsTableBody');
+        tbody.innerHTML = '';
+        data.available.forEach(fieldName => {
+            const field = data.fields.find(f => f.field === fieldName);
+            const tr = document.createElement('tr');
+            tr.dataset.field = fieldName;
+            tr.innerHTML = `
+                <td><label><input type="checkbox" class="field-enabled"> ${fieldName}</label></td>
+                <td><input type="text" class="field-name" placeholder="e.g. CO2"></td>
+                <td><input type="text" class="field-unit" placeholder="e.g. ppm"></td>
+                <td><input type="number" class="field-precision" min="0" max="6" step="1"></td>
+                <td><input type="number" class="field-min" step="any"></td>
+                <td><input type="number" class="field-max" step="any"></td>
+                <td><input type="color" class="field-color"></td>
+                <td><input type="number" class="field-max-step" step="any" min="0"></td>
+                <td><input type="number" class="field-gain" step="any"></td>
+                <td><input type="number" class="field-offset" step="any"></td>
+                <td><input type="number" class="field-limit" step="any"></td>
+            `;
+            tr.querySelector('.field-enabled').checked = Boolean(field);
+            tr.querySelector('.field-name').value = field ? field.name : '';
+            tr.querySelector('.field-unit').value = field ? field.unit : '';
+            tr.querySelector('.field-precision').value = field ? field.precision : 1;
+            tr.querySelector('.field-min').value = field?.min ?? '';
+            tr.querySelector('.field-max').value = field?.max ?? '';
+            tr.querySelector('.field-color').value = field ? field.color : '#64748b';
+            tr.querySelector('.field-max-step').value = field?.max_step ?? '';
+            tr.querySelector('.field-gain').value = field ? field.gain : 1;
+            tr.querySelector('.field-offset').value = field ? field.offset : 0;
+            tr.querySelector('.field-limit').value = field?.limit ?? '';
+            tbody.appendChild(tr);
+        });
+        
+        fieldsModal.classList.add('show');
+    } catch (error) {
+        console.error('Failed to load fields:', error);
+        alert('Network error. Please try again.');
+    }
+};
+
+document.getElementById('closeFieldsModal').addEventListener('click', () => {
+    fieldsModal.classList.remove('show');
+});
+
+document.getElementById('cancelFieldsBtn').addEventListener('click', () => {
+    fieldsModal.classList.remove('show');
+});
+
+window.addEventListener('click', (e) => {
+    if (e.target === fieldsModal) {
+        fieldsModal.classList.remove('show');
     }
 });
 
-// Initialize
-checkAdminAuth();
-fetchUsers();
\ No newline at end of file
+// Field schema form submission
+document.getElementById('fieldsForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const errorDiv = document.getElementById('fieldsModalError');
+    errorDiv.textContent = '';
+    errorDiv.classList.remove('show');
+    
+    const fields = [];
+    document.querySelectorAll('#fieldsTableBody tr').forEach(tr => {
+        if (!tr.querySelector('.field-enabled').checked) return;
+        fields.push({
+            field: tr.dataset.field,
+            name: tr.querySelector('.field-name').value,
+            unit: tr.querySelector('.field-unit').value,
+            precision: Number(tr.querySelector('.field-precision').value),
+            min: tr.querySelector('.field-min').value,
+            max: tr.querySelector('.field-max').value,
+            color: tr.querySelector('.field-color').value,
+            max_step: tr.querySelector('.field-max-step').value,
+            gain: tr.querySelector('.field-gain').value,
+            offset: tr.querySelector('.field-offset').value,
+            limit: tr.querySelector('.field-limit').value
+        });
+    });
+    
+    try {
+        const response = await fetch(`/api/devices/${encodeURIComponent(fieldsDeviceId)}/fields`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ fields })
+        });
+        
+        if (response.ok) {
+            fieldsModal.classList.remove('show');
+        } else {
+            const data = await response.json();
+            errorDiv.textContent = data.error || 'Failed to save fields';
+            errorDiv.classList.add('show');
+        }
+    } catch (error) {
+        console.error('Failed to save fields:', error);
+        errorDiv.textContent = 'Network error. Please try again.';
+        errorDiv.classList.add('show');
+    }
+});
+
+// Regenerate device write API key
+window.regenerateKey = function(id) {
+    showConfirm(
+        `Issue a new write API key for ${id}? The device will need to be reconfigured.`,
+        async () => {
+            try {
+                const response = await fetch(`/api/devices/${encodeURIComponent(id)}/regenerate-key`, {
+                    method: 'POST'
+                });
+                
+                if (response.ok) {
+                    await fetchDevices();
+                } else {
+                    const data = await response.json();
+                    alert('Failed to regenerate key: ' + (data.error || 'Unknown error'));
+                }
+            } catch (error) {
+                console.error('Failed to regenerate key:', error);
+                alert('Network error. Please try again.');
+            }
+        }
+    );
+};
+
+// Delete device
+window.deleteDevice = function(id) {
+    showConfirm(
+        `Are you sure you want to delete device ${id}? Its readings will be kept.`,
+        async () => {
+            try {
+                const response = await fetch(`/api/devices/${encodeURIComponent(id)}`, {
+                    method: 'DELETE'
+                });
+                
+                if (response.ok) {
+                    await fetchDevices();
+                } else {
+                    const data = await response.json();
+                    alert('Failed to delete device: ' + (data.error || 'Unknown error'));
+                }
+            } catch (error) {
+                console.error('Failed to delete device:', error);
+                alert('Network error. Please try again.');
+            }
+        }
+    );
+};
+
+// Device choices for the import form
+function updateImportDevices() {
+    const select = document.getElementById('importDevice');
+    const current = select.value;
+    select.innerHTML = '';
+    
+    devices.forEach(device => {
+        const option = document.createElement('option');
+        option.value = device.id;
+        option.textContent = `${device.name} (${device.id})`;
+        select.appendChild(option);
+    });
+    
+    if (devices.some(d => d.id === current)) select.value = current;
+}
+
+function showImportError(message) {
+    const errorDiv = document.getElementById('importError');
+    errorDiv.textContent = message;
+    errorDiv.classList.toggle('show', Boolean(message));
+}
+
+// Upload the chosen file for a preview and suggested column mapping
+document.getElementById('previewImportBtn').addEventListener('click', async () => {
+    const file = document.getElementById('importFile').files[0];
+    const device = document.getElementById('importDevice').value;
+    
+    showImportError('');
+    document.getElementById('importPreview').style.display = 'none';
+    document.getElementById('importResult').style.display = 'none';
+    
+    if (!file) {
+        showImportError('Choose a CSV file first');
+        return;
+    }
+    
+    try {
+        importText = await file.text();
+        const response = await fetch(`/api/import/preview?device=${encodeURIComponent(device)}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'text/csv'
+            },
+            body: importText
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showImportError(data.error || 'Failed to read file');
+            return;
+        }
+        
+        importPreview = data;
+        renderImportPreview();
+    } catch (error) {
+        console.error('Failed to preview import:', error);
+        showImportError('Network error. Please try again.');
+    }
+});
+
+// Mapping selects (one per feeds column) and the first rows of the file
+function renderImportPreview() {
+    const { columns, mapping, targets, sample, total_rows } = importPreview;
+    
+    const container = document.getElementById('importMapping');
+    container.innerHTML = '';
+    targets.forEach(target => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        group.innerHTML = `
+            <label for="import-${target}">${target}</label>
+            <select id="import-${target}" data-target="${target}">
+                <option value="">(not imported)</option>
+            </select>
+        `;
+        const select = group.querySelector('select');
+        columns.forEach(column => {
+            const option = document.createElement('option');
+            option.value = column;
+            option.textContent = column;
+            select.appendChild(option);
+        });
+        select.value = mapping[target] || '';
+        container.appendChild(group);
+    });
+    
+    document.getElementById('importSampleTitle').textContent =
+        `Preview (first ${sample.length} of ${total_rows} rows)`;
+    
+    const head = document.getElementById('importSampleHead');
+    head.innerHTML = '';
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column;
+        head.appendChild(th);
+    });
+    
+    const tbody = document.getElementById('importSampleBody');
+    tbody.innerHTML = '';
+    sample.forEach(row => {
+        const tr = document.createElement('tr');
+        columns.forEach(column => {
+            const td = document.createElement('td');
+            td.textContent = row[column] ?? '';
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    
+    document.getElementById('importPreview').style.display = 'block';
+}
+
+// Import the previewed file with the chosen mapping
+document.getElementById('runImportBtn').addEventListener('click', async () => {
+    const device = document.getElementById('importDevice').value;
+    const params = new URLSearchParams({ device });
+    document.querySelectorAll('#importMapping select').forEach(select => {
+        if (select.value) params.set(`mapping[${select.dataset.target}]`, select.value);
+    });
+    
+    showImportError('');
+    
+    try {
+        const response = await fetch(`/api/import?${params}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'text/csv'
+            },
+            body: importText
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showImportError(data.error || 'Import failed');
+            return;
+        }
+        
+        renderImportResult(data);
+        document.getElementById('importPreview').style.display = 'none';
+        document.getElementById('importFile').value = '';
+    } catch (error) {
+        console.error('Failed to import readings:', error);
+        showImportError('Network error. Please try again.');
+    }
+});
+
+// Summary of an import with the rejected rows listed
+function renderImportResult(result) {
+    const container = document.getElementById('importResult');
+    container.innerHTML = `
+        <p><strong>${result.imported}</strong> readings imported
+        (<strong>${result.flagged}</strong> flagged by the quality checks),
+        <strong>${result.duplicates}</strong> duplicates skipped,
+        <strong>${result.rejected_count}</strong> rows rejected.</p>
+    `;
+    
+    if (result.rejected.length > 0) {
+        const list = document.createElement('ul');
+        result.rejected.forEach(({ line, reason }) => {
+            const li = document.createElement('li');
+            li.textContent = `Line ${line}: ${reason}`;
+            list.appendChild(li);
+        });
+        container.appendChild(list);
+        
+        if (result.rejected_count > result.rejected.length) {
+            const more = document.createElement('p');
+            more.textContent = `…and ${result.rejected_count - result.rejected.length} more`;
+            container.appendChild(more);
+        }
+    }
+    
+    container.style.display = 'block';
+}
+
+// Fetch MQTT subscriber status
+async function fetchMqttStatus() {
+    try {
+        const response = await fetch('/api/mqtt/status');
+        const status = await response.json();
+        
+        if (response.ok) {
+            updateMqttStatus(status);
+        }
+    } catch (error) {
+        console.error('Failed to fetch MQTT status:', error);
+    }
+}
+
+function updateMqttStatus(status) {
+    const badge = document.getElementById('mqttState');
+    const container = document.getElementById('mqttStatus');
+    
+    badge.textContent = status.state;
+    badge.className = `state-badge state-${status.state}`;
+    
+    if (!status.enabled) {
+        container.innerHTML = '<p class="form-hint">Set MQTT_URL (and optionally MQTT_TOPICS) to subscribe to a broker.</p>';
+        return;
+    }
+    
+    const formatTime = value => value ? new Date(value).toLocaleString() : '--';
+    const items = [
+        ['Broker', status.url],
+        ['Topics', status.topics.join(', ')],
+        ['Connected Since', status.state === 'connected' ? formatTime(status.connected_at) : '--'],
+        ['Last Message', formatTime(status.last_message_at)],
+        ['Messages', `${status.accepted} stored / ${status.rejected} rejected`],
+        ['Last Error', status.last_error || '--']
+    ];
+    
+    container.innerHTML = '';
+    items.forEach(([label, value]) => {
+        const item = document.createElement('div');
+        item.innerHTML = '<span class="status-label"></span><span class="status-value"></span>';
+        item.querySelector('.status-label').textContent = label;
+        item.querySelector('.status-value').textContent = value;
+        container.appendChild(item);
+    });
+}
+
+// Load the retention policy, last run and storage sizes
+async function fetchRetention() {
+    try {
+        const response = await fetch('/api/retention');
+        const data = await response.json();
+        
+        if (response.ok) {
+            updateRetention(data);
+        }
+    } catch (error) {
+        console.error('Failed to fetch retention status:', error);
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return 'unknown size';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function updateRetention({ policy, running, last_run: lastRun, storage }) {
+    const badge = document.getElementById('retentionState');
+    const state = running ? 'running' : policy.enabled ? 'enabled' : 'disabled';
+    badge.textContent = state;
+    badge.className = `state-badge state-${state}`;
+    
+    document.getElementById('retentionRawDays').value = policy.raw_days;
+    document.getElementById('retentionHourlyDays').value = policy.hourly_days;
+    document.getElementById('retentionDailyDays').value = policy.daily_days;
+    document.getElementById('retentionEnabled').checked = policy.enabled;
+    
+    const collection = name => {
+        const { rows, bytes } = storage.collections[name];
+        return `${rows} rows, ${formatBytes(bytes)}`;
+    };
+    let lastRunText = 'Never';
+    if (lastRun) {
+        lastRunText = lastRun.error
+            ? `${new Date(lastRun.started_at).toLocaleString()}: failed (${lastRun.error})`
+            : `${new Date(lastRun.started_at).toLocaleString()}: ${lastRun.raw_removed} readings rolled up, ` +
+              `${lastRun.hourly_purged + lastRun.daily_purged} rollups purged`;
+    }
+    const items = [
+        ['Last Run', lastRunText],
+        ['Raw Readings', collection('feeds')],
+        ['Hourly Rollups', collection('feeds_hourly')],
+        ['Daily Rollups', collection('feeds_daily')],
+        ['Total Storage', `${formatBytes(storage.total_bytes)} (${storage.backend})`]
+    ];
+    
+    const container = document.getElementById('retentionStatus');
+    container.innerHTML = '';
+    items.forEach(([label, value]) => {
+        const item = document.createElement('div');
+        item.innerHTML = '<span class="status-label"></span><span class="status-value"></span>';
+        item.querySelector('.status-label').textContent = label;
+        item.querySelector('.status-value').textContent = value;
+        container.appendChild(item);
+    });
+}
+
+function showRetentionError(message) {
+    const errorDiv = document.getElementById('retentionError');
+    errorDiv.textContent = message;
+    errorDiv.classList.toggle('show', Boolean(message));
+}
+
+// Save the retention policy
+document.getElementById('retentionForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    showRetentionError('');
+    
+    try {
+        const response = await fetch('/api/retention', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                enabled: document.getElementById('retentionEnabled').checked,
+                raw_days: document.getElementById('retentionRawDays').value,
+                hourly_days: document.getElementById('retentionHourlyDays').value,
+                daily_days: document.getElementById('retentionDailyDays').value
+            })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showRetentionError(data.error || 'Failed to save retention policy');
+            return;
+        }
+        fetchRetention();
+    } catch (error) {
+        showRetentionError('Network error. Please try again.');
+    }
+});
+
+// Apply the saved policy immediately
+document.getElementById('runRetentionBtn').addEventListener('click', () => {
+    showConfirm('Roll up and remove raw readings older than the saved limit now?', async () => {
+        const button = document.getElementById('runRetentionBtn');
+        showRetentionError('');
+        button.disabled = true;
+        
+        try {
+            const response = await fetch('/api/retention/run', { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) {
+                showRetentionError(data.error || 'Retention run failed');
+            }
+        } catch (error) {
+            showRetentionError('Network error. Please try again.');
+        } finally {
+            button.disabled = false;
+            fetchRetention();
+        }
+    });
+});
+
+// Load one page of the audit log with the current filters
+async function fetchAudit() {
+    const errorDiv = document.getElementById('auditError');
+    errorDiv.classList.remove('show');
+    
+    const params = new URLSearchParams({ page: auditPage });
+    const filters = {
+        action: document.getElementById('auditAction').value,
+        actor: document.getElementById('auditActor').value.trim(),
+        target: document.getElementById('auditTarget').value.trim()
+    };
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    // Dates cover whole local days
+    const from = document.getElementById('auditFrom').value;
+    const to = document.getElementById('auditTo').value;
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+    
+    try {
+        const response = await fetch(`/api/audit?${params}`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            errorDiv.textContent = data.error || 'Failed to load the audit log';
+            errorDiv.classList.add('show');
+            return;
+        }
+        updateAuditActions(data.actions);
+        updateAuditTable(data);
+    } catch (error) {
+        console.error('Failed to fetch audit log:', error);
+    }
+}
+
+// Offer every logged action, grouped by what it acts on ("user", "device"...)
+function updateAuditActions(actions) {
+    const select = document.getElementById('auditAction');
+    const selected = select.value;
+    const groups = [...new Set(actions.map(action => action.split('.')[0]))];
+    
+    select.innerHTML = '<option value="">All actions</option>';
+    groups.forEach(group => {
+        select.add(new Option(`${group} (all)`, group));
+        actions.filter(action => action.startsWith(`${group}.`)).forEach(action => {
+            select.add(new Option(`\u00a0\u00a0${action}`, action));
+        });
+    });
+    select.value = selected;
+}
+
+function formatAuditValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// One line per field: "field: before → after", or just the value for
+// entries that only have a before (deleted) or after (created) state
+function renderAuditChanges(entry) {
+    const container = document.createElement('div');
+    container.className = 'audit-changes';
+    const before = entry.before || {};
+    const after = entry.after || {};
+    
+    [...new Set([...Object.keys(before), ...Object.keys(after)])].forEach(key => {
+        const line = document.createElement('div');
+        let text;
+        if (entry.before && entry.after) {
+            text = `${formatAuditValue(before[key])} → ${formatAuditValue(after[key])}`;
+        } else {
+            text = formatAuditValue(entry.after ? after[key] : before[key]);
+        }
+        line.innerHTML = '<span class="audit-field"></span> <span></span>';
+        line.children[0].textContent = `${key}:`;
+        line.children[1].textContent = text;
+        container.appendChild(line);
+    });
+    return container;
+}
+
+function updateAuditTable({ entries, page, pages, total }) {
+    const tbody = document.getElementById('auditTableBody');
+    tbody.innerHTML = '';
+    
+    if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-row">No audit entries found</td></tr>';
+    }
+    
+    entries.forEach(entry => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${new Date(entry.created_at).toLocaleString()}</td>
+            <td></td>
+            <td><code></code></td>
+            <td></td>
+            <td></td>
+            <td></td>
+        `;
+        tr.children[1].textContent = entry.actor;
+        tr.children[2].firstElementChild.textContent = entry.action;
+        tr.children[3].textContent = entry.target || '--';
+        tr.children[4].appendChild(renderAuditChanges(entry));
+        tr.children[5].textContent = entry.ip;
+        tbody.appendChild(tr);
+    });
+    
+    auditPage = page;
+    document.getElementById('auditPageInfo').textContent = `Page ${page} of ${pages} (${total} entries)`;
+    document.getElementById('auditPrevBtn').disabled = page <= 1;
+    document.getElementById('auditNextBtn').disabled = page >= pages;
+}
+
+document.getElementById('auditFilterForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    auditPage = 1;
+    fetchAudit();
+});
+
+document.getElementById('auditPrevBtn').addEventListener('click', () => {
+    auditPage -= 1;
+    fetchAudit();
+});
+
+document.getElementById('auditNextBtn').addEventListener('click', () => {
+    auditPage += 1;
+    fetchAudit();
+});
+
+// Load the account security policy
+async function fetchSecurity() {
+    try {
+        const response = await fetch('/api/security');
+        const data = await response.json();
+        
+        if (response.ok) {
+            document.getElementById('requireAdmin2fa').checked = data.policy.require_admin_2fa;
+        }
+    } catch (error) {
+        console.error('Failed to fetch security policy:', error);
+    }
+}
+
+// Save the policy as soon as the checkbox changes
+document.getElementById('requireAdmin2fa').addEventListener('change', async (e) => {
+    const checkbox = e.target;
+    const errorDiv = document.getElementById('securityError');
+    errorDiv.classList.remove('show');
+    
+    try {
+        const response = await fetch('/api/security', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ require_admin_2fa: checkbox.checked })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            errorDiv.textContent = data.error || 'Failed to save security policy';
+            errorDiv.classList.add('show');
+        }
+    } catch (error) {
+        errorDiv.textContent = 'Network error. Please try again.';
+        errorDiv.classList.add('show');
+    }
+    fetchSecurity();
+});
+
+// Why a login attempt failed, as shown in the activity table
+const LOGIN_REASONS = {
+    invalid_password: 'wrong password',
+    unknown_user: 'unknown account',
+    unverified: 'email not verified',
+    invalid_code: 'wrong authentication code',
+    password_reset_required: 'password reset required',
+    locked: 'account locked',
+    rate_limited: 'too many attempts from IP'
+};
+
+// Load recent login attempts and locked accounts
+async function fetchLoginActivity() {
+    try {
+        const result = document.getElementById('loginResultFilter').value;
+        const response = await fetch('/api/login-activity' + (result ? `?result=${result}` : ''));
+        const data = await response.json();
+        
+        if (response.ok) {
+            updateLockedTable(data.locked);
+            updateLoginsTable(data.attempts);
+        }
+    } catch (error) {
+        console.error('Failed to fetch login activity:', error);
+    }
+}
+
+function updateLockedTable(locked) {
+    const tbody = document.getElementById('lockedTableBody');
+    tbody.innerHTML = '';
+    
+    if (locked.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="empty-row">No accounts are locked</td></tr>';
+        return;
+    }
+    
+    locked.forEach(account => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td></td>
+            <td>${account.failures}</td>
+            <td>${new Date(account.last_failure_at).toLocaleString()}</td>
+            <td>${new Date(account.locked_until).toLocaleString()}</td>
+            <td>
+                <button class="btn btn-secondary btn-sm">
+                    Unlock
+                </button>
+            </td>
+        `;
+        // Locked accounts are keyed by whatever email was tried
+        tr.children[0].textContent = account.email;
+        tr.querySelector('button').addEventListener('click', () => unlockAccount(account.email));
+        tbody.appendChild(tr);
+    });
+}
+
+function updateLoginsTable(attempts) {
+    const tbody = document.getElementById('loginsTableBody');
+    tbody.innerHTML = '';
+    
+    if (attempts.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="empty-row">No login attempts recorded</td></tr>';
+        return;
+    }
+    
+    attempts.forEach(attempt => {
+        const tr = document.createElement('tr');
+        const result = attempt.success
+            ? '<span class="state-badge state-resolved">success</span>'
+            : `<span class="state-badge state-firing">failed</span> ${LOGIN_REASONS[attempt.reason] || attempt.reason || ''}`;
+        
+        tr.innerHTML = `
+            <td>${new Date(attempt.created_at).toLocaleString()}</td>
+            <td></td>
+            <td>${result}</td>
+            <td></td>
+            <td class="user-agent"></td>
+        `;
+        // Emails and user agents come from whoever tried to log in
+        tr.children[1].textContent = attempt.email;
+        tr.children[3].textContent = attempt.ip;
+        tr.children[4].textContent = attempt.user_agent;
+        tr.children[4].title = attempt.user_agent;
+        tbody.appendChild(tr);
+    });
+}
+
+document.getElementById('loginResultFilter').addEventListener('change', fetchLoginActivity);
+
+// Lift an account lockout
+window.unlockAccount = function(email) {
+    showConfirm(
+        `Unlock ${email} and reset its failed login count?`,
+        async () => {
+            try {
+                const response = await fetch(`/api/users/${encodeURIComponent(email)}/unlock`, {
+                    method: 'POST'
+                });
+                
+                if (!response.ok) {
+                    const data = await response.json();
+                    alert('Failed to unlock account: ' + (data.error || 'Unknown error'));
+                }
+                await fetchLoginActivity();
+            } catch (error) {
+                console.error('Failed to unlock account:', error);
+                alert('Network error. Please try again.');
+            }
+        }
+    );
+};
+
+// Settings shown in the channel modal for each channel type
+const CHANNEL_SETTINGS = {
+    webhook: [
+        { key: 'url', label: 'URL', placeholder: 'http://localhost:9000/hook', required: true },
+        { key: 'secret', label: 'Shared Secret', placeholder: 'Sent as X-IoTAir-Secret (optional)' }
+    ],
+    email: [
+        { key: 'host', label: 'SMTP Host', placeholder: 'localhost', required: true },
+        { key: 'port', label: 'SMTP Port', placeholder: '25', type: 'number' },
+        { key: 'secure', label: 'Use TLS', type: 'checkbox' },
+        { key: 'user', label: 'Username', placeholder: 'Leave blank for no authentication' },
+        { key: 'pass', label: 'Password', type: 'password' },
+        { key: 'from', label: 'From', placeholder: 'iotair@localhost' },
+        { key: 'to', label: 'To', placeholder: 'ops@example.com, oncall@example.com', required: true }
+    ],
+    mqtt: [
+        { key: 'url', label: 'Broker URL', placeholder: 'mqtt://localhost:1883', required: true },
+        { key: 'topic', label: 'Topic', placeholder: 'iotair/alerts', required: true },
+        { key: 'username', label: 'Username' },
+        { key: 'password', label: 'Password', type: 'password' },
+        { key: 'qos', label: 'QoS', placeholder: '0', type: 'number' },
+        { key: 'retain', label: 'Retain messages', type: 'checkbox' }
+    ]
+};
+
+// Fetch notification channels
+async function fetchChannels() {
+    try {
+        const response = await fetch('/api/notifications/channels');
+        const data = await response.json();
+        
+        if (response.ok) {
+            channels = data.channels;
+            updateChannelTable();
+        }
+    } catch (error) {
+        console.error('Failed to fetch notification channels:', error);
+    }
+}
+
+// Update notification channel table
+function updateChannelTable() {
+    const tbody = document.getElementById('channelsTableBody');
+    tbody.innerHTML = '';
+    
+    if (channels.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-row">No notification channels configured</td></tr>';
+        return;
+    }
+    
+    channels.forEach(channel => {
+        const tr = document.createElement('tr');
+        
+        const target = channel.type === 'email' ? channel.config.to
+            : channel.type === 'mqtt' ? `${channel.config.url} → ${channel.config.topic}`
+            : channel.config.url;
+        
+        let lastDelivery = '--';
+        if (channel.last_status) {
+            const when = new Date(channel.last_sent_at).toLocaleString();
+            lastDelivery = channel.last_status === 'ok'
+                ? `<span class="state-badge state-resolved">ok</span> ${when}`
+                : `<span class="state-badge state-firing">failed</span> ${when}`;
+        }
+        
+        tr.innerHTML = `
+            <td></td>
+            <td>${channel.type}</td>
+            <td></td>
+            <td>${channel.enabled ? 'Yes' : 'No'}</td>
+            <td>${lastDelivery}</td>
+            <td>
+                <button class="btn btn-secondary btn-sm" onclick="testChannel('${channel.id}')">
+                    Send Test
+                </button>
+                <button class="btn btn-secondary btn-sm" onclick="editChannel('${channel.id}')">
+                    Edit
+                </button>
+                <button class="btn btn-danger btn-sm" onclick="deleteChannel('${channel.id}')">
+                    Delete
+                </button>
+            </td>
+        `;
+        // Delivery errors are whatever the webhook or broker answered
+        tr.children[0].textContent = channel.name;
+        tr.children[2].textContent = target;
+        const failed = tr.querySelector('.state-firing');
+        if (failed) failed.title = channel.last_error;
+        tbody.appendChild(tr);
+    });
+}
+
+// Channel modal
+const channelModal = document.getElementById('channelModal');
+
+function renderChannelSettings(type, config) {
+    const container = document.getElementById('channelConfigInputs');
+    container.innerHTML = '';
+    
+    CHANNEL_SETTINGS[type].forEach(setting => {
+        const group = document.createElement('div');
+        const id = `channel-${setting.key}`;
+        
+        if (setting.type === 'checkbox') {
+            group.className = 'form-group checkbox-group';
+            group.innerHTML = `<label><input type="checkbox" id="${id}" data-key="${setting.key}"> ${setting.label}</label>`;
+            group.querySelector('input').checked = config[setting.key] === true || config[setting.key] === 'true';
+        } else {
+            group.className = 'form-group';
+            group.innerHTML = `
+                <label for="${id}">${setting.label}</label>
+                <input type="${setting.type || 'text'}" id="${id}" data-key="${setting.key}"
+                    placeholder="${setting.placeholder || ''}" ${setting.required ? 'required' : ''}>
+            `;
+            group.querySelector('input').value = config[setting.key] || '';
+        }
+        container.appendChild(group);
+    });
+}
+
+function openChannelModal(channel) {
+    editingChannelId = channel ? channel.id : null;
+    
+    document.getElementById('channelModalTitle').textContent = channel ? `Edit ${channel.name}` : 'Add Channel';
+    document.getElementById('channelForm').reset();
+    document.getElementById('channelName').value = channel ? channel.name : '';
+    document.getElementById('channelType').value = channel ? channel.type : 'webhook';
+    document.getElementById('channelType').disabled = !!channel;
+    document.getElementById('channelEnabled').checked = channel ? channel.enabled : true;
+    document.getElementById('channelModalError').textContent = '';
+    document.getElementById('channelModalError').classList.remove('show');
+    
+    renderChannelSettings(document.getElementById('channelType').value, channel ? channel.config : {});
+    channelModal.classList.add('show');
+}
+
+window.editChannel = function(id) {
+    openChannelModal(channels.find(c => c.id === id));
+};
+
+document.getElementById('addChannelBtn').addEventListener('click', () => {
+    openChannelModal(null);
+});
+
+document.getElementById('channelType').addEventListener('change', (e) => {
+    renderChannelSettings(e.target.value, {});
+});
+
+document.getElementById('closeChannelModal').addEventListener('click', () => {
+    channelModal.classList.remove('show');
+});
+
+document.getElementById('cancelChannelBtn').addEventListener('click', () => {
+    channelModal.classList.remove('show');
+});
+
+window.addEventListener('click', (e) => {
+    if (e.target === channelModal) {
+        channelModal.classList.remove('show');
+    }
+});
+
+// Add/edit channel form submission
+document.getElementById('channelForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const errorDiv = document.getElementById('channelModalError');
+    const config = {};
+    document.querySelectorAll('#channelConfigInputs input').forEach(input => {
+        config[input.dataset.key] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    
+    errorDiv.textContent = '';
+    errorDiv.classList.remove('show');
+    
+    try {
+        const url = editingChannelId
+            ? `/api/notifications/channels/${editingChannelId}`
+            : '/api/notifications/channels/add';
+        const response = await fetch(url, {
+            method: editingChannelId ? 'PUT' : 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                name: document.getElementById('channelName').value,
+                type: document.getElementById('channelType').value,
+                enabled: document.getElementById('channelEnabled').checked,
+                config
+            })
+        });
+        
+        if (response.ok) {
+            channelModal.classList.remove('show');
+            await fetchChannels();
+        } else {
+            const data = await response.json();
+            errorDiv.textContent = data.error || 'Failed to save channel';
+            errorDiv.classList.add('show');
+        }
+    } catch (error) {
+        console.error('Failed to save channel:', error);
+        errorDiv.textContent = 'Network error. Please try again.';
+        errorDiv.classList.add('show');
+    }
+});
+
+// Send a test notification through a channel
+window.testChannel = async function(id) {
+    try {
+        const response = await fetch(`/api/notifications/channels/${id}/test`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+        
+        alert(response.ok ? 'Test notification sent.' : (data.error || 'Test notification failed'));
+        await fetchChannels();
+    } catch (error) {
+        console.error('Failed to send test notification:', error);
+        alert('Network error. Please try again.');
+    }
+};
+
+// Delete notification channel
+window.deleteChannel = function(id) {
+    const channel = channels.find(c => c.id === id);
+    showConfirm(
+        `Are you sure you want to delete the channel "${channel ? channel.name : id}"?`,
+        async () => {
+            try {
+                const response = await fetch(`/api/notifications/channels/${id}`, {
+                    method: 'DELETE'
+                });
+                
+                if (response.ok) {
+                    await fetchChannels();
+                } else {
+                    const data = await response.json();
+                    alert('Failed to delete channel: ' + (data.error || 'Unknown error'));
+                }
+            } catch (error) {
+                console.error('Failed to delete channel:', error);
+                alert('Network error. Please try again.');
+            }
+        }
+    );
+};
+
+// Confirmation modal
+function showConfirm(message, callback) {
+    const confirmModal = document.getElementById('confirmModal');
+    document.getElementById('confirmMessage').textContent = message;
+    confirmModal.classList.add('show');
+    
+    confirmCallback = callback;
+}
+
+document.getElementById('confirmYes').addEventListener('click', () => {
+    document.getElementById('confirmModal').classList.remove('show');
+    if (confirmCallback) {
+        confirmCallback();
+        confirmCallback = null;
+    }
+});
+
+document.getElementById('confirmNo').addEventListener('click', () => {
+    document.getElementById('confirmModal').classList.remove('show');
+    confirmCallback = null;
+});
+
+// Dashboard button
+document.getElementById('dashboardBtn').addEventListener('click', () => {
+    window.location.href = 'dashboard.html';
+});
+
+// Alerts button
+document.getElementById('alertsBtn').addEventListener('click', () => {
+    window.location.href = 'alerts.html';
+});
+
+// Profile button
+document.getElementById('profileBtn').addEventListener('click', () => {
+    window.location.href = 'profile.html';
+});
+
+// Logout button
+document.getElementById('logoutBtn').addEventListener('click', async () => {
+    try {
+        await fetch('/api/logout');
+        window.location.href = 'index.html';
+    } catch (error) {
+        console.error('Logout failed:', error);
+    }
+});
+
+// Initialize: operators only get the device sections
+checkAdminAuth().then(user => {
+    if (!user) return;
+    fetchDevices();
+    if (user.role !== 'admin') return;
+    
+    fetchUsers();
+    fetchSecurity();
+    fetchLoginActivity();
+    fetchAudit();
+    fetchMqttStatus();
+    fetchRetention();
+    fetchChannels();
+    
+    // Keep the MQTT status and login activity current
+    setInterval(fetchMqttStatus, 10000);
+    setInterval(fetchLoginActivity, 30000);
+});
\ No newline at end of file
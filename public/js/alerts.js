@@ -0,0 +1,383 @@
+// alerts.js - Alert history and alert rule management
+
+let currentUser = null;
+let devices = [];
+let rules = [];
+let confirmCallback = null;
+
+function canAcknowledge() {
+    return Boolean(currentUser) && ['operator', 'admin'].includes(currentUser.role);
+}
+
+// Check authentication and show admin-only controls
+async function checkAuth() {
+    try {
+        const response = await fetch('/api/check-auth');
+        const data = await response.json();
+        
+        if (!response.ok || !data.authenticated) {
+            window.location.href = 'index.html';
+            return;
+        }
+        
+        currentUser = data.user;
+        
+        // Operators acknowledge alerts and manage devices; rules stay with admins
+        if (canAcknowledge()) {
+            document.getElementById('adminBtn').style.display = 'inline-block';
+            document.getElementById('alertActionsHeader').style.display = '';
+        }
+        if (currentUser.role === 'admin') {
+            document.getElementById('rulesSection').style.display = 'block';
+        }
+    } catch (error) {
+        console.error('Auth check failed:', error);
+        window.location.href = 'index.html';
+    }
+}
+
+// Fetch devices for names and the rule device picker
+async function fetchDevices() {
+    try {
+        const response = await fetch('/api/devices');
+        const data = await response.json();
+        
+        if (response.ok) {
+            devices = data.devices;
+            
+            const select = document.getElementById('ruleDevice');
+            select.innerHTML = '<option value="">All devices</option>';
+            devices.forEach(device => {
+                const option = document.createElement('option');
+                option.value = device.id;
+                option.textContent = device.name;
+                select.appendChild(option);
+            });
+        }
+    } catch (error) {
+        console.error('Failed to fetch devices:', error);
+    }
+}
+
+// Fetch alert history
+async function fetchAlerts() {
+    try {
+        const state = document.getElementById('stateFilter').value;
+        const query = state ? `?state=${encodeURIComponent(state)}` : '';
+        const response = await fetch(`/api/alerts${query}`);
+        const data = await response.json();
+        
+        if (response.ok) {
+            updateAlertTable(data.alerts);
+        }
+    } catch (error) {
+        console.error('Failed to fetch alerts:', error);
+    }
+}
+
+// Update alert history table
+function updateAlertTable(alerts) {
+    const tbody = document.getElementById('alertsTableBody');
+    tbody.innerHTML = '';
+    
+    if (alerts.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="empty-row">No alerts</td></tr>';
+        return;
+    }
+    
+    const showActions = canAcknowledge();
+    
+    alerts.forEach(alert => {
+        const tr = document.createElement('tr');
+        
+        const action = showActions && !alert.acknowledged_at
+            ? `<button class="btn btn-secondary btn-sm" onclick="acknowledgeAlert('${alert.id}')">Acknowledge</button>`
+            : '';
+        
+        tr.innerHTML = `
+            <td>${new Date(alert.started_at).toLocaleString()}</td>
+            <td></td>
+            <td></td>
+            <td></td>
+            <td><span class="state-badge state-${alert.state}">${alert.state}</span></td>
+            <td>${alert.resolved_at ? new Date(alert.resolved_at).toLocaleString() : '--'}</td>
+            <td>${alert.acknowledged_at ? `<span></span><br><small>${new Date(alert.acknowledged_at).toLocaleString()}</small>` : '--'}</td>
+            ${showActions ? `<td>${action}</td>` : ''}
+        `;
+        // Names and messages come from users, so they are set as text
+        tr.children[1].textContent = alert.device_name;
+        tr.children[2].textContent = alert.rule_name;
+        tr.children[3].textContent = alert.message;
+        if (alert.acknowledged_at) {
+            tr.children[6].firstElementChild.textContent = alert.acknowledged_by;
+        }
+        tbody.appendChild(tr);
+    });
+}
+
+// Acknowledge an alert
+window.acknowledgeAlert = async function(id) {
+    try {
+        const response = await fetch(`/api/alerts/${encodeURIComponent(id)}/acknowledge`, {
+            method: 'POST'
+        });
+        
+        if (response.ok) {
+            await fetchAlerts();
+        } else {
+            const data = await response.json();
+            alert('Failed to acknowledge alert: ' + (data.error || 'Unknown error'));
+        }
+    } catch (error) {
+        console.error('Failed to acknowledge alert:', error);
+        alert('Network error. Please try again.');
+    }
+};
+
+// Fetch alert rules
+async function fetchRules() {
+    try {
+        const response = await fetch('/api/alerts/rules');
+        const data = await response.json();
+        
+        if (response.ok) {
+            rules = data.rules;
+            updateRuleTable();
+            
+            // Populate field and operator pickers
+            document.getElementById('ruleField').innerHTML = data.fields
+                .map(field => `<option value="${field}">${field}</option>`).join('');
+            document.getElementById('ruleOperator').innerHTML = data.operators
+                .map(op => `<option value="${op}">${op}</option>`).join('');
+        }
+    } catch (error) {
+        console.error('Failed to fetch rules:', error);
+    }
+}
+
+// Describe a rule's condition in words
+function describeRule(rule) {
+    if (rule.type === 'no_data') {
+        return `No data for ${rule.duration_minutes} min`;
+    }
+    const duration = Number(rule.duration_minutes) > 0 ? ` for ${rule.duration_minutes} min` : '';
+    return `${rule.field} ${rule.operator} ${rule.threshold}${duration}`;
+}
+
+// Update alert rule table
+function updateRuleTable() {
+    const tbody = document.getElementById('rulesTableBody');
+    tbody.innerHTML = '';
+    
+    rules.forEach(rule => {
+        const tr = document.createElement('tr');
+        const device = devices.find(d => d.id === rule.device_id);
+        const enabled = rule.enabled === 'true';
+        
+        tr.innerHTML = `
+            <td></td>
+            <td></td>
+            <td></td>
+            <td>
+                <button class="btn ${enabled ? 'btn-success' : 'btn-secondary'} btn-sm" onclick="toggleRule('${rule.id}', ${enabled})">
+                    ${enabled ? 'Enabled' : 'Disabled'}
+                </button>
+            </td>
+            <td>
+                <button class="btn btn-danger btn-sm" onclick="deleteRule('${rule.id}')">
+                    Delete
+                </button>
+            </td>
+        `;
+        tr.children[0].textContent = rule.name;
+        tr.children[1].textContent = rule.device_id ? (device ? device.name : rule.device_id) : 'All devices';
+        tr.children[2].textContent = describeRule(rule);
+        tbody.appendChild(tr);
+    });
+}
+
+// Enable or disable a rule
+window.toggleRule = async function(id, enabled) {
+    try {
+        const response = await fetch(`/api/alerts/rules/${encodeURIComponent(id)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ enabled: !enabled })
+        });
+        
+        if (response.ok) {
+            await fetchRules();
+            await fetchAlerts();
+        } else {
+            const data = await response.json();
+            alert('Failed to update rule: ' + (data.error || 'Unknown error'));
+        }
+    } catch (error) {
+        console.error('Failed to update rule:', error);
+        alert('Network error. Please try again.');
+    }
+};
+
+// Delete a rule
+window.deleteRule = function(id) {
+    const rule = rules.find(r => r.id === id);
+    showConfirm(
+        `Delete alert rule "${rule ? rule.name : id}"? Its alert history will be kept.`,
+        async () => {
+            try {
+                const response = await fetch(`/api/alerts/rules/${encodeURIComponent(id)}`, {
+                    method: 'DELETE'
+                });
+                
+                if (response.ok) {
+                    await fetchRules();
+                    await fetchAlerts();
+                } else {
+                    const data = await response.json();
+                    alert('Failed to delete rule: ' + (data.error || 'Unknown error'));
+                }
+            } catch (error) {
+                console.error('Failed to delete rule:', error);
+                alert('Network error. Please try again.');
+            }
+        }
+    );
+};
+
+// Add rule modal
+const ruleModal = document.getElementById('ruleModal');
+
+// Threshold inputs only apply to threshold rules
+function updateRuleTypeFields() {
+    const isThreshold = document.getElementById('ruleType').value === 'threshold';
+    document.getElementById('thresholdFields').style.display = isThreshold ? '' : 'none';
+    document.getElementById('ruleDurationLabel').textContent = isThreshold
+        ? 'For at least (minutes)'
+        : 'Silent for (minutes)';
+}
+
+document.getElementById('ruleType').addEventListener('change', updateRuleTypeFields);
+
+document.getElementById('addRuleBtn').addEventListener('click', () => {
+    document.getElementById('ruleForm').reset();
+    document.getElementById('ruleModalError').textContent = '';
+    document.getElementById('ruleModalError').classList.remove('show');
+    updateRuleTypeFields();
+    ruleModal.classList.add('show');
+});
+
+document.getElementById('closeRuleModal').addEventListener('click', () => {
+    ruleModal.classList.remove('show');
+});
+
+document.getElementById('cancelRuleBtn').addEventListener('click', () => {
+    ruleModal.classList.remove('show');
+});
+
+window.addEventListener('click', (e) => {
+    if (e.target === ruleModal) {
+        ruleModal.classList.remove('show');
+    }
+});
+
+// Add rule form submission
+document.getElementById('ruleForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const errorDiv = document.getElementById('ruleModalError');
+    errorDiv.textContent = '';
+    errorDiv.classList.remove('show');
+    
+    const rule = {
+        name: document.getElementById('ruleName').value,
+        type: document.getElementById('ruleType').value,
+        device_id: document.getElementById('ruleDevice').value,
+        field: document.getElementById('ruleField').value,
+        operator: document.getElementById('ruleOperator').value,
+        threshold: document.getElementById('ruleThreshold').value,
+        duration_minutes: document.getElementById('ruleDuration').value
+    };
+    
+    try {
+        const response = await fetch('/api/alerts/rules/add', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(rule)
+        });
+        
+        if (response.ok) {
+            ruleModal.classList.remove('show');
+            await fetchRules();
+        } else {
+            const data = await response.json();
+            errorDiv.textContent = data.error || 'Failed to add rule';
+            errorDiv.classList.add('show');
+        }
+    } catch (error) {
+        console.error('Failed to add rule:', error);
+        errorDiv.textContent = 'Network error. Please try again.';
+        errorDiv.classList.add('show');
+    }
+});
+
+// Confirmation modal
+function showConfirm(message, callback) {
+    const confirmModal = document.getElementById('confirmModal');
+    document.getElementById('confirmMessage').textContent = message;
+    confirmModal.classList.add('show');
+    
+    confirmCallback = callback;
+}
+
+document.getElementById('confirmYes').addEventListener('click', () => {
+    document.getElementById('confirmModal').classList.remove('show');
+    if (confirmCallback) {
+        confirmCallback();
+        confirmCallback = null;
+    }
+});
+
+document.getElementById('confirmNo').addEventListener('click', () => {
+    document.getElementById('confirmModal').classList.remove('show');
+    confirmCallback = null;
+});
+
+// History filter
+document.getElementById('stateFilter').addEventListener('change', fetchAlerts);
+
+// Navigation
+document.getElementById('dashboardBtn').addEventListener('click', () => {
+    window.location.href = 'dashboard.html';
+});
+
+document.getElementById('adminBtn').addEventListener('click', () => {
+    window.location.href = 'admin.html';
+});
+
+document.getElementById('profileBtn').addEventListener('click', () => {
+    window.location.href = 'profile.html';
+});
+
+document.getElementById('logoutBtn').addEventListener('click', async () => {
+    try {
+        await fetch('/api/logout');
+        window.location.href = 'index.html';
+    } catch (error) {
+        console.error('Logout failed:', error);
+    }
+});
+
+// Initialize
+checkAuth()
+    .then(fetchDevices)
+    .then(() => {
+        fetchAlerts();
+        if (currentUser && currentUser.role === 'admin') fetchRules();
+    });
+
+// Refresh alert history every 30 seconds
+setInterval(fetchAlerts, 30000);
@@ -1,7 +1,32 @@
 // dashboard.js - Main dashboard functionality
 
 let charts = {};
-let refreshInterval;
+let refreshInterval = null;
+let selectedDevice = localStorage.getItem('selectedDevice');
+let fieldSchema = [];
+let currentHistory = [];
+let historyLimit = null;
+let eventSource = null;
+let pendingRefresh = null;
+let pendingAqiRefresh = null;
+let statsField = null;
+
+// Polling period used while the live stream is unavailable
+const POLL_INTERVAL = 30000;
+// How soon the AQI is refetched after live PM readings arrive
+const AQI_REFRESH_DELAY = 60000;
+// Readings kept in the table
+const RECENT_LIMIT = 10;
+// Period summarised by the statistics panel when no range is selected
+const DEFAULT_STATS_RANGE = 30 * 24 * 60 * 60 * 1000;
+
+// Relative time range presets
+const RANGE_PRESETS = {
+    '1h': 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
 
 // Check authentication on page load
 async function checkAuth() {
@@ -17,24 +42,105 @@ async function checkAuth() {
         // Set user name
         document.getElementById('userName').textContent = `Welcome, ${data.user.name}`;
         
-        // Show admin button if user is admin
-        if (data.user.role === 'admin') {
+        // Admins and operators (who manage devices) get the admin panel
+        if (['operator', 'admin'].includes(data.user.role)) {
             document.getElementById('adminBtn').style.display = 'inline-block';
         }
+        
+        // Viewers can look at the data but not download it
+        if (data.user.role === 'viewer') {
+            document.querySelector('.export-controls').style.display = 'none';
+        }
     } catch (error) {
         console.error('Auth check failed:', error);
         window.location.href = 'index.html';
     }
 }
 
-// Fetch sensor data
+// Fetch devices and populate the device switcher
+async function fetchDevices() {
+    try {
+        const response = await fetch('/api/devices');
+        const data = await response.json();
+        
+        if (!response.ok) return;
+        
+        const select = document.getElementById('deviceSelect');
+        select.innerHTML = '';
+        
+        data.devices.forEach(device => {
+            const option = document.createElement('option');
+            option.value = device.id;
+            option.textContent = device.location ? `${device.name} (${device.location})` : device.name;
+            select.appendChild(option);
+        });
+        
+        // Fall back to the first device if the remembered one is gone
+        if (!data.devices.some(d => d.id === selectedDevice)) {
+            selectedDevice = data.devices.length > 0 ? data.devices[0].id : null;
+        }
+        select.value = selectedDevice || '';
+    } catch (error) {
+        console.error('Failed to fetch devices:', error);
+    }
+}
+
+// Pick an aggregation interval that keeps charts readable for a time span
+function autoInterval(spanMs) {
+    const hour = 60 * 60 * 1000;
+    if (spanMs <= 2 * hour) return null;
+    if (spanMs <= 48 * hour) return '15m';
+    if (spanMs <= 14 * 24 * hour) return '1h';
+    return '1d';
+}
+
+// Build the /api/sensors query string from the device, range and interval pickers
+function buildSensorQuery() {
+    const params = new URLSearchParams();
+    if (selectedDevice) params.set('device', selectedDevice);
+    
+    const rangeValue = document.getElementById('rangeSelect').value;
+    let from = null;
+    let to = null;
+    
+    if (RANGE_PRESETS[rangeValue]) {
+        to = new Date();
+        from = new Date(to.getTime() - RANGE_PRESETS[rangeValue]);
+    } else if (rangeValue === 'custom') {
+        const fromValue = document.getElementById('rangeFrom').value;
+        const toValue = document.getElementById('rangeTo').value;
+        from = fromValue ? new Date(fromValue) : null;
+        to = toValue ? new Date(toValue) : null;
+    }
+    
+    if (from) params.set('from', from.toISOString());
+    if (to) params.set('to', to.toISOString());
+    
+    const intervalValue = document.getElementById('intervalSelect').value;
+    let interval = null;
+    if (intervalValue === 'auto') {
+        // Only aggregate automatically when a time range is selected
+        if (from) interval = autoInterval((to || new Date()).getTime() - from.getTime());
+    } else if (intervalValue !== 'raw') {
+        interval = intervalValue;
+    }
+    if (interval) params.set('interval', interval);
+    
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+// Fetch sensor data for the selected device and range
 async function fetchSensorData() {
     try {
-        const response = await fetch('/api/sensors');
+        const response = await fetch(`/api/sensors${buildSensorQuery()}`);
         const data = await response.json();
         
         if (response.ok) {
+            fieldSchema = data.fields;
+            historyLimit = data.range.limit;
             updateSummaryCards(data.latest);
+            updateAqi(data.aqi);
             updateCharts(data.history);
             updateTable(data.recent);
             
@@ -46,47 +152,417 @@ async function fetchSensorData() {
     }
 }
 
-// Update summary cards with latest values
+// Fetch daily statistics for one field over the selected range
+async function fetchStats() {
+    if (fieldSchema.length === 0) return;
+    if (!fieldSchema.some(f => f.field === statsField)) {
+        statsField = fieldSchema[0].field;
+        document.getElementById('statsLimit').value = fieldSchema[0].limit ?? '';
+    }
+    
+    const params = new URLSearchParams(buildSensorQuery());
+    params.delete('interval');
+    if (!params.has('from')) {
+        params.set('from', new Date(Date.now() - DEFAULT_STATS_RANGE).toISOString());
+    }
+    params.set('field', statsField);
+    params.set('utc_offset', -new Date().getTimezoneOffset());
+    const limit = document.getElementById('statsLimit').value;
+    if (limit !== '') params.set('limit', limit);
+    
+    try {
+        const response = await fetch(`/api/sensors/stats?${params}`);
+        const data = await response.json();
+        
+        if (response.ok) {
+            updateStats(data.fields[0]);
+        } else {
+            console.error('Failed to fetch statistics:', data.error);
+        }
+    } catch (error) {
+        console.error('Failed to fetch statistics:', error);
+    }
+}
+
+// Whether streamed readings can be appended as they arrive: raw readings in a
+// window that ends now (custom ranges and aggregated views are refetched instead)
+function isLiveView() {
+    if (document.getElementById('rangeSelect').value === 'custom') return false;
+    return !new URLSearchParams(buildSensorQuery()).has('interval');
+}
+
+// Refetch at most once per few seconds when readings arrive for a view that
+// cannot be extended point by point
+function scheduleRefresh() {
+    if (pendingRefresh) return;
+    pendingRefresh = setTimeout(() => {
+        pendingRefresh = null;
+        fetchSensorData();
+    }, 5000);
+}
+
+// Apply a reading pushed over /api/stream
+function handleLiveReading(reading) {
+    if (reading.device_id !== selectedDevice) return;
+    
+    if (!isLiveView()) {
+        scheduleRefresh();
+        return;
+    }
+    
+    updateSummaryCards(reading);
+    appendReading(reading);
+    prependTableRow(reading);
+    
+    // The AQI is computed on the server from hourly means, so refetch it now and then
+    if (document.getElementById('aqiSection').style.display !== 'none' && !pendingAqiRefresh) {
+        pendingAqiRefresh = setTimeout(() => {
+            pendingAqiRefresh = null;
+            fetchSensorData();
+        }, AQI_REFRESH_DELAY);
+    }
+    document.getElementById('lastUpdate').textContent = new Date().toLocaleString();
+}
+
+function startPolling() {
+    if (refreshInterval) return;
+    refreshInterval = setInterval(fetchSensorData, POLL_INTERVAL);
+    setLiveStatus(false);
+}
+
+function stopPolling() {
+    clearInterval(refreshInterval);
+    refreshInterval = null;
+}
+
+function setLiveStatus(live) {
+    const status = document.getElementById('liveStatus');
+    status.textContent = live ? 'Live updates' : `Auto-refresh every ${POLL_INTERVAL / 1000} seconds`;
+    status.classList.toggle('live', live);
+}
+
+// Follow new readings for the selected device, polling while the stream is down
+function connectStream() {
+    if (eventSource) eventSource.close();
+    
+    if (!window.EventSource || !selectedDevice) {
+        startPolling();
+        return;
+    }
+    
+    eventSource = new EventSource(`/api/stream?device=${encodeURIComponent(selectedDevice)}`);
+    
+    eventSource.addEventListener('open', () => {
+        // Catch up on anything missed while polling
+        if (refreshInterval) {
+            stopPolling();
+            fetchSensorData();
+        }
+        setLiveStatus(true);
+    });
+    
+    eventSource.addEventListener('reading', (e) => {
+        handleLiveReading(JSON.parse(e.data));
+    });
+    
+    // EventSource retries on its own; poll until it reconnects
+    eventSource.addEventListener('error', () => {
+        startPolling();
+    });
+}
+
+// Show a banner while any alert is firing
+async function fetchAlerts() {
+    try {
+        const response = await fetch('/api/alerts?state=firing');
+        const data = await response.json();
+        
+        if (!response.ok) return;
+        
+        const banner = document.getElementById('alertBanner');
+        if (data.alerts.length === 0) {
+            banner.style.display = 'none';
+            return;
+        }
+        
+        const summary = data.alerts.slice(0, 3).map(a => `${a.device_name}: ${a.message}`).join(' · ');
+        const more = data.alerts.length > 3 ? ` (+${data.alerts.length - 3} more)` : '';
+        document.getElementById('alertBannerText').textContent =
+            `⚠️ ${data.alerts.length} active alert${data.alerts.length === 1 ? '' : 's'} — ${summary}${more}`;
+        banner.style.display = 'flex';
+    } catch (error) {
+        console.error('Failed to fetch alerts:', error);
+    }
+}
+
+// Format a value using its field's precision
+function formatValue(value, field) {
+    if (value === null || value === undefined || isNaN(value)) return '--';
+    return value.toFixed(field.precision);
+}
+
+// Descriptions of the quality flags set at ingestion
+const FLAG_LABELS = {
+    range: 'Outside the plausible range',
+    spike: 'Sudden jump from the previous reading',
+    stuck: 'Sensor repeating the same value'
+};
+
+// Label a field with its unit, e.g. "Temperature (°C)"
+function fieldLabel(field) {
+    return field.unit ? `${field.name} (${field.unit})` : field.name;
+}
+
+// Convert a #rrggbb colour to rgba() for chart fills
+function hexToRgba(hex, alpha) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+// Label chart points with the time, adding the date when the series spans days
+function formatTimestamp(timestamp, spanMs) {
+    const date = new Date(timestamp);
+    return spanMs > 24 * 60 * 60 * 1000 ? date.toLocaleString() : date.toLocaleTimeString();
+}
+
+// Tooltip line showing the min/max behind an aggregated point
+function rangeTooltip(context) {
+    const point = currentHistory[context.dataIndex];
+    const fieldKey = context.dataset.fieldKey;
+    if (!point || !point.min || point.min[fieldKey] === null) return '';
+    
+    const field = fieldSchema.find(f => f.field === fieldKey);
+    return `min ${formatValue(point.min[fieldKey], field)} / max ${formatValue(point.max[fieldKey], field)} (${point.count} readings)`;
+}
+
+// Build a Chart.js line dataset for a field; flagged readings are drawn as red points
+function buildDataset(field, history, extra = {}) {
+    const isFlagged = context => Boolean(currentHistory[context.dataIndex]?.flags?.[field.field]);
+    return {
+        fieldKey: field.field,
+        label: fieldLabel(field),
+        data: history.map(d => d[field.field]),
+        borderColor: field.color,
+        backgroundColor: hexToRgba(field.color, 0.1),
+        pointBackgroundColor: context => isFlagged(context) ? '#ef4444' : field.color,
+        pointRadius: context => isFlagged(context) ? 5 : 3,
+        tension: 0.4,
+        ...extra
+    };
+}
+
+// Suggested y-axis range from the fields' configured min/max
+function axisRange(fields) {
+    const mins = fields.map(f => f.min).filter(v => v !== null);
+    const maxs = fields.map(f => f.max).filter(v => v !== null);
+    return {
+        suggestedMin: mins.length > 0 ? Math.min(...mins) : undefined,
+        suggestedMax: maxs.length > 0 ? Math.max(...maxs) : undefined
+    };
+}
+
+// Render one summary card per field with its latest value
 function updateSummaryCards(latest) {
     if (!latest) return;
     
-    // Update only the 3 fields we have
-    document.getElementById('tempValue').textContent = latest.field1?.toFixed(1) || '--';
-    document.getElementById('humidityValue').textContent = latest.field2?.toFixed(1) || '--';
-    document.getElementById('pm25Value').textContent = latest.field3?.toFixed(0) || '--';
+    const container = document.getElementById('summaryCards');
+    container.innerHTML = '';
+    
+    fieldSchema.forEach(field => {
+        const card = document.createElement('div');
+        card.className = 'summary-card';
+        card.style.borderTop = `4px solid ${field.color}`;
+        card.innerHTML = `
+            <div class="card-content">
+                <h3></h3>
+                <p class="card-value">${formatValue(latest[field.field], field)}</p>
+                ${latest.flags?.[field.field] ? `<span class="flag-marker" title="${FLAG_LABELS[latest.flags[field.field]]}">⚠️</span>` : ''}
+                <span class="card-unit"></span>
+            </div>
+        `;
+        // Field names and units are set by operators
+        card.querySelector('h3').textContent = field.name;
+        card.querySelector('.card-unit').textContent = field.unit;
+        container.appendChild(card);
+    });
+}
+
+// Text colour that stays readable on an AQI band colour
+function contrastColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    const luminance = 0.299 * ((value >> 16) & 255) + 0.587 * ((value >> 8) & 255) + 0.114 * (value & 255);
+    return luminance > 150 ? '#1e293b' : '#ffffff';
+}
+
+// Show the AQI card and hourly trend, or hide them for devices without PM fields
+function updateAqi(aqi) {
+    const section = document.getElementById('aqiSection');
+    if (!aqi || aqi.aqi === null) {
+        section.style.display = 'none';
+        return;
+    }
+    section.style.display = '';
+    
+    document.getElementById('aqiCard').style.borderTopColor = aqi.color;
+    document.getElementById('aqiValue').textContent = aqi.aqi;
+    const category = document.getElementById('aqiCategory');
+    category.textContent = aqi.category;
+    category.style.background = aqi.color;
+    category.style.color = contrastColor(aqi.color);
     
-    // Hide the cards we don't use
-    document.getElementById('pm10Value').textContent = '--';
-    document.getElementById('co2Value').textContent = '--';
+    const details = aqi.pollutants
+        .filter(p => p.nowcast !== null)
+        .map(p => `${p.pollutant} NowCast ${p.nowcast} μg/m³ (AQI ${p.aqi})`);
+    if (aqi.aqi_24h !== null) details.push(`24-hour AQI ${aqi.aqi_24h}`);
+    if (aqi.caqi) details.push(`EU CAQI ${aqi.caqi.caqi} (${aqi.caqi.category})`);
+    details.push(`Main pollutant: ${aqi.dominant}`);
+    document.getElementById('aqiDetails').innerHTML = details.map(d => `<div>${d}</div>`).join('');
+    
+    const spanMs = aqi.trend.length > 1
+        ? new Date(aqi.trend[aqi.trend.length - 1].timestamp) - new Date(aqi.trend[0].timestamp)
+        : 0;
+    updateOrCreateChart('aqiChart', {
+        type: 'bar',
+        data: {
+            labels: aqi.trend.map(p => formatTimestamp(p.timestamp, spanMs)),
+            datasets: [{
+                label: 'US AQI',
+                data: aqi.trend.map(p => p.aqi),
+                backgroundColor: aqi.trend.map(p => p.color)
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: false
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    suggestedMax: 150
+                }
+            }
+        }
+    });
+}
+
+// Render the statistics table (one row per day plus the whole period) and the
+// daily chart of mean values and hours above the limit
+function updateStats(stats) {
+    const select = document.getElementById('statsField');
+    select.innerHTML = '';
+    fieldSchema.forEach(f => {
+        const option = document.createElement('option');
+        option.value = f.field;
+        option.textContent = fieldLabel(f);
+        select.appendChild(option);
+    });
+    select.value = stats.field;
+    
+    const unit = stats.unit ? ` ${stats.unit}` : '';
+    document.getElementById('statsTitle').textContent = stats.limit !== null
+        ? `Statistics: ${stats.name} (limit ${stats.limit}${unit})`
+        : `Statistics: ${stats.name}`;
+    
+    const format = value => formatValue(value, stats);
+    const row = (label, s, className = '') => `
+        <tr class="${className}">
+            <td>${label}</td>
+            <td>${s.count}</td>
+            <td>${format(s.min)}</td>
+            <td>${format(s.max)}</td>
+            <td>${format(s.mean)}</td>
+            <td>${format(s.median)}</td>
+            <td>${format(s.p95)}</td>
+            <td>${format(s.stddev)}</td>
+            <td>${s.hours_above === null ? '--' : s.hours_above}</td>
+        </tr>
+    `;
+    
+    const tbody = document.getElementById('statsBody');
+    if (stats.daily.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="9" class="empty-row">No readings in this period</td></tr>';
+    } else {
+        tbody.innerHTML = stats.daily
+            .map(day => row(new Date(`${day.date}T00:00:00`).toLocaleDateString(), day))
+            .join('') + row('<strong>Whole period</strong>', stats.summary, 'stats-total');
+    }
+    
+    const color = stats.color || '#3b82f6';
+    const datasets = [{
+        label: `Mean ${fieldLabel(stats)}`,
+        data: stats.daily.map(day => day.mean),
+        backgroundColor: hexToRgba(color, 0.6),
+        yAxisID: 'y'
+    }];
+    if (stats.limit !== null) {
+        datasets.push({
+            label: 'Hours above limit',
+            data: stats.daily.map(day => day.hours_above),
+            backgroundColor: 'rgba(239, 68, 68, 0.6)',
+            yAxisID: 'y1'
+        });
+    }
+    
+    updateOrCreateChart('statsChart', {
+        type: 'bar',
+        data: {
+            labels: stats.daily.map(day => new Date(`${day.date}T00:00:00`).toLocaleDateString([], { month: 'short', day: 'numeric' })),
+            datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: fieldLabel(stats)
+                    }
+                },
+                y1: {
+                    display: stats.limit !== null,
+                    position: 'right',
+                    min: 0,
+                    max: 24,
+                    title: {
+                        display: true,
+                        text: 'Hours'
+                    },
+                    grid: {
+                        drawOnChartArea: false
+                    }
+                }
+            }
+        }
+    });
 }
 
-// Update charts with historical data
+// Update charts with historical data: the first two fields, the remaining
+// fields, and all fields combined
 function updateCharts(history) {
-    if (!history || history.length === 0) return;
+    if (!history) return;
     
-    const timestamps = history.map(d => new Date(d.timestamp).toLocaleTimeString());
+    currentHistory = history;
+    const spanMs = history.length > 1
+        ? new Date(history[history.length - 1].timestamp) - new Date(history[0].timestamp)
+        : 0;
+    const timestamps = history.map(d => formatTimestamp(d.timestamp, spanMs));
+    const primaryFields = fieldSchema.slice(0, 2);
+    const secondaryFields = fieldSchema.slice(2);
     
-    // Field1 & Field2 Chart
-    updateOrCreateChart('tempHumidityChart', {
+    // Primary fields chart
+    document.getElementById('primaryChartTitle').textContent =
+        `${primaryFields.map(f => f.name).join(' & ')} Trends`;
+    updateOrCreateChart('primaryChart', {
         type: 'line',
         data: {
             labels: timestamps,
-            datasets: [
-                {
-                    label: 'Field 1',
-                    data: history.map(d => d.field1),
-                    borderColor: '#ef4444',
-                    backgroundColor: 'rgba(239, 68, 68, 0.1)',
-                    tension: 0.4
-                },
-                {
-                    label: 'Field 2',
-                    data: history.map(d => d.field2),
-                    borderColor: '#3b82f6',
-                    backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                    tension: 0.4
-                }
-            ]
+            datasets: primaryFields.map(f => buildDataset(f, history))
         },
         options: {
             responsive: true,
@@ -94,6 +570,11 @@ function updateCharts(history) {
             plugins: {
                 legend: {
                     position: 'top',
+                },
+                tooltip: {
+                    callbacks: {
+                        afterLabel: rangeTooltip
+                    }
                 }
             },
             scales: {
@@ -104,20 +585,16 @@ function updateCharts(history) {
         }
     });
     
-    // Field3 Chart
-    updateOrCreateChart('pmChart', {
+    // Remaining fields chart (hidden when the schema has two fields or fewer)
+    document.getElementById('secondaryChartContainer').style.display =
+        secondaryFields.length > 0 ? '' : 'none';
+    document.getElementById('secondaryChartTitle').textContent =
+        `${secondaryFields.map(f => f.name).join(' & ')} Trends`;
+    updateOrCreateChart('secondaryChart', {
         type: 'line',
         data: {
             labels: timestamps,
-            datasets: [
-                {
-                    label: 'Field 3',
-                    data: history.map(d => d.field3),
-                    borderColor: '#f59e0b',
-                    backgroundColor: 'rgba(245, 158, 11, 0.1)',
-                    tension: 0.4
-                }
-            ]
+            datasets: secondaryFields.map(f => buildDataset(f, history))
         },
         options: {
             responsive: true,
@@ -125,46 +602,30 @@ function updateCharts(history) {
             plugins: {
                 legend: {
                     position: 'top',
+                },
+                tooltip: {
+                    callbacks: {
+                        afterLabel: rangeTooltip
+                    }
                 }
             },
             scales: {
                 y: {
-                    beginAtZero: true
+                    beginAtZero: true,
+                    ...axisRange(secondaryFields)
                 }
             }
         }
     });
     
     // Combined View Chart
-    updateOrCreateChart('co2Chart', {
+    updateOrCreateChart('combinedChart', {
         type: 'line',
         data: {
             labels: timestamps,
             datasets: [
-                {
-                    label: 'Field 1',
-                    data: history.map(d => d.field1),
-                    borderColor: '#ef4444',
-                    backgroundColor: 'rgba(239, 68, 68, 0.1)',
-                    tension: 0.4,
-                    yAxisID: 'y'
-                },
-                {
-                    label: 'Field 2',
-                    data: history.map(d => d.field2),
-                    borderColor: '#3b82f6',
-                    backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                    tension: 0.4,
-                    yAxisID: 'y'
-                },
-                {
-                    label: 'Field 3',
-                    data: history.map(d => d.field3),
-                    borderColor: '#10b981',
-                    backgroundColor: 'rgba(16, 185, 129, 0.1)',
-                    tension: 0.4,
-                    yAxisID: 'y1'
-                }
+                ...primaryFields.map(f => buildDataset(f, history, { yAxisID: 'y' })),
+                ...secondaryFields.map(f => buildDataset(f, history, { yAxisID: 'y1' }))
             ]
         },
         options: {
@@ -177,6 +638,11 @@ function updateCharts(history) {
             plugins: {
                 legend: {
                     position: 'top',
+                },
+                tooltip: {
+                    callbacks: {
+                        afterLabel: rangeTooltip
+                    }
                 }
             },
             scales: {
@@ -187,7 +653,7 @@ function updateCharts(history) {
                 },
                 y1: {
                     type: 'linear',
-                    display: true,
+                    display: secondaryFields.length > 0,
                     position: 'right',
                     grid: {
                         drawOnChartArea: false
@@ -201,8 +667,9 @@ function updateCharts(history) {
 // Helper function to create or update chart
 function updateOrCreateChart(canvasId, config) {
     if (charts[canvasId]) {
-        // Update existing chart
+        // Update existing chart (options too, since the field schema can change)
         charts[canvasId].data = config.data;
+        charts[canvasId].options = config.options;
         charts[canvasId].update();
     } else {
         // Create new chart
@@ -211,27 +678,143 @@ function updateOrCreateChart(canvasId, config) {
     }
 }
 
-// Update data table
+// Append a reading to an existing chart, dropping the oldest points
+function appendChartPoint(canvasId, label, reading, dropCount) {
+    const chart = charts[canvasId];
+    if (!chart) return;
+    
+    chart.data.labels.push(label);
+    chart.data.datasets.forEach(dataset => {
+        dataset.data.push(reading[dataset.fieldKey]);
+        dataset.data.splice(0, dropCount);
+    });
+    chart.data.labels.splice(0, dropCount);
+    chart.update('none');
+}
+
+// Append a streamed reading to the charts, keeping the window to the selected
+// range and point limit
+function appendReading(reading) {
+    currentHistory.push(reading);
+    
+    let dropCount = 0;
+    const rangeMs = RANGE_PRESETS[document.getElementById('rangeSelect').value];
+    const cutoff = rangeMs ? Date.now() - rangeMs : null;
+    while (currentHistory.length - dropCount > 1 && (
+        (historyLimit && currentHistory.length - dropCount > historyLimit) ||
+        (cutoff && new Date(currentHistory[dropCount].timestamp).getTime() < cutoff)
+    )) {
+        dropCount++;
+    }
+    currentHistory.splice(0, dropCount);
+    
+    const spanMs = new Date(reading.timestamp) - new Date(currentHistory[0].timestamp);
+    const label = formatTimestamp(reading.timestamp, spanMs);
+    ['primaryChart', 'secondaryChart', 'combinedChart'].forEach(canvasId => {
+        appendChartPoint(canvasId, label, reading, dropCount);
+    });
+}
+
+// Table row with flagged values highlighted and missing ones greyed out
+function buildTableRow(row) {
+    const tr = document.createElement('tr');
+    const cell = field => {
+        const value = row[field.field];
+        const flag = row.flags?.[field.field];
+        if (flag) {
+            return `<td class="value-flagged" title="${FLAG_LABELS[flag] || flag}">${formatValue(value, field)} ⚠️</td>`;
+        }
+        if (value === null || value === undefined) {
+            return '<td class="value-missing" title="No value">--</td>';
+        }
+        return `<td>${formatValue(value, field)}</td>`;
+    };
+    tr.innerHTML = `
+        <td>${new Date(row.timestamp).toLocaleString()}</td>
+        ${fieldSchema.map(cell).join('')}
+    `;
+    return tr;
+}
+
+// Add a streamed reading to the top of the table
+function prependTableRow(row) {
+    const tbody = document.getElementById('tableBody');
+    tbody.insertBefore(buildTableRow(row), tbody.firstChild);
+    while (tbody.children.length > RECENT_LIMIT) {
+        tbody.removeChild(tbody.lastChild);
+    }
+}
+
+// Update data table, with one column per field
 function updateTable(recent) {
-    if (!recent || recent.length === 0) return;
+    const thead = document.getElementById('tableHead');
+    thead.innerHTML = '<th>Timestamp</th>';
+    fieldSchema.forEach(field => {
+        const th = document.createElement('th');
+        th.textContent = fieldLabel(field);
+        thead.appendChild(th);
+    });
     
     const tbody = document.getElementById('tableBody');
     tbody.innerHTML = '';
     
+    if (!recent) return;
+    
     recent.forEach(row => {
-        const tr = document.createElement('tr');
-        tr.innerHTML = `
-            <td>${new Date(row.timestamp).toLocaleString()}</td>
-            <td>${row.field1?.toFixed(1) || '--'}</td>
-            <td>${row.field2?.toFixed(1) || '--'}</td>
-            <td>${row.field3?.toFixed(0) || '--'}</td>
-            <td>--</td>
-            <td>--</td>
-        `;
-        tbody.appendChild(tr);
+        tbody.appendChild(buildTableRow(row));
     });
 }
 
+// Device switcher
+document.getElementById('deviceSelect').addEventListener('change', (e) => {
+    selectedDevice = e.target.value;
+    localStorage.setItem('selectedDevice', selectedDevice);
+    fetchSensorData().then(fetchStats);
+    connectStream();
+});
+
+// Range picker: presets refetch immediately, custom ranges wait for Apply
+document.getElementById('rangeSelect').addEventListener('change', (e) => {
+    const isCustom = e.target.value === 'custom';
+    document.getElementById('customRange').style.display = isCustom ? 'flex' : 'none';
+    if (!isCustom) {
+        fetchSensorData();
+        fetchStats();
+    }
+});
+
+document.getElementById('applyRangeBtn').addEventListener('click', () => {
+    fetchSensorData();
+    fetchStats();
+});
+
+document.getElementById('intervalSelect').addEventListener('change', () => {
+    fetchSensorData();
+});
+
+// Statistics field picker starts from the field's configured limit
+document.getElementById('statsField').addEventListener('change', (e) => {
+    statsField = e.target.value;
+    const field = fieldSchema.find(f => f.field === statsField);
+    document.getElementById('statsLimit').value = field?.limit ?? '';
+    fetchStats();
+});
+
+document.getElementById('statsLimit').addEventListener('change', () => {
+    fetchStats();
+});
+
+// Download raw readings for the selected device and range
+document.getElementById('exportBtn').addEventListener('click', () => {
+    const params = new URLSearchParams(buildSensorQuery());
+    params.delete('interval');
+    params.set('format', document.getElementById('exportFormat').value);
+    if (fieldSchema.length > 0) {
+        params.set('fields', fieldSchema.map(f => f.field).join(','));
+    }
+    window.location.href = `/api/sensors/export?${params}`;
+});
+
 // Logout
 document.getElementById('logoutBtn').addEventListener('click', async () => {
     try {
@@ -242,14 +825,28 @@ document.getElementById('logoutBtn').addEventListener('click', async () => {
     }
 });
 
+// Alerts button
+document.getElementById('alertsBtn').addEventListener('click', () => {
+    window.location.href = 'alerts.html';
+});
+
 // Admin button
 document.getElementById('adminBtn').addEventListener('click', () => {
     window.location.href = 'admin.html';
 });
 
+// Profile button
+document.getElementById('profileBtn').addEventListener('click', () => {
+    window.location.href = 'profile.html';
+});
+
 // Initialize
 checkAuth();
-fetchSensorData();
+fetchDevices().then(() => {
+    fetchSensorData().then(fetchStats);
+    connectStream();
+});
+fetchAlerts();
 
-// Auto-refresh every 30 seconds
-refreshInterval = setInterval(fetchSensorData, 30000);
\ No newline at end of file
+// Alerts are refreshed every 30 seconds; readings arrive over the stream
+setInterval(fetchAlerts, 30000);
\ No newline at end of file
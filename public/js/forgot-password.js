@@ -0,0 +1,39 @@
+// forgot-password.js - Request a password reset link
+
+document.getElementById('forgotPasswordForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const email = document.getElementById('email').value;
+    const errorDiv = document.getElementById('errorMessage');
+    const successDiv = document.getElementById('successMessage');
+    
+    // Clear previous messages
+    errorDiv.textContent = '';
+    errorDiv.classList.remove('show');
+    successDiv.textContent = '';
+    successDiv.classList.remove('show');
+    
+    try {
+        const response = await fetch('/api/password-reset/request', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ email })
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            successDiv.textContent = data.message;
+            successDiv.classList.add('show');
+        } else {
+            errorDiv.textContent = data.error || 'Failed to send reset link. Please try again.';
+            errorDiv.classList.add('show');
+        }
+    } catch (error) {
+        console.error('Password reset request error:', error);
+        errorDiv.textContent = 'Network error. Please check your connection.';
+        errorDiv.classList.add('show');
+    }
+});
@@ -1,15 +1,34 @@
 // login.js - Handle user login
 
+// Where to go once logged in: admins who must set up two-factor
+// authentication are sent to their profile first
+function finishLogin(data) {
+    window.location.href = data.two_factor_setup_required ? 'profile.html' : 'dashboard.html';
+}
+
+// Switch between the password form and the authentication code form
+function showTwoFactorStep(show) {
+    document.getElementById('loginForm').style.display = show ? 'none' : '';
+    document.getElementById('twoFactorForm').style.display = show ? '' : 'none';
+    document.getElementById('twoFactorCode').value = '';
+    document.getElementById('twoFactorError').classList.remove('show');
+    if (show) document.getElementById('twoFactorCode').focus();
+}
+
 document.getElementById('loginForm').addEventListener('submit', async (e) => {
     e.preventDefault();
     
     const email = document.getElementById('email').value;
     const password = document.getElementById('password').value;
     const errorDiv = document.getElementById('errorMessage');
+    const successDiv = document.getElementById('successMessage');
+    const resendBtn = document.getElementById('resendVerificationBtn');
     
-    // Clear previous errors
+    // Clear previous messages
     errorDiv.textContent = '';
     errorDiv.classList.remove('show');
+    successDiv.classList.remove('show');
+    resendBtn.style.display = 'none';
     
     try {
         const response = await fetch('/api/login', {
@@ -22,17 +41,104 @@ document.getElementById('loginForm').addEventListener('submit', async (e) => {
         
         const data = await response.json();
         
-        if (response.ok) {
+        if (response.ok && data.two_factor_required) {
+            showTwoFactorStep(true);
+        } else if (response.ok) {
             // Login successful, redirect to dashboard
-            window.location.href = 'dashboard.html';
+            finishLogin(data);
         } else {
             // Show error message
             errorDiv.textContent = data.error || 'Login failed. Please try again.';
             errorDiv.classList.add('show');
+            
+            // Unverified accounts can ask for a new verification link
+            if (data.unverified) {
+                resendBtn.style.display = 'block';
+            }
         }
     } catch (error) {
         console.error('Login error:', error);
         errorDiv.textContent = 'Network error. Please check your connection.';
         errorDiv.classList.add('show');
     }
+});
+
+// Second login step: authenticator or recovery code
+document.getElementById('twoFactorForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const code = document.getElementById('twoFactorCode').value.trim();
+    const errorDiv = document.getElementById('twoFactorError');
+    errorDiv.classList.remove('show');
+    
+    try {
+        const response = await fetch('/api/login/2fa', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ code })
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            finishLogin(data);
+            return;
+        }
+        
+        // Expired or locked out: start again from the password
+        if (data.expired || response.status === 429) {
+            showTwoFactorStep(false);
+            const loginError = document.getElementById('errorMessage');
+            loginError.textContent = data.error;
+            loginError.classList.add('show');
+            return;
+        }
+        
+        errorDiv.textContent = data.error || 'Verification failed. Please try again.';
+        errorDiv.classList.add('show');
+        document.getElementById('twoFactorCode').select();
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        errorDiv.textContent = 'Network error. Please check your connection.';
+        errorDiv.classList.add('show');
+    }
+});
+
+document.getElementById('twoFactorCancelBtn').addEventListener('click', () => {
+    showTwoFactorStep(false);
+});
+
+// Resend the email verification link
+document.getElementById('resendVerificationBtn').addEventListener('click', async () => {
+    const email = document.getElementById('email').value;
+    const errorDiv = document.getElementById('errorMessage');
+    const successDiv = document.getElementById('successMessage');
+    
+    try {
+        const response = await fetch('/api/verify-email/resend', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ email })
+        });
+        
+        const data = await response.json();
+        
+        errorDiv.classList.remove('show');
+        if (response.ok) {
+            successDiv.textContent = data.message;
+            successDiv.classList.add('show');
+            document.getElementById('resendVerificationBtn').style.display = 'none';
+        } else {
+            errorDiv.textContent = data.error || 'Failed to send verification email.';
+            errorDiv.classList.add('show');
+        }
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        errorDiv.textContent = 'Network error. Please check your connection.';
+        errorDiv.classList.add('show');
+    }
 });
\ No newline at end of file
@@ -0,0 +1,526 @@
+// profile.js - Account settings for the logged-in user
+
+let currentUser = null;
+
+// Check authentication and show the admin panel button where it applies
+async function checkAuth() {
+    try {
+        const response = await fetch('/api/check-auth');
+        const data = await response.json();
+        
+        if (!response.ok || !data.authenticated) {
+            window.location.href = 'index.html';
+            return false;
+        }
+        
+        currentUser = data.user;
+        document.getElementById('userName').textContent = currentUser.name;
+        
+        if (['operator', 'admin'].includes(currentUser.role)) {
+            document.getElementById('adminBtn').style.display = 'inline-block';
+        }
+        updateTokenScopes();
+        return true;
+    } catch (error) {
+        console.error('Auth check failed:', error);
+        window.location.href = 'index.html';
+        return false;
+    }
+}
+
+function showMessage(id, message) {
+    const div = document.getElementById(id);
+    div.textContent = message;
+    div.classList.toggle('show', Boolean(message));
+}
+
+// Load the account details
+async function fetchProfile() {
+    try {
+        const response = await fetch('/api/me');
+        const profile = await response.json();
+        
+        if (response.ok) {
+            document.getElementById('profileRole').textContent = profile.role;
+            document.getElementById('profileName').value = profile.name;
+            document.getElementById('profileEmail').value = profile.email;
+        }
+    } catch (error) {
+        console.error('Failed to fetch profile:', error);
+    }
+}
+
+// Send an account change and show the result
+async function updateAccount(url, method, body) {
+    showMessage('accountError', '');
+    showMessage('accountMessage', '');
+    
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showMessage('accountError', data.error || 'Failed to update your account');
+            return null;
+        }
+        showMessage('accountMessage', data.message);
+        return data;
+    } catch (error) {
+        showMessage('accountError', 'Network error. Please try again.');
+        return null;
+    }
+}
+
+document.getElementById('nameForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const data = await updateAccount('/api/me', 'PUT', { name: document.getElementById('profileName').value });
+    if (data) {
+        currentUser.name = data.name;
+        document.getElementById('userName').textContent = data.name;
+    }
+});
+
+document.getElementById('emailForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const passwordInput = document.getElementById('emailPassword');
+    const data = await updateAccount('/api/me/email', 'PUT', {
+        email: document.getElementById('profileEmail').value,
+        password: passwordInput.value
+    });
+    if (data) {
+        passwordInput.value = '';
+        document.getElementById('profileEmail').value = currentUser.email;
+    }
+});
+
+document.getElementById('passwordForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const password = document.getElementById('newPassword').value;
+    if (password !== document.getElementById('confirmNewPassword').value) {
+        showMessage('accountMessage', '');
+        showMessage('accountError', 'New passwords do not match');
+        return;
+    }
+    
+    const data = await updateAccount('/api/me/password', 'PUT', {
+        current_password: document.getElementById('currentPassword').value,
+        password
+    });
+    if (data) {
+        document.getElementById('passwordForm').reset();
+        fetchSessions();
+        fetchTokens();
+    }
+});
+
+// Delete the account and leave
+document.getElementById('deleteAccountForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    showMessage('deleteAccountError', '');
+    
+    if (!confirm('Delete your account? This cannot be undone.')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/me', {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: document.getElementById('deletePassword').value })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showMessage('deleteAccountError', data.error || 'Failed to delete your account');
+            return;
+        }
+        window.location.href = 'index.html';
+    } catch (error) {
+        showMessage('deleteAccountError', 'Network error. Please try again.');
+    }
+});
+
+// Show one of the two-factor panels (off, setup, recovery codes, on)
+function showTwoFactorPanel(panel) {
+    ['twoFactorOff', 'twoFactorSetup', 'recoveryCodesPanel', 'twoFactorOn'].forEach(id => {
+        document.getElementById(id).style.display = id === panel ? 'block' : 'none';
+    });
+}
+
+// Load two-factor status
+async function fetchTwoFactor() {
+    try {
+        const response = await fetch('/api/2fa');
+        const data = await response.json();
+        
+        if (response.ok) {
+            updateTwoFactor(data);
+        }
+    } catch (error) {
+        console.error('Failed to fetch two-factor status:', error);
+    }
+}
+
+function updateTwoFactor(status) {
+    const badge = document.getElementById('twoFactorState');
+    const state = status.enabled ? 'enabled' : 'disabled';
+    badge.textContent = state;
+    badge.className = `state-badge state-${state}`;
+    
+    document.getElementById('twoFactorRequired').classList.toggle('show', status.required && !status.enabled);
+    document.getElementById('recoveryCodesLeft').textContent = status.recovery_codes_left;
+    showTwoFactorPanel(status.enabled ? 'twoFactorOn' : 'twoFactorOff');
+}
+
+// Recovery codes are listed once, right after they are generated
+function showRecoveryCodes(codes) {
+    const list = document.getElementById('recoveryCodes');
+    list.innerHTML = '';
+    codes.forEach(code => {
+        const item = document.createElement('li');
+        item.textContent = code;
+        list.appendChild(item);
+    });
+    showTwoFactorPanel('recoveryCodesPanel');
+}
+
+// Start enrollment: show the QR code and key for the authenticator app
+document.getElementById('startSetupBtn').addEventListener('click', async () => {
+    showMessage('twoFactorError', '');
+    showMessage('twoFactorMessage', '');
+    
+    try {
+        const response = await fetch('/api/2fa/setup', { method: 'POST' });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showMessage('twoFactorError', data.error || 'Failed to start setup');
+            return;
+        }
+        
+        const qrContainer = document.getElementById('totpQr');
+        if (typeof qrcode === 'function') {
+            const qr = qrcode(0, 'M');
+            qr.addData(data.uri);
+            qr.make();
+            qrContainer.innerHTML = qr.createSvgTag(4, 8);
+        } else {
+            // QR library unavailable (e.g. offline): the key can still be typed in
+            qrContainer.textContent = 'QR code unavailable. Enter the setup key instead.';
+        }
+        document.getElementById('totpSecret').textContent = data.secret.match(/.{1,4}/g).join(' ');
+        document.getElementById('enableCode').value = '';
+        showTwoFactorPanel('twoFactorSetup');
+        document.getElementById('enableCode').focus();
+    } catch (error) {
+        showMessage('twoFactorError', 'Network error. Please try again.');
+    }
+});
+
+document.getElementById('cancelSetupBtn').addEventListener('click', () => {
+    showMessage('twoFactorError', '');
+    fetchTwoFactor();
+});
+
+// Confirm a code from the app to finish enrollment
+document.getElementById('enableTwoFactorForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    showMessage('twoFactorError', '');
+    
+    try {
+        const response = await fetch('/api/2fa/enable', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code: document.getElementById('enableCode').value })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showMessage('twoFactorError', data.error || 'Failed to enable two-factor authentication');
+            return;
+        }
+        
+        document.getElementById('twoFactorRequired').classList.remove('show');
+        showMessage('twoFactorMessage', data.message);
+        showRecoveryCodes(data.recovery_codes);
+    } catch (error) {
+        showMessage('twoFactorError', 'Network error. Please try again.');
+    }
+});
+
+document.getElementById('recoveryDoneBtn').addEventListener('click', () => {
+    showMessage('twoFactorMessage', '');
+    fetchTwoFactor();
+});
+
+// Replace the recovery codes
+document.getElementById('manageTwoFactorForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    showMessage('twoFactorError', '');
+    showMessage('twoFactorMessage', '');
+    
+    const passwordInput = document.getElementById('manageTwoFactorPassword');
+    try {
+        const response = await fetch('/api/2fa/recovery-codes', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: passwordInput.value })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showMessage('twoFactorError', data.error || 'Failed to generate recovery codes');
+            return;
+        }
+        
+        passwordInput.value = '';
+        showMessage('twoFactorMessage', data.message);
+        showRecoveryCodes(data.recovery_codes);
+    } catch (error) {
+        showMessage('twoFactorError', 'Network error. Please try again.');
+    }
+});
+
+// Turn two-factor authentication off
+document.getElementById('disableTwoFactorBtn').addEventListener('click', async () => {
+    showMessage('twoFactorError', '');
+    showMessage('twoFactorMessage', '');
+    
+    const passwordInput = document.getElementById('manageTwoFactorPassword');
+    if (!passwordInput.value) {
+        showMessage('twoFactorError', 'Enter your current password to turn off two-factor authentication');
+        return;
+    }
+    if (!confirm('Turn off two-factor authentication? Your account will be protected by your password only.')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/2fa/disable', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: passwordInput.value })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showMessage('twoFactorError', data.error || 'Failed to turn off two-factor authentication');
+            return;
+        }
+        
+        passwordInput.value = '';
+        showMessage('twoFactorMessage', data.message);
+        fetchTwoFactor();
+    } catch (error) {
+        showMessage('twoFactorError', 'Network error. Please try again.');
+    }
+});
+
+// Load where the user is logged in
+async function fetchSessions() {
+    try {
+        const response = await fetch('/api/sessions');
+        const sessions = await response.json();
+        
+        if (response.ok) {
+            updateSessionsTable(sessions);
+        }
+    } catch (error) {
+        console.error('Failed to fetch sessions:', error);
+    }
+}
+
+function updateSessionsTable(sessions) {
+    const tbody = document.getElementById('sessionsTableBody');
+    tbody.innerHTML = '';
+    
+    sessions.forEach(session => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td class="user-agent"></td>
+            <td>${session.ip || '--'}</td>
+            <td>${new Date(session.created_at).toLocaleString()}</td>
+            <td>${new Date(session.last_seen_at).toLocaleString()}</td>
+            <td>
+                ${session.current
+                    ? '<span class="state-badge state-enabled">this device</span>'
+                    : `<button class="btn btn-danger btn-sm" onclick="endSession('${session.id}')">Log Out</button>`}
+            </td>
+        `;
+        tr.querySelector('.user-agent').textContent = session.user_agent || 'Unknown';
+        tbody.appendChild(tr);
+    });
+}
+
+// Send a session change and show the result
+async function endSessions(url) {
+    showMessage('sessionsError', '');
+    showMessage('sessionsMessage', '');
+    
+    try {
+        const response = await fetch(url, { method: 'DELETE' });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showMessage('sessionsError', data.error || 'Failed to log out');
+            return;
+        }
+        showMessage('sessionsMessage', data.message);
+        fetchSessions();
+    } catch (error) {
+        showMessage('sessionsError', 'Network error. Please try again.');
+    }
+}
+
+window.endSession = function(id) {
+    endSessions(`/api/sessions/${id}`);
+};
+
+document.getElementById('endOtherSessionsBtn').addEventListener('click', () => {
+    endSessions('/api/sessions');
+});
+
+// Offer only the token scopes the user's role can use
+function updateTokenScopes() {
+    const allowed = {
+        read: true,
+        export: currentUser.role !== 'viewer',
+        admin: ['operator', 'admin'].includes(currentUser.role)
+    };
+    document.querySelectorAll('#tokenScopes input').forEach(input => {
+        input.parentElement.style.display = allowed[input.value] ? '' : 'none';
+        if (!allowed[input.value]) input.checked = false;
+    });
+}
+
+// Load the user's API tokens
+async function fetchTokens() {
+    try {
+        const response = await fetch('/api/tokens');
+        const tokens = await response.json();
+        
+        if (response.ok) {
+            updateTokensTable(tokens);
+        }
+    } catch (error) {
+        console.error('Failed to fetch API tokens:', error);
+    }
+}
+
+function updateTokensTable(tokens) {
+    const tbody = document.getElementById('tokensTableBody');
+    tbody.innerHTML = '';
+    
+    if (tokens.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-row">No API tokens</td></tr>';
+        return;
+    }
+    
+    tokens.forEach(token => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td class="token-name"></td>
+            <td><code>${token.prefix}…</code></td>
+            <td>${token.scopes.join(', ')}</td>
+            <td>${new Date(token.created_at).toLocaleString()}</td>
+            <td>${token.last_used_at ? `${new Date(token.last_used_at).toLocaleString()} (${token.last_used_ip})` : 'Never'}</td>
+            <td>
+                <button class="btn btn-danger btn-sm" onclick="revokeToken('${token.id}')">
+                    Revoke
+                </button>
+            </td>
+        `;
+        tr.querySelector('.token-name').textContent = token.name;
+        tbody.appendChild(tr);
+    });
+}
+
+// Create a token and show it once
+document.getElementById('tokenForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    showMessage('tokenError', '');
+    showMessage('tokenMessage', '');
+    
+    const scopes = [...document.querySelectorAll('#tokenScopes input:checked')].map(input => input.value);
+    try {
+        const response = await fetch('/api/tokens/add', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: document.getElementById('tokenName').value, scopes })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showMessage('tokenError', data.error || 'Failed to create API token');
+            return;
+        }
+        
+        document.getElementById('tokenName').value = '';
+        document.getElementById('newToken').textContent = data.token;
+        document.getElementById('newTokenPanel').style.display = 'block';
+        fetchTokens();
+    } catch (error) {
+        showMessage('tokenError', 'Network error. Please try again.');
+    }
+});
+
+document.getElementById('newTokenDoneBtn').addEventListener('click', () => {
+    document.getElementById('newToken').textContent = '';
+    document.getElementById('newTokenPanel').style.display = 'none';
+});
+
+// Revoke a token
+window.revokeToken = async function(id) {
+    if (!confirm('Revoke this API token? Anything using it will stop working.')) {
+        return;
+    }
+    showMessage('tokenError', '');
+    showMessage('tokenMessage', '');
+    
+    try {
+        const response = await fetch(`/api/tokens/${id}`, { method: 'DELETE' });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showMessage('tokenError', data.error || 'Failed to revoke API token');
+            return;
+        }
+        
+        showMessage('tokenMessage', data.message);
+        fetchTokens();
+    } catch (error) {
+        showMessage('tokenError', 'Network error. Please try again.');
+    }
+};
+
+// Navigation
+document.getElementById('dashboardBtn').addEventListener('click', () => {
+    window.location.href = 'dashboard.html';
+});
+
+document.getElementById('adminBtn').addEventListener('click', () => {
+    window.location.href = 'admin.html';
+});
+
+document.getElementById('logoutBtn').addEventListener('click', async () => {
+    try {
+        await fetch('/api/logout');
+        window.location.href = 'index.html';
+    } catch (error) {
+        console.error('Logout failed:', error);
+    }
+});
+
+// Initialize
+checkAuth().then(authenticated => {
+    if (authenticated) {
+        fetchProfile();
+        fetchTwoFactor();
+        fetchSessions();
+        fetchTokens();
+    }
+});
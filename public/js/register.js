@@ -42,14 +42,10 @@ document.getElementById('registerForm').addEventListener('submit', async (e) =>
         const data = await response.json();
         
         if (response.ok) {
-            // Registration successful
-            successDiv.textContent = 'Registration successful! Redirecting to login...';
+            // Registration successful; the account is usable once the email is verified
+            successDiv.textContent = data.message;
             successDiv.classList.add('show');
-            
-            // Redirect to login page after 2 seconds
-            setTimeout(() => {
-                window.location.href = 'index.html';
-            }, 2000);
+            document.getElementById('registerForm').reset();
         } else {
             // Show error message
             errorDiv.textContent = data.error || 'Registration failed. Please try again.';
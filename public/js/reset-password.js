@@ -0,0 +1,60 @@
+// reset-password.js - Set a new password from an emailed reset link
+
+const token = new URLSearchParams(window.location.search).get('token');
+
+if (!token) {
+    const errorDiv = document.getElementById('errorMessage');
+    errorDiv.textContent = 'This reset link is incomplete. Please request a new one.';
+    errorDiv.classList.add('show');
+}
+
+document.getElementById('resetPasswordForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const password = document.getElementById('password').value;
+    const confirmPassword = document.getElementById('confirmPassword').value;
+    const errorDiv = document.getElementById('errorMessage');
+    const successDiv = document.getElementById('successMessage');
+    
+    // Clear previous messages
+    errorDiv.textContent = '';
+    errorDiv.classList.remove('show');
+    successDiv.textContent = '';
+    successDiv.classList.remove('show');
+    
+    // Validate passwords match
+    if (password !== confirmPassword) {
+        errorDiv.textContent = 'Passwords do not match!';
+        errorDiv.classList.add('show');
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/password-reset', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ token, password })
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            successDiv.textContent = `${data.message} Redirecting to login...`;
+            successDiv.classList.add('show');
+            
+            // Redirect to login page after 2 seconds
+            setTimeout(() => {
+                window.location.href = 'index.html';
+            }, 2000);
+        } else {
+            errorDiv.textContent = data.error || 'Password reset failed. Please try again.';
+            errorDiv.classList.add('show');
+        }
+    } catch (error) {
+        console.error('Password reset error:', error);
+        errorDiv.textContent = 'Network error. Please check your connection.';
+        errorDiv.classList.add('show');
+    }
+});
@@ -0,0 +1,37 @@
+// verify-email.js - Confirm an email address from an emailed verification link
+
+async function verifyEmail() {
+    const token = new URLSearchParams(window.location.search).get('token');
+    const status = document.getElementById('verifyStatus');
+    const errorDiv = document.getElementById('errorMessage');
+    const successDiv = document.getElementById('successMessage');
+    
+    try {
+        const response = await fetch('/api/verify-email', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ token })
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            status.textContent = 'Email verified';
+            successDiv.textContent = data.message;
+            successDiv.classList.add('show');
+        } else {
+            status.textContent = 'Verification failed';
+            errorDiv.textContent = `${data.error || 'Verification failed.'} You can request a new link from the login page.`;
+            errorDiv.classList.add('show');
+        }
+    } catch (error) {
+        console.error('Email verification error:', error);
+        status.textContent = 'Verification failed';
+        errorDiv.textContent = 'Network error. Please check your connection.';
+        errorDiv.classList.add('show');
+    }
+}
+
+verifyEmail();
@@ -0,0 +1,45 @@
+// migrate-csv-to-sqlite.js - Import the data/*.csv files into the SQLite store
+//
+// Usage: npm run migrate [-- --force]
+//   SQLITE_FILE  target database (default data/iotair.db)
+//   --force      replace tables that already contain rows
+//
+// Afterwards start the server with STORAGE_BACKEND=sqlite.
+
+const { createStorage, DEFAULT_DATA_DIR } = require('../storage');
+const { COLLECTIONS } = require('../storage/collections');
+
+async function migrate() {
+    const force = process.argv.includes('--force');
+    const source = createStorage({ backend: 'csv', dataDir: DEFAULT_DATA_DIR });
+    const target = createStorage({ backend: 'sqlite', dataDir: DEFAULT_DATA_DIR });
+    
+    console.log(`📦 Migrating ${source.location} → ${target.location}`);
+    
+    // Upgrade the CSV files to the current columns first so every row maps cleanly
+    await source.init();
+    await target.init();
+    
+    for (const name of Object.keys(COLLECTIONS)) {
+        const existing = await target.count(name);
+        if (existing > 0 && !force) {
+            console.log(`⚠️  Skipping ${name}: table already has ${existing} rows (use --force to replace)`);
+            continue;
+        }
+        if (existing > 0) {
+            await target.remove(name, {});
+        }
+        
+        const rows = await source.list(name);
+        await target.insertMany(name, rows);
+        console.log(`✅ Imported ${rows.length} ${name} rows`);
+    }
+    
+    target.close();
+    console.log('🎉 Migration complete. Start the server with STORAGE_BACKEND=sqlite');
+}
+
+migrate().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -3,87 +3,685 @@
 const express = require('express');
 const session = require('express-session');
 const bcrypt = require('bcrypt');
-const fs = require('fs').promises;
-const fsSync = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const Papa = require('papaparse');
+const { createStorage } = require('./storage');
+const { FEED_FIELDS } = require('./storage/collections');
+const { createAlertEngine, RULE_TYPES, OPERATORS } = require('./lib/alerts');
+const { createNotifier, decodeChannel, parseChannel, CHANNEL_TYPES } = require('./lib/notifications');
+const { createMqttIngest, identifyDevice } = require('./lib/mqtt-ingest');
+const {
+    IMPORT_TARGETS,
+    PREVIEW_ROWS,
+    parseImportCsv,
+    suggestMapping,
+    parseMapping,
+    buildImportRows
+} = require('./lib/feed-import');
+const { computeAqi } = require('./lib/aqi');
+const { createQualityChecker, encodeFlags, flagHistory, calibrate, toReading } = require('./lib/quality');
+const { fieldStats } = require('./lib/stats');
+const { parsePolicy, readRollups, createRetentionJob } = require('./lib/retention');
+const { createTokenSigner, fingerprint } = require('./lib/tokens');
+const { createMailer } = require('./lib/mailer');
+const { createLoginGuard } = require('./lib/login-guard');
+const { createAuditLog, MAX_PAGE_SIZE: MAX_AUDIT_PAGE_SIZE } = require('./lib/audit');
+const { generateSecret, verifyCode, provisioningUri, generateRecoveryCodes, useRecoveryCode } = require('./lib/totp');
+const { createApiTokenStore, parseTokenInput, requiredScope } = require('./lib/api-tokens');
+const { createSessionStore, publicId } = require('./lib/session-store');
+const { validate, describeFields, errorBody } = require('./lib/validate');
+const { createApiDescription } = require('./lib/openapi');
+const { createMetrics } = require('./lib/metrics');
+const { createSettings } = require('./lib/settings');
+const { version: APP_VERSION } = require('./package.json');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const SESSION_SECRET = process.env.SESSION_SECRET || 'air-quality-secret-key-change-in-production';
+// Base URL used in links sent by email
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+// When set, /metrics requires "Authorization: Bearer <METRICS_TOKEN>"
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+// Health checks and metric scrapes arrive every few seconds, so are not logged
+const QUIET_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1" or "loopback") so req.ip
+// is the client's address, which login rate limiting depends on
+if (process.env.TRUST_PROXY) {
+    const trust = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trust) ? parseInt(trust, 10) : trust === 'true' ? true : trust);
+}
+
+// Prometheus metrics served at /metrics
+const metrics = createMetrics();
+
+// Count and time every request by route. API requests are labelled with the
+// API description's path, found up front so responses sent by middleware
+// (validation errors, token and login checks) are counted under their route;
+// versioned requests are counted apart from their unversioned aliases. Other
+// requests use the matched route, "static" for public files or "unmatched".
+app.use((req, res, next) => {
+    const start = process.hrtime.bigint();
+    const versioned = /^\/api\/v1(\/|$)/.test(req.path);
+    const apiPath = versioned ? req.path.replace(/^\/api\/v1/, '/api') : req.path;
+    const apiRoute = apiPath.startsWith('/api/') ? apiDescription.findRoute(req.method, apiPath) : null;
+    
+    let observed = false;
+    const observe = () => {
+        if (observed) return;
+        observed = true;
+        let route;
+        if (apiPath.startsWith('/api/')) {
+            route = apiRoute ? `${versioned ? '/api/v1' : '/api'}${apiRoute.path}` : 'unmatched';
+        } else {
+            route = req.route ? req.route.path : res.locals.staticFile ? 'static' : 'unmatched';
+        }
+        metrics.observeRequest({
+            method: req.method,
+            route,
+            status: res.statusCode,
+            seconds: Number(process.hrtime.bigint() - start) / 1e9
+        });
+    };
+    res.once('finish', observe);
+    res.once('close', observe);
+    next();
+});
+
+// Version 1 of the API lives under /api/v1 and is served by the /api routes
+// below; the unversioned paths remain as aliases for existing clients. Errors
+// on versioned paths are { error: { code, message, fields } }.
+app.use((req, res, next) => {
+    if (!/^\/api\/v1(\/|$)/.test(req.path)) return next();
+    req.url = req.url.replace(/^\/api\/v1/, '/api');
+    req.apiVersion = 1;
+    
+    const json = res.json.bind(res);
+    res.json = body => json(res.statusCode >= 400 ? errorBody(res.statusCode, body) : body);
+    next();
+});
 
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from 'public' directory
-app.use(express.static(path.join(__dirname, 'public')));
+app.use(express.static(path.join(__dirname, 'public'), {
+    setHeaders: res => { res.locals.staticFile = true; }
+}));
+
+// Data store: CSV files in data/ by default, or SQLite with STORAGE_BACKEND=sqlite
+const storage = createStorage();
+
+// Sessions are kept in the data store so they survive restarts. They end after
+// SESSION_IDLE_MINUTES without activity or SESSION_MAX_HOURS after login.
+const SESSION_IDLE_TIMEOUT = (parseInt(process.env.SESSION_IDLE_MINUTES, 10) || 8 * 60) * 60 * 1000;
+const SESSION_ABSOLUTE_TIMEOUT = (parseInt(process.env.SESSION_MAX_HOURS, 10) || 24) * 60 * 60 * 1000;
+const sessionStore = createSessionStore({
+    storage,
+    idleTimeout: SESSION_IDLE_TIMEOUT,
+    absoluteTimeout: SESSION_ABSOLUTE_TIMEOUT
+});
 
-// Session configuration
-app.use(session({
-    secret: process.env.SESSION_SECRET || 'air-quality-secret-key-change-in-production',
+// Session configuration. Requests carrying an API token skip the session
+// store; authenticateApiToken gives them a per-request session instead.
+const sessionMiddleware = session({
+    secret: SESSION_SECRET,
+    store: sessionStore,
     resave: false,
     saveUninitialized: false,
     cookie: { 
         secure: false, // Set to true if using HTTPS
         httpOnly: true,
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
+        maxAge: SESSION_ABSOLUTE_TIMEOUT
     }
-}));
+});
+app.use((req, res, next) => {
+    if (bearerToken(req) !== null) return next();
+    sessionMiddleware(req, res, next);
+});
 
 // Logging middleware
 app.use((req, res, next) => {
+    if (QUIET_PATHS.includes(req.path)) return next();
     console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
     next();
 });
 
-// File paths
-const USERS_CSV = path.join(__dirname, 'data', 'users.csv');
-const FEEDS_CSV = path.join(__dirname, 'data', 'feeds.csv');
+app.use(authenticateApiToken);
+app.use(validateRequest);
 
-// Ensure data directory exists
-const dataDir = path.join(__dirname, 'data');
-if (!fsSync.existsSync(dataDir)) {
-    fsSync.mkdirSync(dataDir, { recursive: true });
-    console.log('✅ Created data directory');
-}
+// Alert rules are evaluated against every ingested reading; state changes go out
+// through the configured notification channels
+const notifier = createNotifier({ storage });
+const alertEngine = createAlertEngine({
+    storage,
+    onChange: (alert, rule) => {
+        notifier.notify(alert, rule).catch(error => {
+            console.error('❌ Error sending notifications:', error);
+        });
+    }
+});
+
+// Incoming readings are checked for implausible, spiking or stuck values
+const qualityChecker = createQualityChecker({ storage });
+
+// Account emails: SMTP when SMTP_HOST is set, otherwise logged to the console
+const mailer = createMailer({
+    host: process.env.SMTP_HOST,
+    port: process.env.SMTP_PORT,
+    secure: process.env.SMTP_SECURE,
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.MAIL_FROM
+});
+
+// Email verification and password reset links
+const tokens = createTokenSigner(process.env.TOKEN_SECRET || SESSION_SECRET);
+const VERIFY_TOKEN_TTL = 24 * 60 * 60 * 1000;
+const RESET_TOKEN_TTL = 60 * 60 * 1000;
+
+// Failed logins are rate limited per IP and lock accounts progressively;
+// every attempt is recorded for the admin panel
+const loginGuard = createLoginGuard({ storage });
+// Login attempts returned by the admin activity view
+const DEFAULT_LOGIN_ACTIVITY_LIMIT = 100;
+const MAX_LOGIN_ACTIVITY_LIMIT = 1000;
+
+// App-wide settings (security and retention policies) kept in the data store
+const settings = createSettings({ storage });
+
+// Changes made through the admin API are recorded in an append-only audit log
+const auditLog = createAuditLog({ storage });
+
+// Personal API tokens let scripts and dashboards call the API without a session
+const apiTokens = createApiTokenStore({ storage });
+// Signing in and managing account security need a real session
+const SESSION_ONLY_ROUTES = /^\/api\/(login|logout|2fa|tokens|me|sessions)(\/|$)/;
+
+// Two-factor authentication: name shown in authenticator apps, and how long a
+// login may wait between the password and the code
+const TOTP_ISSUER = 'Air Quality Monitor';
+const PENDING_LOGIN_TTL = 5 * 60 * 1000;
+const DEFAULT_SECURITY_POLICY = { require_admin_2fa: false };
+// User columns cleared when two-factor authentication is turned off
+const TWO_FACTOR_RESET = { totp_secret: '', totp_last_step: '', recovery_codes: '' };
+
+// Rolls old raw readings into hourly/daily aggregates per the admin's policy
+const retentionJob = createRetentionJob({
+    storage,
+    onRawRemoved: deviceIds => deviceIds.forEach(id => qualityChecker.reset(id))
+});
+
+// Optional MQTT ingestion, enabled by setting MQTT_URL
+const mqttIngest = createMqttIngest({
+    url: process.env.MQTT_URL,
+    topics: process.env.MQTT_TOPICS ? process.env.MQTT_TOPICS.split(',').map(t => t.trim()).filter(Boolean) : undefined,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    clientId: process.env.MQTT_CLIENT_ID,
+    onReading: reading => ingestMqttReading(reading)
+});
+
+const DEFAULT_DEVICE_ID = 'device-1';
+
+// Roles from least to most privileged: viewers only look at dashboards and
+// alerts, users can also export data, operators acknowledge alerts and manage
+// devices, and admins manage everything
+const ROLES = ['viewer', 'user', 'operator', 'admin'];
+
+// History query limits for /api/sensors
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 10000;
+const RECENT_LIMIT = 10;
+const INTERVAL_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Export formats for /api/sensors/export
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+// Readings read from storage and written per chunk while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
+// Routes of the versioned API with their input schemas, published as OpenAPI
+const apiDescription = createApiDescription({
+    version: APP_VERSION,
+    roles: ROLES,
+    maxHistoryLimit: MAX_HISTORY_LIMIT,
+    exportFormats: EXPORT_FORMATS,
+    isSessionOnly: path => SESSION_ONLY_ROUTES.test(path),
+    scopeFor: requiredScope
+});
+
+// Largest CSV accepted by the admin import
+const IMPORT_MAX_SIZE = '20mb';
+
+// Comment lines sent on idle /api/stream connections so proxies keep them open
+const STREAM_HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Every stored reading is published here for /api/stream subscribers
+const readingEvents = new EventEmitter();
+readingEvents.setMaxListeners(0);
+
+// Field schema used by devices that have no entries in the fields collection.
+// min/max is the plausible range and max_step the largest believable change
+// between consecutive readings; gain/offset calibrate raw values. limit is the
+// level whose hourly exceedances are counted in statistics (PM2.5 uses the
+// US EPA 24-hour standard).
+const DEFAULT_FIELD_SCHEMA = [
+    { field: 'field1', name: 'Temperature', unit: '°C', precision: 1, min: -40, max: 85, color: '#ef4444', max_step: 10, gain: 1, offset: 0, limit: null },
+    { field: 'field2', name: 'Humidity', unit: '%', precision: 1, min: 0, max: 100, color: '#3b82f6', max_step: 25, gain: 1, offset: 0, limit: null },
+    { field: 'field3', name: 'PM2.5', unit: 'μg/m³', precision: 0, min: 0, max: 1000, color: '#f59e0b', max_step: 250, gain: 1, offset: 0, limit: 35 }
+];
 
 // ==================== HELPER FUNCTIONS ====================
 
-// Read CSV file and parse
-async function readCSV(filePath) {
-    try {
-        const fileContent = await fs.readFile(filePath, 'utf-8');
-        return new Promise((resolve, reject) => {
-            Papa.parse(fileContent, {
-                header: true,
-                skipEmptyLines: true,
-                complete: (results) => {
-                    console.log(`📖 Read ${results.data.length} rows from ${path.basename(filePath)}`);
-                    resolve(results.data);
-                },
-                error: (error) => reject(error)
-            });
-        });
+// Generate a ThingSpeak-style 16 character write API key
+function generateApiKey() {
+    return crypto.randomBytes(8).toString('hex').toUpperCase();
+}
+
+// Decode a stored device row's field mapping
+function decodeDevice(row) {
+    let fieldMap = {};
+    try {
+        fieldMap = row.field_map ? JSON.parse(row.field_map) : {};
     } catch (error) {
-        console.error(`❌ Error reading CSV file ${filePath}:`, error.message);
-        return [];
+        console.error(`❌ Invalid field_map for device ${row.id}`);
     }
+    return { ...row, field_map: fieldMap };
 }
 
-// Write CSV file
-async function writeCSV(filePath, data, headers) {
-    try {
-        const csv = Papa.unparse(data, {
-            columns: headers,
-            header: true
+// Encode a device's field mapping as JSON for storage
+function encodeDevice(device) {
+    return { ...device, field_map: JSON.stringify(device.field_map || {}) };
+}
+
+// Read all devices
+async function readDevices() {
+    return (await storage.list('devices')).map(decodeDevice);
+}
+
+// Find one device by id
+async function findDevice(id) {
+    const row = await storage.find('devices', { id });
+    return row ? decodeDevice(row) : null;
+}
+
+// Find the device that owns a write API key
+async function findDeviceByApiKey(apiKey) {
+    if (!apiKey) return null;
+    const row = await storage.find('devices', { api_key: apiKey });
+    return row ? decodeDevice(row) : null;
+}
+
+// Parse an optional numeric CSV cell, keeping blanks as null
+function parseOptionalNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// All readings for a device, oldest first. Imported history can be stored
+// after newer live readings, so the store's insertion order is not enough.
+async function readFeeds(deviceId) {
+    const feeds = await storage.list('feeds', { device_id: deviceId });
+    return feeds
+        .map(feed => ({ feed, time: new Date(feed.created_at).getTime() }))
+        .sort((a, b) => a.time - b.time)
+        .map(({ feed }) => feed);
+}
+
+// Get the field schema for a device, falling back to the default schema
+async function readFieldSchema(deviceId) {
+    const rows = await storage.list('fields', { device_id: deviceId });
+    if (rows.length === 0) return DEFAULT_FIELD_SCHEMA;
+    
+    return rows
+        .map(r => ({
+            field: r.field,
+            name: r.name,
+            unit: r.unit || '',
+            precision: parseInt(r.precision, 10) || 0,
+            min: parseOptionalNumber(r.min),
+            max: parseOptionalNumber(r.max),
+            color: r.color,
+            max_step: parseOptionalNumber(r.max_step),
+            gain: parseOptionalNumber(r.gain) ?? 1,
+            offset: parseOptionalNumber(r.offset) ?? 0,
+            limit: parseOptionalNumber(r.limit)
+        }))
+        .sort((a, b) => FEED_FIELDS.indexOf(a.field) - FEED_FIELDS.indexOf(b.field));
+}
+
+// Replace a device's field schema (an empty schema reverts to the default)
+async function writeFieldSchema(deviceId, schema) {
+    await storage.remove('fields', { device_id: deviceId });
+    await storage.insertMany('fields', schema.map(f => ({ device_id: deviceId, ...f })));
+}
+
+// Validate a field schema submitted by an admin
+function parseFieldSchema(input) {
+    if (!Array.isArray(input)) {
+        return { error: 'Field schema must be an array' };
+    }
+    
+    const schema = [];
+    for (const item of input) {
+        if (!item || !FEED_FIELDS.includes(item.field)) {
+            return { error: `Unknown field: ${item && item.field}` };
+        }
+        if (schema.some(f => f.field === item.field)) {
+            return { error: `Duplicate field: ${item.field}` };
+        }
+        if (!item.name || typeof item.name !== 'string') {
+            return { error: `Name is required for ${item.field}` };
+        }
+        
+        const precision = Number(item.precision ?? 0);
+        if (!Number.isInteger(precision) || precision < 0 || precision > 6) {
+            return { error: `Precision for ${item.field} must be a whole number from 0 to 6` };
+        }
+        
+        const min = parseOptionalNumber(item.min);
+        const max = parseOptionalNumber(item.max);
+        if (min !== null && max !== null && min >= max) {
+            return { error: `Min must be less than max for ${item.field}` };
+        }
+        
+        const color = item.color || '#64748b';
+        if (!/^#[0-9a-fA-F]{6}$/.test(color)) {
+            return { error: `Colour for ${item.field} must be a hex value like #ef4444` };
+        }
+        
+        const maxStep = parseOptionalNumber(item.max_step);
+        if (maxStep !== null && maxStep <= 0) {
+            return { error: `Max step for ${item.field} must be greater than zero` };
+        }
+        
+        const gain = parseOptionalNumber(item.gain) ?? 1;
+        const offset = parseOptionalNumber(item.offset) ?? 0;
+        if (gain === 0) {
+            return { error: `Gain for ${item.field} cannot be zero` };
+        }
+        
+        schema.push({
+            field: item.field,
+            name: item.name.trim(),
+            unit: typeof item.unit === 'string' ? item.unit.trim() : '',
+            precision,
+            min,
+            max,
+            color,
+            max_step: maxStep,
+            gain,
+            offset,
+            limit: parseOptionalNumber(item.limit)
         });
-        await fs.writeFile(filePath, csv, 'utf-8');
-        console.log(`✅ Wrote ${data.length} rows to ${path.basename(filePath)}`);
-        return true;
-    } catch (error) {
-        console.error(`❌ Error writing CSV file ${filePath}:`, error.message);
-        return false;
     }
+    
+    schema.sort((a, b) => FEED_FIELDS.indexOf(a.field) - FEED_FIELDS.indexOf(b.field));
+    return { schema };
+}
+
+// Wait until a response wants more data, or has closed because the client
+// went away (then 'drain' never comes)
+function drained(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// Parse from/to/limit/interval query parameters for sensor history
+function parseHistoryQuery(query) {
+    const range = { from: null, to: null, limit: null, interval: null, intervalMs: null };
+    
+    for (const key of ['from', 'to']) {
+        if (query[key]) {
+            const date = new Date(query[key]);
+            if (isNaN(date.getTime())) {
+                return { error: `Invalid ${key} date` };
+            }
+            range[key] = date;
+        }
+    }
+    if (range.from && range.to && range.from > range.to) {
+        return { error: 'from must be before to' };
+    }
+    
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+            return { error: `limit must be a whole number from 1 to ${MAX_HISTORY_LIMIT}` };
+        }
+        range.limit = limit;
+    } else {
+        range.limit = range.from || range.to ? MAX_HISTORY_LIMIT : DEFAULT_HISTORY_LIMIT;
+    }
+    
+    if (query.interval) {
+        const match = /^(\d+)([mhd])$/.exec(query.interval);
+        if (!match || parseInt(match[1], 10) === 0) {
+            return { error: 'interval must look like 5m, 1h or 1d' };
+        }
+        range.interval = query.interval;
+        range.intervalMs = parseInt(match[1], 10) * INTERVAL_UNITS[match[2]];
+    }
+    
+    return { range };
+}
+
+// Bucket readings into fixed intervals with min/avg/max per field, folding in
+// hourly/daily rollups of readings removed by the retention policy.
+// Each bucket keeps the average under fieldN so charts can plot it directly.
+function aggregateReadings(readings, fields, intervalMs, rollups = []) {
+    const buckets = new Map();
+    
+    function bucketFor(timestamp) {
+        const start = Math.floor(new Date(timestamp).getTime() / intervalMs) * intervalMs;
+        if (!buckets.has(start)) buckets.set(start, { count: 0, stats: {} });
+        return buckets.get(start);
+    }
+    
+    function addStats(bucket, field, { mean, min, max, count }) {
+        const stats = bucket.stats[field] || { total: 0, count: 0, min: Infinity, max: -Infinity };
+        stats.total += mean * count;
+        stats.count += count;
+        stats.min = Math.min(stats.min, min);
+        stats.max = Math.max(stats.max, max);
+        bucket.stats[field] = stats;
+    }
+    
+    readings.forEach(reading => {
+        const bucket = bucketFor(reading.timestamp);
+        bucket.count += 1;
+        fields.forEach(({ field }) => {
+            // Flagged values are left out of the bucket statistics
+            const value = reading[field];
+            if ((reading.flags && reading.flags[field]) || typeof value !== 'number' || isNaN(value)) return;
+            addStats(bucket, field, { mean: value, min: value, max: value, count: 1 });
+        });
+    });
+    
+    rollups.forEach(rollup => {
+        const bucket = bucketFor(rollup.timestamp);
+        bucket.count += rollup.count;
+        Object.entries(rollup.fields).forEach(([field, stats]) => addStats(bucket, field, stats));
+    });
+    
+    return [...buckets.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([start, { count, stats }]) => {
+            const bucket = {
+                timestamp: new Date(start).toISOString(),
+                count,
+                min: {},
+                max: {}
+            };
+            fields.forEach(({ field }) => {
+                const fieldStats = stats[field];
+                bucket[field] = fieldStats ? fieldStats.total / fieldStats.count : null;
+                bucket.min[field] = fieldStats ? fieldStats.min : null;
+                bucket.max[field] = fieldStats ? fieldStats.max : null;
+            });
+            return bucket;
+        });
+}
+
+// Validate a field mapping ({ field1: 'temperature', ... }) supplied by an admin
+function parseFieldMap(input) {
+    if (input === undefined || input === null || input === '') return { fieldMap: {} };
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Field mapping must be an object' };
+    }
+    
+    const fieldMap = {};
+    for (const [field, key] of Object.entries(input)) {
+        if (!FEED_FIELDS.includes(field)) {
+            return { error: `Unknown field in mapping: ${field}` };
+        }
+        if (typeof key !== 'string') {
+            return { error: `Mapping for ${field} must be a string` };
+        }
+        if (key.trim()) fieldMap[field] = key.trim();
+    }
+    return { fieldMap };
+}
+
+// Extract and validate field values from a request body or query string,
+// accepting the device's own payload keys as aliases for fieldN
+function parseReading(source, fieldMap = {}) {
+    const reading = {};
+    const invalid = [];
+    
+    FEED_FIELDS.forEach(field => {
+        const raw = source[field] !== undefined ? source[field] : source[fieldMap[field]];
+        if (raw === undefined || raw === null || raw === '') return;
+        
+        const value = Number(raw);
+        if (!Number.isFinite(value)) {
+            invalid.push(field);
+        } else {
+            reading[field] = value;
+        }
+    });
+    
+    if (invalid.length > 0) {
+        return { error: `Invalid numeric value for ${invalid.join(', ')}` };
+    }
+    if (Object.keys(reading).length === 0) {
+        return { error: `At least one of ${FEED_FIELDS.join(', ')} is required` };
+    }
+    return { reading };
+}
+
+// Stamp created_at, flag suspicious values and append a reading to the feeds
+// store (which assigns entry_id), then evaluate alert rules in the background
+async function appendFeed(deviceId, reading) {
+    const schema = await readFieldSchema(deviceId);
+    const flags = await qualityChecker.check(deviceId, reading, schema);
+    
+    const feed = await storage.insert('feeds', {
+        created_at: new Date().toISOString(),
+        ...reading,
+        device_id: deviceId,
+        flags: encodeFlags(flags)
+    });
+    qualityChecker.record(deviceId, feed);
+    metrics.recordReading(deviceId, toReading(feed, schema), schema);
+    
+    if (Object.keys(flags).length > 0) {
+        console.log(`🚩 Feed ${feed.entry_id} flagged: ${feed.flags}`);
+    }
+    
+    // Alert rules see calibrated values; implausible ones are left out
+    const calibrated = { ...feed };
+    schema.forEach(field => {
+        const value = calibrate(parseOptionalNumber(feed[field.field]), field);
+        calibrated[field.field] = value === null || flags[field.field] === 'range' ? '' : String(value);
+    });
+    
+    readingEvents.emit('reading', feed);
+    alertEngine.evaluateReading(calibrated).catch(error => {
+        console.error('❌ Alert evaluation failed:', error);
+    });
+    return feed;
+}
+
+// Store a reading received over MQTT from the device whose write key is in the
+// payload or the topic
+async function ingestMqttReading({ topic, wildcards, source }) {
+    const device = await identifyDevice({ wildcards, source }, findDeviceByApiKey);
+    if (!device) {
+        throw new Error('No device has the write key in this topic or payload');
+    }
+    
+    const { reading, error } = parseReading(source, device.field_map);
+    if (error) {
+        throw new Error(error);
+    }
+    
+    const feed = await appendFeed(device.id, reading);
+    console.log(`📥 Feed ${feed.entry_id} received from ${device.name} via MQTT (${topic})`);
+}
+
+// Validate an alert rule submitted by an admin
+function parseAlertRule(input) {
+    const { name, type } = input;
+    
+    if (!name) {
+        return { error: 'Rule name is required' };
+    }
+    if (!RULE_TYPES.includes(type)) {
+        return { error: `Rule type must be one of ${RULE_TYPES.join(', ')}` };
+    }
+    
+    const duration = Number(input.duration_minutes ?? 0);
+    if (!Number.isFinite(duration) || duration < 0) {
+        return { error: 'Duration must be zero or more minutes' };
+    }
+    if (type === 'no_data' && duration === 0) {
+        return { error: 'No-data rules need a duration in minutes' };
+    }
+    
+    const rule = {
+        name,
+        type,
+        device_id: input.device_id || '',
+        field: '',
+        operator: '',
+        threshold: '',
+        duration_minutes: duration,
+        enabled: input.enabled === false || input.enabled === 'false' ? 'false' : 'true'
+    };
+    
+    if (type === 'threshold') {
+        if (!FEED_FIELDS.includes(input.field)) {
+            return { error: 'A valid field is required' };
+        }
+        if (!OPERATORS[input.operator]) {
+            return { error: `Operator must be one of ${Object.keys(OPERATORS).join(' ')}` };
+        }
+        const threshold = Number(input.threshold);
+        if (input.threshold === '' || input.threshold === null || !Number.isFinite(threshold)) {
+            return { error: 'Threshold must be a number' };
+        }
+        rule.field = input.field;
+        rule.operator = input.operator;
+        rule.threshold = threshold;
+    }
+    
+    return { rule };
 }
 
 // Middleware to check if user is authenticated
@@ -96,190 +694,2078 @@ function isAuthenticated(req, res, next) {
     }
 }
 
-// Middleware to check if user is admin
-function isAdmin(req, res, next) {
-    if (req.session.user && req.session.user.role === 'admin') {
+// Whether a user's role is at least the given one
+function hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Middleware factory requiring at least a given role. When the security policy
+// requires it, admins must also have set up two-factor authentication.
+function requireRole(role, message) {
+    return async (req, res, next) => {
+        if (!hasRole(req.session.user, role)) {
+            console.log(`⚠️  ${req.session.user?.role || 'Anonymous'} access attempt to ${role} route`);
+            return res.status(403).json({ error: message });
+        }
+        // Operator and admin routes are out of reach of tokens without the admin scope
+        if (req.apiToken && hasRole({ role }, 'operator') && !req.apiToken.scopes.includes('admin')) {
+            return res.status(403).json({ error: 'This API token does not have the admin scope' });
+        }
+        
+        try {
+            if (await needsTwoFactorSetup(req.session.user)) {
+                return res.status(403).json({
+                    error: 'Set up two-factor authentication on your profile to use admin features',
+                    two_factor_setup_required: true
+                });
+            }
+        } catch (error) {
+            return next(error);
+        }
         next();
-    } else {
-        console.log('⚠️  Non-admin access attempt to admin route');
-        res.status(403).json({ error: 'Admin privileges required' });
+    };
+}
+
+const isAdmin = requireRole('admin', 'Admin privileges required');
+const isOperator = requireRole('operator', 'Operator privileges required');
+const canExport = requireRole('user', 'Viewers cannot export data');
+
+// Parse a JSON list column (a user's device or site access list)
+function parseList(value) {
+    try {
+        const list = value ? JSON.parse(value) : [];
+        return Array.isArray(list) ? list.map(String) : [];
+    } catch (error) {
+        return [];
     }
 }
 
-// ==================== AUTHENTICATION ROUTES ====================
+// Validate a device or site access list submitted by an admin
+function parseAccessList(input, label) {
+    if (input === undefined || input === null || input === '') return { list: [] };
+    if (!Array.isArray(input) || input.some(item => typeof item !== 'string')) {
+        return { error: `${label} must be a list of strings` };
+    }
+    return { list: [...new Set(input.map(item => item.trim()).filter(Boolean))] };
+}
 
-// Register new user
-app.post('/api/register', async (req, res) => {
+// Devices a user may see. Admins, and users without an access list, see every
+// device; otherwise a device is visible when its id or its location (site) is
+// on the user's list.
+async function readDevicesFor(sessionUser) {
+    const devices = await readDevices();
+    if (sessionUser.role === 'admin') return devices;
+    
+    const user = await storage.find('users', { email: sessionUser.email });
+    if (!user) return [];
+    
+    const allowedDevices = parseList(user.devices);
+    const allowedSites = parseList(user.sites);
+    if (allowedDevices.length === 0 && allowedSites.length === 0) return devices;
+    return devices.filter(d => allowedDevices.includes(d.id) || (d.location && allowedSites.includes(d.location)));
+}
+
+// Find one device the user may see, or null
+async function findDeviceFor(sessionUser, id) {
+    return (await readDevicesFor(sessionUser)).find(d => d.id === id) || null;
+}
+
+// The requested device (?device=<id>) or the user's first visible device
+async function resolveDevice(sessionUser, id) {
+    const devices = await readDevicesFor(sessionUser);
+    return id ? devices.find(d => d.id === id) : devices[0];
+}
+
+// Accounts registered before email verification existed have a blank
+// email_verified and are treated as verified
+function isEmailVerified(user) {
+    return user.email_verified !== 'false';
+}
+
+async function readSecurityPolicy() {
+    return { ...DEFAULT_SECURITY_POLICY, ...(await settings.read('security_policy')) };
+}
+
+function hasTwoFactor(user) {
+    return Boolean(user.totp_secret);
+}
+
+// What the session remembers about a logged-in user
+function sessionUserFor(user) {
+    return {
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        two_factor: hasTwoFactor(user)
+    };
+}
+
+// Log a user in with a fresh session. A new session ID means one planted
+// before login cannot be used to take over the account.
+function startSession(req, user) {
+    return new Promise((resolve, reject) => {
+        req.session.regenerate(error => {
+            if (error) return reject(error);
+            req.session.user = sessionUserFor(user);
+            // Shown in the user's list of logged-in devices
+            req.session.client = { ip: req.ip, user_agent: req.get('user-agent') || '' };
+            resolve();
+        });
+    });
+}
+
+// Whether an admin must set up two-factor authentication before using admin routes
+async function needsTwoFactorSetup(sessionUser) {
+    if (!sessionUser || sessionUser.role !== 'admin' || sessionUser.two_factor) return false;
+    return (await readSecurityPolicy()).require_admin_2fa;
+}
+
+// Check a second-factor code: an authenticator code, or one of the user's
+// recovery codes, which is used up. Returns the user changes to store, or null.
+function checkSecondFactor(user, code) {
+    const lastStep = user.totp_last_step === '' || user.totp_last_step === undefined ? -1 : Number(user.totp_last_step);
+    const step = verifyCode(user.totp_secret, code, { lastStep });
+    if (step !== null) return { totp_last_step: step };
+    
+    const remaining = useRecoveryCode(parseList(user.recovery_codes), code);
+    if (remaining) return { recovery_codes: JSON.stringify(remaining) };
+    return null;
+}
+
+// Compare a presented secret with the expected one in constant time
+function sameSecret(given, expected) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+// The API token in an "Authorization: Bearer" header, or null. Device
+// ingestion is left alone since it authenticates with write keys.
+function bearerToken(req) {
+    if (!req.path.startsWith('/api/') || req.path === '/api/feeds') return null;
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+// Authenticate requests carrying an API token. The token acts as its owner
+// (with their current role) for this request only, limited to its scopes.
+async function authenticateApiToken(req, res, next) {
+    const token = bearerToken(req);
+    if (token === null) return next();
+    
     try {
-        console.log('📝 Registration attempt:', req.body.email);
-        const { name, email, password } = req.body;
+        if (SESSION_ONLY_ROUTES.test(req.path)) {
+            return res.status(403).json({ error: 'API tokens cannot be used for this. Log in to the web interface instead.' });
+        }
         
-        // Validate input
-        if (!name || !email || !password) {
-            return res.status(400).json({ error: 'All fields are required' });
+        const apiToken = await apiTokens.authenticate(token, req.ip);
+        const user = apiToken && await storage.find('users', { email: apiToken.user_email });
+        if (!user) {
+            console.log('⚠️  Request with invalid API token');
+            return res.status(401).json({ error: 'Invalid API token' });
         }
         
-        if (password.length < 6) {
-            return res.status(400).json({ error: 'Password must be at least 6 characters' });
+        const scope = requiredScope(req.method, req.path);
+        if (!apiToken.scopes.includes(scope)) {
+            return res.status(403).json({ error: `This API token does not have the ${scope} scope` });
         }
         
-        // Read existing users
-        const users = await readCSV(USERS_CSV);
+        req.apiToken = apiToken;
+        req.session = { user: sessionUserFor(user) };
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Whether a request gets past its route's login, role and write key checks
+async function mayCallRoute(req, route) {
+    if (route.auth === 'public') return true;
+    if (route.auth === 'device') {
+        return Boolean(await findDeviceByApiKey(req.get('X-THINGSPEAKAPIKEY') || req.body.api_key));
+    }
+    
+    const user = req.session.user;
+    if (!hasRole(user, route.auth)) return false;
+    if (hasRole({ role: route.auth }, 'operator')) {
+        if (req.apiToken && !req.apiToken.scopes.includes('admin')) return false;
+        if (await needsTwoFactorSetup(user)) return false;
+    }
+    return true;
+}
+
+// Check an API request's query string and JSON body against its route's
+// schemas. Requests the route would refuse anyway are passed on so they get
+// the usual 401 or 403 rather than details about their input.
+async function validateRequest(req, res, next) {
+    const route = apiDescription.findRoute(req.method, req.path);
+    if (!route) return next();
+    
+    const fields = {};
+    if (route.query) {
+        Object.assign(fields, validate(route.query, req.query, { name: 'query', coerceStrings: true }).fields);
+    }
+    if (route.body && !route.bodyType) {
+        Object.assign(fields, validate(route.body, req.body, { name: 'body' }).fields);
+    }
+    if (Object.keys(fields).length === 0) return next();
+    
+    try {
+        if (!(await mayCallRoute(req, route))) return next();
+    } catch (error) {
+        return next(error);
+    }
+    console.log(`⚠️  Invalid request to ${req.method} ${req.path}:`, Object.keys(fields).join(', '));
+    res.status(400).json({ error: describeFields(fields), code: 'validation_failed', fields });
+}
+
+// Record an admin action: who did it, to what, and the target's state before
+// and after (null for whatever did not exist)
+async function audit(req, action, target, { before = null, after = null } = {}) {
+    await auditLog.record({ actor: req.session.user.email, ip: req.ip, action, target, before, after });
+}
+
+// The parts of a user worth auditing (no password or two-factor secrets)
+function auditUser(user) {
+    return {
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        devices: parseList(user.devices),
+        sites: parseList(user.sites),
+        email_verified: isEmailVerified(user),
+        two_factor: hasTwoFactor(user),
+        password_reset_required: user.password_reset_required === 'true'
+    };
+}
+
+// Refuse a login that is rate limited or locked out
+function sendLoginBlocked(res, blocked) {
+    res.set('Retry-After', String(blocked.retryAfter));
+    return res.status(429).json({ error: blocked.error, retry_after: blocked.retryAfter });
+}
+
+// The logged-in user's stored record if the password matches, otherwise null
+async function checkCurrentPassword(req, password) {
+    const user = await storage.find('users', { email: req.session.user.email });
+    if (!user || !password || !(await bcrypt.compare(password, user.password))) return null;
+    return user;
+}
+
+// Email a link that confirms the user owns their address
+async function sendVerificationEmail(user) {
+    const token = tokens.sign('verify-email', { email: user.email }, VERIFY_TOKEN_TTL);
+    await mailer.send({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.name},\n\n` +
+            'Please confirm your email address to finish setting up your Air Quality Monitor account:\n\n' +
+            `${APP_URL}/verify-email.html?token=${encodeURIComponent(token)}\n\n` +
+            'The link expires in 24 hours.'
+    });
+}
+
+// Email a link confirming a new address for an account. The address only
+// changes once the link is opened, so a typo cannot lock the user out.
+async function sendEmailChangeEmail(user, newEmail) {
+    const token = tokens.sign('change-email', { email: user.email, new_email: newEmail }, VERIFY_TOKEN_TTL);
+    await mailer.send({
+        to: newEmail,
+        subject: 'Confirm your new email address',
+        text: `Hi ${user.name},\n\n` +
+            `Please confirm that you want to use this address for your Air Quality Monitor account instead of ${user.email}:\n\n` +
+            `${APP_URL}/verify-email.html?token=${encodeURIComponent(token)}\n\n` +
+            'The link expires in 24 hours. If you did not ask for this, you can ignore this email.'
+    });
+}
+
+// Move an account to a new email address, along with what is keyed by it.
+// False if the account no longer exists.
+async function changeUserEmail(email, newEmail) {
+    const updated = await storage.update('users', { email }, { email: newEmail, email_verified: 'true' });
+    if (updated === 0) return false;
+    await storage.update('api_tokens', { user_email: email }, { user_email: newEmail });
+    await loginGuard.unlock(email);
+    return true;
+}
+
+// Remove an account and what is keyed by it
+async function removeUser(email) {
+    const removed = await storage.remove('users', { email });
+    if (removed > 0) {
+        await loginGuard.unlock(email);
+        await apiTokens.revokeAll(email);
+        await sessionStore.revokeAll(email);
+    }
+    return removed > 0;
+}
+
+// Email a password reset link. The token carries a fingerprint of the current
+// password hash, so it stops working once the password has been changed.
+async function sendPasswordResetEmail(user) {
+    const token = tokens.sign('reset-password', { email: user.email, pw: fingerprint(user.password) }, RESET_TOKEN_TTL);
+    await mailer.send({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\n` +
+            'Someone asked to reset the password for your Air Quality Monitor account. ' +
+            'If it was you, choose a new password here:\n\n' +
+            `${APP_URL}/reset-password.html?token=${encodeURIComponent(token)}\n\n` +
+            'The link expires in 1 hour. If you did not ask for this, you can ignore this email.'
+    });
+}
+
+// ==================== AUTHENTICATION ROUTES ====================
+
+// Register new user
+app.post('/api/register', async (req, res) => {
+    try {
+        console.log('📝 Registration attempt:', req.body.email);
+        const { name, email, password } = req.body;
+        
+        // Check if email already exists
+        if (await storage.find('users', { email })) {
+            console.log('⚠️  Email already exists:', email);
+            return res.status(400).json({ error: 'Email already registered' });
+        }
+        
+        // Hash password
+        const hashedPassword = await bcrypt.hash(password, 10);
+        
+        // Add new user; they can log in once they have verified their address
+        const user = {
+            name,
+            email,
+            password: hashedPassword,
+            role: 'user',
+            email_verified: 'false'
+        };
+        await storage.insert('users', user);
+        
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            console.error('❌ Failed to send verification email:', error.message);
+        }
+        
+        console.log('✅ User registered successfully:', email);
+        res.json({ message: 'Registration successful. Check your email for a link to verify your address.' });
+    } catch (error) {
+        if (error.code === 'DUPLICATE_KEY') {
+            return res.status(400).json({ error: 'Email already registered' });
+        }
+        console.error('❌ Registration error:', error);
+        res.status(500).json({ error: 'Server error during registration' });
+    }
+});
+
+// Login
+app.post('/api/login', async (req, res) => {
+    try {
+        console.log('🔐 Login attempt:', req.body.email);
+        const { email, password } = req.body;
+        const attempt = { email, ip: req.ip, userAgent: req.get('user-agent') };
+        
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+        
+        // Refuse early while the IP is rate limited or the account is locked
+        const blocked = await loginGuard.check(attempt.ip, email);
+        if (blocked) {
+            console.log(`⛔ Login refused (${blocked.reason}):`, email);
+            await loginGuard.record({ ...attempt, success: false, reason: blocked.reason });
+            return sendLoginBlocked(res, blocked);
+        }
+        
+        // Find user
+        const user = await storage.find('users', { email });
+        
+        if (!user) {
+            console.log('⚠️  User not found:', email);
+            await loginGuard.recordFailure({ ...attempt, reason: 'unknown_user', accountExists: false });
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+        
+        // Verify password
+        const validPassword = await bcrypt.compare(password, user.password);
+        
+        if (!validPassword) {
+            console.log('⚠️  Invalid password for:', email);
+            await loginGuard.recordFailure({ ...attempt, reason: 'invalid_password', accountExists: true });
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+        
+        if (!isEmailVerified(user)) {
+            console.log('⚠️  Unverified email:', email);
+            await loginGuard.record({ ...attempt, success: false, reason: 'unverified' });
+            return res.status(403).json({
+                error: 'Please verify your email address before logging in',
+                unverified: true
+            });
+        }
+        
+        if (user.password_reset_required === 'true') {
+            console.log('⚠️  Password reset required:', email);
+            await loginGuard.record({ ...attempt, success: false, reason: 'password_reset_required' });
+            return res.status(403).json({
+                error: 'An administrator has asked you to choose a new password. Use the link we emailed you, or request a new one.',
+                password_reset_required: true
+            });
+        }
+        
+        // With two-factor authentication the login finishes at /api/login/2fa
+        if (hasTwoFactor(user)) {
+            req.session.pendingLogin = { email: user.email, expires_at: Date.now() + PENDING_LOGIN_TTL };
+            console.log('🔑 Password accepted, waiting for second factor:', email);
+            return res.json({
+                message: 'Enter the code from your authenticator app',
+                two_factor_required: true
+            });
+        }
+        
+        // Set session
+        await startSession(req, user);
+        await loginGuard.recordSuccess(attempt);
+        
+        console.log('✅ Login successful:', email);
+        res.json({ 
+            message: 'Login successful',
+            user: {
+                name: user.name,
+                email: user.email,
+                role: user.role
+            },
+            two_factor_setup_required: await needsTwoFactorSetup(req.session.user)
+        });
+    } catch (error) {
+        console.error('❌ Login error:', error);
+        res.status(500).json({ error: 'Server error during login' });
+    }
+});
+
+// Second login step: an authenticator or recovery code for the account whose
+// password was just accepted
+app.post('/api/login/2fa', async (req, res) => {
+    try {
+        const pending = req.session.pendingLogin;
+        if (!pending || pending.expires_at < Date.now()) {
+            delete req.session.pendingLogin;
+            return res.status(401).json({ error: 'Your login has expired. Please sign in again.', expired: true });
+        }
+        
+        const { email } = pending;
+        const { code } = req.body;
+        const attempt = { email, ip: req.ip, userAgent: req.get('user-agent') };
+        
+        if (!code) {
+            return res.status(400).json({ error: 'Enter the code from your authenticator app or a recovery code' });
+        }
+        
+        const blocked = await loginGuard.check(attempt.ip, email);
+        if (blocked) {
+            console.log(`⛔ Login refused (${blocked.reason}):`, email);
+            delete req.session.pendingLogin;
+            await loginGuard.record({ ...attempt, success: false, reason: blocked.reason });
+            return sendLoginBlocked(res, blocked);
+        }
+        
+        const user = await storage.find('users', { email });
+        if (!user || !hasTwoFactor(user)) {
+            delete req.session.pendingLogin;
+            return res.status(401).json({ error: 'Your login has expired. Please sign in again.', expired: true });
+        }
+        
+        const changes = checkSecondFactor(user, code);
+        if (!changes) {
+            console.log('⚠️  Invalid two-factor code for:', email);
+            await loginGuard.recordFailure({ ...attempt, reason: 'invalid_code', accountExists: true });
+            return res.status(401).json({ error: 'Invalid code' });
+        }
+        await storage.update('users', { email }, changes);
+        
+        await startSession(req, user);
+        await loginGuard.recordSuccess(attempt);
+        
+        console.log('✅ Login successful (two-factor):', email);
+        res.json({
+            message: 'Login successful',
+            user: {
+                name: user.name,
+                email: user.email,
+                role: user.role
+            }
+        });
+    } catch (error) {
+        console.error('❌ Two-factor login error:', error);
+        res.status(500).json({ error: 'Server error during login' });
+    }
+});
+
+// Logout
+app.get('/api/logout', (req, res) => {
+    console.log('👋 Logout:', req.session.user?.email);
+    req.session.destroy((err) => {
+        if (err) {
+            return res.status(500).json({ error: 'Logout failed' });
+        }
+        res.json({ message: 'Logout successful' });
+    });
+});
+
+// Confirm an email address from a verification link, or a new address from
+// an email change link
+app.post('/api/verify-email', async (req, res) => {
+    try {
+        const change = tokens.verify('change-email', req.body.token);
+        if (change) {
+            if (await storage.find('users', { email: change.new_email })) {
+                return res.status(400).json({ error: 'That email address is already registered' });
+            }
+            if (!(await changeUserEmail(change.email, change.new_email))) {
+                return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+            }
+            // Sessions are kept by email, so other logins have to start again
+            const current = req.session.user?.email === change.email;
+            await sessionStore.revokeAll(change.email, { except: current ? req.sessionID : undefined });
+            if (current) {
+                req.session.user.email = change.new_email;
+            }
+            
+            console.log(`✅ Email changed: ${change.email} -> ${change.new_email}`);
+            return res.json({ message: `Your email address is now ${change.new_email}. Use it to log in from now on.` });
+        }
+        
+        const claims = tokens.verify('verify-email', req.body.token);
+        if (!claims) {
+            return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+        }
+        
+        const updated = await storage.update('users', { email: claims.email }, { email_verified: 'true' });
+        if (updated === 0) {
+            return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+        }
+        
+        console.log('✅ Email verified:', claims.email);
+        res.json({ message: 'Email address verified. You can now log in.' });
+    } catch (error) {
+        console.error('❌ Email verification error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Send a new verification link. The response is the same whether or not the
+// address is registered, so it cannot be used to discover accounts.
+app.post('/api/verify-email/resend', async (req, res) => {
+    try {
+        const { email } = req.body;
+        const user = await storage.find('users', { email });
+        if (user && !isEmailVerified(user)) {
+            console.log('📧 Resending verification email:', email);
+            await sendVerificationEmail(user);
+        }
+        
+        res.json({ message: 'If that address is waiting for verification, a new link has been sent.' });
+    } catch (error) {
+        console.error('❌ Error resending verification email:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+// Email a password reset link (same response whether or not the address exists)
+app.post('/api/password-reset/request', async (req, res) => {
+    try {
+        const { email } = req.body;
+        console.log('🔑 Password reset requested:', email);
+        const user = await storage.find('users', { email });
+        if (user) {
+            await sendPasswordResetEmail(user);
+        }
+        
+        res.json({ message: 'If an account exists for that address, a password reset link has been sent.' });
+    } catch (error) {
+        console.error('❌ Error sending password reset email:', error);
+        res.status(500).json({ error: 'Failed to send password reset email' });
+    }
+});
+
+// Set a new password from a reset link. Receiving the link also proves the
+// user owns the address, so it is marked verified.
+app.post('/api/password-reset', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        const invalid = 'This reset link is invalid or has expired';
+        
+        const claims = tokens.verify('reset-password', token);
+        if (!claims) {
+            return res.status(400).json({ error: invalid });
+        }
+        
+        const user = await storage.find('users', { email: claims.email });
+        // A link is only good until the password it was issued for changes
+        if (!user || fingerprint(user.password) !== claims.pw) {
+            return res.status(400).json({ error: invalid });
+        }
+        
+        await storage.update('users', { email: user.email }, {
+            password: await bcrypt.hash(password, 10),
+            email_verified: 'true',
+            password_reset_required: ''
+        });
+        await sessionStore.revokeAll(user.email);
+        await apiTokens.revokeAll(user.email);
+        
+        console.log('✅ Password reset:', user.email);
+        res.json({ message: 'Your password has been reset. You can now log in.' });
+    } catch (error) {
+        console.error('❌ Password reset error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Check authentication status
+app.get('/api/check-auth', async (req, res) => {
+    try {
+        if (req.session.user) {
+            res.json({ 
+                authenticated: true,
+                user: {
+                    ...req.session.user,
+                    two_factor_setup_required: await needsTwoFactorSetup(req.session.user)
+                }
+            });
+        } else {
+            res.json({ authenticated: false });
+        }
+    } catch (error) {
+        console.error('❌ Auth check error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== PROFILE ROUTES ====================
+
+// The logged-in user's account details
+app.get('/api/me', isAuthenticated, async (req, res) => {
+    try {
+        const user = await storage.find('users', { email: req.session.user.email });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        res.json({
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            two_factor: hasTwoFactor(user)
+        });
+    } catch (error) {
+        console.error('❌ Error fetching profile:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Change the logged-in user's name
+app.put('/api/me', isAuthenticated, async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+        
+        const updated = await storage.update('users', { email: req.session.user.email }, { name });
+        if (updated === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        req.session.user.name = name;
+        
+        console.log('✅ Name changed:', req.session.user.email);
+        res.json({ message: 'Name updated', name });
+    } catch (error) {
+        console.error('❌ Error updating profile:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Change the logged-in user's password (requires the current one)
+app.put('/api/me/password', isAuthenticated, async (req, res) => {
+    try {
+        const { current_password, password } = req.body;
+        
+        const user = await checkCurrentPassword(req, current_password);
+        if (!user) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+        
+        await storage.update('users', { email: user.email }, {
+            password: await bcrypt.hash(password, 10),
+            password_reset_required: ''
+        });
+        // Log out everywhere else and revoke API tokens, in case the old
+        // password was known to someone who used it to create one
+        await sessionStore.revokeAll(user.email, { except: req.sessionID });
+        await apiTokens.revokeAll(user.email);
+        
+        console.log('🔑 Password changed:', user.email);
+        res.json({ message: 'Password changed. Your other sessions have been logged out and your API tokens revoked.' });
+    } catch (error) {
+        console.error('❌ Error changing password:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Start changing the logged-in user's email address (requires the current
+// password). The new address must be confirmed from a link sent to it.
+app.put('/api/me/email', isAuthenticated, async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim();
+        
+        const user = await checkCurrentPassword(req, req.body.password);
+        if (!user) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+        if (email === user.email) {
+            return res.status(400).json({ error: 'That is already your email address' });
+        }
+        if (await storage.find('users', { email })) {
+            return res.status(400).json({ error: 'That email address is already registered' });
+        }
+        
+        await sendEmailChangeEmail(user, email);
+        
+        console.log(`📧 Email change requested: ${user.email} -> ${email}`);
+        res.json({ message: `We sent a link to ${email}. Your address will change once you open it.` });
+    } catch (error) {
+        console.error('❌ Error changing email:', error);
+        res.status(500).json({ error: 'Failed to send confirmation email' });
+    }
+});
+
+// Delete the logged-in user's account (requires the current password)
+app.delete('/api/me', isAuthenticated, async (req, res) => {
+    try {
+        const user = await checkCurrentPassword(req, req.body.password);
+        if (!user) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+        
+        // Someone has to be left to manage users
+        if (user.role === 'admin' && (await storage.list('users', { role: 'admin' })).length <= 1) {
+            return res.status(400).json({ error: 'You are the only admin. Make someone else an admin before deleting your account.' });
+        }
+        
+        await removeUser(user.email);
+        
+        console.log('🗑️  Account deleted by its owner:', user.email);
+        req.session.destroy(() => {
+            res.json({ message: 'Your account has been deleted' });
+        });
+    } catch (error) {
+        console.error('❌ Error deleting account:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== SESSION ROUTES ====================
+
+// Where the logged-in user is logged in
+app.get('/api/sessions', isAuthenticated, async (req, res) => {
+    try {
+        const sessions = await sessionStore.listForUser(req.session.user.email);
+        const currentId = publicId(req.sessionID);
+        
+        res.json(sessions.map(({ sid, ...session }) => ({ ...session, current: session.id === currentId })));
+    } catch (error) {
+        console.error('❌ Error fetching sessions:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Log out everywhere except here
+app.delete('/api/sessions', isAuthenticated, async (req, res) => {
+    try {
+        const ended = await sessionStore.revokeAll(req.session.user.email, { except: req.sessionID });
+        
+        console.log(`🔒 ${req.session.user.email} ended ${ended} other sessions`);
+        res.json({ message: `Logged out of ${ended} other session${ended === 1 ? '' : 's'}`, ended });
+    } catch (error) {
+        console.error('❌ Error ending sessions:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Log out one of the logged-in user's sessions
+app.delete('/api/sessions/:id', isAuthenticated, async (req, res) => {
+    try {
+        if (req.params.id === publicId(req.sessionID)) {
+            return res.status(400).json({ error: 'Use Logout to end the current session' });
+        }
+        
+        const revoked = await sessionStore.revoke(req.session.user.email, req.params.id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        
+        console.log(`🔒 ${req.session.user.email} ended a session`);
+        res.json({ message: 'Session ended' });
+    } catch (error) {
+        console.error('❌ Error ending session:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== TWO-FACTOR ROUTES ====================
+
+// Two-factor status for the logged-in user
+app.get('/api/2fa', isAuthenticated, async (req, res) => {
+    try {
+        const user = await storage.find('users', { email: req.session.user.email });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const policy = await readSecurityPolicy();
+        res.json({
+            enabled: hasTwoFactor(user),
+            recovery_codes_left: hasTwoFactor(user) ? parseList(user.recovery_codes).length : 0,
+            required: user.role === 'admin' && policy.require_admin_2fa
+        });
+    } catch (error) {
+        console.error('❌ Error fetching two-factor status:', error);
+        res.status(500).json({ error: 'Failed to fetch two-factor status' });
+    }
+});
+
+// Start enrollment: a new secret for the user's authenticator app. It is only
+// saved once a code from the app has been confirmed.
+app.post('/api/2fa/setup', isAuthenticated, async (req, res) => {
+    try {
+        const user = await storage.find('users', { email: req.session.user.email });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (hasTwoFactor(user)) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        
+        const secret = generateSecret();
+        req.session.pendingTotpSecret = secret;
+        res.json({ secret, uri: provisioningUri({ issuer: TOTP_ISSUER, account: user.email, secret }) });
+    } catch (error) {
+        console.error('❌ Error starting two-factor setup:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Finish enrollment with a code from the app; returns the recovery codes,
+// which are never shown again
+app.post('/api/2fa/enable', isAuthenticated, async (req, res) => {
+    try {
+        const secret = req.session.pendingTotpSecret;
+        if (!secret) {
+            return res.status(400).json({ error: 'Start the two-factor setup first' });
+        }
+        
+        const step = verifyCode(secret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid code. Check that the time on your device is correct and try again.' });
+        }
+        
+        const { codes, hashes } = generateRecoveryCodes();
+        const updated = await storage.update('users', { email: req.session.user.email }, {
+            totp_secret: secret,
+            totp_last_step: step,
+            recovery_codes: JSON.stringify(hashes)
+        });
+        if (updated === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        delete req.session.pendingTotpSecret;
+        req.session.user.two_factor = true;
+        
+        console.log('🔑 Two-factor authentication enabled:', req.session.user.email);
+        res.json({ message: 'Two-factor authentication enabled', recovery_codes: codes });
+    } catch (error) {
+        console.error('❌ Error enabling two-factor authentication:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Replace the recovery codes (requires the current password)
+app.post('/api/2fa/recovery-codes', isAuthenticated, async (req, res) => {
+    try {
+        const user = await checkCurrentPassword(req, req.body.password);
+        if (!user) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+        if (!hasTwoFactor(user)) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        
+        const { codes, hashes } = generateRecoveryCodes();
+        await storage.update('users', { email: user.email }, { recovery_codes: JSON.stringify(hashes) });
+        
+        console.log('🔑 Recovery codes regenerated:', user.email);
+        res.json({ message: 'New recovery codes generated', recovery_codes: codes });
+    } catch (error) {
+        console.error('❌ Error regenerating recovery codes:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Turn off two-factor authentication (requires the current password)
+app.post('/api/2fa/disable', isAuthenticated, async (req, res) => {
+    try {
+        const user = await checkCurrentPassword(req, req.body.password);
+        if (!user) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+        if (!hasTwoFactor(user)) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        if (user.role === 'admin' && (await readSecurityPolicy()).require_admin_2fa) {
+            return res.status(400).json({ error: 'Two-factor authentication is required for admins' });
+        }
+        
+        await storage.update('users', { email: user.email }, TWO_FACTOR_RESET);
+        req.session.user.two_factor = false;
+        
+        console.log('🔑 Two-factor authentication disabled:', user.email);
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('❌ Error disabling two-factor authentication:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== API TOKEN ROUTES ====================
+
+// The logged-in user's API tokens (never the tokens themselves)
+app.get('/api/tokens', isAuthenticated, async (req, res) => {
+    try {
+        res.json(await apiTokens.list(req.session.user.email));
+    } catch (error) {
+        console.error('❌ Error fetching API tokens:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Create an API token; the token is only ever returned in this response
+app.post('/api/tokens/add', isAuthenticated, async (req, res) => {
+    try {
+        const { name, scopes, error } = parseTokenInput(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (scopes.includes('export') && !hasRole(req.session.user, 'user')) {
+            return res.status(403).json({ error: 'Viewers cannot create tokens with the export scope' });
+        }
+        if (scopes.includes('admin') && !hasRole(req.session.user, 'operator')) {
+            return res.status(403).json({ error: 'Only operators and admins can create tokens with the admin scope' });
+        }
+        
+        const { token, record } = await apiTokens.create(req.session.user.email, { name, scopes });
+        
+        console.log(`🔑 API token "${name}" created for ${req.session.user.email}`);
+        res.json({ message: 'API token created', token, api_token: record });
+    } catch (error) {
+        console.error('❌ Error creating API token:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Revoke one of the logged-in user's API tokens
+app.delete('/api/tokens/:id', isAuthenticated, async (req, res) => {
+    try {
+        const revoked = await apiTokens.revoke(req.session.user.email, req.params.id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
+        
+        console.log(`🔑 API token ${req.params.id} revoked for ${req.session.user.email}`);
+        res.json({ message: 'API token revoked' });
+    } catch (error) {
+        console.error('❌ Error revoking API token:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== SENSOR DATA ROUTES ====================
+
+// Get sensor data for one device (defaults to the first registered device).
+// Optional from/to/limit narrow the history; interval (5m, 1h, 1d) aggregates it.
+app.get('/api/sensors', isAuthenticated, async (req, res) => {
+    try {
+        const { range, error } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const device = await resolveDevice(req.session.user, req.query.device);
+        
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        console.log(`📊 Fetching sensor data for ${device.id}`);
+        const deviceInfo = { id: device.id, name: device.name, location: device.location };
+        const fields = await readFieldSchema(device.id);
+        const feeds = await readFeeds(device.id);
+        
+        // Aggregated views of an hour or more also cover readings that have
+        // been rolled up by the retention policy
+        const rollups = range.intervalMs
+            ? (await readRollups(storage, device.id, range.intervalMs, fields)).filter(r => {
+                const time = new Date(r.timestamp).getTime();
+                if (range.from && time < range.from.getTime()) return false;
+                if (range.to && time > range.to.getTime()) return false;
+                return true;
+            })
+            : [];
+        
+        const rangeInfo = {
+            from: range.from && range.from.toISOString(),
+            to: range.to && range.to.toISOString(),
+            limit: range.limit,
+            interval: range.interval
+        };
+        
+        if (feeds.length === 0) {
+            console.log('⚠️  No sensor data found');
+            return res.json({
+                device: deviceInfo,
+                fields,
+                range: rangeInfo,
+                latest: {},
+                aqi: null,
+                history: rollups.length > 0 ? aggregateReadings([], fields, range.intervalMs, rollups).slice(-range.limit) : [],
+                recent: []
+            });
+        }
+        
+        // Calibrated numbers, with null for missing or unparseable values
+        const processedFeeds = feeds.map(f => toReading(f, fields));
+        
+        // Get latest reading (always the newest, regardless of the requested range)
+        const latest = processedFeeds[processedFeeds.length - 1];
+        
+        // Narrow to the requested time range
+        const inRange = processedFeeds.filter(f => {
+            const time = new Date(f.timestamp).getTime();
+            if (isNaN(time)) return false;
+            if (range.from && time < range.from.getTime()) return false;
+            if (range.to && time > range.to.getTime()) return false;
+            return true;
+        });
+        
+        // History for charts: raw readings or aggregated buckets, newest `limit` kept
+        const series = range.intervalMs
+            ? aggregateReadings(inRange, fields, range.intervalMs, rollups)
+            : inRange;
+        const history = series.slice(-range.limit);
+        
+        // Get last 10 readings in range for table
+        const recent = inRange.slice(-RECENT_LIMIT).reverse();
+        
+        const latestValues = { timestamp: latest.timestamp };
+        fields.forEach(({ field }) => {
+            latestValues[field] = latest[field];
+        });
+        if (latest.flags) latestValues.flags = latest.flags;
+        
+        res.json({
+            device: deviceInfo,
+            fields,
+            range: rangeInfo,
+            latest: latestValues,
+            // US EPA AQI (NowCast) and EU CAQI when the schema has PM2.5/PM10 fields
+            aqi: computeAqi(processedFeeds, fields, range),
+            history,
+            recent
+        });
+    } catch (error) {
+        console.error('❌ Error fetching sensor data:', error);
+        res.status(500).json({ error: 'Failed to fetch sensor data' });
+    }
+});
+
+// Download readings for a device (?format=csv|json|ndjson, ?from=, ?to=, ?device=,
+// ?fields=field1,field3). CSV starts with a byte order mark so Excel reads it as UTF-8.
+// Readings are paged out of storage in the order they were stored, so large
+// exports are never held in memory.
+app.get('/api/sensors/export', isAuthenticated, canExport, async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+        
+        const { range, error } = parseHistoryQuery({ from: req.query.from, to: req.query.to });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const device = await resolveDevice(req.session.user, req.query.device);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        // Requested fields, in store order, defaulting to the device's schema
+        const schema = await readFieldSchema(device.id);
+        let fields = schema.map(f => f.field);
+        if (req.query.fields) {
+            const requested = String(req.query.fields).split(',').map(f => f.trim()).filter(Boolean);
+            const unknown = requested.filter(f => !FEED_FIELDS.includes(f));
+            if (unknown.length > 0) {
+                return res.status(400).json({ error: `Unknown fields: ${unknown.join(', ')}` });
+            }
+            fields = FEED_FIELDS.filter(f => requested.includes(f));
+        }
+        
+        console.log(`📤 Exporting ${format} for ${device.id}`);
+        
+        const inRange = feed => {
+            const time = new Date(feed.created_at).getTime();
+            if (isNaN(time)) return false;
+            if (range.from && time < range.from.getTime()) return false;
+            if (range.to && time > range.to.getTime()) return false;
+            return true;
+        };
+        
+        const datePart = date => date.toISOString().slice(0, 10);
+        const rangePart = range.from || range.to
+            ? `-${range.from ? datePart(range.from) : 'start'}-to-${range.to ? datePart(range.to) : 'now'}`
+            : '';
+        const filename = `iotair-${device.id}${rangePart}.${EXPORT_FORMATS[format].extension}`;
+        
+        res.set({
+            'Content-Type': EXPORT_FORMATS[format].contentType,
+            'Content-Disposition': `attachment; filename="${filename}"`
+        });
+        
+        // Calibrated values, with the quality flags as the last column
+        const toRecord = feed => {
+            const record = { created_at: feed.created_at, entry_id: feed.entry_id, device_id: feed.device_id };
+            fields.forEach(field => {
+                record[field] = calibrate(parseOptionalNumber(feed[field]), schema.find(f => f.field === field));
+            });
+            record.flags = feed.flags || '';
+            return record;
+        };
+        
+        // CSV headers use the field names and units from the device's schema
+        const labelFor = field => {
+            const entry = schema.find(f => f.field === field);
+            if (!entry) return field;
+            return entry.unit ? `${entry.name} (${entry.unit})` : entry.name;
+        };
+        
+        if (format === 'csv') {
+            res.write('\uFEFF' + Papa.unparse([['created_at', 'entry_id', 'device_id', ...fields.map(labelFor), 'flags']]));
+        } else if (format === 'json') {
+            res.write('[');
+        }
+        
+        let exported = 0;
+        for await (const batch of storage.listBatches('feeds', { device_id: device.id }, EXPORT_BATCH_SIZE)) {
+            // The client went away; leaving the loop closes the storage read
+            if (res.destroyed) break;
+            
+            const records = batch.filter(inRange).map(toRecord);
+            if (records.length === 0) continue;
+            let chunk;
+            if (format === 'csv') {
+                chunk = '\r\n' + Papa.unparse(records.map(r => Object.values(r)));
+            } else if (format === 'json') {
+                chunk = (exported > 0 ? ',' : '') + records.map(r => '\n' + JSON.stringify(r)).join(',');
+            } else {
+                chunk = records.map(r => JSON.stringify(r) + '\n').join('');
+            }
+            exported += records.length;
+            
+            // Respect backpressure on large exports
+            if (!res.write(chunk)) await drained(res);
+        }
+        
+        if (res.destroyed) {
+            console.log(`⚠️  Export for ${device.id} cancelled by the client after ${exported} readings`);
+            return;
+        }
+        
+        if (format === 'csv') {
+            res.end('\r\n');
+        } else if (format === 'json') {
+            res.end('\n]\n');
+        } else {
+            res.end();
+        }
+        
+        console.log(`✅ Exported ${exported} readings`);
+    } catch (error) {
+        console.error('❌ Error exporting sensor data:', error);
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: 'Failed to export sensor data' });
+        }
+    }
+});
+
+// Report statistics for a device (?from=, ?to=, ?device=, ?field=field3 for a single
+// field, ?limit= to override the field's exceedance limit, ?utc_offset=<minutes>
+// so days follow the viewer's calendar)
+app.get('/api/sensors/stats', isAuthenticated, async (req, res) => {
+    try {
+        const { range, error } = parseHistoryQuery({ from: req.query.from, to: req.query.to });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const utcOffset = req.query.utc_offset === undefined ? 0 : Number(req.query.utc_offset);
+        if (!Number.isInteger(utcOffset) || Math.abs(utcOffset) > 14 * 60) {
+            return res.status(400).json({ error: 'utc_offset must be a whole number of minutes' });
+        }
+        
+        const limitOverride = parseOptionalNumber(req.query.limit);
+        if (req.query.limit !== undefined && req.query.limit !== '' && limitOverride === null) {
+            return res.status(400).json({ error: 'limit must be a number' });
+        }
+        
+        const device = await resolveDevice(req.session.user, req.query.device);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        const schema = await readFieldSchema(device.id);
+        let fields = schema;
+        if (req.query.field) {
+            fields = schema.filter(f => f.field === req.query.field);
+            if (fields.length === 0) {
+                return res.status(400).json({ error: `Unknown field: ${req.query.field}` });
+            }
+        }
+        
+        console.log(`📈 Computing statistics for ${device.id}`);
+        
+        const readings = (await readFeeds(device.id))
+            .map(f => toReading(f, schema))
+            .filter(r => {
+                const time = new Date(r.timestamp).getTime();
+                if (isNaN(time)) return false;
+                if (range.from && time < range.from.getTime()) return false;
+                if (range.to && time > range.to.getTime()) return false;
+                return true;
+            });
+        
+        res.json({
+            device: { id: device.id, name: device.name, location: device.location },
+            range: {
+                from: range.from && range.from.toISOString(),
+                to: range.to && range.to.toISOString(),
+                utc_offset: utcOffset
+            },
+            fields: fields.map(field => {
+                const limit = limitOverride !== null && req.query.field ? limitOverride : field.limit;
+                return {
+                    field: field.field,
+                    name: field.name,
+                    unit: field.unit,
+                    precision: field.precision,
+                    color: field.color,
+                    limit,
+                    ...fieldStats(readings, field.field, { limit, utcOffsetMinutes: utcOffset })
+                };
+            })
+        });
+    } catch (error) {
+        console.error('❌ Error computing statistics:', error);
+        res.status(500).json({ error: 'Failed to compute statistics' });
+    }
+});
+
+// Live readings as Server-Sent Events, one 'reading' event per stored feed
+// (?device=<id> to follow a single device). Only devices the user could see
+// when the stream opened are streamed.
+app.get('/api/stream', isAuthenticated, async (req, res) => {
+    const { device } = req.query;
+    let visible;
+    try {
+        visible = new Set((await readDevicesFor(req.session.user)).map(d => d.id));
+    } catch (error) {
+        console.error('❌ Error opening stream:', error);
+        return res.status(500).json({ error: 'Failed to open stream' });
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    
+    console.log(`📺 Stream opened${device ? ` for ${device}` : ''}`);
+    
+    const onReading = async feed => {
+        if (device && feed.device_id !== device) return;
+        
+        try {
+            if (!visible.has(feed.device_id)) return;
+            const reading = { device_id: feed.device_id, ...toReading(feed, await readFieldSchema(feed.device_id)) };
+            res.write(`event: reading\nid: ${feed.entry_id}\ndata: ${JSON.stringify(reading)}\n\n`);
+        } catch (error) {
+            console.error('❌ Error streaming reading:', error);
+        }
+    };
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_INTERVAL);
+    
+    readingEvents.on('reading', onReading);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        readingEvents.off('reading', onReading);
+        console.log('📺 Stream closed');
+    });
+});
+
+// ==================== DEVICE INGESTION ROUTES ====================
+
+// Push a reading from a device (JSON body, write key in header or body)
+app.post('/api/feeds', async (req, res) => {
+    try {
+        const apiKey = req.get('X-THINGSPEAKAPIKEY') || req.body.api_key;
+        const device = await findDeviceByApiKey(apiKey);
+        
+        if (!device) {
+            console.log('⚠️  Feed rejected: invalid write API key');
+            return res.status(401).json({ error: 'Invalid write API key' });
+        }
+        
+        const { reading, error } = parseReading(req.body, device.field_map);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const feed = await appendFeed(device.id, reading);
+        console.log(`📥 Feed ${feed.entry_id} received from ${device.name}`);
+        res.status(201).json({ message: 'Feed saved', feed });
+    } catch (error) {
+        console.error('❌ Error saving feed:', error);
+        res.status(500).json({ error: 'Failed to save feed' });
+    }
+});
+
+// ThingSpeak-compatible update endpoint: responds with the new entry_id, or 0 on failure
+app.all('/update', async (req, res) => {
+    try {
+        if (req.method !== 'GET' && req.method !== 'POST') {
+            return res.status(405).type('text').send('0');
+        }
+        
+        const source = { ...req.query, ...(req.method === 'POST' ? req.body : {}) };
+        const apiKey = req.get('X-THINGSPEAKAPIKEY') || source.api_key || source.key;
+        const device = await findDeviceByApiKey(apiKey);
+        
+        if (!device) {
+            console.log('⚠️  Update rejected: invalid write API key');
+            return res.status(401).type('text').send('0');
+        }
+        
+        const { reading, error } = parseReading(source, device.field_map);
+        if (error) {
+            console.log('⚠️  Update rejected:', error);
+            return res.status(400).type('text').send('0');
+        }
+        
+        const feed = await appendFeed(device.id, reading);
+        console.log(`📥 Feed ${feed.entry_id} received from ${device.name}`);
+        res.type('text').send(String(feed.entry_id));
+    } catch (error) {
+        console.error('❌ Error saving update:', error);
+        res.status(500).type('text').send('0');
+    }
+});
+
+// MQTT subscriber connection status (admin only)
+app.get('/api/mqtt/status', isAuthenticated, isAdmin, (req, res) => {
+    res.json(mqttIngest.getStatus());
+});
+
+// ==================== RETENTION ROUTES ====================
+
+// Retention policy, last run and storage sizes (admin only)
+app.get('/api/retention', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const sizes = await storage.size();
+        const collections = {};
+        for (const name of ['feeds', 'feeds_hourly', 'feeds_daily']) {
+            collections[name] = { rows: await storage.count(name), bytes: sizes.collections[name] };
+        }
+        
+        res.json({
+            policy: await retentionJob.getPolicy(),
+            running: retentionJob.isRunning(),
+            last_run: await retentionJob.getLastRun(),
+            storage: {
+                backend: storage.backend,
+                total_bytes: sizes.total,
+                collections
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching retention status:', error);
+        res.status(500).json({ error: 'Failed to fetch retention status' });
+    }
+});
+
+// Update the retention policy (admin only)
+app.put('/api/retention', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const { policy, error } = parsePolicy(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        console.log(`🧹 Updating retention policy (${policy.enabled ? 'enabled' : 'disabled'})`);
+        const before = await retentionJob.getPolicy();
+        await retentionJob.setPolicy(policy);
+        await audit(req, 'retention.update', 'retention_policy', { before, after: policy });
+        
+        res.json({ message: 'Retention policy updated successfully', policy });
+    } catch (error) {
+        console.error('❌ Error updating retention policy:', error);
+        res.status(500).json({ error: 'Failed to update retention policy' });
+    }
+});
+
+// Apply the retention policy now, even while scheduled runs are disabled (admin only)
+app.post('/api/retention/run', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const result = await retentionJob.run();
+        await audit(req, 'retention.run', 'retention_policy', { after: result });
+        if (result.error) {
+            return res.status(500).json({ error: `Retention run failed: ${result.error}`, result });
+        }
+        res.json({ message: 'Retention policy applied', result });
+    } catch (error) {
+        console.error('❌ Error running retention:', error);
+        res.status(500).json({ error: 'Failed to run retention' });
+    }
+});
+
+// ==================== DEVICE ROUTES ====================
+
+// List the devices a user may see (write API keys and field mappings are only
+// shown to operators and admins)
+app.get('/api/devices', isAuthenticated, async (req, res) => {
+    try {
+        console.log('📟 Fetching devices');
+        const devices = await readDevicesFor(req.session.user);
+        const showSecrets = hasRole(req.session.user, 'operator');
+        
+        res.json({
+            devices: devices.map(d => showSecrets ? d : {
+                id: d.id,
+                name: d.name,
+                location: d.location
+            }),
+            fields: FEED_FIELDS
+        });
+    } catch (error) {
+        console.error('❌ Error fetching devices:', error);
+        res.status(500).json({ error: 'Failed to fetch devices' });
+    }
+});
+
+// Get a device's field schema
+app.get('/api/devices/:id/fields', isAuthenticated, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!await findDeviceFor(req.session.user, id)) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        res.json({ fields: await readFieldSchema(id), available: FEED_FIELDS });
+    } catch (error) {
+        console.error('❌ Error fetching field schema:', error);
+        res.status(500).json({ error: 'Failed to fetch field schema' });
+    }
+});
+
+// Replace a device's field schema (operators and admins)
+app.put('/api/devices/:id/fields', isAuthenticated, isOperator, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        console.log(`🔄 Updating field schema for ${id}`);
+        
+        const { schema, error } = parseFieldSchema(req.body.fields);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        if (!await findDeviceFor(req.session.user, id)) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        const before = await readFieldSchema(id);
+        await writeFieldSchema(id, schema);
+        const fields = await readFieldSchema(id);
+        await audit(req, 'device.fields_update', id, { before: { fields: before }, after: { fields } });
+        
+        console.log('✅ Field schema updated');
+        res.json({ message: 'Field schema updated successfully', fields });
+    } catch (error) {
+        console.error('❌ Error updating field schema:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Register a new device (operators and admins)
+app.post('/api/devices/add', isAuthenticated, isOperator, async (req, res) => {
+    try {
+        console.log('➕ Adding new device:', req.body.name);
+        const { name, location } = req.body;
+        
+        if (!name) {
+            return res.status(400).json({ error: 'Device name is required' });
+        }
+        
+        const { fieldMap, error } = parseFieldMap(req.body.field_map);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const devices = await readDevices();
+        const lastNumber = devices.reduce((max, d) => {
+            const match = /^device-(\d+)$/.exec(d.id);
+            return match ? Math.max(max, parseInt(match[1], 10)) : max;
+        }, 0);
+        
+        const device = {
+            id: `device-${lastNumber + 1}`,
+            name,
+            location: location || '',
+            api_key: generateApiKey(),
+            field_map: fieldMap
+        };
+        await storage.insert('devices', encodeDevice(device));
+        await audit(req, 'device.create', device.id, { after: device });
+        
+        // An operator limited to certain devices keeps access to the ones they add
+        const creator = await storage.find('users', { email: req.session.user.email });
+        const creatorDevices = parseList(creator?.devices);
+        if (req.session.user.role !== 'admin' && (creatorDevices.length > 0 || parseList(creator?.sites).length > 0)) {
+            await storage.update('users', { email: creator.email }, {
+                devices: JSON.stringify([...creatorDevices, device.id])
+            });
+        }
+        
+        console.log('✅ Device added:', device.id);
+        res.json({ message: 'Device added successfully', device });
+    } catch (error) {
+        console.error('❌ Error adding device:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update device name, location or field mapping (operators and admins)
+app.put('/api/devices/:id', isAuthenticated, isOperator, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, location } = req.body;
+        
+        console.log(`🔄 Updating device ${id}`);
+        
+        if (name !== undefined && !name) {
+            return res.status(400).json({ error: 'Device name cannot be empty' });
+        }
+        
+        const device = await findDeviceFor(req.session.user, id);
+        
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        const before = { ...device };
+        if (req.body.field_map !== undefined) {
+            const { fieldMap, error } = parseFieldMap(req.body.field_map);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            device.field_map = fieldMap;
+        }
+        if (name !== undefined) device.name = name;
+        if (location !== undefined) device.location = location;
+        
+        await storage.update('devices', { id }, encodeDevice(device));
+        await audit(req, 'device.update', id, { before, after: device });
+        
+        console.log('✅ Device updated');
+        res.json({ message: 'Device updated successfully', device });
+    } catch (error) {
+        console.error('❌ Error updating device:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Issue a new write API key for a device (operators and admins)
+app.post('/api/devices/:id/regenerate-key', isAuthenticated, isOperator, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        console.log(`🔑 Regenerating write API key for ${id}`);
+        
+        const device = await findDeviceFor(req.session.user, id);
+        
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        const before = { api_key: device.api_key };
+        device.api_key = generateApiKey();
+        await storage.update('devices', { id }, { api_key: device.api_key });
+        await audit(req, 'device.key_regenerate', id, { before, after: { api_key: device.api_key } });
+        
+        console.log('✅ Write API key regenerated');
+        res.json({ message: 'Write API key regenerated', device });
+    } catch (error) {
+        console.error('❌ Error regenerating API key:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete device (operators and admins); its readings are kept but its field schema is removed
+app.delete('/api/devices/:id', isAuthenticated, isOperator, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        console.log(`🗑️  Deleting device: ${id}`);
+        
+        const device = await findDeviceFor(req.session.user, id);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        const removed = await storage.remove('devices', { id });
+        
+        if (removed === 0) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        await storage.remove('fields', { device_id: id });
+        metrics.removeDevice(id);
+        await audit(req, 'device.delete', id, { before: device });
+        
+        console.log('✅ Device deleted');
+        res.json({ message: 'Device deleted successfully' });
+    } catch (error) {
+        console.error('❌ Error deleting device:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== ALERT ROUTES ====================
+
+// Alert history, newest first (?state=firing|resolved, ?device=<id>, ?limit=)
+app.get('/api/alerts', isAuthenticated, async (req, res) => {
+    try {
+        console.log('🚨 Fetching alerts');
+        const { state, device } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        
+        const filter = {};
+        if (state) filter.state = state;
+        if (device) filter.device_id = device;
+        
+        const [allAlerts, rules, devices] = await Promise.all([
+            storage.list('alerts', filter),
+            storage.list('alert_rules'),
+            readDevicesFor(req.session.user)
+        ]);
+        const alerts = allAlerts.filter(a => devices.some(d => d.id === a.device_id));
+        
+        // Pending alerts have not fired yet, so they are not part of the history
+        const history = alerts
+            .filter(a => a.state !== 'pending')
+            .reverse()
+            .slice(0, limit)
+            .map(a => ({
+                ...a,
+                rule_name: rules.find(r => r.id === a.rule_id)?.name || '(deleted rule)',
+                device_name: devices.find(d => d.id === a.device_id)?.name || a.device_id
+            }));
+        
+        res.json({
+            alerts: history,
+            firing: alerts.filter(a => a.state === 'firing').length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching alerts:', error);
+        res.status(500).json({ error: 'Failed to fetch alerts' });
+    }
+});
+
+// Acknowledge an alert (operators and admins)
+app.post('/api/alerts/:id/acknowledge', isAuthenticated, isOperator, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        console.log(`✔️  Acknowledging alert ${id}`);
+        
+        const alert = await storage.find('alerts', { id });
+        if (!alert || alert.state === 'pending' || !await findDeviceFor(req.session.user, alert.device_id)) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        if (alert.acknowledged_at) {
+            return res.status(400).json({ error: 'Alert already acknowledged' });
+        }
+        
+        const acknowledgement = {
+            acknowledged_by: req.session.user.email,
+            acknowledged_at: new Date().toISOString()
+        };
+        await storage.update('alerts', { id }, acknowledgement);
+        await audit(req, 'alert.acknowledge', id, {
+            before: { acknowledged_by: '', acknowledged_at: '' },
+            after: acknowledgement
+        });
+        
+        console.log('✅ Alert acknowledged');
+        res.json({ message: 'Alert acknowledged' });
+    } catch (error) {
+        console.error('❌ Error acknowledging alert:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// List alert rules
+app.get('/api/alerts/rules', isAuthenticated, async (req, res) => {
+    try {
+        console.log('📏 Fetching alert rules');
+        const [allRules, devices] = await Promise.all([
+            storage.list('alert_rules'),
+            readDevicesFor(req.session.user)
+        ]);
+        // Rules for every device (blank device_id) plus those for visible devices
+        const rules = allRules.filter(r => !r.device_id || devices.some(d => d.id === r.device_id));
+        res.json({ rules, fields: FEED_FIELDS, operators: Object.keys(OPERATORS) });
+    } catch (error) {
+        console.error('❌ Error fetching alert rules:', error);
+        res.status(500).json({ error: 'Failed to fetch alert rules' });
+    }
+});
+
+// Create an alert rule (admin only)
+app.post('/api/alerts/rules/add', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        console.log('➕ Adding alert rule:', req.body.name);
+        
+        const { rule, error } = parseAlertRule(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (rule.device_id && !await findDevice(rule.device_id)) {
+            return res.status(400).json({ error: 'Device not found' });
+        }
+        
+        const created = await storage.insert('alert_rules', {
+            ...rule,
+            created_at: new Date().toISOString()
+        });
+        await audit(req, 'alert_rule.create', created.id, { after: created });
+        
+        console.log('✅ Alert rule added:', created.id);
+        res.json({ message: 'Alert rule added successfully', rule: created });
+    } catch (error) {
+        console.error('❌ Error adding alert rule:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update an alert rule (admin only); changing a rule resolves its open alerts
+app.put('/api/alerts/rules/:id', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        console.log(`🔄 Updating alert rule ${id}`);
+        
+        const existing = await storage.find('alert_rules', { id });
+        if (!existing) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        
+        const { rule, error } = parseAlertRule({ ...existing, ...req.body });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (rule.device_id && !await findDevice(rule.device_id)) {
+            return res.status(400).json({ error: 'Device not found' });
+        }
+        
+        await alertEngine.resolveRule(existing);
+        await storage.update('alert_rules', { id }, rule);
+        const updated = await storage.find('alert_rules', { id });
+        await audit(req, 'alert_rule.update', id, { before: existing, after: updated });
+        
+        console.log('✅ Alert rule updated');
+        res.json({ message: 'Alert rule updated successfully', rule: updated });
+    } catch (error) {
+        console.error('❌ Error updating alert rule:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete an alert rule (admin only); its open alerts are resolved, history is kept
+app.delete('/api/alerts/rules/:id', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        console.log(`🗑️  Deleting alert rule: ${id}`);
+        
+        const rule = await storage.find('alert_rules', { id });
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        
+        await alertEngine.resolveRule(rule);
+        await storage.remove('alert_rules', { id });
+        await audit(req, 'alert_rule.delete', id, { before: rule });
+        
+        console.log('✅ Alert rule deleted');
+        res.json({ message: 'Alert rule deleted successfully' });
+    } catch (error) {
+        console.error('❌ Error deleting alert rule:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== NOTIFICATION ROUTES ====================
+
+// List notification channels (admin only)
+app.get('/api/notifications/channels', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        console.log('📣 Fetching notification channels');
+        const channels = await storage.list('notification_channels');
+        res.json({ channels: channels.map(decodeChannel), types: CHANNEL_TYPES });
+    } catch (error) {
+        console.error('❌ Error fetching notification channels:', error);
+        res.status(500).json({ error: 'Failed to fetch notification channels' });
+    }
+});
+
+// Add a notification channel (admin only)
+app.post('/api/notifications/channels/add', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const { channel, error } = parseChannel(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        console.log(`➕ Adding ${channel.type} notification channel: ${channel.name}`);
+        
+        const created = decodeChannel(await storage.insert('notification_channels', {
+            ...channel,
+            created_at: new Date().toISOString()
+        }));
+        await audit(req, 'channel.create', created.id, { after: created });
+        
+        console.log('✅ Notification channel added');
+        res.status(201).json({ message: 'Notification channel added successfully', channel: created });
+    } catch (error) {
+        console.error('❌ Error adding notification channel:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update a notification channel (admin only)
+app.put('/api/notifications/channels/:id', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        console.log(`🔄 Updating notification channel ${id}`);
         
-        // Check if email already exists
-        if (users.some(u => u.email === email)) {
-            console.log('⚠️  Email already exists:', email);
-            return res.status(400).json({ error: 'Email already registered' });
+        const existing = await storage.find('notification_channels', { id });
+        if (!existing) {
+            return res.status(404).json({ error: 'Notification channel not found' });
         }
         
-        // Hash password
-        const hashedPassword = await bcrypt.hash(password, 10);
-        
-        // Add new user
-        users.push({
-            name,
-            email,
-            password: hashedPassword,
-            role: 'user'
+        const current = decodeChannel(existing);
+        const { channel, error } = parseChannel({
+            ...current,
+            ...req.body,
+            config: { ...current.config, ...req.body.config }
         });
+        if (error) {
+            return res.status(400).json({ error });
+        }
         
-        // Write back to CSV
-        const success = await writeCSV(USERS_CSV, users, ['name', 'email', 'password', 'role']);
+        await storage.update('notification_channels', { id }, channel);
+        const updated = decodeChannel(await storage.find('notification_channels', { id }));
+        await audit(req, 'channel.update', id, { before: current, after: updated });
         
-        if (success) {
-            console.log('✅ User registered successfully:', email);
-            res.json({ message: 'Registration successful' });
-        } else {
-            res.status(500).json({ error: 'Failed to save user' });
-        }
+        console.log('✅ Notification channel updated');
+        res.json({
+            message: 'Notification channel updated successfully',
+            channel: updated
+        });
     } catch (error) {
-        console.error('❌ Registration error:', error);
-        res.status(500).json({ error: 'Server error during registration' });
+        console.error('❌ Error updating notification channel:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Login
-app.post('/api/login', async (req, res) => {
+// Delete a notification channel (admin only)
+app.delete('/api/notifications/channels/:id', isAuthenticated, isAdmin, async (req, res) => {
     try {
-        console.log('🔐 Login attempt:', req.body.email);
-        const { email, password } = req.body;
+        const { id } = req.params;
         
-        if (!email || !password) {
-            return res.status(400).json({ error: 'Email and password are required' });
+        console.log(`🗑️  Deleting notification channel ${id}`);
+        
+        const existing = await storage.find('notification_channels', { id });
+        const removed = await storage.remove('notification_channels', { id });
+        if (removed === 0) {
+            return res.status(404).json({ error: 'Notification channel not found' });
         }
+        await audit(req, 'channel.delete', id, { before: decodeChannel(existing) });
         
-        // Read users
-        const users = await readCSV(USERS_CSV);
+        console.log('✅ Notification channel deleted');
+        res.json({ message: 'Notification channel deleted successfully' });
+    } catch (error) {
+        console.error('❌ Error deleting notification channel:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Send a test notification through one channel (admin only)
+app.post('/api/notifications/channels/:id/test', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
         
-        // Find user
-        const user = users.find(u => u.email === email);
+        console.log(`📣 Sending test notification via channel ${id}`);
         
-        if (!user) {
-            console.log('⚠️  User not found:', email);
-            return res.status(401).json({ error: 'Invalid email or password' });
+        const channel = await storage.find('notification_channels', { id });
+        if (!channel) {
+            return res.status(404).json({ error: 'Notification channel not found' });
         }
         
-        // Verify password
-        const validPassword = await bcrypt.compare(password, user.password);
-        
-        if (!validPassword) {
-            console.log('⚠️  Invalid password for:', email);
-            return res.status(401).json({ error: 'Invalid email or password' });
+        try {
+            await notifier.sendTest(channel);
+        } catch (error) {
+            return res.status(502).json({ error: `Test notification failed: ${error.message}` });
         }
         
-        // Set session
-        req.session.user = {
-            name: user.name,
-            email: user.email,
-            role: user.role
-        };
-        
-        console.log('✅ Login successful:', email);
-        res.json({ 
-            message: 'Login successful',
-            user: {
-                name: user.name,
-                email: user.email,
-                role: user.role
-            }
-        });
+        res.json({ message: 'Test notification sent' });
     } catch (error) {
-        console.error('❌ Login error:', error);
-        res.status(500).json({ error: 'Server error during login' });
+        console.error('❌ Error sending test notification:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Logout
-app.get('/api/logout', (req, res) => {
-    console.log('👋 Logout:', req.session.user?.email);
-    req.session.destroy((err) => {
-        if (err) {
-            return res.status(500).json({ error: 'Logout failed' });
-        }
-        res.json({ message: 'Logout successful' });
-    });
-});
+// ==================== IMPORT ROUTES ====================
 
-// Check authentication status
-app.get('/api/check-auth', (req, res) => {
-    if (req.session.user) {
-        res.json({ 
-            authenticated: true,
-            user: req.session.user
+// Uploaded CSV files are sent as the raw request body
+const csvUpload = express.text({ type: ['text/csv', 'text/plain', 'application/vnd.ms-excel'], limit: IMPORT_MAX_SIZE });
+
+// Parse the CSV sent as the request body
+function readUpload(req) {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        return { error: 'Upload a non-empty CSV file' };
+    }
+    const parsed = parseImportCsv(req.body);
+    if (parsed.columns.length === 0) {
+        return { error: 'The file has no header row' };
+    }
+    return { parsed };
+}
+
+// Preview an uploaded CSV: its columns, a suggested mapping and the first rows (admin only)
+app.post('/api/import/preview', isAuthenticated, isAdmin, csvUpload, async (req, res) => {
+    try {
+        const device = await findDevice(req.query.device);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        
+        const { parsed, error } = readUpload(req);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        console.log(`📥 Previewing import of ${parsed.rows.length} rows for ${device.id}`);
+        
+        const schema = await readFieldSchema(device.id);
+        res.json({
+            columns: parsed.columns,
+            mapping: suggestMapping(parsed.columns, schema, device.field_map),
+            targets: IMPORT_TARGETS,
+            sample: parsed.rows.slice(0, PREVIEW_ROWS),
+            total_rows: parsed.rows.length
         });
-    } else {
-        res.json({ authenticated: false });
+    } catch (error) {
+        console.error('❌ Error previewing import:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-// ==================== SENSOR DATA ROUTES ====================
-
-// Get sensor data
-app.get('/api/sensors', isAuthenticated, async (req, res) => {
+// Merge an uploaded CSV into a device's readings (admin only,
+// ?device=<id>&mapping[created_at]=<column>&mapping[field1]=<column>...)
+app.post('/api/import', isAuthenticated, isAdmin, csvUpload, async (req, res) => {
     try {
-        console.log('📊 Fetching sensor data');
-        const feeds = await readCSV(FEEDS_CSV);
+        const device = await findDevice(req.query.device);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
         
-        if (feeds.length === 0) {
-            console.log('⚠️  No sensor data found');
-            return res.json({
-                latest: {},
-                history: [],
-                recent: []
-            });
+        const { parsed, error } = readUpload(req);
+        if (error) {
+            return res.status(400).json({ error });
         }
         
-        // Convert string values to numbers
-        const processedFeeds = feeds.map(f => ({
-            timestamp: f.created_at,
-            entry_id: f.entry_id,
-            field1: parseFloat(f.field1) || 0,
-            field2: parseFloat(f.field2) || 0,
-            field3: parseFloat(f.field3) || 0
-        }));
+        const { mapping, error: mappingError } = parseMapping(req.query.mapping, parsed.columns);
+        if (mappingError) {
+            return res.status(400).json({ error: mappingError });
+        }
         
-        // Get latest reading
-        const latest = processedFeeds[processedFeeds.length - 1];
+        console.log(`📥 Importing ${parsed.rows.length} rows for ${device.id}`);
         
-        // Get last 20 readings for history (charts)
-        const history = processedFeeds.slice(-20);
+        const existingTimes = (await storage.list('feeds', { device_id: device.id }))
+            .map(f => new Date(f.created_at).getTime());
+        const result = buildImportRows(parsed, mapping, device.id, existingTimes);
+        flagHistory(result.readings, await readFieldSchema(device.id));
+        const flagged = result.readings.filter(feed => feed.flags).length;
         
-        // Get last 10 readings for table
-        const recent = processedFeeds.slice(-10).reverse();
+        // Imported history is flagged but does not trigger alerts or live updates
+        if (result.readings.length > 0) {
+            await storage.insertMany('feeds', result.readings);
+            qualityChecker.reset(device.id);
+        }
+        await audit(req, 'import.run', device.id, {
+            after: {
+                mapping,
+                imported: result.readings.length,
+                flagged,
+                duplicates: result.duplicates,
+                rejected: result.rejectedCount
+            }
+        });
         
+        console.log(`✅ Imported ${result.readings.length} readings (${flagged} flagged, ${result.duplicates} duplicates, ${result.rejectedCount} rejected)`);
         res.json({
-            latest: {
-                field1: latest.field1,
-                field2: latest.field2,
-                field3: latest.field3,
-                timestamp: latest.timestamp
-            },
-            history,
-            recent
+            message: `Imported ${result.readings.length} readings`,
+            imported: result.readings.length,
+            flagged,
+            duplicates: result.duplicates,
+            rejected_count: result.rejectedCount,
+            rejected: result.rejected
         });
     } catch (error) {
-        console.error('❌ Error fetching sensor data:', error);
-        res.status(500).json({ error: 'Failed to fetch sensor data' });
+        console.error('❌ Error importing readings:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
@@ -289,16 +2775,22 @@ app.get('/api/sensors', isAuthenticated, async (req, res) => {
 app.get('/api/users', isAuthenticated, isAdmin, async (req, res) => {
     try {
         console.log('👥 Fetching all users');
-        const users = await readCSV(USERS_CSV);
+        const users = await storage.list('users');
+        const sessions = await sessionStore.countByUser();
         
         // Remove passwords from response
         const safeUsers = users.map(u => ({
             name: u.name,
             email: u.email,
-            role: u.role
+            role: u.role,
+            devices: parseList(u.devices),
+            sites: parseList(u.sites),
+            two_factor: hasTwoFactor(u),
+            password_reset_required: u.password_reset_required === 'true',
+            sessions: sessions[u.email] || 0
         }));
         
-        res.json({ users: safeUsers });
+        res.json({ users: safeUsers, roles: ROLES });
     } catch (error) {
         console.error('❌ Error fetching users:', error);
         res.status(500).json({ error: 'Failed to fetch users' });
@@ -311,81 +2803,95 @@ app.post('/api/users/add', isAuthenticated, isAdmin, async (req, res) => {
         console.log('➕ Adding new user:', req.body.email);
         const { name, email, password, role } = req.body;
         
-        if (!name || !email || !password) {
-            return res.status(400).json({ error: 'All fields are required' });
-        }
-        
-        if (password.length < 6) {
-            return res.status(400).json({ error: 'Password must be at least 6 characters' });
-        }
-        
-        // Read existing users
-        const users = await readCSV(USERS_CSV);
-        
         // Check if email already exists
-        if (users.some(u => u.email === email)) {
+        if (await storage.find('users', { email })) {
             return res.status(400).json({ error: 'Email already exists' });
         }
         
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
         
-        // Add new user
-        users.push({
+        // Add new user (an admin vouches for the address, so no verification)
+        const user = await storage.insert('users', {
             name,
             email,
             password: hashedPassword,
-            role: role || 'user'
+            role: role || 'user',
+            email_verified: 'true'
         });
+        await audit(req, 'user.create', email, { after: auditUser(user) });
         
-        // Write back to CSV
-        const success = await writeCSV(USERS_CSV, users, ['name', 'email', 'password', 'role']);
-        
-        if (success) {
-            console.log('✅ User added successfully');
-            res.json({ message: 'User added successfully' });
-        } else {
-            res.status(500).json({ error: 'Failed to add user' });
-        }
+        console.log('✅ User added successfully');
+        res.json({ message: 'User added successfully' });
     } catch (error) {
+        if (error.code === 'DUPLICATE_KEY') {
+            return res.status(400).json({ error: 'Email already exists' });
+        }
         console.error('❌ Error adding user:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Update user role (admin only)
+// Update a user's name, role and/or device and site access lists (admin
+// only). Empty access lists give access to every device.
 app.put('/api/users/:email', isAuthenticated, isAdmin, async (req, res) => {
     try {
         const { email } = req.params;
-        const { role } = req.body;
+        const { name, role } = req.body;
+        const changes = {};
         
-        console.log(`🔄 Updating role for ${email} to ${role}`);
+        console.log(`🔄 Updating user ${email}`);
         
-        if (!role || !['user', 'admin'].includes(role)) {
-            return res.status(400).json({ error: 'Invalid role' });
+        if (name !== undefined) {
+            changes.name = String(name).trim();
+            if (!changes.name) {
+                return res.status(400).json({ error: 'Name is required' });
+            }
         }
         
-        // Read users
-        const users = await readCSV(USERS_CSV);
+        if (role !== undefined) {
+            if (!ROLES.includes(role)) {
+                return res.status(400).json({ error: 'Invalid role' });
+            }
+            // Keep at least the acting admin able to manage users
+            if (req.session.user.email === email && role !== 'admin') {
+                return res.status(400).json({ error: 'Cannot change your own role' });
+            }
+            changes.role = role;
+        }
         
-        // Find and update user
-        const userIndex = users.findIndex(u => u.email === email);
+        for (const [key, label] of [['devices', 'Devices'], ['sites', 'Sites']]) {
+            if (req.body[key] === undefined) continue;
+            const { list, error } = parseAccessList(req.body[key], label);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            changes[key] = list.length > 0 ? JSON.stringify(list) : '';
+        }
         
-        if (userIndex === -1) {
-            return res.status(404).json({ error: 'User not found' });
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
         }
         
-        users[userIndex].role = role;
+        // Find and update user
+        const existing = await storage.find('users', { email });
         
-        // Write back to CSV
-        const success = await writeCSV(USERS_CSV, users, ['name', 'email', 'password', 'role']);
+        if (!existing) {
+            return res.status(404).json({ error: 'User not found' });
+        }
         
-        if (success) {
-            console.log('✅ User role updated');
-            res.json({ message: 'User role updated successfully' });
-        } else {
-            res.status(500).json({ error: 'Failed to update user' });
+        await storage.update('users', { email }, changes);
+        // Sessions remember the role they logged in with
+        if (changes.role && changes.role !== existing.role) {
+            await sessionStore.revokeAll(email);
         }
+        await audit(req, 'user.update', email, {
+            before: auditUser(existing),
+            after: auditUser({ ...existing, ...changes })
+        });
+        
+        console.log('✅ User updated');
+        res.json({ message: 'User updated successfully' });
     } catch (error) {
         console.error('❌ Error updating user:', error);
         res.status(500).json({ error: 'Server error' });
@@ -404,93 +2910,362 @@ app.delete('/api/users/:email', isAuthenticated, isAdmin, async (req, res) => {
             return res.status(400).json({ error: 'Cannot delete your own account' });
         }
         
-        // Read users
-        const users = await readCSV(USERS_CSV);
+        // Remove the user
+        const user = await storage.find('users', { email });
+        if (!user || !(await removeUser(email))) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        await audit(req, 'user.delete', email, { before: auditUser(user) });
+        
+        console.log('✅ User deleted');
+        res.json({ message: 'User deleted successfully' });
+    } catch (error) {
+        console.error('❌ Error deleting user:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Make a user choose a new password (admin only): they are logged out, their
+// API tokens are revoked, and they cannot log in until they have set a new
+// password from the reset link emailed to them
+app.post('/api/users/:email/password-reset', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const { email } = req.params;
+        const user = await storage.find('users', { email });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        await storage.update('users', { email }, { password_reset_required: 'true' });
+        await sessionStore.revokeAll(email);
+        await apiTokens.revokeAll(email);
+        await audit(req, 'user.password_reset', email, {
+            before: auditUser(user),
+            after: auditUser({ ...user, password_reset_required: 'true' })
+        });
         
-        // Filter out the user to delete
-        const filteredUsers = users.filter(u => u.email !== email);
+        try {
+            await sendPasswordResetEmail(user);
+        } catch (error) {
+            console.error('❌ Failed to send password reset email:', error.message);
+            return res.json({ message: 'Password reset required, but the email with the reset link could not be sent. The user can request a new link from the login page.' });
+        }
         
-        if (filteredUsers.length === users.length) {
+        console.log('🔑 Password reset forced for:', email);
+        res.json({ message: `Password reset required. A reset link has been sent to ${email}.` });
+    } catch (error) {
+        console.error('❌ Error forcing password reset:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Log a user out everywhere (admin only)
+app.delete('/api/users/:email/sessions', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const { email } = req.params;
+        if (!(await storage.find('users', { email }))) {
             return res.status(404).json({ error: 'User not found' });
         }
         
-        // Write back to CSV
-        const success = await writeCSV(USERS_CSV, filteredUsers, ['name', 'email', 'password', 'role']);
+        const ended = await sessionStore.revokeAll(email);
+        await audit(req, 'user.sessions_end', email, { after: { sessions_ended: ended } });
         
-        if (success) {
-            console.log('✅ User deleted');
-            res.json({ message: 'User deleted successfully' });
-        } else {
-            res.status(500).json({ error: 'Failed to delete user' });
+        console.log(`🔒 Ended ${ended} sessions for ${email}`);
+        res.json({ message: `Ended ${ended} session${ended === 1 ? '' : 's'}`, ended });
+    } catch (error) {
+        console.error('❌ Error ending sessions:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Clear a user's two-factor enrollment, e.g. after they lost their device and
+// recovery codes (admin only). They can log in with just their password again.
+app.delete('/api/users/:email/2fa', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const { email } = req.params;
+        const user = await storage.find('users', { email });
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!hasTwoFactor(user)) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled for this user' });
         }
+        
+        await storage.update('users', { email }, TWO_FACTOR_RESET);
+        if (req.session.user.email === email) req.session.user.two_factor = false;
+        await audit(req, 'user.2fa_reset', email, { before: { two_factor: true }, after: { two_factor: false } });
+        
+        console.log(`🔑 Two-factor authentication reset for ${email}`);
+        res.json({ message: 'Two-factor authentication reset' });
     } catch (error) {
-        console.error('❌ Error deleting user:', error);
+        console.error('❌ Error resetting two-factor authentication:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Account security policy (admin only)
+app.get('/api/security', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        res.json({ policy: await readSecurityPolicy() });
+    } catch (error) {
+        console.error('❌ Error fetching security policy:', error);
+        res.status(500).json({ error: 'Failed to fetch security policy' });
+    }
+});
+
+// Update the account security policy (admin only)
+app.put('/api/security', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const { require_admin_2fa: requireAdmin2fa } = req.body;
+        // Otherwise the acting admin would lock themselves out of admin features
+        if (requireAdmin2fa && !req.session.user.two_factor) {
+            return res.status(400).json({ error: 'Set up two-factor authentication for your own account first' });
+        }
+        
+        const before = await readSecurityPolicy();
+        const policy = { ...before, require_admin_2fa: requireAdmin2fa };
+        await settings.write('security_policy', policy);
+        await audit(req, 'security.update', 'security_policy', { before, after: policy });
+        
+        console.log(`🔑 Two-factor authentication ${requireAdmin2fa ? 'required' : 'optional'} for admins`);
+        res.json({ message: 'Security policy updated successfully', policy });
+    } catch (error) {
+        console.error('❌ Error updating security policy:', error);
+        res.status(500).json({ error: 'Failed to update security policy' });
+    }
+});
+
+// Recent login attempts, newest first, and currently locked accounts (admin only).
+// ?email= narrows to one account and ?result=success|failure to one outcome.
+app.get('/api/login-activity', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const { email, result } = req.query;
+        
+        let limit = DEFAULT_LOGIN_ACTIVITY_LIMIT;
+        if (req.query.limit !== undefined) {
+            limit = parseInt(req.query.limit, 10);
+            if (!Number.isInteger(limit) || limit < 1) {
+                return res.status(400).json({ error: 'Limit must be a positive number' });
+            }
+            limit = Math.min(limit, MAX_LOGIN_ACTIVITY_LIMIT);
+        }
+        
+        const filter = {};
+        if (email) filter.email = email;
+        if (result) filter.success = result === 'success' ? 'true' : 'false';
+        
+        const attempts = (await storage.list('login_attempts', filter))
+            .sort((a, b) => (parseInt(b.id, 10) || 0) - (parseInt(a.id, 10) || 0))
+            .slice(0, limit)
+            .map(a => ({
+                id: parseInt(a.id, 10),
+                created_at: a.created_at,
+                email: a.email,
+                ip: a.ip,
+                user_agent: a.user_agent,
+                success: a.success === 'true',
+                reason: a.reason || null
+            }));
+        
+        res.json({ attempts, locked: await loginGuard.listLocked() });
+    } catch (error) {
+        console.error('❌ Error fetching login activity:', error);
+        res.status(500).json({ error: 'Failed to fetch login activity' });
+    }
+});
+
+// Lift a lockout and reset the account's failed login count (admin only)
+app.post('/api/users/:email/unlock', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const { email } = req.params;
+        const removed = await loginGuard.unlock(email);
+        
+        if (removed === 0) {
+            return res.status(404).json({ error: 'Account is not locked' });
+        }
+        await audit(req, 'user.unlock', email);
+        
+        console.log(`🔓 Unlocked ${email}`);
+        res.json({ message: 'Account unlocked' });
+    } catch (error) {
+        console.error('❌ Error unlocking account:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// Audit log of admin actions, newest first (admin only). Filters: ?actor=,
+// ?action= (e.g. "user" or "user.update"), ?target=, ?from= and ?to=; pages
+// with ?page= and ?page_size=.
+app.get('/api/audit', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const { actor, action, target } = req.query;
+        const range = {};
+        for (const key of ['from', 'to']) {
+            if (!req.query[key]) continue;
+            range[key] = new Date(req.query[key]);
+            if (isNaN(range[key].getTime())) {
+                return res.status(400).json({ error: `Invalid ${key} date` });
+            }
+        }
+        
+        const page = req.query.page === undefined ? 1 : Number(req.query.page);
+        if (!Number.isInteger(page) || page < 1) {
+            return res.status(400).json({ error: 'page must be a positive whole number' });
+        }
+        const pageSize = req.query.page_size === undefined ? undefined : Number(req.query.page_size);
+        if (pageSize !== undefined && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_AUDIT_PAGE_SIZE)) {
+            return res.status(400).json({ error: `page_size must be a whole number from 1 to ${MAX_AUDIT_PAGE_SIZE}` });
+        }
+        
+        res.json(await auditLog.list({ actor, action, target, ...range, page, pageSize }));
+    } catch (error) {
+        console.error('❌ Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+// ==================== MONITORING ROUTES ====================
+
+// Liveness: the server is up and answering requests
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime_seconds: Math.round(process.uptime()) });
+});
+
+// Readiness: the data store (CSV files or SQLite database) can be read and
+// written. Failures are only detailed in the server log.
+app.get('/readyz', async (req, res) => {
+    try {
+        await storage.check();
+        res.json({ status: 'ready', checks: { storage: 'ok' } });
+    } catch (error) {
+        console.error('❌ Readiness check failed (storage):', error.message);
+        res.status(503).json({ status: 'unavailable', checks: { storage: 'fail' } });
+    }
+});
+
+// Prometheus metrics: requests, ingestion and the latest reading per device
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN && !sameSecret(req.get('Authorization') || '', `Bearer ${METRICS_TOKEN}`)) {
+        return res.status(401).type('text').send('Unauthorized\n');
+    }
+    
+    const mqtt = mqttIngest.getStatus();
+    res.type('text/plain; version=0.0.4').send(metrics.render({
+        counters: [{
+            name: 'iotair_mqtt_messages_total',
+            help: 'MQTT messages received, by whether a reading was stored',
+            samples: mqtt.enabled ? ['accepted', 'rejected'].map(result => ({ labels: { result }, value: mqtt[result] })) : []
+        }],
+        gauges: [{
+            name: 'iotair_mqtt_connected',
+            help: 'Whether the MQTT subscriber is connected (1) or not (0)',
+            samples: mqtt.enabled ? [{ value: mqtt.state === 'connected' ? 1 : 0 }] : []
+        }]
+    }));
+});
+
+// ==================== API DESCRIPTION ROUTES ====================
+
+// OpenAPI document for version 1 of the API
+app.get('/api/openapi.json', (req, res) => {
+    res.json(apiDescription.document());
+});
+
 // ==================== ERROR HANDLING ====================
 
 // 404 handler
 app.use((req, res) => {
     console.log('⚠️  404 Not Found:', req.path);
+    if (req.apiVersion) {
+        return res.status(404).json({ error: 'Not found' });
+    }
     res.status(404).sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
 // Global error handler
 app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body too large' });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
     console.error('❌ Server Error:', err);
     res.status(500).json({ error: 'Internal server error' });
 });
 
 // ==================== SERVER START ====================
 
-app.listen(PORT, async () => {
-    console.log('\n' + '='.repeat(50));
-    console.log('🚀 AIR QUALITY DASHBOARD SERVER');
-    console.log('='.repeat(50));
-    console.log(`📡 Server running on: http://localhost:${PORT}`);
-    console.log(`📁 Users CSV: ${USERS_CSV}`);
-    console.log(`📊 Feeds CSV: ${FEEDS_CSV}`);
-    console.log('='.repeat(50) + '\n');
-    
-    // Create default admin if users.csv doesn't exist or is empty
-    try {
-        if (!fsSync.existsSync(USERS_CSV)) {
-            console.log('📝 Creating users.csv...');
-            const hashedPassword = await bcrypt.hash('admin123', 10);
-            await writeCSV(USERS_CSV, [{
-                name: 'Admin User',
-                email: 'admin@example.com',
-                password: hashedPassword,
-                role: 'admin'
-            }], ['name', 'email', 'password', 'role']);
-            console.log('✅ Created default admin: admin@example.com / admin123');
-        } else {
-            const users = await readCSV(USERS_CSV);
-            if (users.length === 0) {
-                console.log('📝 users.csv is empty, creating default admin...');
-                const hashedPassword = await bcrypt.hash('admin123', 10);
-                await writeCSV(USERS_CSV, [{
-                    name: 'Admin User',
-                    email: 'admin@example.com',
-                    password: hashedPassword,
-                    role: 'admin'
-                }], ['name', 'email', 'password', 'role']);
-                console.log('✅ Created default admin: admin@example.com / admin123');
-            }
-        }
-        
-        // Create feeds.csv if it doesn't exist
-        if (!fsSync.existsSync(FEEDS_CSV)) {
-            console.log('📝 Creating feeds.csv...');
-            const header = 'created_at,entry_id,field1,field2,field3\n';
-            fsSync.writeFileSync(FEEDS_CSV, header);
-            console.log('✅ Created empty feeds.csv');
-        }
-    } catch (error) {
-        console.error('❌ Initialization error:', error);
+// Prepare the data store and seed defaults before accepting requests
+async function initializeData() {
+    await storage.init();
+    
+    // Create default admin if there are no users
+    if (await storage.count('users') === 0) {
+        console.log('📝 No users found, creating default admin...');
+        const hashedPassword = await bcrypt.hash('admin123', 10);
+        await storage.insert('users', {
+            name: 'Admin User',
+            email: 'admin@example.com',
+            password: hashedPassword,
+            role: 'admin'
+        });
+        console.log('✅ Created default admin: admin@example.com / admin123');
+    }
+    
+    // Create a default device if none are registered
+    if (await storage.count('devices') === 0) {
+        console.log('📝 No devices found, creating default device...');
+        const apiKey = generateApiKey();
+        await storage.insert('devices', encodeDevice({
+            id: DEFAULT_DEVICE_ID,
+            name: 'Default Sensor',
+            location: '',
+            api_key: apiKey,
+            field_map: {}
+        }));
+        console.log(`✅ Created default device with write API key: ${apiKey}`);
+    }
+    
+    // Tag readings from before multi-device support with the default device
+    const untagged = await storage.update('feeds', { device_id: '' }, { device_id: DEFAULT_DEVICE_ID });
+    if (untagged > 0) {
+        console.log(`📝 Tagged ${untagged} untagged readings with the default device`);
     }
     
-    console.log('✅ Server ready! Open http://localhost:3000 in your browser\n');
-});
\ No newline at end of file
+    // Each device's latest reading, so /metrics reports reading ages from the start
+    for (const device of await readDevices()) {
+        const feeds = await readFeeds(device.id);
+        if (feeds.length === 0) continue;
+        const schema = await readFieldSchema(device.id);
+        metrics.setLatestReading(device.id, toReading(feeds[feeds.length - 1], schema), schema);
+    }
+}
+
+initializeData()
+    .then(() => {
+        alertEngine.start(async () => (await storage.list('devices')).map(d => d.id));
+        mqttIngest.start();
+        retentionJob.start();
+        sessionStore.start();
+        
+        app.listen(PORT, () => {
+            console.log('\n' + '='.repeat(50));
+            console.log('🚀 AIR QUALITY DASHBOARD SERVER');
+            console.log('='.repeat(50));
+            console.log(`📡 Server running on: http://localhost:${PORT}`);
+            console.log(`💾 Storage: ${storage.backend} (${storage.location})`);
+            console.log(`📧 Mail: ${mailer.transport}`);
+            console.log(`🔐 Sessions: end after ${SESSION_IDLE_TIMEOUT / 60000} idle minutes, ${SESSION_ABSOLUTE_TIMEOUT / 3600000} hours at most`);
+            console.log(`📈 Monitoring: /healthz, /readyz, /metrics${METRICS_TOKEN ? ' (token required)' : ''}`);
+            const mqttStatus = mqttIngest.getStatus();
+            console.log(`📶 MQTT ingestion: ${mqttStatus.enabled ? `${mqttStatus.url} [${mqttStatus.topics.join(', ')}]` : 'disabled'}`);
+            console.log('='.repeat(50) + '\n');
+            console.log('✅ Server ready! Open http://localhost:3000 in your browser\n');
+        });
+    })
+    .catch(error => {
+        console.error('❌ Initialization error:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,98 @@
+// collections.js - Column layouts for every collection in the data store
+
+// ThingSpeak-style channel fields
+const FEED_FIELDS = ['field1', 'field2', 'field3', 'field4', 'field5', 'field6', 'field7', 'field8'];
+
+// Columns of an hourly/daily rollup: raw (uncalibrated) mean, min, max and
+// number of unflagged values per field, so rollups can be merged exactly
+const ROLLUP_STATS = ['mean', 'min', 'max', 'count'];
+const ROLLUP_HEADERS = ['device_id', 'period_start', 'count',
+    ...FEED_FIELDS.flatMap(field => ROLLUP_STATS.map(stat => `${field}_${stat}`))];
+
+// Each collection maps to data/<name>.csv or an SQLite table of the same name.
+//   headers    - columns, in CSV order
+//   key        - column that must be unique
+//   appendOnly - rows are appended instead of rewriting the whole CSV file
+//   sequence   - column auto-assigned the next integer on insert
+//   indexes    - columns to index in SQLite
+const COLLECTIONS = {
+    users: {
+        headers: ['name', 'email', 'password', 'role', 'devices', 'sites', 'email_verified',
+            'totp_secret', 'totp_last_step', 'recovery_codes', 'password_reset_required'],
+        key: 'email'
+    },
+    devices: {
+        headers: ['id', 'name', 'location', 'api_key', 'field_map'],
+        key: 'id',
+        indexes: ['api_key']
+    },
+    fields: {
+        headers: ['device_id', 'field', 'name', 'unit', 'precision', 'min', 'max', 'color', 'max_step', 'gain', 'offset', 'limit'],
+        indexes: ['device_id']
+    },
+    feeds: {
+        headers: ['created_at', 'entry_id', ...FEED_FIELDS, 'device_id', 'flags'],
+        appendOnly: true,
+        sequence: 'entry_id',
+        indexes: ['device_id']
+    },
+    feeds_hourly: {
+        headers: ROLLUP_HEADERS,
+        indexes: ['device_id']
+    },
+    feeds_daily: {
+        headers: ROLLUP_HEADERS,
+        indexes: ['device_id']
+    },
+    alert_rules: {
+        headers: ['id', 'name', 'type', 'device_id', 'field', 'operator', 'threshold', 'duration_minutes', 'enabled', 'created_at'],
+        key: 'id',
+        sequence: 'id'
+    },
+    alerts: {
+        headers: ['id', 'rule_id', 'device_id', 'field', 'state', 'value', 'message', 'started_at', 'fired_at', 'resolved_at', 'acknowledged_by', 'acknowledged_at'],
+        key: 'id',
+        sequence: 'id',
+        indexes: ['rule_id', 'device_id', 'state']
+    },
+    notification_channels: {
+        headers: ['id', 'name', 'type', 'config', 'enabled', 'created_at', 'last_status', 'last_error', 'last_sent_at'],
+        key: 'id',
+        sequence: 'id'
+    },
+    login_attempts: {
+        headers: ['id', 'created_at', 'email', 'ip', 'user_agent', 'success', 'reason'],
+        key: 'id',
+        appendOnly: true,
+        sequence: 'id',
+        indexes: ['email']
+    },
+    audit_log: {
+        headers: ['id', 'created_at', 'actor', 'ip', 'action', 'target', 'before', 'after'],
+        key: 'id',
+        appendOnly: true,
+        sequence: 'id',
+        indexes: ['actor', 'action', 'target']
+    },
+    api_tokens: {
+        headers: ['id', 'user_email', 'name', 'prefix', 'token_hash', 'scopes', 'created_at', 'last_used_at', 'last_used_ip'],
+        key: 'id',
+        sequence: 'id',
+        indexes: ['user_email', 'token_hash']
+    },
+    sessions: {
+        headers: ['sid', 'user_email', 'data', 'created_at', 'last_seen_at', 'ip', 'user_agent'],
+        key: 'sid',
+        indexes: ['user_email']
+    },
+    account_lockouts: {
+        headers: ['email', 'failures', 'lockouts', 'locked_until', 'last_failure_at'],
+        key: 'email'
+    },
+    settings: {
+        headers: ['key', 'value'],
+        key: 'key'
+    }
+};
+
+module.exports = { FEED_FIELDS, ROLLUP_STATS, COLLECTIONS };
@@ -0,0 +1,271 @@
+// csv.js - CSV storage backend
+//
+// Each collection lives in data/<name>.csv. Append-only collections (feeds)
+// get new rows appended to the end of the file; every other write rewrites
+// the file to a temp file and renames it into place, so readers never see a
+// half-written file. All writes to a collection go through a per-collection
+// lock so concurrent requests cannot clobber each other.
+
+const fs = require('fs').promises;
+const { constants: fsConstants, createReadStream } = require('fs');
+const { pipeline } = require('stream');
+const path = require('path');
+const Papa = require('papaparse');
+const { normalizeRow, matchesFilter, duplicateKeyError } = require('./utils');
+
+function createCsvStorage({ dataDir, collections }) {
+    const locks = {};
+    const sequences = {};
+    
+    function filePath(name) {
+        return path.join(dataDir, `${name}.csv`);
+    }
+    
+    // Run a write task once every earlier write to the collection has finished
+    function withLock(name, task) {
+        const run = (locks[name] || Promise.resolve()).then(task);
+        locks[name] = run.catch(() => {});
+        return run;
+    }
+    
+    // Read and parse a collection's CSV file
+    async function readRows(name) {
+        try {
+            const fileContent = await fs.readFile(filePath(name), 'utf-8');
+            const results = Papa.parse(fileContent, {
+                header: true,
+                skipEmptyLines: true
+            });
+            console.log(`📖 Read ${results.data.length} rows from ${name}.csv`);
+            return results.data;
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+    
+    // Rewrite a collection's CSV file atomically (temp file + rename)
+    async function writeRows(name, rows) {
+        const { headers } = collections[name];
+        // Papa.unparse writes nothing for no rows, but appends need the header row
+        const csv = rows.length > 0
+            ? Papa.unparse(rows, { columns: headers, header: true })
+            : Papa.unparse({ fields: headers, data: [] });
+        const target = filePath(name);
+        const temp = `${target}.${process.pid}.tmp`;
+        await fs.writeFile(temp, csv, 'utf-8');
+        await fs.rename(temp, target);
+        console.log(`✅ Wrote ${rows.length} rows to ${name}.csv`);
+    }
+    
+    // Append one row without rewriting the file
+    async function appendRow(name, row) {
+        const target = filePath(name);
+        const line = Papa.unparse([row], {
+            columns: collections[name].headers,
+            header: false
+        });
+        
+        // Papa.unparse uses CRLF and no trailing newline, so start a new line if needed
+        let prefix = '';
+        const { size } = await fs.stat(target);
+        if (size > 0) {
+            const handle = await fs.open(target, 'r');
+            const lastByte = Buffer.alloc(1);
+            await handle.read(lastByte, 0, 1, size - 1);
+            await handle.close();
+            if (lastByte.toString() !== '\n') prefix = '\r\n';
+        }
+        
+        await fs.appendFile(target, prefix + line, 'utf-8');
+    }
+    
+    // Read just the header row of a CSV file
+    async function readHeaders(name) {
+        const fileContent = await fs.readFile(filePath(name), 'utf-8');
+        const firstLine = fileContent.split(/\r?\n/, 1)[0];
+        return Papa.parse(firstLine).data[0] || [];
+    }
+    
+    // Assign the next value of a collection's sequence column
+    async function nextSequence(name, row) {
+        const column = collections[name].sequence;
+        if (sequences[name] === undefined) {
+            const rows = await readRows(name);
+            sequences[name] = rows.reduce((max, r) => Math.max(max, parseInt(r[column], 10) || 0), 0);
+        }
+        
+        // Imported rows keep their own value
+        const given = parseInt(row[column], 10);
+        if (given) {
+            sequences[name] = Math.max(sequences[name], given);
+        } else {
+            sequences[name] += 1;
+            row[column] = String(sequences[name]);
+        }
+    }
+    
+    // Add rows to a collection, enforcing its unique key
+    async function insertRows(name, rows) {
+        const collection = collections[name];
+        const stored = rows.map(row => normalizeRow(collection, row));
+        
+        return withLock(name, async () => {
+            if (collection.key) {
+                const existing = new Set((await readRows(name)).map(r => r[collection.key]));
+                for (const row of stored) {
+                    if (existing.has(row[collection.key])) throw duplicateKeyError(name, row[collection.key]);
+                    existing.add(row[collection.key]);
+                }
+            }
+            
+            for (const row of stored) {
+                if (collection.sequence) await nextSequence(name, row);
+            }
+            
+            if (collection.appendOnly) {
+                for (const row of stored) await appendRow(name, row);
+            } else {
+                const all = await readRows(name);
+                await writeRows(name, all.concat(stored));
+            }
+            return stored;
+        });
+    }
+    
+    return {
+        backend: 'csv',
+        location: dataDir,
+        
+        // Create missing files and upgrade existing ones to the current columns
+        async init() {
+            await fs.mkdir(dataDir, { recursive: true });
+            
+            for (const [name, collection] of Object.entries(collections)) {
+                try {
+                    const headers = await readHeaders(name);
+                    if (headers.join(',') !== collection.headers.join(',')) {
+                        console.log(`📝 Upgrading ${name}.csv to the current column layout...`);
+                        await writeRows(name, await readRows(name));
+                    }
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                    console.log(`📝 Creating ${name}.csv...`);
+                    await writeRows(name, []);
+                }
+            }
+        },
+        
+        async list(name, filter = {}) {
+            const rows = await readRows(name);
+            return rows.filter(row => matchesFilter(row, filter));
+        },
+        
+        async find(name, filter) {
+            const rows = await readRows(name);
+            return rows.find(row => matchesFilter(row, filter)) || null;
+        },
+        
+        // Matching rows in batches of up to `size`, parsed as the file is read
+        // so the whole collection is never in memory
+        async *listBatches(name, filter = {}, size = 500) {
+            try {
+                await fs.access(filePath(name));
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+            
+            const parser = Papa.parse(Papa.NODE_STREAM_INPUT, { header: true, skipEmptyLines: true });
+            // Errors reach the loop through the parser; stopping early closes the file
+            pipeline(createReadStream(filePath(name)), parser, () => {});
+            
+            let batch = [];
+            for await (const row of parser) {
+                if (!matchesFilter(row, filter)) continue;
+                batch.push(row);
+                if (batch.length >= size) {
+                    yield batch;
+                    batch = [];
+                }
+            }
+            if (batch.length > 0) yield batch;
+        },
+        
+        async count(name) {
+            return (await readRows(name)).length;
+        },
+        
+        async insert(name, row) {
+            const [stored] = await insertRows(name, [row]);
+            return stored;
+        },
+        
+        async insertMany(name, rows) {
+            return insertRows(name, rows);
+        },
+        
+        async update(name, filter, changes) {
+            const collection = collections[name];
+            return withLock(name, async () => {
+                const rows = await readRows(name);
+                let updated = 0;
+                rows.forEach((row, index) => {
+                    if (!matchesFilter(row, filter)) return;
+                    rows[index] = normalizeRow(collection, { ...row, ...changes });
+                    updated++;
+                });
+                if (updated > 0) await writeRows(name, rows);
+                return updated;
+            });
+        },
+        
+        async remove(name, filter) {
+            return withLock(name, async () => {
+                const rows = await readRows(name);
+                const kept = rows.filter(row => !matchesFilter(row, filter));
+                const removed = rows.length - kept.length;
+                if (removed > 0) await writeRows(name, kept);
+                return removed;
+            });
+        },
+        
+        async removeWhere(name, predicate) {
+            return withLock(name, async () => {
+                const rows = await readRows(name);
+                const kept = rows.filter(row => !predicate(row));
+                const removed = rows.length - kept.length;
+                if (removed > 0) await writeRows(name, kept);
+                return removed;
+            });
+        },
+        
+        async size() {
+            const sizes = { total: 0, collections: {} };
+            for (const name of Object.keys(collections)) {
+                try {
+                    const { size } = await fs.stat(filePath(name));
+                    sizes.collections[name] = size;
+                    sizes.total += size;
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                    sizes.collections[name] = 0;
+                }
+            }
+            return sizes;
+        },
+        
+        // Every collection file must be readable and writable, and the data
+        // directory must take new files since rewrites rename a temp file in
+        async check() {
+            for (const name of Object.keys(collections)) {
+                await fs.access(filePath(name), fsConstants.R_OK | fsConstants.W_OK);
+            }
+            const probe = path.join(dataDir, `.check-${process.pid}.tmp`);
+            await fs.writeFile(probe, '');
+            await fs.unlink(probe);
+        }
+    };
+}
+
+module.exports = { createCsvStorage };
@@ -0,0 +1,43 @@
+// index.js - Storage layer: picks the CSV or SQLite backend from config
+//
+// Every backend exposes the same async API over the collections defined in
+// collections.js:
+//   init()                          create files/tables, upgrade columns
+//   list(name, filter)              rows matching an equality filter, oldest first
+//   find(name, filter)              first matching row or null
+//   listBatches(name, filter, size) async iterable of matching rows in arrays
+//                                   of up to size, oldest first, read as it goes
+//   count(name)                     number of rows
+//   insert(name, row)               add a row, returns it with any sequence assigned
+//   insertMany(name, rows)          add several rows
+//   update(name, filter, changes)   returns the number of rows changed
+//   remove(name, filter)            returns the number of rows removed
+//   removeWhere(name, predicate)    remove rows for which predicate(row) is true
+//   size()                          bytes on disk, total and per collection
+//   check()                         throws unless the store can be read and written
+// Rows are plain objects of strings; inserts that repeat a collection's key
+// throw an error with code 'DUPLICATE_KEY'.
+
+const path = require('path');
+const { COLLECTIONS } = require('./collections');
+const { createCsvStorage } = require('./csv');
+const { createSqliteStorage } = require('./sqlite');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+function createStorage(options = {}) {
+    const backend = options.backend || process.env.STORAGE_BACKEND || 'csv';
+    const dataDir = options.dataDir || DEFAULT_DATA_DIR;
+    const collections = options.collections || COLLECTIONS;
+    
+    if (backend === 'csv') {
+        return createCsvStorage({ dataDir, collections });
+    }
+    if (backend === 'sqlite') {
+        const file = options.sqliteFile || process.env.SQLITE_FILE || path.join(dataDir, 'iotair.db');
+        return createSqliteStorage({ file, collections });
+    }
+    throw new Error(`Unknown storage backend: ${backend} (expected csv or sqlite)`);
+}
+
+module.exports = { createStorage, DEFAULT_DATA_DIR };
@@ -0,0 +1,209 @@
+// sqlite.js - SQLite storage backend
+//
+// Each collection is a table of TEXT columns named after its CSV headers, so
+// rows come back exactly as the CSV backend returns them. Requires the
+// optional better-sqlite3 dependency.
+
+const path = require('path');
+const fs = require('fs');
+const { normalizeRow, duplicateKeyError } = require('./utils');
+
+function quote(identifier) {
+    return `"${identifier.replace(/"/g, '""')}"`;
+}
+
+function createSqliteStorage({ file, collections }) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The SQLite backend needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+    
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    
+    // Build "a = ? AND b = ?" from an equality filter
+    function whereClause(filter) {
+        const columns = Object.keys(filter);
+        if (columns.length === 0) return { sql: '', params: [] };
+        return {
+            sql: ' WHERE ' + columns.map(c => `${quote(c)} = ?`).join(' AND '),
+            params: columns.map(c => String(filter[c]))
+        };
+    }
+    
+    function selectRows(name, filter = {}, suffix = '') {
+        const columns = collections[name].headers.map(quote).join(', ');
+        const where = whereClause(filter);
+        return db.prepare(`SELECT ${columns} FROM ${quote(name)}${where.sql} ORDER BY rowid${suffix}`)
+            .all(...where.params);
+    }
+    
+    function insertRow(name, row) {
+        const collection = collections[name];
+        
+        if (collection.sequence && !parseInt(row[collection.sequence], 10)) {
+            const { next } = db.prepare(
+                `SELECT COALESCE(MAX(CAST(${quote(collection.sequence)} AS INTEGER)), 0) + 1 AS next FROM ${quote(name)}`
+            ).get();
+            row[collection.sequence] = String(next);
+        }
+        
+        const columns = collection.headers;
+        try {
+            db.prepare(
+                `INSERT INTO ${quote(name)} (${columns.map(quote).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+            ).run(...columns.map(c => row[c]));
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') throw duplicateKeyError(name, row[collection.key]);
+            throw error;
+        }
+        return row;
+    }
+    
+    const insertRows = db.transaction((name, rows) => rows.map(row => insertRow(name, row)));
+    
+    const deleteRowids = db.transaction((name, rowids) => {
+        const statement = db.prepare(`DELETE FROM ${quote(name)} WHERE rowid = ?`);
+        rowids.forEach(rowid => statement.run(rowid));
+        return rowids.length;
+    });
+    
+    // Bytes used by a table and its indexes, or null when SQLite was built
+    // without the dbstat virtual table
+    function tableSize(name) {
+        try {
+            const names = [name, ...(collections[name].indexes || []).map(c => `${name}_${c}`)];
+            const { bytes } = db.prepare(
+                `SELECT COALESCE(SUM(pgsize), 0) AS bytes FROM dbstat WHERE name IN (${names.map(() => '?').join(', ')})`
+            ).get(...names);
+            return bytes;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    return {
+        backend: 'sqlite',
+        location: file,
+        
+        // Create missing tables, columns and indexes
+        async init() {
+            for (const [name, collection] of Object.entries(collections)) {
+                const columns = collection.headers.map(c => {
+                    const unique = c === collection.key ? ' UNIQUE' : '';
+                    return `${quote(c)} TEXT NOT NULL DEFAULT ''${unique}`;
+                });
+                db.exec(`CREATE TABLE IF NOT EXISTS ${quote(name)} (${columns.join(', ')})`);
+                
+                const existing = db.prepare(`PRAGMA table_info(${quote(name)})`).all().map(c => c.name);
+                collection.headers
+                    .filter(c => !existing.includes(c))
+                    .forEach(c => {
+                        console.log(`📝 Adding column ${c} to ${name}...`);
+                        db.exec(`ALTER TABLE ${quote(name)} ADD COLUMN ${quote(c)} TEXT NOT NULL DEFAULT ''`);
+                    });
+                
+                (collection.indexes || []).forEach(c => {
+                    db.exec(`CREATE INDEX IF NOT EXISTS ${quote(`${name}_${c}`)} ON ${quote(name)} (${quote(c)})`);
+                });
+            }
+        },
+        
+        async list(name, filter = {}) {
+            return selectRows(name, filter);
+        },
+        
+        async find(name, filter) {
+            return selectRows(name, filter, ' LIMIT 1')[0] || null;
+        },
+        
+        // Matching rows in batches of up to `size`, one query per batch
+        async *listBatches(name, filter = {}, size = 500) {
+            const columns = collections[name].headers.map(quote).join(', ');
+            const where = whereClause(filter);
+            const statement = db.prepare(
+                `SELECT rowid AS _rowid, ${columns} FROM ${quote(name)}` +
+                `${where.sql ? `${where.sql} AND` : ' WHERE'} rowid > ? ORDER BY rowid LIMIT ?`
+            );
+            let after = 0;
+            while (true) {
+                const rows = statement.all(...where.params, after, size);
+                if (rows.length === 0) return;
+                after = rows[rows.length - 1]._rowid;
+                yield rows.map(({ _rowid, ...row }) => row);
+                if (rows.length < size) return;
+            }
+        },
+        
+        async count(name) {
+            return db.prepare(`SELECT COUNT(*) AS count FROM ${quote(name)}`).get().count;
+        },
+        
+        async insert(name, row) {
+            const [stored] = insertRows(name, [normalizeRow(collections[name], row)]);
+            return stored;
+        },
+        
+        async insertMany(name, rows) {
+            return insertRows(name, rows.map(row => normalizeRow(collections[name], row)));
+        },
+        
+        async update(name, filter, changes) {
+            const collection = collections[name];
+            const updates = normalizeRow(collection, changes);
+            const columns = Object.keys(changes).filter(c => collection.headers.includes(c));
+            if (columns.length === 0) return 0;
+            
+            const where = whereClause(filter);
+            const result = db.prepare(
+                `UPDATE ${quote(name)} SET ${columns.map(c => `${quote(c)} = ?`).join(', ')}${where.sql}`
+            ).run(...columns.map(c => updates[c]), ...where.params);
+            return result.changes;
+        },
+        
+        async remove(name, filter) {
+            const where = whereClause(filter);
+            return db.prepare(`DELETE FROM ${quote(name)}${where.sql}`).run(...where.params).changes;
+        },
+        
+        async removeWhere(name, predicate) {
+            const columns = collections[name].headers.map(quote).join(', ');
+            const rowids = db.prepare(`SELECT rowid AS _rowid, ${columns} FROM ${quote(name)}`).all()
+                .filter(({ _rowid, ...row }) => predicate(row))
+                .map(row => row._rowid);
+            return deleteRowids(name, rowids);
+        },
+        
+        // The database file (plus its write-ahead log) and each table's share of it
+        async size() {
+            const sizes = { total: 0, collections: {} };
+            [file, `${file}-wal`].forEach(target => {
+                if (fs.existsSync(target)) sizes.total += fs.statSync(target).size;
+            });
+            Object.keys(collections).forEach(name => {
+                sizes.collections[name] = tableSize(name);
+            });
+            return sizes;
+        },
+        
+        // Read from the database and make a write that is rolled back
+        async check() {
+            db.prepare('SELECT COUNT(*) AS count FROM sqlite_master').get();
+            db.exec('BEGIN IMMEDIATE');
+            try {
+                db.exec('CREATE TABLE check_write (id INTEGER)');
+            } finally {
+                db.exec('ROLLBACK');
+            }
+        },
+        
+        close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = { createSqliteStorage };
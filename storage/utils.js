@@ -0,0 +1,26 @@
+// utils.js - Helpers shared by the storage backends
+
+// Keep only a collection's columns, storing every value as a string
+// (blank for null/undefined) so both backends return identical rows
+function normalizeRow(collection, row) {
+    const normalized = {};
+    collection.headers.forEach(column => {
+        const value = row[column];
+        normalized[column] = value === undefined || value === null ? '' : String(value);
+    });
+    return normalized;
+}
+
+// Equality match on every column in the filter
+function matchesFilter(row, filter) {
+    return Object.entries(filter).every(([column, value]) => row[column] === String(value));
+}
+
+// Error thrown when an insert would repeat a collection's unique key
+function duplicateKeyError(name, value) {
+    const error = new Error(`Duplicate ${name} key: ${value}`);
+    error.code = 'DUPLICATE_KEY';
+    return error;
+}
+
+module.exports = { normalizeRow, matchesFilter, duplicateKeyError };
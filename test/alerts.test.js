@@ -0,0 +1,132 @@
+// alerts.test.js - Tests for threshold and no-data alert rule evaluation
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { COLLECTIONS } = require('../storage/collections');
+const { createAlertEngine } = require('../lib/alerts');
+
+// The CSV backend and the engine log as they go
+test.mock.method(console, 'log', () => {});
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2024, 0, 1, 12, 0);
+
+async function openEngine(t, rules) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iotair-alerts-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    
+    const { alert_rules, alerts, feeds } = COLLECTIONS;
+    const storage = createStorage({ backend: 'csv', dataDir, collections: { alert_rules, alerts, feeds } });
+    await storage.init();
+    for (const rule of rules) {
+        await storage.insert('alert_rules', { enabled: 'true', duration_minutes: '0', ...rule });
+    }
+    
+    const changes = [];
+    const engine = createAlertEngine({ storage, onChange: alert => changes.push(`${alert.device_id} ${alert.state}`) });
+    const reading = (minutes, values, deviceId = 'device-1') => engine.evaluateReading({
+        created_at: new Date(START + minutes * MINUTE).toISOString(),
+        device_id: deviceId,
+        ...values
+    });
+    return { storage, engine, changes, reading };
+}
+
+const HIGH_PM = { name: 'High PM', type: 'threshold', field: 'field1', operator: '>', threshold: '35' };
+
+test('a breach fires at once without a duration and resolves when back in range', async t => {
+    const { storage, changes, reading } = await openEngine(t, [HIGH_PM]);
+    await reading(0, { field1: '20' });
+    await reading(1, { field1: '40' });
+    await reading(2, { field1: '50' });
+    assert.deepEqual(changes, ['device-1 firing']);
+    
+    const [alert] = await storage.list('alerts');
+    assert.equal(alert.state, 'firing');
+    assert.equal(alert.value, '50');
+    assert.equal(alert.message, 'High PM: field1 is 50 (limit > 35)');
+    
+    await reading(3, { field1: '30' });
+    assert.deepEqual(changes, ['device-1 firing', 'device-1 resolved']);
+    assert.equal((await storage.list('alerts'))[0].resolved_at, new Date(START + 3 * MINUTE).toISOString());
+});
+
+test('a breach must last duration_minutes before firing', async t => {
+    const { storage, changes, reading } = await openEngine(t, [{ ...HIGH_PM, duration_minutes: '10' }]);
+    await reading(0, { field1: '40' });
+    await reading(5, { field1: '40' });
+    assert.deepEqual(changes, []);
+    assert.equal((await storage.list('alerts'))[0].state, 'pending');
+    
+    await reading(10, { field1: '40' });
+    assert.deepEqual(changes, ['device-1 firing']);
+});
+
+test('a breach that ends early is dropped without notifying', async t => {
+    const { storage, changes, reading } = await openEngine(t, [{ ...HIGH_PM, duration_minutes: '10' }]);
+    await reading(0, { field1: '40' });
+    await reading(5, { field1: '20' });
+    assert.deepEqual(changes, []);
+    assert.deepEqual(await storage.list('alerts'), []);
+});
+
+test('rules only apply to their device and ignore missing values', async t => {
+    const { storage, changes, reading } = await openEngine(t, [{ ...HIGH_PM, device_id: 'device-2' }]);
+    await reading(0, { field1: '40' }, 'device-1');
+    await reading(1, { field2: '40' }, 'device-2');
+    assert.deepEqual(changes, []);
+    
+    await reading(2, { field1: '40' }, 'device-2');
+    assert.deepEqual(changes, ['device-2 firing']);
+    assert.equal((await storage.list('alerts')).length, 1);
+});
+
+test('each device gets its own alert from a rule for all devices', async t => {
+    const { changes, reading } = await openEngine(t, [HIGH_PM]);
+    await reading(0, { field1: '40' }, 'device-1');
+    await reading(0, { field1: '40' }, 'device-2');
+    assert.deepEqual(changes, ['device-1 firing', 'device-2 firing']);
+});
+
+test('concurrent readings open a single alert', async t => {
+    const { storage, reading } = await openEngine(t, [HIGH_PM]);
+    await Promise.all([reading(0, { field1: '40' }), reading(1, { field1: '45' }), reading(2, { field1: '50' })]);
+    assert.equal((await storage.list('alerts')).length, 1);
+});
+
+test('disabled rules are not evaluated', async t => {
+    const { changes, reading } = await openEngine(t, [{ ...HIGH_PM, enabled: 'false' }]);
+    await reading(0, { field1: '40' });
+    assert.deepEqual(changes, []);
+});
+
+test('a silent device fires a no-data alert that its next reading resolves', async t => {
+    const rule = { name: 'Silent', type: 'no_data', duration_minutes: '30' };
+    const { storage, engine, changes } = await openEngine(t, [rule]);
+    await storage.insert('feeds', { created_at: new Date(Date.now() - 45 * MINUTE).toISOString(), field1: '1', device_id: 'device-1' });
+    await storage.insert('feeds', { created_at: new Date(Date.now() - 5 * MINUTE).toISOString(), field1: '1', device_id: 'device-2' });
+    
+    // device-3 has never reported, so it is not silent
+    await engine.checkNoData(['device-1', 'device-2', 'device-3']);
+    await engine.checkNoData(['device-1', 'device-2', 'device-3']);
+    assert.deepEqual(changes, ['device-1 firing']);
+    assert.match((await storage.list('alerts'))[0].message, /^Silent: no data for 45 minutes$/);
+    
+    await engine.evaluateReading({ created_at: new Date().toISOString(), device_id: 'device-1', field1: '1' });
+    assert.deepEqual(changes, ['device-1 firing', 'device-1 resolved']);
+});
+
+test('resolveRule closes firing alerts and drops pending ones', async t => {
+    const { storage, engine, changes, reading } = await openEngine(t, [HIGH_PM, { ...HIGH_PM, name: 'Slow', duration_minutes: '60' }]);
+    await reading(0, { field1: '40' });
+    const rules = await storage.list('alert_rules');
+    
+    await engine.resolveRule(rules[0]);
+    await engine.resolveRule(rules[1]);
+    assert.deepEqual(changes, ['device-1 firing', 'device-1 resolved']);
+    assert.deepEqual((await storage.list('alerts')).map(alert => alert.state), ['resolved']);
+});
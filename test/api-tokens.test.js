@@ -0,0 +1,92 @@
+// api-tokens.test.js - Tests for personal API tokens and their scopes
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { COLLECTIONS } = require('../storage/collections');
+const { createApiTokenStore, parseTokenInput, requiredScope } = require('../lib/api-tokens');
+
+// The CSV backend logs every read and write
+test.mock.method(console, 'log', () => {});
+
+async function openStore(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iotair-tokens-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    
+    const storage = createStorage({ backend: 'csv', dataDir, collections: { api_tokens: COLLECTIONS.api_tokens } });
+    await storage.init();
+    return { storage, tokens: createApiTokenStore({ storage }) };
+}
+
+test('parseTokenInput checks the name and scopes', () => {
+    assert.deepEqual(parseTokenInput({ name: ' Grafana ', scopes: ['export', 'read'] }), { name: 'Grafana', scopes: ['read', 'export'] });
+    assert.deepEqual(parseTokenInput({ name: '', scopes: ['read'] }), { error: 'Token name is required' });
+    assert.deepEqual(parseTokenInput({ name: 'x'.repeat(101), scopes: ['read'] }), { error: 'Token name must be at most 100 characters' });
+    assert.deepEqual(parseTokenInput({ name: 'Grafana', scopes: [] }), { error: 'Choose at least one scope' });
+    assert.deepEqual(parseTokenInput({ name: 'Grafana', scopes: 'read' }), { error: 'Choose at least one scope' });
+    assert.match(parseTokenInput({ name: 'Grafana', scopes: ['read', 'write'] }).error, /^Unknown scope: write\./);
+});
+
+test('requests need the read, export or admin scope', () => {
+    assert.equal(requiredScope('GET', '/api/sensors/latest'), 'read');
+    assert.equal(requiredScope('HEAD', '/api/devices'), 'read');
+    assert.equal(requiredScope('GET', '/api/sensors/export'), 'export');
+    assert.equal(requiredScope('POST', '/api/devices/add'), 'admin');
+    assert.equal(requiredScope('DELETE', '/api/tokens/1'), 'admin');
+});
+
+test('a created token authenticates as its owner with its scopes', async t => {
+    const { storage, tokens } = await openStore(t);
+    const { token, record } = await tokens.create('ann@example.com', { name: 'Grafana', scopes: ['read'] });
+    assert.match(token, /^aq_[\w-]{43}$/);
+    assert.equal(record.prefix, token.slice(0, 9));
+    assert.deepEqual(record.scopes, ['read']);
+    
+    // Only the hash is stored
+    const [row] = await storage.list('api_tokens');
+    assert.ok(!Object.values(row).includes(token));
+    
+    const authenticated = await tokens.authenticate(token, '10.0.0.1');
+    assert.equal(authenticated.user_email, 'ann@example.com');
+    assert.deepEqual(authenticated.scopes, ['read']);
+    assert.equal(authenticated.last_used_ip, '10.0.0.1');
+    assert.equal('token_hash' in authenticated, false);
+});
+
+test('unknown and malformed tokens are refused', async t => {
+    const { tokens } = await openStore(t);
+    const { token } = await tokens.create('ann@example.com', { name: 'Grafana', scopes: ['read'] });
+    assert.equal(await tokens.authenticate(token.slice(0, -1) + (token.endsWith('A') ? 'B' : 'A'), '10.0.0.1'), null);
+    assert.equal(await tokens.authenticate(token.slice(3), '10.0.0.1'), null);
+    assert.equal(await tokens.authenticate('', '10.0.0.1'), null);
+});
+
+test('a token only grants the scopes it was given', async t => {
+    const { tokens } = await openStore(t);
+    const { token } = await tokens.create('ann@example.com', { name: 'Reports', scopes: ['read', 'export'] });
+    const { scopes } = await tokens.authenticate(token, '10.0.0.1');
+    
+    assert.ok(scopes.includes(requiredScope('GET', '/api/sensors/latest')));
+    assert.ok(scopes.includes(requiredScope('GET', '/api/sensors/export')));
+    assert.ok(!scopes.includes(requiredScope('POST', '/api/devices/add')));
+});
+
+test('revoked tokens stop working', async t => {
+    const { tokens } = await openStore(t);
+    const first = await tokens.create('ann@example.com', { name: 'One', scopes: ['read'] });
+    const second = await tokens.create('ann@example.com', { name: 'Two', scopes: ['read'] });
+    const other = await tokens.create('bob@example.com', { name: 'Bob', scopes: ['read'] });
+    
+    // A user can only revoke their own tokens
+    assert.equal(await tokens.revoke('bob@example.com', first.record.id), false);
+    assert.equal(await tokens.revoke('ann@example.com', first.record.id), true);
+    assert.equal(await tokens.authenticate(first.token, '10.0.0.1'), null);
+    assert.deepEqual((await tokens.list('ann@example.com')).map(token => token.name), ['Two']);
+    
+    assert.equal(await tokens.revokeAll('ann@example.com'), 1);
+    assert.equal(await tokens.authenticate(second.token, '10.0.0.1'), null);
+    assert.ok(await tokens.authenticate(other.token, '10.0.0.1'));
+});
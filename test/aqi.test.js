@@ -0,0 +1,91 @@
+// aqi.test.js - Tests for the US AQI, NowCast and EU CAQI calculations
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeAqi, findAqiFields, usAqi, caqi, nowCast } = require('../lib/aqi');
+
+const HOUR = 60 * 60 * 1000;
+
+test('usAqi interpolates within the EPA breakpoints', () => {
+    assert.deepEqual(usAqi('pm25', 9.0), { aqi: 50, category: 'Good', color: '#00e400' });
+    assert.equal(usAqi('pm25', 12.0).aqi, 56);
+    assert.equal(usAqi('pm25', 35.4).aqi, 100);
+    assert.equal(usAqi('pm25', 35.5).category, 'Unhealthy for Sensitive Groups');
+    assert.equal(usAqi('pm10', 54).aqi, 50);
+    assert.equal(usAqi('pm10', 100).aqi, 73);
+});
+
+test('usAqi truncates concentrations and caps the index at 500', () => {
+    // 9.09 truncates to 9.0, still Good
+    assert.equal(usAqi('pm25', 9.09).aqi, 50);
+    assert.equal(usAqi('pm25', 600).aqi, 500);
+    assert.equal(usAqi('pm25', 600).category, 'Hazardous');
+});
+
+test('usAqi has no index for missing or negative values', () => {
+    assert.equal(usAqi('pm25', null), null);
+    assert.equal(usAqi('pm25', -1), null);
+});
+
+test('caqi is linear within the grid and keeps rising above it', () => {
+    assert.deepEqual(caqi('pm25', 15), { caqi: 25, category: 'Very low', color: '#79bc6a' });
+    assert.equal(caqi('pm25', 7.5).caqi, 13);
+    assert.equal(caqi('pm10', 90).caqi, 75);
+    assert.equal(caqi('pm25', 165).caqi, 125);
+    assert.equal(caqi('pm25', 165).category, 'Very high');
+    assert.equal(caqi('pm10', null), null);
+});
+
+test('nowCast weights recent hours more when concentrations change', () => {
+    const hour = 100 * HOUR;
+    const steady = new Map([[hour, 12], [hour - HOUR, 12], [hour - 2 * HOUR, 12]]);
+    assert.equal(nowCast(steady, hour), 12);
+    
+    // min/max is 0.5, so the older hour counts half as much
+    const rising = new Map([[hour, 20], [hour - HOUR, 10]]);
+    assert.equal(nowCast(rising, hour), (20 + 10 * 0.5) / 1.5);
+    
+    // The weight never drops below 0.5
+    const jump = new Map([[hour, 100], [hour - HOUR, 1]]);
+    assert.equal(nowCast(jump, hour), (100 + 1 * 0.5) / 1.5);
+});
+
+test('nowCast needs two of the three most recent hours', () => {
+    const hour = 100 * HOUR;
+    assert.equal(nowCast(new Map([[hour, 10]]), hour), null);
+    assert.equal(nowCast(new Map([[hour, 10], [hour - 3 * HOUR, 10]]), hour), null);
+    assert.equal(nowCast(new Map([[hour, 10], [hour - 2 * HOUR, 10]]), hour), 10);
+});
+
+test('findAqiFields matches PM fields by name', () => {
+    const schema = [
+        { field: 'field1', name: 'Temperature' },
+        { field: 'field2', name: 'PM2.5' },
+        { field: 'field3', name: 'pm 10' }
+    ];
+    assert.deepEqual(findAqiFields(schema), { pm25: 'field2', pm10: 'field3' });
+    assert.deepEqual(findAqiFields([{ field: 'field1', name: 'CO2' }]), {});
+});
+
+test('computeAqi summarises readings and skips flagged values', () => {
+    const schema = [{ field: 'field1', name: 'PM2.5' }, { field: 'field2', name: 'PM10' }];
+    const start = Date.UTC(2024, 0, 1, 0, 0);
+    const readings = [];
+    for (let i = 0; i < 3 * 6; i++) {
+        readings.push({ timestamp: new Date(start + i * 10 * 60 * 1000).toISOString(), field1: 12, field2: 20 });
+    }
+    // A flagged value would otherwise dominate the index
+    readings.push({ timestamp: new Date(start + 3 * HOUR - 60 * 1000).toISOString(), field1: 500, field2: 20, flags: { field1: 'spike' } });
+    
+    const result = computeAqi(readings, schema);
+    assert.equal(result.aqi, 56);
+    assert.equal(result.category, 'Moderate');
+    assert.equal(result.dominant, 'PM2.5');
+    assert.deepEqual(result.pollutants.map(p => [p.pollutant, p.nowcast]), [['PM2.5', 12], ['PM10', 20]]);
+    assert.equal(result.trend[result.trend.length - 1].aqi, 56);
+});
+
+test('computeAqi is null without PM fields or values', () => {
+    assert.equal(computeAqi([{ timestamp: '2024-01-01T00:00:00Z', field1: 20 }], [{ field: 'field1', name: 'Temperature' }]), null);
+    assert.equal(computeAqi([], [{ field: 'field1', name: 'PM2.5' }]), null);
+});
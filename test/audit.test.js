@@ -0,0 +1,105 @@
+// audit.test.js - Tests for the admin audit log and secret redaction
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { COLLECTIONS } = require('../storage/collections');
+const { createAuditLog, redact } = require('../lib/audit');
+
+// The CSV backend logs every read and write
+test.mock.method(console, 'log', () => {});
+
+async function openLog(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iotair-audit-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    
+    const storage = createStorage({ backend: 'csv', dataDir, collections: { audit_log: COLLECTIONS.audit_log } });
+    await storage.init();
+    return { storage, audit: createAuditLog({ storage }) };
+}
+
+test('redact masks secrets at any depth and leaves empty ones alone', () => {
+    assert.deepEqual(redact({
+        email: 'ann@example.com',
+        password: '$2b$10$hash',
+        totp_secret: '',
+        channels: [{ name: 'Mail', config: { host: 'smtp', pass: 'hunter2' } }],
+        device: { api_key: 'key', token_hash: null }
+    }), {
+        email: 'ann@example.com',
+        password: '[redacted]',
+        totp_secret: '',
+        channels: [{ name: 'Mail', config: { host: 'smtp', pass: '[redacted]' } }],
+        device: { api_key: '[redacted]', token_hash: null }
+    });
+    assert.equal(redact(null), null);
+    assert.equal(redact('password'), 'password');
+});
+
+test('secrets are never written to the log', async t => {
+    const { storage, audit } = await openLog(t);
+    await audit.record({
+        actor: 'admin@example.com',
+        ip: '10.0.0.1',
+        action: 'user.create',
+        target: 'ann@example.com',
+        after: { email: 'ann@example.com', role: 'viewer', password: '$2b$10$secrethash', recovery_codes: ['abc'] }
+    });
+    await audit.record({
+        actor: 'admin@example.com',
+        action: 'device.regenerate_key',
+        target: 'device-1',
+        before: { id: 'device-1', api_key: 'old-key' },
+        after: { id: 'device-1', api_key: 'new-key' }
+    });
+    
+    const stored = JSON.stringify(await storage.list('audit_log'));
+    for (const secret of ['secrethash', 'abc', 'old-key', 'new-key']) {
+        assert.ok(!stored.includes(secret), `${secret} was stored`);
+    }
+    
+    const { entries } = await audit.list();
+    assert.deepEqual(entries[0].before, { api_key: '[redacted]' });
+    assert.deepEqual(entries[0].after, { api_key: '[redacted]' });
+    assert.equal(entries[1].after.recovery_codes, '[redacted]');
+});
+
+test('updates keep only the fields that changed', async t => {
+    const { audit } = await openLog(t);
+    await audit.record({
+        actor: 'admin@example.com',
+        action: 'user.update',
+        target: 'ann@example.com',
+        before: { name: 'Ann', role: 'viewer', devices: ['device-1'] },
+        after: { name: 'Ann', role: 'operator', devices: ['device-1', 'device-2'], sites: ['roof'] }
+    });
+    
+    const [entry] = (await audit.list()).entries;
+    assert.deepEqual(entry.before, { role: 'viewer', devices: ['device-1'], sites: null });
+    assert.deepEqual(entry.after, { role: 'operator', devices: ['device-1', 'device-2'], sites: ['roof'] });
+    assert.equal(entry.ip, '');
+});
+
+test('entries are listed newest first, filtered and paged', async t => {
+    const { audit } = await openLog(t);
+    const actions = ['user.create', 'user.update', 'device.create', 'user.delete', 'security.update'];
+    for (const [i, action] of actions.entries()) {
+        await audit.record({ actor: i % 2 ? 'bob@example.com' : 'admin@example.com', action, target: `t${i}` });
+    }
+    
+    const all = await audit.list({ pageSize: 2, page: 2 });
+    assert.deepEqual(all.entries.map(entry => entry.target), ['t2', 't1']);
+    assert.equal(all.total, 5);
+    assert.equal(all.pages, 3);
+    assert.deepEqual(all.actions, ['device.create', 'security.update', 'user.create', 'user.delete', 'user.update']);
+    
+    // An action filter matches whole actions or their prefix, never part of a word
+    assert.deepEqual((await audit.list({ action: 'user' })).entries.map(entry => entry.target), ['t3', 't1', 't0']);
+    assert.deepEqual((await audit.list({ action: 'use' })).entries, []);
+    assert.deepEqual((await audit.list({ actor: 'bob@example.com' })).entries.map(entry => entry.action), ['user.delete', 'user.update']);
+    assert.equal((await audit.list({ target: 't4' })).total, 1);
+    assert.equal((await audit.list({ from: new Date(Date.now() + 60000) })).total, 0);
+});
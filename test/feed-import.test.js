@@ -0,0 +1,106 @@
+// feed-import.test.js - Tests for parsing, mapping and checking CSV imports
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseImportCsv, suggestMapping, parseMapping, buildImportRows } = require('../lib/feed-import');
+
+const THINGSPEAK_CSV = [
+    'created_at,entry_id,field1,field2',
+    '2024-01-01T00:10:00Z,2,11,21',
+    '2024-01-01T00:00:00Z,1,10,20'
+].join('\r\n');
+
+test('parseImportCsv reads columns and rows, dropping a BOM', () => {
+    const { columns, rows, malformed } = parseImportCsv('\uFEFF created_at ,field1\n2024-01-01T00:00:00Z,10\n\n');
+    assert.deepEqual(columns, ['created_at', 'field1']);
+    assert.deepEqual(rows, [{ created_at: '2024-01-01T00:00:00Z', field1: '10' }]);
+    assert.equal(malformed.size, 0);
+});
+
+test('parseImportCsv keeps malformed rows so they can be rejected', () => {
+    const { rows, malformed } = parseImportCsv('created_at,field1\n2024-01-01T00:00:00Z,10\n2024-01-01T00:01:00Z\n');
+    assert.equal(rows.length, 2);
+    assert.deepEqual([...malformed.keys()], [1]);
+});
+
+test('suggestMapping matches exact columns, payload keys and field names', () => {
+    const columns = ['Timestamp', 'entry_id', 'field1', 'pm10', 'Temperature'];
+    const schema = [{ field: 'field3', name: 'Temperature' }];
+    assert.deepEqual(suggestMapping(columns, schema, { field2: 'pm10' }), {
+        created_at: 'Timestamp',
+        entry_id: 'entry_id',
+        field1: 'field1',
+        field2: 'pm10',
+        field3: 'Temperature'
+    });
+    assert.deepEqual(suggestMapping(['a', 'b']), {});
+});
+
+test('parseMapping needs a timestamp and a field from the file', () => {
+    const columns = ['time', 'pm25'];
+    assert.deepEqual(parseMapping({ created_at: 'time', field1: 'pm25', field2: '' }, columns), {
+        mapping: { created_at: 'time', field1: 'pm25' }
+    });
+    assert.deepEqual(parseMapping(null, columns), { error: 'Column mapping is required' });
+    assert.deepEqual(parseMapping({ created_at: 'time', flags: 'pm25' }, columns), { error: 'Unknown import target: flags' });
+    assert.deepEqual(parseMapping({ created_at: 'time', field1: 'pm10' }, columns), { error: 'Column not found in file: pm10' });
+    assert.deepEqual(parseMapping({ field1: 'pm25' }, columns), { error: 'A timestamp column must be mapped to created_at' });
+    assert.deepEqual(parseMapping({ created_at: 'time' }, columns), { error: 'Map at least one column to a field' });
+});
+
+test('buildImportRows returns the device\'s readings oldest first', () => {
+    const parsed = parseImportCsv(THINGSPEAK_CSV);
+    const mapping = suggestMapping(parsed.columns);
+    const result = buildImportRows(parsed, mapping, 'device-1', []);
+    assert.deepEqual(result.readings, [
+        { created_at: '2024-01-01T00:00:00.000Z', field1: 10, field2: 20, device_id: 'device-1' },
+        { created_at: '2024-01-01T00:10:00.000Z', field1: 11, field2: 21, device_id: 'device-1' }
+    ]);
+    assert.equal(result.duplicates, 0);
+    assert.equal(result.rejectedCount, 0);
+});
+
+test('buildImportRows skips stored timestamps and repeats within the file', () => {
+    const parsed = parseImportCsv([
+        'created_at,entry_id,field1',
+        '2024-01-01T00:00:00Z,1,10',
+        '2024-01-01T00:05:00Z,2,11',
+        '2024-01-01T00:05:00+00:00,3,12',
+        '2024-01-01T00:10:00Z,2,13',
+        '2024-01-01T00:15:00Z,4,14'
+    ].join('\n'));
+    const existing = [new Date('2024-01-01T00:00:00Z').getTime()];
+    const result = buildImportRows(parsed, suggestMapping(parsed.columns), 'device-1', existing);
+    assert.deepEqual(result.readings.map(reading => reading.field1), [11, 14]);
+    assert.equal(result.duplicates, 3);
+});
+
+test('buildImportRows rejects invalid rows with their line numbers', () => {
+    const parsed = parseImportCsv([
+        'created_at,field1,field2',
+        'yesterday,10,20',
+        ',10,20',
+        '2024-01-01T00:00:00Z,ten,20',
+        '2024-01-01T00:01:00Z,,',
+        '2024-01-01T00:02:00Z',
+        '2024-01-01T00:03:00Z,10,'
+    ].join('\n'));
+    const result = buildImportRows(parsed, suggestMapping(parsed.columns), 'device-1', []);
+    assert.deepEqual(result.readings.map(reading => reading.created_at), ['2024-01-01T00:03:00.000Z']);
+    assert.equal(result.rejectedCount, 5);
+    assert.deepEqual(result.rejected.slice(0, 4), [
+        { line: 2, reason: 'Invalid timestamp: yesterday' },
+        { line: 3, reason: 'Invalid timestamp: (blank)' },
+        { line: 4, reason: 'Invalid numeric value: field1=ten' },
+        { line: 5, reason: 'No field values' }
+    ]);
+    assert.equal(result.rejected[4].line, 6);
+});
+
+test('only the first rejections are listed', () => {
+    const lines = ['created_at,field1'];
+    for (let i = 0; i < 150; i++) lines.push(`bad,${i}`);
+    const result = buildImportRows(parseImportCsv(lines.join('\n')), { created_at: 'created_at', field1: 'field1' }, 'device-1', []);
+    assert.equal(result.rejectedCount, 150);
+    assert.equal(result.rejected.length, 100);
+});
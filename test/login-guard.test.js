@@ -0,0 +1,111 @@
+// login-guard.test.js - Tests for login rate limiting and account lockout
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { COLLECTIONS } = require('../storage/collections');
+const { createLoginGuard, MAX_ACCOUNT_FAILURES, MAX_IP_FAILURES, LOCKOUT_MINUTES } = require('../lib/login-guard');
+
+// The CSV backend and lockouts are logged
+test.mock.method(console, 'log', () => {});
+
+const MINUTE = 60 * 1000;
+
+async function openGuard(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iotair-login-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    
+    const { login_attempts, account_lockouts } = COLLECTIONS;
+    const storage = createStorage({ backend: 'csv', dataDir, collections: { login_attempts, account_lockouts } });
+    await storage.init();
+    return { storage, guard: createLoginGuard({ storage }) };
+}
+
+async function failLogins(guard, count, { email = 'ann@example.com', ip = '10.0.0.1', accountExists = true } = {}) {
+    for (let i = 0; i < count; i++) {
+        await guard.recordFailure({ email, ip, userAgent: 'test', reason: 'bad_password', accountExists });
+    }
+}
+
+// Let the current lockout run out without resetting the failure count
+async function expireLockout(storage, email) {
+    await storage.update('account_lockouts', { email }, { locked_until: new Date(Date.now() - 1000).toISOString() });
+}
+
+function lockedMinutes(lockout) {
+    return Math.round((new Date(lockout.locked_until).getTime() - Date.now()) / MINUTE);
+}
+
+test('an account is locked after repeated failures', async t => {
+    const { guard } = await openGuard(t);
+    await failLogins(guard, MAX_ACCOUNT_FAILURES - 1);
+    assert.equal(await guard.check('10.0.0.1', 'ann@example.com'), null);
+    
+    await failLogins(guard, 1);
+    const refusal = await guard.check('10.0.0.2', 'ann@example.com');
+    assert.equal(refusal.reason, 'locked');
+    assert.ok(refusal.retryAfter > 0 && refusal.retryAfter <= LOCKOUT_MINUTES[0] * 60);
+    assert.equal(await guard.check('10.0.0.2', 'bob@example.com'), null);
+});
+
+test('each lockout lasts longer than the one before', async t => {
+    const { storage, guard } = await openGuard(t);
+    const seen = [];
+    for (let i = 0; i < LOCKOUT_MINUTES.length + 1; i++) {
+        await failLogins(guard, MAX_ACCOUNT_FAILURES, { ip: `10.0.${i}.1` });
+        const [lockout] = await guard.listLocked();
+        assert.equal(lockout.lockouts, i + 1);
+        seen.push(lockedMinutes(lockout));
+        await expireLockout(storage, 'ann@example.com');
+    }
+    
+    // The longest lockout repeats once the schedule runs out
+    assert.deepEqual(seen, [...LOCKOUT_MINUTES, LOCKOUT_MINUTES[LOCKOUT_MINUTES.length - 1]]);
+});
+
+test('a successful login resets the escalation', async t => {
+    const { storage, guard } = await openGuard(t);
+    await failLogins(guard, MAX_ACCOUNT_FAILURES);
+    await expireLockout(storage, 'ann@example.com');
+    await guard.recordSuccess({ email: 'ann@example.com', ip: '10.0.0.1', userAgent: 'test' });
+    
+    await failLogins(guard, MAX_ACCOUNT_FAILURES);
+    const [lockout] = await guard.listLocked();
+    assert.equal(lockout.lockouts, 1);
+    assert.equal(lockedMinutes(lockout), LOCKOUT_MINUTES[0]);
+});
+
+test('an admin unlock lifts the lockout', async t => {
+    const { guard } = await openGuard(t);
+    await failLogins(guard, MAX_ACCOUNT_FAILURES);
+    assert.equal((await guard.listLocked()).length, 1);
+    
+    await guard.unlock('ann@example.com');
+    assert.deepEqual(await guard.listLocked(), []);
+    assert.equal(await guard.check('10.0.0.1', 'ann@example.com'), null);
+});
+
+test('unknown accounts are never locked but count against the IP', async t => {
+    const { storage, guard } = await openGuard(t);
+    await failLogins(guard, MAX_IP_FAILURES - 1, { email: 'nobody@example.com', accountExists: false });
+    assert.equal(await storage.count('account_lockouts'), 0);
+    assert.equal(await guard.check('10.0.0.1', 'nobody@example.com'), null);
+    
+    await failLogins(guard, 1, { email: 'nobody@example.com', accountExists: false });
+    const refusal = await guard.check('10.0.0.1', 'ann@example.com');
+    assert.equal(refusal.reason, 'rate_limited');
+    assert.equal(await guard.check('10.0.0.2', 'ann@example.com'), null);
+});
+
+test('every attempt is recorded', async t => {
+    const { storage, guard } = await openGuard(t);
+    await failLogins(guard, 1);
+    await guard.recordSuccess({ email: 'ann@example.com', ip: '10.0.0.1', userAgent: 'test' });
+    await guard.record({ email: 'ann@example.com', ip: '10.0.0.1', success: false, reason: 'locked' });
+    
+    const attempts = await storage.list('login_attempts');
+    assert.deepEqual(attempts.map(a => [a.success, a.reason]), [['false', 'bad_password'], ['true', ''], ['false', 'locked']]);
+});
@@ -0,0 +1,116 @@
+// metrics.test.js - Tests for the Prometheus metrics text
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics, DURATION_BUCKETS } = require('../lib/metrics');
+
+const SCHEMA = [
+    { field: 'field1', name: 'PM2.5', unit: 'µg/m³' },
+    { field: 'field2', name: 'Temp "inside"', unit: '' }
+];
+
+// The lines of a rendering that belong to one metric, without HELP and TYPE
+function samples(text, name) {
+    return text.split('\n').filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+}
+
+test('every family has HELP and TYPE lines', () => {
+    const text = createMetrics().render();
+    assert.ok(text.endsWith('\n'));
+    assert.match(text, /^# HELP process_start_time_seconds /m);
+    assert.match(text, /^# TYPE http_requests_total counter$/m);
+    assert.match(text, /^# TYPE http_request_duration_seconds histogram$/m);
+    assert.match(text, /^# TYPE iotair_field_value gauge$/m);
+});
+
+test('requests are counted per route and status', () => {
+    const metrics = createMetrics();
+    metrics.observeRequest({ method: 'GET', route: '/api/devices/{id}', status: 200, seconds: 0.02 });
+    metrics.observeRequest({ method: 'GET', route: '/api/devices/{id}', status: 200, seconds: 0.3 });
+    metrics.observeRequest({ method: 'GET', route: '/api/devices/{id}', status: 404, seconds: 0.001 });
+    
+    assert.deepEqual(samples(metrics.render(), 'http_requests_total'), [
+        'http_requests_total{method="GET",route="/api/devices/{id}",status="200"} 2',
+        'http_requests_total{method="GET",route="/api/devices/{id}",status="404"} 1'
+    ]);
+});
+
+test('request durations fill cumulative histogram buckets', () => {
+    const metrics = createMetrics();
+    metrics.observeRequest({ method: 'POST', route: '/api/feeds', status: 200, seconds: 0.02 });
+    metrics.observeRequest({ method: 'POST', route: '/api/feeds', status: 200, seconds: 0.3 });
+    metrics.observeRequest({ method: 'POST', route: '/api/feeds', status: 200, seconds: 30 });
+    
+    const text = metrics.render();
+    const bucket = le => samples(text, 'http_request_duration_seconds_bucket')
+        .find(line => line.includes(`le="${le}"`)).split(' ')[1];
+    assert.equal(bucket('0.01'), '0');
+    assert.equal(bucket('0.025'), '1');
+    assert.equal(bucket('0.5'), '2');
+    assert.equal(bucket('10'), '2');
+    assert.equal(bucket('+Inf'), '3');
+    assert.equal(samples(text, 'http_request_duration_seconds_bucket').length, DURATION_BUCKETS.length + 1);
+    assert.deepEqual(samples(text, 'http_request_duration_seconds_count'), [
+        'http_request_duration_seconds_count{method="POST",route="/api/feeds"} 3'
+    ]);
+    assert.equal(Number(samples(text, 'http_request_duration_seconds_sum')[0].split(' ')[1]), 30.32);
+});
+
+test('readings update per-device counters, ages and field values', () => {
+    const metrics = createMetrics();
+    const timestamp = new Date(Date.now() - 5000).toISOString();
+    metrics.recordReading('device-1', { timestamp, field1: 12.5, field2: 21, flags: {} }, SCHEMA);
+    metrics.recordReading('device-1', { timestamp, field1: 13, field2: null, flags: {} }, SCHEMA);
+    
+    const text = metrics.render();
+    assert.deepEqual(samples(text, 'iotair_readings_total'), ['iotair_readings_total{device="device-1"} 2']);
+    assert.deepEqual(samples(text, 'iotair_last_reading_timestamp_seconds'), [
+        `iotair_last_reading_timestamp_seconds{device="device-1"} ${new Date(timestamp).getTime() / 1000}`
+    ]);
+    const age = Number(samples(text, 'iotair_last_reading_age_seconds')[0].split(' ')[1]);
+    assert.ok(age >= 5 && age < 60);
+    assert.deepEqual(samples(text, 'iotair_field_value'), [
+        'iotair_field_value{device="device-1",field="field1",name="PM2.5",unit="µg/m³"} 13'
+    ]);
+});
+
+test('label values are escaped', () => {
+    const metrics = createMetrics();
+    metrics.setLatestReading('device-1', { timestamp: new Date().toISOString(), field2: 21 }, SCHEMA);
+    assert.deepEqual(samples(metrics.render(), 'iotair_field_value'), [
+        'iotair_field_value{device="device-1",field="field2",name="Temp \\"inside\\"",unit=""} 21'
+    ]);
+});
+
+test('out-of-range values and older readings do not replace the latest', () => {
+    const metrics = createMetrics();
+    const now = Date.now();
+    metrics.setLatestReading('device-1', { timestamp: new Date(now).toISOString(), field1: 10 }, SCHEMA);
+    metrics.setLatestReading('device-1', { timestamp: new Date(now - 60000).toISOString(), field1: 20 }, SCHEMA);
+    assert.match(metrics.render(), /field="field1".* 10$/m);
+    
+    metrics.setLatestReading('device-1', { timestamp: new Date(now + 1000).toISOString(), field1: 9999, flags: { field1: 'range' } }, SCHEMA);
+    assert.deepEqual(samples(metrics.render(), 'iotair_field_value'), []);
+});
+
+test('a removed device has no series and set-only devices count no readings', () => {
+    const metrics = createMetrics();
+    metrics.setLatestReading('device-1', { timestamp: new Date().toISOString(), field1: 10 }, SCHEMA);
+    metrics.recordReading('device-2', { timestamp: new Date().toISOString(), field1: 10 }, SCHEMA);
+    assert.deepEqual(samples(metrics.render(), 'iotair_readings_total'), [
+        'iotair_readings_total{device="device-1"} 0',
+        'iotair_readings_total{device="device-2"} 1'
+    ]);
+    
+    metrics.removeDevice('device-2');
+    assert.doesNotMatch(metrics.render(), /device-2/);
+});
+
+test('extra counters and gauges are appended', () => {
+    const text = createMetrics().render({
+        counters: [{ name: 'iotair_mqtt_messages_total', help: 'MQTT messages', samples: [{ labels: { status: 'accepted' }, value: 4 }] }],
+        gauges: [{ name: 'iotair_storage_bytes', help: 'Bytes on disk', samples: [{ value: 2048 }] }]
+    });
+    assert.match(text, /^# TYPE iotair_mqtt_messages_total counter\niotair_mqtt_messages_total\{status="accepted"\} 4$/m);
+    assert.match(text, /^# TYPE iotair_storage_bytes gauge\niotair_storage_bytes 2048$/m);
+});
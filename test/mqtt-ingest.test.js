@@ -0,0 +1,68 @@
+// mqtt-ingest.test.js - Tests for MQTT topic matching, payloads and device keys
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMqttIngest, matchTopic, decodePayload, identifyDevice } = require('../lib/mqtt-ingest');
+
+// Rejected messages are logged
+test.mock.method(console, 'log', () => {});
+
+const DEVICES = [{ id: 'device-1', api_key: 'secret-key-1' }];
+
+async function findDeviceByApiKey(key) {
+    return DEVICES.find(device => device.api_key === key) || null;
+}
+
+test('matchTopic returns the + wildcard segments', () => {
+    assert.deepEqual(matchTopic('iotair/+/readings', 'iotair/abc/readings'), ['abc']);
+    assert.deepEqual(matchTopic('iotair/+/#', 'iotair/abc/readings/pm25'), ['abc']);
+    assert.equal(matchTopic('iotair/+/readings', 'iotair/abc/status'), null);
+    assert.equal(matchTopic('iotair/+/readings', 'iotair/abc/readings/extra'), null);
+});
+
+test('decodePayload reads JSON, form-encoded and bare values', () => {
+    assert.deepEqual(decodePayload('t', Buffer.from('{"field1": 23}')), { field1: 23 });
+    assert.deepEqual(decodePayload('t', Buffer.from('field1=23&api_key=k')), { field1: '23', api_key: 'k' });
+    assert.deepEqual(decodePayload('iotair/k/field2', Buffer.from(' 45 ')), { field2: '45' });
+    assert.throws(() => decodePayload('t', Buffer.from('{"field1": ')), SyntaxError);
+    assert.throws(() => decodePayload('t', Buffer.from('hello')), /Unrecognised/);
+});
+
+test('a device is identified by its write key in the payload', async () => {
+    assert.equal(await identifyDevice({ wildcards: [], source: { api_key: 'secret-key-1' } }, findDeviceByApiKey), DEVICES[0]);
+    assert.equal(await identifyDevice({ wildcards: [], source: { key: 'secret-key-1' } }, findDeviceByApiKey), DEVICES[0]);
+});
+
+test('a device is identified by its write key in the topic', async () => {
+    assert.equal(await identifyDevice({ wildcards: ['secret-key-1'], source: {} }, findDeviceByApiKey), DEVICES[0]);
+});
+
+test('a device ID alone does not identify a device', async () => {
+    assert.equal(await identifyDevice({ wildcards: ['device-1'], source: {} }, findDeviceByApiKey), null);
+    assert.equal(await identifyDevice({ wildcards: [], source: { api_key: 'device-1' } }, findDeviceByApiKey), null);
+    assert.equal(await identifyDevice({ wildcards: [], source: { field1: '23' } }, findDeviceByApiKey), null);
+});
+
+test('messages are handed over with their wildcards and rejections counted', async () => {
+    const received = [];
+    const ingest = createMqttIngest({
+        url: 'mqtt://broker.invalid',
+        topics: ['iotair/+/readings'],
+        async onReading(message) {
+            const device = await identifyDevice(message, findDeviceByApiKey);
+            if (!device) throw new Error('No device has the write key in this topic or payload');
+            received.push({ device: device.id, source: message.source });
+        }
+    });
+    
+    await ingest.handleMessage('iotair/secret-key-1/readings', Buffer.from('{"field1": 23}'));
+    await ingest.handleMessage('iotair/device-1/readings', Buffer.from('{"field1": 99}'));
+    await ingest.handleMessage('iotair/secret-key-1/readings', Buffer.from('garbage'));
+    
+    assert.deepEqual(received, [{ device: 'device-1', source: { field1: 23 } }]);
+    const status = ingest.getStatus();
+    assert.equal(status.received, 3);
+    assert.equal(status.accepted, 1);
+    assert.equal(status.rejected, 2);
+    assert.match(status.last_error, /^iotair\/secret-key-1\/readings: Unrecognised/);
+});
@@ -0,0 +1,126 @@
+// quality.test.js - Tests for reading flags and calibration
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    STUCK_READINGS,
+    SPIKE_WINDOW,
+    encodeFlags,
+    decodeFlags,
+    calibrate,
+    toReading,
+    flagHistory,
+    createQualityChecker
+} = require('../lib/quality');
+
+const SCHEMA = [
+    { field: 'field1', min: 0, max: 100, max_step: 10, gain: null, offset: null },
+    { field: 'field2', min: null, max: null, max_step: null, gain: 2, offset: 1 }
+];
+
+// Storage holding a device's earlier feeds
+function storageWith(feeds) {
+    return {
+        async list() {
+            return feeds;
+        }
+    };
+}
+
+// A stored feed from ageMs milliseconds ago
+function feedAt(ageMs, values, flags = '') {
+    return { created_at: new Date(Date.now() - ageMs).toISOString(), device_id: 'd1', flags, ...values };
+}
+
+test('flags round-trip through their stored form', () => {
+    const flags = { field1: 'spike', field3: 'range' };
+    assert.equal(encodeFlags(flags), 'field1:spike;field3:range');
+    assert.deepEqual(decodeFlags('field1:spike;field3:range'), flags);
+    assert.deepEqual(decodeFlags(''), {});
+    assert.deepEqual(decodeFlags(undefined), {});
+});
+
+test('calibrate applies gain and offset', () => {
+    assert.equal(calibrate(10, { gain: 2, offset: 1 }), 21);
+    assert.equal(calibrate(10, { gain: null, offset: null }), 10);
+    assert.equal(calibrate(null, { gain: 2, offset: 1 }), null);
+});
+
+test('toReading calibrates values and decodes flags', () => {
+    const reading = toReading({ created_at: '2024-01-01T00:00:00Z', entry_id: '7', field1: '12', field2: 'x', flags: 'field1:spike' }, SCHEMA);
+    assert.deepEqual(reading, {
+        timestamp: '2024-01-01T00:00:00Z',
+        entry_id: '7',
+        field1: 12,
+        field2: null,
+        flags: { field1: 'spike' }
+    });
+});
+
+test('values outside the field range are flagged', async () => {
+    const checker = createQualityChecker({ storage: storageWith([]) });
+    assert.deepEqual(await checker.check('d1', { field1: '150' }, SCHEMA), { field1: 'range' });
+    assert.deepEqual(await checker.check('d1', { field1: '50' }, SCHEMA), {});
+});
+
+test('a large jump from the previous good reading is a spike', async () => {
+    const checker = createQualityChecker({ storage: storageWith([feedAt(60 * 1000, { field1: '20' })]) });
+    assert.deepEqual(await checker.check('d1', { field1: '45' }, SCHEMA), { field1: 'spike' });
+    assert.deepEqual(await checker.check('d1', { field1: '25' }, SCHEMA), {});
+});
+
+test('spikes are judged against the last unflagged reading', async () => {
+    const checker = createQualityChecker({
+        storage: storageWith([
+            feedAt(2 * 60 * 1000, { field1: '20' }),
+            feedAt(60 * 1000, { field1: '90' }, 'field1:spike')
+        ])
+    });
+    // 25 is close to the good reading of 20, not a spike back down from 90
+    assert.deepEqual(await checker.check('d1', { field1: '25' }, SCHEMA), {});
+    assert.deepEqual(await checker.check('d1', { field1: '85' }, SCHEMA), { field1: 'spike' });
+});
+
+test('readings older than the spike window are not compared', async () => {
+    const checker = createQualityChecker({ storage: storageWith([feedAt(SPIKE_WINDOW + 60 * 1000, { field1: '20' })]) });
+    assert.deepEqual(await checker.check('d1', { field1: '80' }, SCHEMA), {});
+});
+
+test('a sensor repeating the same value is stuck', async () => {
+    const feeds = [];
+    for (let i = STUCK_READINGS - 1; i > 0; i--) feeds.push(feedAt(i * 60 * 1000, { field1: '42' }));
+    const checker = createQualityChecker({ storage: storageWith(feeds) });
+    assert.deepEqual(await checker.check('d1', { field1: '42' }, SCHEMA), { field1: 'stuck' });
+    assert.deepEqual(await checker.check('d1', { field1: '43' }, SCHEMA), {});
+});
+
+test('recorded readings are used by later checks', async () => {
+    const checker = createQualityChecker({ storage: storageWith([]) });
+    await checker.check('d1', { field1: '20' }, SCHEMA);
+    checker.record('d1', feedAt(0, { field1: '20' }));
+    assert.deepEqual(await checker.check('d1', { field1: '50' }, SCHEMA), { field1: 'spike' });
+    
+    checker.reset('d1');
+    assert.deepEqual(await checker.check('d1', { field1: '50' }, SCHEMA), {});
+});
+
+test('imported history is flagged reading by reading', () => {
+    const start = Date.UTC(2024, 0, 1);
+    const at = (minutes, field1) => ({ created_at: new Date(start + minutes * 60 * 1000).toISOString(), field1: String(field1) });
+    const feeds = flagHistory([at(0, 20), at(5, 150), at(10, 45), at(15, 25), at(120, 60)], SCHEMA);
+    
+    // 150 is out of range; 45 jumps from the last good 20; 60 comes after a
+    // gap longer than the spike window
+    assert.deepEqual(feeds.map(feed => feed.flags), ['', 'field1:range', 'field1:spike', '', '']);
+});
+
+test('imported history flags a stuck sensor', () => {
+    const start = Date.UTC(2024, 0, 1);
+    const feeds = [];
+    for (let i = 0; i < STUCK_READINGS; i++) {
+        feeds.push({ created_at: new Date(start + i * 60 * 1000).toISOString(), field1: '42' });
+    }
+    flagHistory(feeds, SCHEMA);
+    assert.equal(feeds[STUCK_READINGS - 2].flags, '');
+    assert.equal(feeds[STUCK_READINGS - 1].flags, 'field1:stuck');
+});
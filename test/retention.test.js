@@ -0,0 +1,142 @@
+// retention.test.js - Tests for the retention policy, rollups and purging
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { COLLECTIONS } = require('../storage/collections');
+const { DEFAULT_POLICY, parsePolicy, readRollups, createRetentionJob } = require('../lib/retention');
+
+// The CSV backend and each retention run are logged
+test.mock.method(console, 'log', () => {});
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+// 02:00 UTC forty days ago, well past a 30 day raw retention
+const OLD_HOUR = Math.floor((Date.now() - 40 * DAY) / DAY) * DAY + 2 * HOUR;
+const SCHEMA = [{ field: 'field1', gain: null, offset: null }];
+
+async function openJob(t, policy) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iotair-retention-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    
+    const { feeds, feeds_hourly, feeds_daily, settings } = COLLECTIONS;
+    const storage = createStorage({ backend: 'csv', dataDir, collections: { feeds, feeds_hourly, feeds_daily, settings } });
+    await storage.init();
+    
+    const removedFrom = [];
+    const job = createRetentionJob({ storage, onRawRemoved: deviceIds => removedFrom.push(...deviceIds) });
+    await job.setPolicy({ ...DEFAULT_POLICY, enabled: true, ...policy });
+    return { storage, job, removedFrom };
+}
+
+function feedAt(time, field1, flags = '') {
+    return { created_at: new Date(time).toISOString(), field1: String(field1), device_id: 'device-1', flags };
+}
+
+function summary(rollups) {
+    return rollups.map(rollup => ({ timestamp: rollup.timestamp, count: rollup.count, field1: rollup.fields.field1 }));
+}
+
+test('parsePolicy checks each period and how they nest', () => {
+    assert.deepEqual(parsePolicy({ enabled: 'true', raw_days: '30', hourly_days: 365, daily_days: 0 }), {
+        policy: { enabled: true, raw_days: 30, hourly_days: 365, daily_days: 0 }
+    });
+    assert.deepEqual(parsePolicy([]), { error: 'Retention policy must be an object' });
+    assert.deepEqual(parsePolicy({ raw_days: 0, hourly_days: 0, daily_days: 0 }), { error: 'raw_days must be a whole number of at least 1' });
+    assert.deepEqual(parsePolicy({ raw_days: 30, hourly_days: 1.5, daily_days: 0 }), { error: 'hourly_days must be a whole number of at least 0' });
+    assert.match(parsePolicy({ raw_days: 30, hourly_days: 7, daily_days: 0 }).error, /^Hourly rollups/);
+    assert.match(parsePolicy({ raw_days: 30, hourly_days: 0, daily_days: 400 }).error, /^Daily rollups/);
+    assert.match(parsePolicy({ raw_days: 30, hourly_days: 365, daily_days: 90 }).error, /^Daily rollups/);
+});
+
+test('the policy is off until it is saved', async t => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iotair-retention-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    const storage = createStorage({ backend: 'csv', dataDir, collections: { settings: COLLECTIONS.settings } });
+    await storage.init();
+    
+    const job = createRetentionJob({ storage });
+    assert.deepEqual(await job.getPolicy(), DEFAULT_POLICY);
+    assert.equal(DEFAULT_POLICY.enabled, false);
+    assert.equal(await job.getLastRun(), null);
+});
+
+test('old readings are rolled up by hour and day, leaving out flagged values', async t => {
+    const { storage, job, removedFrom } = await openJob(t, { raw_days: 30 });
+    await storage.insertMany('feeds', [
+        feedAt(OLD_HOUR + 10 * MINUTE, 10),
+        feedAt(OLD_HOUR + 20 * MINUTE, 20),
+        feedAt(OLD_HOUR + 70 * MINUTE, 90, 'field1:spike'),
+        feedAt(Date.now() - DAY, 30)
+    ]);
+    
+    const result = await job.run();
+    assert.equal(result.error, null);
+    assert.equal(result.raw_removed, 3);
+    assert.equal(result.hourly_written, 2);
+    assert.equal(result.daily_written, 1);
+    assert.deepEqual(removedFrom, ['device-1']);
+    assert.deepEqual((await storage.list('feeds')).map(feed => feed.field1), ['30']);
+    
+    assert.deepEqual(summary(await readRollups(storage, 'device-1', HOUR, SCHEMA)), [
+        { timestamp: new Date(OLD_HOUR).toISOString(), count: 2, field1: { mean: 15, min: 10, max: 20, count: 2 } },
+        { timestamp: new Date(OLD_HOUR + HOUR).toISOString(), count: 1, field1: undefined }
+    ]);
+    assert.deepEqual(summary(await readRollups(storage, 'device-1', DAY, SCHEMA)), [
+        { timestamp: new Date(OLD_HOUR - 2 * HOUR).toISOString(), count: 3, field1: { mean: 15, min: 10, max: 20, count: 2 } }
+    ]);
+    assert.deepEqual(await job.getLastRun(), result);
+});
+
+test('later runs merge into the stored rollups', async t => {
+    const { storage, job } = await openJob(t, { raw_days: 30 });
+    await storage.insertMany('feeds', [feedAt(OLD_HOUR + 10 * MINUTE, 10), feedAt(OLD_HOUR + 20 * MINUTE, 20)]);
+    await job.run();
+    
+    // A late import lands in an hour that was already rolled up
+    await storage.insert('feeds', feedAt(OLD_HOUR + 30 * MINUTE, 45));
+    await job.run();
+    
+    assert.deepEqual(summary(await readRollups(storage, 'device-1', HOUR, SCHEMA)), [
+        { timestamp: new Date(OLD_HOUR).toISOString(), count: 3, field1: { mean: 25, min: 10, max: 45, count: 3 } }
+    ]);
+    assert.equal(await storage.count('feeds_daily'), 1);
+});
+
+test('rollups past their own retention are purged', async t => {
+    const { storage, job } = await openJob(t, { raw_days: 30, hourly_days: 35, daily_days: 0 });
+    await storage.insert('feeds', feedAt(OLD_HOUR, 10));
+    
+    const result = await job.run();
+    assert.equal(result.hourly_purged, 1);
+    assert.equal(result.daily_purged, 0);
+    assert.equal(await storage.count('feeds_hourly'), 0);
+    assert.equal(await storage.count('feeds_daily'), 1);
+});
+
+test('concurrent runs share one pass', async t => {
+    const { storage, job } = await openJob(t, { raw_days: 30 });
+    await storage.insert('feeds', feedAt(OLD_HOUR, 10));
+    
+    const [first, second] = await Promise.all([job.run(), job.run()]);
+    assert.equal(first, second);
+    assert.equal(await storage.count('feeds_hourly'), 1);
+    assert.equal(job.isRunning(), false);
+});
+
+test('readRollups calibrates statistics and picks the coarsest fitting level', async t => {
+    const { storage, job } = await openJob(t, { raw_days: 30 });
+    await storage.insertMany('feeds', [feedAt(OLD_HOUR, 10), feedAt(OLD_HOUR + 10 * MINUTE, 20)]);
+    await job.run();
+    
+    // A negative gain swaps min and max
+    const [hourly] = await readRollups(storage, 'device-1', 2 * HOUR, [{ field: 'field1', gain: -2, offset: 1 }]);
+    assert.deepEqual(hourly.fields.field1, { mean: -29, min: -39, max: -19, count: 2 });
+    assert.equal((await readRollups(storage, 'device-1', 2 * DAY, SCHEMA))[0].timestamp, new Date(OLD_HOUR - 2 * HOUR).toISOString());
+    assert.deepEqual(await readRollups(storage, 'device-1', 30 * MINUTE, SCHEMA), []);
+    assert.deepEqual(await readRollups(storage, 'device-1', 90 * MINUTE, SCHEMA), []);
+});
@@ -0,0 +1,569 @@
+// server.test.js - Tests of the HTTP API against a running server
+//
+// server.js is started once on a free port with its own SQLite database in a
+// temporary directory, so the data/ directory is never touched. Each test
+// makes the users and devices it needs through the API.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ADMIN = { email: 'admin@example.com', password: 'admin123' };
+const PASSWORD = 'password123';
+const STARTUP_TIMEOUT = 30 * 1000;
+const EVENT_TIMEOUT = 5 * 1000;
+
+let server;
+let baseUrl;
+let dataDir;
+// Everything the server has logged, including emails sent to the console
+let output = '';
+let userCount = 0;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+test.before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iotair-server-'));
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            STORAGE_BACKEND: 'sqlite',
+            SQLITE_FILE: path.join(dataDir, 'iotair.db'),
+            APP_URL: baseUrl,
+            MQTT_URL: '',
+            SMTP_HOST: '',
+            METRICS_TOKEN: ''
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stdout.on('data', chunk => { output += chunk; });
+    server.stderr.on('data', chunk => { output += chunk; });
+    
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), STARTUP_TIMEOUT);
+        const check = () => {
+            if (!output.includes('Server ready')) return;
+            clearTimeout(timer);
+            server.stdout.off('data', check);
+            resolve();
+        };
+        server.stdout.on('data', check);
+        server.once('exit', code => reject(new Error(`Server exited with ${code}:\n${output}`)));
+    });
+});
+
+test.after(async () => {
+    if (server && server.exitCode === null) {
+        const exited = new Promise(resolve => server.once('exit', resolve));
+        server.kill();
+        await exited;
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// A client that keeps its session cookie, or sends an API token, with every
+// request. Responses are { status, headers, body } with JSON bodies parsed.
+function client({ token } = {}) {
+    let cookie = '';
+    
+    async function request(method, url, body, type = 'application/json') {
+        const headers = {};
+        if (cookie) headers.Cookie = cookie;
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (body !== undefined) headers['Content-Type'] = type;
+        
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers,
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) cookie = setCookie.split(';')[0];
+        
+        // Decoded by hand, as response.text() drops a byte order mark
+        const text = Buffer.from(await response.arrayBuffer()).toString('utf8');
+        const json = (response.headers.get('content-type') || '').includes('application/json');
+        return { status: response.status, headers: response.headers, body: json ? JSON.parse(text) : text };
+    }
+    
+    return {
+        get: url => request('GET', url),
+        post: (url, body = {}) => request('POST', url, body),
+        put: (url, body = {}) => request('PUT', url, body),
+        delete: (url, body) => request('DELETE', url, body),
+        postCsv: (url, text) => request('POST', url, text, 'text/csv'),
+        
+        async login(email, password = PASSWORD) {
+            const response = await request('POST', '/api/login', { email, password });
+            assert.equal(response.status, 200, `Login as ${email} failed: ${JSON.stringify(response.body)}`);
+            return response;
+        },
+        
+        // An open event stream, read with nextEvent()
+        async stream(url) {
+            const controller = new AbortController();
+            const response = await fetch(baseUrl + url, { headers: { Cookie: cookie }, signal: controller.signal });
+            return openStream(response, controller);
+        }
+    };
+}
+
+// Reads server-sent events from a streaming response
+function openStream(response, controller) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    return {
+        status: response.status,
+        headers: response.headers,
+        
+        // The next event with a data line, or null if none arrives in time
+        async nextEvent(timeout = EVENT_TIMEOUT) {
+            const deadline = Date.now() + timeout;
+            for (;;) {
+                const end = buffer.indexOf('\n\n');
+                if (end !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const event = {};
+                    block.split('\n').forEach(line => {
+                        const [, name, value] = /^(\w+): ?(.*)$/.exec(line) || [];
+                        if (name) event[name] = value;
+                    });
+                    if (event.data !== undefined) return { ...event, data: JSON.parse(event.data) };
+                    continue;
+                }
+                
+                const remaining = deadline - Date.now();
+                if (remaining <= 0) return null;
+                let timer;
+                const chunk = await Promise.race([
+                    reader.read(),
+                    new Promise(resolve => { timer = setTimeout(() => resolve(null), remaining); })
+                ]);
+                clearTimeout(timer);
+                if (chunk === null) return null;
+                if (chunk.done) throw new Error('Stream ended');
+                buffer += decoder.decode(chunk.value, { stream: true });
+            }
+        },
+        
+        close() {
+            controller.abort();
+        }
+    };
+}
+
+async function adminClient() {
+    const admin = client();
+    await admin.login(ADMIN.email, ADMIN.password);
+    return admin;
+}
+
+// A new user with the given role and access lists, logged in
+async function userClient(admin, role, access = {}) {
+    userCount += 1;
+    const email = `${role}${userCount}@example.com`;
+    assert.equal((await admin.post('/api/users/add', { name: `Test ${role}`, email, password: PASSWORD, role })).status, 200);
+    if (access.devices || access.sites) {
+        assert.equal((await admin.put(`/api/users/${email}`, access)).status, 200);
+    }
+    const user = client();
+    await user.login(email);
+    user.email = email;
+    return user;
+}
+
+// A new device, with its write key
+async function addDevice(admin, details = {}) {
+    const response = await admin.post('/api/devices/add', { name: 'Test sensor', ...details });
+    assert.equal(response.status, 200);
+    return response.body.device;
+}
+
+// The token from the link in the latest email to an address. Emails go to
+// the server log, which may arrive just after the response that sent them.
+async function emailedToken(to) {
+    const deadline = Date.now() + EVENT_TIMEOUT;
+    for (;;) {
+        const mail = output.split(`📧 Mail to ${to}: `).slice(1).pop();
+        const match = mail && /\?token=(\S+)/.exec(mail);
+        if (match) return decodeURIComponent(match[1]);
+        if (Date.now() > deadline) throw new Error(`No email with a link was sent to ${to}`);
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+async function sendReading(device, values) {
+    const response = await fetch(`${baseUrl}/api/feeds`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-THINGSPEAKAPIKEY': device.api_key },
+        body: JSON.stringify(values)
+    });
+    assert.equal(response.status, 201);
+    return (await response.json()).feed;
+}
+
+// ==================== LIVE UPDATES ====================
+
+test('the stream needs a login', async () => {
+    const response = await client().get('/api/stream');
+    assert.equal(response.status, 401);
+});
+
+test('new readings are pushed to open streams', async t => {
+    const admin = await adminClient();
+    const device = await addDevice(admin);
+    const stream = await admin.stream(`/api/stream?device=${device.id}`);
+    t.after(() => stream.close());
+    assert.equal(stream.status, 200);
+    assert.match(stream.headers.get('content-type'), /^text\/event-stream/);
+    
+    const feed = await sendReading(device, { field1: 12.5 });
+    const event = await stream.nextEvent();
+    assert.equal(event.event, 'reading');
+    assert.equal(event.id, String(feed.entry_id));
+    assert.equal(event.data.device_id, device.id);
+    assert.equal(event.data.field1, 12.5);
+    assert.equal(event.data.timestamp, feed.created_at);
+});
+
+test('a stream only carries the devices it was opened for', async t => {
+    const admin = await adminClient();
+    const watched = await addDevice(admin);
+    const other = await addDevice(admin);
+    const stream = await admin.stream(`/api/stream?device=${watched.id}`);
+    t.after(() => stream.close());
+    
+    await sendReading(other, { field1: 1 });
+    await sendReading(watched, { field1: 2 });
+    const event = await stream.nextEvent();
+    assert.equal(event.data.device_id, watched.id);
+    assert.equal(event.data.field1, 2);
+});
+
+test('users never receive readings from devices they cannot see', async t => {
+    const admin = await adminClient();
+    const allowed = await addDevice(admin);
+    const hidden = await addDevice(admin);
+    const user = await userClient(admin, 'user', { devices: [allowed.id] });
+    const stream = await user.stream('/api/stream');
+    t.after(() => stream.close());
+    
+    await sendReading(hidden, { field1: 1 });
+    await sendReading(allowed, { field1: 2 });
+    const event = await stream.nextEvent();
+    assert.equal(event.data.device_id, allowed.id);
+    assert.equal(await stream.nextEvent(500), null);
+});
+
+// ==================== ROLES AND DEVICE ACCESS ====================
+
+test('viewers can read readings but not change or export them', async () => {
+    const admin = await adminClient();
+    const device = await addDevice(admin);
+    await sendReading(device, { field1: 5 });
+    const viewer = await userClient(admin, 'viewer');
+    
+    assert.equal((await viewer.get(`/api/sensors?device=${device.id}`)).status, 200);
+    const listed = (await viewer.get('/api/devices')).body.devices.find(d => d.id === device.id);
+    assert.deepEqual(Object.keys(listed).sort(), ['id', 'location', 'name']);
+    
+    assert.deepEqual((await viewer.get(`/api/sensors/export?device=${device.id}`)).body, { error: 'Viewers cannot export data' });
+    assert.equal((await viewer.post('/api/devices/add', { name: 'Mine' })).status, 403);
+    assert.equal((await viewer.put(`/api/devices/${device.id}`, { name: 'Renamed' })).status, 403);
+});
+
+test('operators manage devices but not users', async () => {
+    const admin = await adminClient();
+    const operator = await userClient(admin, 'operator');
+    
+    const added = await operator.post('/api/devices/add', { name: 'Operator sensor' });
+    assert.equal(added.status, 200);
+    assert.ok(added.body.device.api_key);
+    assert.equal((await operator.put(`/api/devices/${added.body.device.id}`, { name: 'Renamed' })).status, 200);
+    
+    assert.deepEqual((await operator.get('/api/users')).body, { error: 'Admin privileges required' });
+    assert.equal((await operator.put(`/api/users/${operator.email}`, { role: 'admin' })).status, 403);
+    assert.equal((await operator.post('/api/alerts/rules/add', { name: 'x', type: 'no_data', duration_minutes: 5 })).status, 403);
+});
+
+test('access lists limit users to their devices and sites', async () => {
+    const admin = await adminClient();
+    const listed = await addDevice(admin);
+    const onSite = await addDevice(admin, { location: 'Roof' });
+    const hidden = await addDevice(admin, { location: 'Basement' });
+    const user = await userClient(admin, 'user', { devices: [listed.id], sites: ['Roof'] });
+    
+    assert.deepEqual((await user.get('/api/devices')).body.devices.map(d => d.id), [listed.id, onSite.id]);
+    assert.equal((await user.get(`/api/sensors?device=${onSite.id}`)).status, 200);
+    assert.equal((await user.get(`/api/sensors?device=${hidden.id}`)).status, 404);
+    assert.equal((await user.get(`/api/devices/${hidden.id}/fields`)).status, 404);
+    assert.equal((await user.get(`/api/sensors/export?device=${hidden.id}`)).status, 404);
+});
+
+test('a limited operator keeps access to the devices they add', async () => {
+    const admin = await adminClient();
+    const device = await addDevice(admin);
+    const operator = await userClient(admin, 'operator', { devices: [device.id] });
+    
+    const added = (await operator.post('/api/devices/add', { name: 'New sensor' })).body.device;
+    assert.deepEqual((await operator.get('/api/devices')).body.devices.map(d => d.id), [device.id, added.id]);
+});
+
+test('changing a user\'s role ends their sessions', async () => {
+    const admin = await adminClient();
+    const user = await userClient(admin, 'viewer');
+    assert.equal((await user.get('/api/me')).status, 200);
+    
+    assert.equal((await admin.put(`/api/users/${user.email}`, { role: 'owner' })).status, 400);
+    assert.equal((await admin.put(`/api/users/${user.email}`, { role: 'operator' })).status, 200);
+    assert.equal((await user.get('/api/me')).status, 401);
+    
+    await user.login(user.email);
+    assert.equal((await user.get('/api/me')).body.role, 'operator');
+});
+
+// ==================== PROFILE ====================
+
+test('users can rename themselves', async () => {
+    const admin = await adminClient();
+    const user = await userClient(admin, 'user');
+    
+    assert.equal((await user.put('/api/me', { name: '  ' })).status, 400);
+    assert.equal((await user.put('/api/me', { name: 'New Name' })).status, 200);
+    assert.equal((await user.get('/api/me')).body.name, 'New Name');
+});
+
+test('changing a password needs the current one and ends other sessions', async () => {
+    const admin = await adminClient();
+    const user = await userClient(admin, 'user');
+    const elsewhere = client();
+    await elsewhere.login(user.email);
+    
+    const wrong = await user.put('/api/me/password', { current_password: 'wrong', password: 'new-password' });
+    assert.deepEqual(wrong.body, { error: 'Current password is incorrect' });
+    assert.equal((await user.put('/api/me/password', { current_password: PASSWORD, password: 'new-password' })).status, 200);
+    
+    assert.equal((await user.get('/api/me')).status, 200);
+    assert.equal((await elsewhere.get('/api/me')).status, 401);
+    assert.equal((await client().post('/api/login', { email: user.email, password: PASSWORD })).status, 401);
+    await client().login(user.email, 'new-password');
+});
+
+test('a new email address is used once its link is opened', async () => {
+    const admin = await adminClient();
+    const user = await userClient(admin, 'user');
+    const newEmail = `renamed-${user.email}`;
+    
+    assert.equal((await user.put('/api/me/email', { email: newEmail, password: 'wrong' })).status, 400);
+    assert.equal((await user.put('/api/me/email', { email: ADMIN.email, password: PASSWORD })).status, 400);
+    assert.equal((await user.put('/api/me/email', { email: newEmail, password: PASSWORD })).status, 200);
+    assert.equal((await user.get('/api/me')).body.email, user.email);
+    
+    assert.equal((await user.post('/api/verify-email', { token: await emailedToken(newEmail) })).status, 200);
+    assert.equal((await user.get('/api/me')).body.email, newEmail);
+    assert.equal((await client().post('/api/login', { email: user.email, password: PASSWORD })).status, 401);
+    await client().login(newEmail);
+});
+
+test('users can delete their own account with their password', async () => {
+    const admin = await adminClient();
+    const user = await userClient(admin, 'user');
+    
+    assert.equal((await user.delete('/api/me', { password: 'wrong' })).status, 400);
+    assert.equal((await user.delete('/api/me', { password: PASSWORD })).status, 200);
+    assert.equal((await user.get('/api/me')).status, 401);
+    assert.equal((await client().post('/api/login', { email: user.email, password: PASSWORD })).status, 401);
+});
+
+test('the only admin cannot delete their account', async () => {
+    const admin = await adminClient();
+    const response = await admin.delete('/api/me', { password: ADMIN.password });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /only admin/);
+});
+
+test('admins can rename users and make them choose a new password', async () => {
+    const admin = await adminClient();
+    const user = await userClient(admin, 'user');
+    
+    assert.equal((await admin.put(`/api/users/${user.email}`, { name: 'Renamed by admin' })).status, 200);
+    assert.equal((await user.get('/api/me')).body.name, 'Renamed by admin');
+    
+    assert.equal((await admin.post(`/api/users/${user.email}/password-reset`)).status, 200);
+    assert.equal((await user.get('/api/me')).status, 401);
+    const refused = await client().post('/api/login', { email: user.email, password: PASSWORD });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.password_reset_required, true);
+    
+    const token = await emailedToken(user.email);
+    assert.equal((await client().post('/api/password-reset', { token, password: 'chosen-password' })).status, 200);
+    await client().login(user.email, 'chosen-password');
+});
+
+// ==================== API TOKENS ====================
+
+async function createToken(owner, scopes) {
+    const response = await owner.post('/api/tokens/add', { name: `Token for ${scopes.join(', ')}`, scopes });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body;
+}
+
+test('a token acts as its owner within its scopes', async () => {
+    const admin = await adminClient();
+    const { token } = await createToken(admin, ['read']);
+    const script = client({ token });
+    
+    assert.equal((await script.get('/api/devices')).status, 200);
+    assert.deepEqual((await script.get('/api/sensors/export')).body, { error: 'This API token does not have the export scope' });
+    assert.deepEqual((await script.post('/api/devices/add', { name: 'Scripted' })).body, { error: 'This API token does not have the admin scope' });
+    // Admin routes need the admin scope even to read
+    assert.equal((await script.get('/api/users')).status, 403);
+    
+    const full = client({ token: (await createToken(admin, ['read', 'export', 'admin'])).token });
+    assert.equal((await full.get('/api/sensors/export')).status, 200);
+    assert.equal((await full.get('/api/users')).status, 200);
+});
+
+test('a token never has more rights than its owner', async () => {
+    const admin = await adminClient();
+    const viewer = await userClient(admin, 'viewer');
+    assert.equal((await viewer.post('/api/tokens/add', { name: 'x', scopes: ['admin'] })).status, 403);
+    
+    const user = await userClient(admin, 'user');
+    assert.equal((await user.post('/api/tokens/add', { name: 'x', scopes: ['admin'] })).status, 403);
+    const { token } = await createToken(user, ['read', 'export']);
+    assert.equal((await client({ token }).get('/api/users')).status, 403);
+});
+
+test('tokens cannot manage the account they belong to', async () => {
+    const admin = await adminClient();
+    const { token } = await createToken(admin, ['read', 'export', 'admin']);
+    const script = client({ token });
+    
+    assert.equal((await script.get('/api/me')).status, 403);
+    assert.equal((await script.post('/api/tokens/add', { name: 'Another', scopes: ['read'] })).status, 403);
+    assert.equal((await script.get('/api/sessions')).status, 403);
+});
+
+test('unknown and revoked tokens are refused', async () => {
+    const admin = await adminClient();
+    const { token, api_token: record } = await createToken(admin, ['read']);
+    
+    assert.deepEqual((await client({ token: `${token}x` }).get('/api/devices')).body, { error: 'Invalid API token' });
+    assert.equal((await admin.delete(`/api/tokens/${record.id}`)).status, 200);
+    assert.equal((await client({ token }).get('/api/devices')).status, 401);
+});
+
+// ==================== EXPORTS ====================
+
+const EXPORT_START = Date.UTC(2024, 0, 1);
+
+// A device with a reading a minute for count minutes from EXPORT_START
+async function deviceWithHistory(admin, count) {
+    const device = await addDevice(admin);
+    const lines = ['created_at,pm25'];
+    for (let i = 0; i < count; i++) {
+        lines.push(`${new Date(EXPORT_START + i * 60 * 1000).toISOString()},${i % 50}`);
+    }
+    const imported = await admin.postCsv(`/api/import?device=${device.id}&mapping[created_at]=created_at&mapping[field1]=pm25`, lines.join('\n'));
+    assert.equal(imported.body.imported, count);
+    return device;
+}
+
+test('exports include every reading however many storage pages they span', async () => {
+    const admin = await adminClient();
+    // More than two of the server's export batches
+    const count = 1234;
+    const device = await deviceWithHistory(admin, count);
+    
+    const ndjson = await admin.get(`/api/sensors/export?device=${device.id}&format=ndjson&fields=field1`);
+    assert.match(ndjson.headers.get('content-type'), /^application\/x-ndjson/);
+    const records = ndjson.body.trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(records.length, count);
+    assert.deepEqual(records.map(r => r.field1), Array.from({ length: count }, (_, i) => i % 50));
+    assert.deepEqual(Object.keys(records[0]), ['created_at', 'entry_id', 'device_id', 'field1', 'flags']);
+    
+    const json = await admin.get(`/api/sensors/export?device=${device.id}&format=json&fields=field1`);
+    assert.equal(json.body.length, count);
+    assert.equal(json.body[count - 1].created_at, new Date(EXPORT_START + (count - 1) * 60 * 1000).toISOString());
+    
+    const csv = await admin.get(`/api/sensors/export?device=${device.id}&format=csv&fields=field1`);
+    assert.ok(csv.body.startsWith('\uFEFFcreated_at,entry_id,device_id,'));
+    assert.equal(csv.body.trim().split('\r\n').length, count + 1);
+});
+
+test('exports are limited to the requested time range', async () => {
+    const admin = await adminClient();
+    const device = await deviceWithHistory(admin, 10);
+    const from = new Date(EXPORT_START + 3 * 60 * 1000).toISOString();
+    const to = new Date(EXPORT_START + 5 * 60 * 1000).toISOString();
+    
+    const response = await admin.get(`/api/sensors/export?device=${device.id}&format=json&fields=field1&from=${from}&to=${to}`);
+    assert.deepEqual(response.body.map(r => r.field1), [3, 4, 5]);
+    assert.equal(response.headers.get('content-disposition'),
+        `attachment; filename="iotair-${device.id}-2024-01-01-to-2024-01-01.json"`);
+    
+    const empty = await admin.get(`/api/sensors/export?device=${device.id}&format=json&from=2030-01-01T00:00:00Z`);
+    assert.deepEqual(empty.body, []);
+    assert.equal((await admin.get(`/api/sensors/export?device=${device.id}&format=xml`)).status, 400);
+    assert.equal((await admin.get(`/api/sensors/export?device=${device.id}&fields=field9`)).status, 400);
+});
+
+// ==================== MONITORING ====================
+
+test('health and readiness checks answer without a login', async () => {
+    const health = await client().get('/healthz');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.status, 'ok');
+
+    assert.deepEqual((await client().get('/readyz')).body, { status: 'ready', checks: { storage: 'ok' } });
+});
+
+test('metrics count requests by route and readings by device', async () => {
+    const admin = await adminClient();
+    const device = await addDevice(admin);
+    await admin.put(`/api/devices/${device.id}/fields`, {
+        fields: [{ field: 'field1', name: 'PM2.5', unit: 'µg/m³' }]
+    });
+    await sendReading(device, { field1: 7 });
+    await sendReading(device, { field1: 9 });
+    await admin.get(`/api/devices/${device.id}/fields`);
+
+    const response = await client().get('/metrics');
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const text = response.body;
+    assert.match(text, new RegExp(`^iotair_readings_total\\{device="${device.id}"\\} 2$`, 'm'));
+    assert.match(text, new RegExp(`^iotair_field_value\\{device="${device.id}",field="field1",name="PM2.5",unit="µg/m³"\\} 9$`, 'm'));
+    assert.match(text, new RegExp(`^iotair_last_reading_age_seconds\\{device="${device.id}"\\} `, 'm'));
+    // Routes are labelled by their pattern, not the path requested
+    assert.match(text, /^http_requests_total\{method="GET",route="\/api\/devices\/\{id\}\/fields",status="200"\} \d+$/m);
+    assert.match(text, /^http_requests_total\{method="POST",route="\/api\/feeds",status="201"\} \d+$/m);
+});
+
+test('a deleted device has no metrics', async () => {
+    const admin = await adminClient();
+    const device = await addDevice(admin);
+    await sendReading(device, { field1: 1 });
+    assert.equal((await admin.delete(`/api/devices/${device.id}`)).status, 200);
+    assert.doesNotMatch((await client().get('/metrics')).body, new RegExp(`device="${device.id}"`));
+});
@@ -0,0 +1,125 @@
+// session-store.test.js - Tests for the persistent session store
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { createStorage } = require('../storage');
+const { COLLECTIONS } = require('../storage/collections');
+const { createSessionStore, publicId } = require('../lib/session-store');
+
+// The CSV backend logs every read and write
+test.mock.method(console, 'log', () => {});
+
+const MINUTE = 60 * 1000;
+
+async function openStore(t, { idleTimeout = 30 * MINUTE, absoluteTimeout = 24 * 60 * MINUTE } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iotair-sessions-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    
+    const storage = createStorage({ backend: 'csv', dataDir, collections: { sessions: COLLECTIONS.sessions } });
+    await storage.init();
+    const store = createSessionStore({ storage, idleTimeout, absoluteTimeout });
+    return {
+        storage,
+        store,
+        get: promisify(store.get).bind(store),
+        set: promisify(store.set).bind(store),
+        destroy: promisify(store.destroy).bind(store)
+    };
+}
+
+function sessionFor(email) {
+    return { cookie: {}, user: { email }, client: { ip: '127.0.0.1', user_agent: 'test' } };
+}
+
+test('a saved session is read back', async t => {
+    const { get, set } = await openStore(t);
+    await set('sid-1', sessionFor('ann@example.com'));
+    assert.deepEqual((await get('sid-1')).user, { email: 'ann@example.com' });
+    assert.equal(await get('unknown'), null);
+});
+
+test('concurrent first saves of a session store it once', async t => {
+    const { storage, get, set } = await openStore(t);
+    await Promise.all([
+        set('sid-1', sessionFor('ann@example.com')),
+        set('sid-1', sessionFor('ann@example.com'))
+    ]);
+    assert.equal(await storage.count('sessions'), 1);
+    assert.ok(await get('sid-1'));
+});
+
+test('revokeAll ends a user\'s sessions except the one kept', async t => {
+    const { store, get, set } = await openStore(t);
+    await set('sid-1', sessionFor('ann@example.com'));
+    await set('sid-2', sessionFor('ann@example.com'));
+    await set('sid-3', sessionFor('bob@example.com'));
+    
+    assert.equal(await store.revokeAll('ann@example.com', { except: 'sid-2' }), 1);
+    assert.equal(await get('sid-1'), null);
+    assert.ok(await get('sid-2'));
+    assert.ok(await get('sid-3'));
+});
+
+test('a revoked session is not saved back by a request still in flight', async t => {
+    const { store, get, set } = await openStore(t);
+    await set('sid-1', sessionFor('ann@example.com'));
+    const session = await get('sid-1');
+    
+    // The request that loaded the session saves it after the revoke
+    await store.revokeAll('ann@example.com');
+    await set('sid-1', session);
+    assert.equal(await get('sid-1'), null);
+    assert.deepEqual(await store.listForUser('ann@example.com'), []);
+});
+
+test('a save racing a revoke does not bring the session back', async t => {
+    const { store, get, set } = await openStore(t);
+    await set('sid-1', sessionFor('ann@example.com'));
+    await Promise.all([
+        set('sid-1', sessionFor('ann@example.com')),
+        store.revokeAll('ann@example.com')
+    ]);
+    assert.equal(await get('sid-1'), null);
+});
+
+test('sessions are listed and revoked by public id', async t => {
+    const { store, get, set } = await openStore(t);
+    await set('sid-1', sessionFor('ann@example.com'));
+    
+    const [listed] = await store.listForUser('ann@example.com');
+    assert.equal(listed.id, publicId('sid-1'));
+    assert.equal(listed.ip, '127.0.0.1');
+    assert.deepEqual(await store.countByUser(), { 'ann@example.com': 1 });
+    
+    assert.equal(await store.revoke('bob@example.com', listed.id), false);
+    assert.equal(await store.revoke('ann@example.com', listed.id), true);
+    assert.equal(await get('sid-1'), null);
+});
+
+test('idle and old sessions expire', async t => {
+    const { storage, get, set, store } = await openStore(t, { idleTimeout: 30 * MINUTE, absoluteTimeout: 60 * MINUTE });
+    await set('idle', sessionFor('ann@example.com'));
+    await set('old', sessionFor('ann@example.com'));
+    await set('fresh', sessionFor('ann@example.com'));
+    
+    const ago = minutes => new Date(Date.now() - minutes * MINUTE).toISOString();
+    await storage.update('sessions', { sid: 'idle' }, { last_seen_at: ago(31) });
+    await storage.update('sessions', { sid: 'old' }, { created_at: ago(61) });
+    
+    assert.equal(await get('idle'), null);
+    assert.equal(await store.prune(), 1);
+    assert.equal(await get('old'), null);
+    assert.ok(await get('fresh'));
+});
+
+test('a logged-out session stays ended', async t => {
+    const { get, set, destroy } = await openStore(t);
+    await set('sid-1', sessionFor('ann@example.com'));
+    await destroy('sid-1');
+    await set('sid-1', sessionFor('ann@example.com'));
+    assert.equal(await get('sid-1'), null);
+});
@@ -0,0 +1,65 @@
+// stats.test.js - Tests for report statistics
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarize, percentile, fieldStats } = require('../lib/stats');
+
+function reading(timestamp, field1, flags = {}) {
+    return { timestamp, field1, flags };
+}
+
+test('percentile interpolates between ranks', () => {
+    assert.equal(percentile([], 0.5), null);
+    assert.equal(percentile([7], 0.95), 7);
+    assert.equal(percentile([1, 2, 3, 4], 0.5), 2.5);
+    assert.equal(percentile([10, 20, 30, 40, 50], 0.95), 48);
+});
+
+test('summarize gives the usual figures and a sample standard deviation', () => {
+    const { p95, ...rest } = summarize([4, 2, 8, 6]);
+    assert.deepEqual(rest, { count: 4, min: 2, max: 8, mean: 5, median: 5, stddev: Math.sqrt(20 / 3) });
+    assert.ok(Math.abs(p95 - 7.7) < 1e-9);
+    assert.equal(summarize([3]).stddev, 0);
+    assert.deepEqual(summarize([]), { count: 0, min: null, max: null, mean: null, median: null, p95: null, stddev: null });
+});
+
+test('flagged, missing and undated values are left out', () => {
+    const { summary } = fieldStats([
+        reading('2024-01-01T00:00:00Z', 10),
+        reading('2024-01-01T00:10:00Z', 500, { field1: 'spike' }),
+        reading('2024-01-01T00:20:00Z', null),
+        reading('not a date', 30),
+        reading('2024-01-01T00:30:00Z', 20)
+    ], 'field1');
+    assert.equal(summary.count, 2);
+    assert.equal(summary.mean, 15);
+    assert.equal(summary.hours_above, null);
+});
+
+test('daily figures follow the caller\'s calendar days', () => {
+    const readings = [
+        reading('2024-01-01T22:30:00Z', 10),
+        reading('2024-01-01T23:30:00Z', 20),
+        reading('2024-01-02T00:30:00Z', 30)
+    ];
+    assert.deepEqual(fieldStats(readings, 'field1').daily.map(day => [day.date, day.count]), [['2024-01-01', 2], ['2024-01-02', 1]]);
+    
+    // Two hours ahead of UTC, 22:30Z is already the next day
+    assert.deepEqual(fieldStats(readings, 'field1', { utcOffsetMinutes: 120 }).daily.map(day => [day.date, day.count]),
+        [['2024-01-02', 3]]);
+});
+
+test('hours above the limit count hourly means', () => {
+    const { summary, daily } = fieldStats([
+        // Hour 00: one high reading, mean 30, over 25
+        reading('2024-01-01T00:00:00Z', 50),
+        reading('2024-01-01T00:30:00Z', 10),
+        // Hour 01: mean 20, under 25
+        reading('2024-01-01T01:00:00Z', 20),
+        // Next day, hour 05: mean 40
+        reading('2024-01-02T05:00:00Z', 40)
+    ], 'field1', { limit: 25 });
+    assert.deepEqual(daily.map(day => day.hours_above), [1, 1]);
+    assert.equal(summary.hours_above, 2);
+    assert.equal(daily[0].max, 50);
+});
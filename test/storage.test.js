@@ -0,0 +1,135 @@
+// storage.test.js - Tests run against both storage backends
+//
+// Each backend gets a fresh temp directory. The SQLite tests are skipped when
+// the optional better-sqlite3 package is not installed.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { COLLECTIONS } = require('../storage/collections');
+
+// A keyed collection, an append-only one with a sequence, and a keyed one
+// whose key is the sequence
+const COLLECTIONS_UNDER_TEST = {
+    users: COLLECTIONS.users,
+    feeds: COLLECTIONS.feeds,
+    alert_rules: COLLECTIONS.alert_rules
+};
+
+// The backends log every read and write
+test.mock.method(console, 'log', () => {});
+
+let hasSqlite = true;
+try {
+    require('better-sqlite3');
+} catch (error) {
+    hasSqlite = false;
+}
+
+async function openStorage(backend) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `iotair-${backend}-`));
+    const storage = createStorage({ backend, dataDir, collections: COLLECTIONS_UNDER_TEST });
+    await storage.init();
+    return {
+        storage,
+        cleanup() {
+            if (storage.close) storage.close();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+for (const backend of ['csv', 'sqlite']) {
+    test(`${backend} storage`, { skip: backend === 'sqlite' && !hasSqlite && 'better-sqlite3 is not installed' }, async t => {
+        const { storage, cleanup } = await openStorage(backend);
+        t.after(cleanup);
+        
+        await t.test('insert stores every column as a string', async () => {
+            const row = await storage.insert('users', { name: 'Ann', email: 'ann@example.com', role: 'admin', unknown: 'dropped' });
+            assert.equal(row.email, 'ann@example.com');
+            assert.equal(row.devices, '');
+            assert.equal('unknown' in row, false);
+            
+            const found = await storage.find('users', { email: 'ann@example.com' });
+            assert.deepEqual(found, row);
+            assert.equal(await storage.find('users', { email: 'nobody@example.com' }), null);
+        });
+        
+        await t.test('insert refuses a repeated key', async () => {
+            await assert.rejects(
+                storage.insert('users', { name: 'Ann again', email: 'ann@example.com' }),
+                error => error.code === 'DUPLICATE_KEY'
+            );
+            assert.equal(await storage.count('users'), 1);
+        });
+        
+        await t.test('update changes matching rows and returns how many', async () => {
+            await storage.insert('users', { name: 'Bob', email: 'bob@example.com', role: 'viewer' });
+            assert.equal(await storage.update('users', { email: 'bob@example.com' }, { role: 'operator' }), 1);
+            assert.equal((await storage.find('users', { email: 'bob@example.com' })).role, 'operator');
+            assert.equal((await storage.find('users', { email: 'ann@example.com' })).role, 'admin');
+            assert.equal(await storage.update('users', { email: 'nobody@example.com' }, { role: 'admin' }), 0);
+        });
+        
+        await t.test('sequences count up and imported values are kept', async () => {
+            const first = await storage.insert('feeds', { created_at: '2024-01-01T00:00:00Z', field1: 1, device_id: 'd1' });
+            const second = await storage.insert('feeds', { created_at: '2024-01-01T00:01:00Z', field1: 2, device_id: 'd1' });
+            assert.equal(first.entry_id, '1');
+            assert.equal(second.entry_id, '2');
+            
+            const [imported, next] = await storage.insertMany('feeds', [
+                { created_at: '2024-01-01T00:02:00Z', entry_id: 10, field1: 3, device_id: 'd2' },
+                { created_at: '2024-01-01T00:03:00Z', field1: 4, device_id: 'd2' }
+            ]);
+            assert.equal(imported.entry_id, '10');
+            assert.equal(next.entry_id, '11');
+            
+            const rule = await storage.insert('alert_rules', { name: 'High PM', enabled: 'true' });
+            assert.equal(rule.id, '1');
+        });
+        
+        await t.test('list filters rows and keeps insertion order', async () => {
+            const feeds = await storage.list('feeds', { device_id: 'd1' });
+            assert.deepEqual(feeds.map(feed => feed.field1), ['1', '2']);
+            assert.equal((await storage.list('feeds')).length, 4);
+        });
+        
+        await t.test('listBatches pages through matching rows in order', async () => {
+            const batches = [];
+            for await (const batch of storage.listBatches('feeds', {}, 3)) {
+                batches.push(batch.map(feed => feed.entry_id));
+            }
+            assert.deepEqual(batches, [['1', '2', '10'], ['11']]);
+            
+            const d2 = [];
+            for await (const batch of storage.listBatches('feeds', { device_id: 'd2' })) d2.push(...batch);
+            assert.deepEqual(d2.map(feed => feed.field1), ['3', '4']);
+            
+            // Stopping early must not leave the read open
+            for await (const batch of storage.listBatches('feeds', {}, 1)) {
+                assert.equal(batch.length, 1);
+                break;
+            }
+        });
+        
+        await t.test('remove deletes matching rows and returns how many', async () => {
+            assert.equal(await storage.remove('feeds', { device_id: 'd2' }), 2);
+            assert.equal(await storage.remove('feeds', { device_id: 'd2' }), 0);
+            assert.equal(await storage.removeWhere('feeds', feed => feed.field1 === '1'), 1);
+            assert.deepEqual((await storage.list('feeds')).map(feed => feed.entry_id), ['2']);
+        });
+        
+        await t.test('a removed key can be inserted again', async () => {
+            assert.equal(await storage.remove('users', { email: 'bob@example.com' }), 1);
+            await storage.insert('users', { name: 'Bob', email: 'bob@example.com' });
+            assert.equal(await storage.count('users'), 2);
+        });
+        
+        await t.test('check passes on a working store', async () => {
+            await storage.check();
+        });
+    });
+}
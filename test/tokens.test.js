@@ -0,0 +1,47 @@
+// tokens.test.js - Tests for signed, expiring email link tokens
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenSigner, fingerprint } = require('../lib/tokens');
+
+const signer = createTokenSigner('test-secret');
+
+test('a signed token verifies and returns its claims', () => {
+    const token = signer.sign('reset-password', { email: 'ann@example.com' }, 60 * 1000);
+    const claims = signer.verify('reset-password', token);
+    assert.equal(claims.email, 'ann@example.com');
+    assert.equal(claims.purpose, 'reset-password');
+    assert.ok(claims.exp > Date.now());
+});
+
+test('a token is only valid for its purpose', () => {
+    const token = signer.sign('verify-email', { email: 'ann@example.com' }, 60 * 1000);
+    assert.equal(signer.verify('reset-password', token), null);
+});
+
+test('expired tokens are refused', () => {
+    const token = signer.sign('verify-email', { email: 'ann@example.com' }, -1);
+    assert.equal(signer.verify('verify-email', token), null);
+});
+
+test('tampered tokens and other secrets are refused', () => {
+    const token = signer.sign('verify-email', { email: 'ann@example.com' }, 60 * 1000);
+    const [, sig] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ email: 'eve@example.com', purpose: 'verify-email', exp: Date.now() + 60000 })).toString('base64url');
+    
+    assert.equal(signer.verify('verify-email', `${forged}.${sig}`), null);
+    assert.equal(signer.verify('verify-email', `${token}x`), null);
+    assert.equal(createTokenSigner('other-secret').verify('verify-email', token), null);
+});
+
+test('malformed tokens are refused', () => {
+    assert.equal(signer.verify('verify-email', ''), null);
+    assert.equal(signer.verify('verify-email', undefined), null);
+    assert.equal(signer.verify('verify-email', 'no-signature'), null);
+});
+
+test('fingerprint is short and stable', () => {
+    assert.equal(fingerprint('hash'), fingerprint('hash'));
+    assert.notEqual(fingerprint('hash'), fingerprint('other'));
+    assert.equal(fingerprint('hash').length, 16);
+});
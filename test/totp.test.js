@@ -0,0 +1,67 @@
+// totp.test.js - Tests for one-time passwords and recovery codes
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    generateSecret,
+    verifyCode,
+    provisioningUri,
+    generateRecoveryCodes,
+    useRecoveryCode,
+    RECOVERY_CODE_COUNT
+} = require('../lib/totp');
+
+// The RFC 6238 SHA-1 test secret, "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('codes match the RFC 6238 test vectors', () => {
+    // The RFC lists 8-digit codes; ours are their last 6 digits
+    assert.equal(verifyCode(RFC_SECRET, '287082', { time: 59 * 1000 }), 1);
+    assert.equal(verifyCode(RFC_SECRET, '081804', { time: 1111111109 * 1000 }), 37037036);
+    assert.equal(verifyCode(RFC_SECRET, '005924', { time: 1234567890 * 1000 }), 41152263);
+});
+
+test('codes from one step either side are accepted', () => {
+    const time = 1111111109 * 1000;
+    assert.equal(verifyCode(RFC_SECRET, '081804', { time: time + 30 * 1000 }), 37037036);
+    assert.equal(verifyCode(RFC_SECRET, '081804', { time: time - 30 * 1000 }), 37037036);
+    assert.equal(verifyCode(RFC_SECRET, '081804', { time: time + 90 * 1000 }), null);
+});
+
+test('a code is refused at or before the last accepted step', () => {
+    const time = 1111111109 * 1000;
+    assert.equal(verifyCode(RFC_SECRET, '081804', { time, lastStep: 37037036 }), null);
+    assert.equal(verifyCode(RFC_SECRET, '081804', { time, lastStep: 37037035 }), 37037036);
+});
+
+test('malformed codes are refused', () => {
+    assert.equal(verifyCode(RFC_SECRET, '12345', { time: 59 * 1000 }), null);
+    assert.equal(verifyCode(RFC_SECRET, 'abcdef', { time: 59 * 1000 }), null);
+    assert.equal(verifyCode(RFC_SECRET, undefined, { time: 59 * 1000 }), null);
+    assert.equal(verifyCode(RFC_SECRET, '287 082', { time: 59 * 1000 }), 1);
+});
+
+test('generated secrets are 20 bytes of base32', () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(generateSecret(), secret);
+});
+
+test('provisioningUri describes the secret for authenticator apps', () => {
+    assert.equal(
+        provisioningUri({ issuer: 'Air Quality', account: 'ann@example.com', secret: RFC_SECRET }),
+        `otpauth://totp/Air%20Quality%3Aann%40example.com?secret=${RFC_SECRET}&issuer=Air%20Quality&algorithm=SHA1&digits=6&period=30`
+    );
+});
+
+test('recovery codes work once, ignoring case, spaces and dashes', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    assert.equal(codes.length, RECOVERY_CODE_COUNT);
+    assert.equal(hashes.length, RECOVERY_CODE_COUNT);
+    codes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    
+    const remaining = useRecoveryCode(hashes, ` ${codes[0].toUpperCase().replace('-', '')} `);
+    assert.equal(remaining.length, RECOVERY_CODE_COUNT - 1);
+    assert.equal(useRecoveryCode(remaining, codes[0]), null);
+    assert.equal(useRecoveryCode(hashes, 'nope'), null);
+});
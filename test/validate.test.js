@@ -0,0 +1,104 @@
+// validate.test.js - Tests for request validation and API error bodies
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, describeFields, errorBody } = require('../lib/validate');
+
+const USER = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 10 },
+        email: { type: 'string', format: 'email' },
+        age: { type: 'integer', minimum: 0, maximum: 150 },
+        role: { type: 'string', enum: ['viewer', 'admin'] },
+        tags: { type: 'array', maxItems: 2, items: { type: 'string', pattern: '^[a-z]+$' } }
+    },
+    required: ['name', 'email'],
+    additionalProperties: false
+};
+
+test('a valid value has no field errors', () => {
+    const { fields } = validate(USER, { name: 'Ann', email: 'ann@example.com', age: 30, role: 'admin', tags: ['a'] });
+    assert.deepEqual(fields, {});
+});
+
+test('problems are reported per field', () => {
+    const { fields } = validate(USER, {
+        name: '',
+        email: 'not-an-email',
+        age: 1.5,
+        role: 'owner',
+        tags: ['ok', 'Bad'],
+        extra: true
+    });
+    assert.deepEqual(fields, {
+        name: 'is required',
+        email: 'must be a valid email address',
+        age: 'must be a whole number',
+        role: 'must be one of: viewer, admin',
+        'tags[1]': 'has an invalid format',
+        extra: 'is not allowed'
+    });
+});
+
+test('missing required properties are reported', () => {
+    const { fields } = validate(USER, { name: 'Ann' });
+    assert.deepEqual(fields, { email: 'is required' });
+});
+
+test('lengths, sizes and bounds are checked', () => {
+    const { fields } = validate(USER, { name: 'A very long name', email: 'a@b.co', age: 200, tags: ['a', 'b', 'c'] });
+    assert.deepEqual(fields, {
+        name: 'must be at most 10 characters',
+        age: 'must be at most 150',
+        tags: 'must have at most 2 items'
+    });
+});
+
+test('a problem with the whole value is reported under its name', () => {
+    assert.deepEqual(validate(USER, [], { name: 'body' }).fields, { body: 'must be an object' });
+    assert.deepEqual(validate(USER, null, { name: 'query' }).fields, { query: 'must be an object' });
+});
+
+test('coerceStrings converts query string numbers and booleans', () => {
+    const schema = {
+        type: 'object',
+        properties: { limit: { type: 'integer', minimum: 1 }, all: { type: 'boolean' }, q: { type: 'string' } }
+    };
+    const { value, fields } = validate(schema, { limit: '20', all: 'true', q: '5' }, { coerceStrings: true });
+    assert.deepEqual(value, { limit: 20, all: true, q: '5' });
+    assert.deepEqual(fields, {});
+    
+    assert.deepEqual(validate(schema, { limit: 'ten' }, { coerceStrings: true }).fields, { limit: 'must be a whole number' });
+    assert.deepEqual(validate(schema, { limit: '20' }).fields, { limit: 'must be a whole number' });
+});
+
+test('date-time values must parse', () => {
+    const schema = { type: 'object', properties: { from: { type: 'string', format: 'date-time' } } };
+    assert.deepEqual(validate(schema, { from: '2024-01-01T00:00:00Z' }).fields, {});
+    assert.deepEqual(validate(schema, { from: 'yesterday' }).fields, { from: 'must be a date and time' });
+});
+
+test('describeFields joins field errors into one line', () => {
+    assert.equal(describeFields({ email: 'is required', age: 'must be at least 0' }), 'email is required; age must be at least 0');
+});
+
+test('errorBody wraps an error message with a code and fields', () => {
+    assert.deepEqual(errorBody(404, { error: 'Device not found' }), {
+        error: { code: 'not_found', message: 'Device not found', fields: {} }
+    });
+    assert.deepEqual(errorBody(429, { error: 'Slow down', retry_after: 30 }), {
+        error: { code: 'rate_limited', message: 'Slow down', fields: {} },
+        retry_after: 30
+    });
+    assert.deepEqual(errorBody(400, { error: 'Invalid', code: 'validation_failed', fields: { name: 'is required' } }), {
+        error: { code: 'validation_failed', message: 'Invalid', fields: { name: 'is required' } }
+    });
+    assert.equal(errorBody(502, { error: 'Bad gateway' }).error.code, 'server_error');
+});
+
+test('errorBody leaves other bodies alone', () => {
+    const body = { message: 'ok' };
+    assert.equal(errorBody(200, body), body);
+    assert.equal(errorBody(500, undefined), undefined);
+});